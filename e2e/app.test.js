@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const express = require('express');
+const puppeteer = require('puppeteer');
+const { createSupabaseStandIn } = require('./supabase');
+
+// El build de `npm run test:e2e` apunta a estas URLs (ver package.json). El backend se
+// configura antes de cargarlo: sin service role no registra el uso en Supabase
+const SUPABASE_PORT = 54321;
+const APP_PORT = 3100;
+const ANON_KEY = 'e2e-anon-key';
+const APP_URL = `http://localhost:${APP_PORT}`;
+const BUILD_DIR = path.join(__dirname, 'build');
+
+process.env.SUPABASE_URL = `http://localhost:${SUPABASE_PORT}`;
+process.env.SUPABASE_ANON_KEY = ANON_KEY;
+process.env.SUPABASE_SERVICE_ROLE_KEY = '';
+const { createApp } = require('../server/app');
+
+const USER = { email: 'ana@example.com', password: 'correct-password', user_metadata: { full_name: 'Ana García' } };
+
+// El texto que genera el proveedor mock (server/llm/providers/mock.js)
+const MOCK_POST = 'Publicación de ejemplo generada por el proveedor de pruebas.';
+
+const SOURCE_TEXT = 'Escribir para LinkedIn es distinto de escribir un blog: quien lee decide en dos líneas si sigue leyendo. '.repeat(3).trim();
+
+let supabase;
+let servers;
+let browser;
+
+const listen = (app, port) => new Promise((resolve) => {
+  const server = app.listen(port, () => resolve(server));
+});
+
+test.before(async () => {
+  supabase = createSupabaseStandIn({ anonKey: ANON_KEY, users: [USER] });
+  const app = express();
+  app.use(express.static(BUILD_DIR));
+  app.get(/^\/(?!api\/)/, (req, res) => res.sendFile(path.join(BUILD_DIR, 'index.html')));
+  app.use(createApp());
+  servers = await Promise.all([listen(supabase.app, SUPABASE_PORT), listen(app, APP_PORT)]);
+  // Como root, en contenedores, Chrome no arranca con el sandbox
+  browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+});
+
+test.after(async () => {
+  await browser?.close();
+  servers?.forEach((server) => server.close());
+});
+
+// Cada test en un perfil limpio, sin la sesión ni los borradores del anterior
+const openPage = async () => {
+  const context = await browser.createBrowserContext();
+  const page = await context.newPage();
+  await page.evaluateOnNewDocument(() => localStorage.setItem('language', 'en'));
+  return page;
+};
+
+const waitForText = (page, text) => page.waitForFunction(
+  (expected) => document.body.innerText.includes(expected),
+  {},
+  text
+);
+
+// Para lo que pasa fuera del navegador, como las filas que guarda la app en Supabase
+const waitFor = async (check, timeout = 10000) => {
+  const deadline = Date.now() + timeout;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+};
+
+const signIn = async (page, password = USER.password) => {
+  await page.goto(`${APP_URL}/login`);
+  await page.locator('input[type="email"]').fill(USER.email);
+  await page.locator('input[type="password"]').fill(password);
+  await page.locator('button[type="submit"]').click();
+};
+
+test('rejects a wrong password', async () => {
+  const page = await openPage();
+
+  await signIn(page, 'wrong-password');
+
+  await waitForText(page, 'The email or password is incorrect.');
+  assert.strictEqual(new URL(page.url()).pathname, '/login');
+  await page.browserContext().close();
+});
+
+test('signs in, generates a post and finds it in the history', async () => {
+  const page = await openPage();
+
+  await signIn(page);
+  await page.locator('button[value="text"]').click();
+  await page.locator('::-p-aria([name="Title (optional)"][role="textbox"])').fill('Escribir para LinkedIn');
+  await page.locator('::-p-aria([name="Text to write about"][role="textbox"])').fill(SOURCE_TEXT);
+  await page.locator('button::-p-text(Generate post)').click();
+
+  await page.waitForFunction(
+    (expected) => [...document.querySelectorAll('textarea')].some((field) => field.value.includes(expected)),
+    { timeout: 20000 },
+    MOCK_POST
+  );
+  await waitFor(() => supabase.state.tables.posts?.length === 1);
+  // Sin espacios, la app crea el personal al entrar por primera vez
+  const [workspace] = supabase.state.tables.workspaces;
+  const [post] = supabase.state.tables.posts;
+  assert.strictEqual(workspace.name, 'Personal');
+  assert.strictEqual(post.workspace_id, workspace.id);
+  assert.strictEqual(post.title, 'Escribir para LinkedIn');
+  assert.strictEqual(post.provider, 'mock');
+  assert.ok(post.content.startsWith(MOCK_POST));
+
+  await page.goto(`${APP_URL}/history`);
+  await waitForText(page, 'Escribir para LinkedIn');
+  await waitForText(page, MOCK_POST);
+  await page.browserContext().close();
+});
@@ -0,0 +1,472 @@
+const crypto = require('node:crypto');
+const express = require('express');
+
+// Imitación local de las partes de Supabase que usa la app: Auth con email y contraseña
+// y la API REST (PostgREST) sobre tablas en memoria. Solo para los tests e2e: no aplica
+// RLS, así que cualquier sesión lee y escribe todas las filas
+const createSupabaseStandIn = ({
+  anonKey = 'e2e-anon-key',
+  // { email, password, user_metadata }: las cuentas con las que se puede entrar
+  users = [],
+  // Filas iniciales por tabla
+  tables = {},
+} = {}) => {
+  const app = express();
+  const state = {
+    users: users.map(({ password, ...user }) => ({ ...newUser(user), password })),
+    tokens: new Map(),
+    tables: structuredClone(tables),
+  };
+
+  app.use(cors);
+  app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+
+  app.use((req, res, next) => {
+    if (req.headers.apikey !== anonKey) {
+      return res.status(401).json({ message: 'Invalid API key' });
+    }
+    next();
+  });
+
+  const createSession = (user) => {
+    const session = {
+      access_token: signToken(user),
+      refresh_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      expires_at: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS,
+      user: publicUser(user),
+    };
+    state.tokens.set(session.access_token, user.id);
+    state.tokens.set(session.refresh_token, user.id);
+    return session;
+  };
+
+  const findUser = (token) => state.users.find(({ id }) => id === state.tokens.get(token)) ?? null;
+
+  const bearer = (req) => (req.headers.authorization || '').replace(/^Bearer /, '');
+
+  app.post('/auth/v1/token', (req, res) => {
+    const { grant_type: grantType } = req.query;
+    if (grantType === 'password') {
+      const user = state.users.find(({ email, password }) => email === req.body.email && password === req.body.password);
+      if (!user) {
+        return authError(res, 400, 'invalid_credentials', 'Invalid login credentials');
+      }
+      return res.json(createSession(user));
+    }
+    if (grantType === 'refresh_token') {
+      const user = findUser(req.body.refresh_token);
+      if (!user) {
+        return authError(res, 400, 'refresh_token_not_found', 'Invalid Refresh Token: Refresh Token Not Found');
+      }
+      state.tokens.delete(req.body.refresh_token);
+      return res.json(createSession(user));
+    }
+    authError(res, 400, 'validation_failed', `Unsupported grant type: ${grantType}`);
+  });
+
+  app.get('/auth/v1/user', (req, res) => {
+    const user = findUser(bearer(req));
+    if (!user) {
+      return authError(res, 403, 'bad_jwt', 'invalid JWT: unable to parse or verify signature');
+    }
+    res.json(publicUser(user));
+  });
+
+  app.post('/auth/v1/logout', (req, res) => {
+    state.tokens.delete(bearer(req));
+    res.status(204).end();
+  });
+
+  // Sin sesión supabase-js envía la anon key como token
+  const requireRole = (req, res, next) => {
+    const token = bearer(req);
+    req.user = findUser(token);
+    if (!req.user && token !== anonKey) {
+      return restError(res, 401, 'PGRST301', 'JWT expired');
+    }
+    next();
+  };
+
+  const table = (name) => {
+    state.tables[name] ??= [];
+    return state.tables[name];
+  };
+
+  const insertRows = (name, rows, user) => rows.map((row) => {
+    const inserted = { ...defaults(name, user), ...row };
+    table(name).push(inserted);
+    return inserted;
+  });
+
+  // Funciones de supabase/migrations que llama el navegador
+  const rpcs = {
+    create_workspace: ({ workspace_name: name }, user) => {
+      const [workspace] = insertRows('workspaces', [{ name: name.trim(), created_by: user.id }], user);
+      insertRows('workspace_members', [{ workspace_id: workspace.id, user_id: user.id, email: user.email, role: 'owner' }], user);
+      return workspace;
+    },
+    ensure_personal_workspace: ({ workspace_name: name }, user) => {
+      if (table('workspace_members').some((row) => row.user_id === user.id)) return null;
+      return rpcs.create_workspace({ workspace_name: name }, user).id;
+    },
+    accept_workspace_invitation: ({ invitation_id: id }, user) => {
+      const invitations = table('workspace_invitations');
+      const invitation = invitations.find((row) => row.id === id && row.email === user.email);
+      if (!invitation) {
+        throw Object.assign(new Error('Invitation not found'), { code: 'P0002' });
+      }
+      const members = table('workspace_members');
+      const member = members.find((row) => row.workspace_id === invitation.workspace_id && row.user_id === user.id);
+      if (member) {
+        member.role = invitation.role;
+      } else {
+        insertRows('workspace_members', [{ workspace_id: invitation.workspace_id, user_id: user.id, email: invitation.email, role: invitation.role }], user);
+      }
+      invitations.splice(invitations.indexOf(invitation), 1);
+      return invitation.workspace_id;
+    },
+  };
+
+  app.post('/rest/v1/rpc/:fn', requireRole, (req, res) => {
+    const rpc = rpcs[req.params.fn];
+    if (!rpc) {
+      return restError(res, 404, 'PGRST202', `Could not find the function public.${req.params.fn}`);
+    }
+    if (!req.user) {
+      return restError(res, 401, '42501', `permission denied for function ${req.params.fn}`);
+    }
+    try {
+      res.json(rpc(req.body ?? {}, req.user));
+    } catch (error) {
+      restError(res, 400, error.code, error.message);
+    }
+  });
+
+  const query = (req) => {
+    const params = new URL(req.originalUrl, 'http://localhost').searchParams;
+    return {
+      params,
+      select: parseSelect(params.get('select') || '*'),
+      matches: parseFilters(params),
+      prefer: req.headers.prefer || '',
+      single: (req.headers.accept || '').includes('application/vnd.pgrst.object+json'),
+    };
+  };
+
+  // Proyecta las columnas pedidas y resuelve los recursos embebidos. `null` si un
+  // embebido `!inner` no tiene filas y la fila debe quedar fuera
+  const project = (name, row, select) => {
+    const result = {};
+    for (const item of select) {
+      if (item.column === '*') {
+        Object.assign(result, row);
+      } else if (!item.embed) {
+        result[item.alias] = row[item.column] ?? null;
+      } else {
+        const embedded = embed(name, row, item);
+        if (item.inner && (embedded === null || embedded.length === 0)) {
+          return null;
+        }
+        result[item.alias] = embedded;
+      }
+    }
+    return result;
+  };
+
+  // Relaciones por convención de nombres: `posts.workspace_id` apunta a `workspaces` y
+  // `post_comments.post_id` a `posts`. Si esa columna es la clave primaria, la relación es 1 a 1
+  const embed = (name, row, { column: target, select }) => {
+    const parentKey = `${singular(target)}_id`;
+    if (parentKey in row) {
+      const parent = table(target).find(({ id }) => id === row[parentKey]);
+      return parent ? project(target, parent, select) : null;
+    }
+    const childKey = `${singular(name)}_id`;
+    const children = table(target).filter((child) => child[childKey] === row.id);
+    if (select.length === 1 && select[0].column === 'count') {
+      return [{ count: children.length }];
+    }
+    const projected = children.map((child) => project(target, child, select)).filter(Boolean);
+    return primaryKey(target) === childKey ? projected[0] ?? null : projected;
+  };
+
+  const respond = (res, { status, rows, single, total, offset = 0 }) => {
+    if (total !== undefined) {
+      res.set('Content-Range', rows.length ? `${offset}-${offset + rows.length - 1}/${total}` : `*/${total}`);
+    }
+    if (single) {
+      if (rows.length !== 1) {
+        return restError(res, 406, 'PGRST116', 'JSON object requested, multiple (or no) rows returned');
+      }
+      return res.status(status).json(rows[0]);
+    }
+    res.status(status).json(rows);
+  };
+
+  const read = (req, res) => {
+    const { params, select, matches, prefer, single } = query(req);
+    const rows = table(req.params.table)
+      .filter(matches)
+      .map((row) => project(req.params.table, row, select))
+      .filter(Boolean)
+      .sort(parseOrder(params.get('order')));
+    const offset = Number(params.get('offset')) || 0;
+    const limit = params.has('limit') ? Number(params.get('limit')) : rows.length;
+    const page = rows.slice(offset, offset + limit);
+    const total = prefer.includes('count=exact') ? rows.length : '*';
+    if (req.method === 'HEAD') {
+      return res.set('Content-Range', `*/${total}`).end();
+    }
+    respond(res, { status: 200, rows: page, single, total, offset });
+  };
+
+  // Las escrituras solo devuelven las filas con `Prefer: return=representation` (`.select()`)
+  const written = (req, res, rows) => {
+    const { select, prefer, single } = query(req);
+    if (!prefer.includes('return=representation')) {
+      return res.status(req.method === 'POST' ? 201 : 204).end();
+    }
+    const projected = rows.map((row) => project(req.params.table, row, select));
+    respond(res, { status: req.method === 'POST' ? 201 : 200, rows: projected, single });
+  };
+
+  app.get('/rest/v1/:table', requireRole, read);
+  app.head('/rest/v1/:table', requireRole, read);
+
+  app.post('/rest/v1/:table', requireRole, (req, res) => {
+    const { params, prefer } = query(req);
+    const name = req.params.table;
+    const body = Array.isArray(req.body) ? req.body : [req.body];
+    if (!prefer.includes('resolution=')) {
+      return written(req, res, insertRows(name, body, req.user));
+    }
+    // upsert: `on_conflict` son las columnas de la restricción única, por defecto la clave primaria
+    const conflict = (params.get('on_conflict') || primaryKey(name)).split(',');
+    const rows = body.map((row) => {
+      const existing = table(name).find((current) => conflict.every((column) => current[column] === row[column]));
+      if (!existing) {
+        return insertRows(name, [row], req.user)[0];
+      }
+      if (prefer.includes('resolution=merge-duplicates')) {
+        Object.assign(existing, row, { updated_at: new Date().toISOString() });
+      }
+      return existing;
+    });
+    written(req, res, rows);
+  });
+
+  app.patch('/rest/v1/:table', requireRole, (req, res) => {
+    const { matches } = query(req);
+    const rows = table(req.params.table).filter(matches);
+    rows.forEach((row) => Object.assign(row, { updated_at: new Date().toISOString() }, req.body));
+    written(req, res, rows);
+  });
+
+  app.delete('/rest/v1/:table', requireRole, (req, res) => {
+    const { matches } = query(req);
+    const rows = table(req.params.table).filter(matches);
+    state.tables[req.params.table] = table(req.params.table).filter((row) => !rows.includes(row));
+    written(req, res, rows);
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ message: `Not supported by the stand-in: ${req.method} ${req.path}` });
+  });
+
+  // eslint-disable-next-line no-unused-vars
+  app.use((err, req, res, next) => {
+    restError(res, err.status || 400, 'PGRST100', err.message);
+  });
+
+  return { app, state };
+};
+
+const TOKEN_TTL_SECONDS = 3600;
+
+// Tablas cuya clave primaria no es `id`
+const PRIMARY_KEYS = {
+  post_metrics: 'post_id',
+  brand_settings: 'user_id',
+};
+
+// Los defaults de las columnas que la app no envía al insertar
+const TABLE_DEFAULTS = {
+  posts: { status: 'draft' },
+};
+
+const primaryKey = (name) => PRIMARY_KEYS[name] ?? 'id';
+
+const defaults = (name, user) => {
+  const now = new Date().toISOString();
+  return {
+    ...(primaryKey(name) === 'id' && { id: crypto.randomUUID() }),
+    ...(user && { user_id: user.id }),
+    created_at: now,
+    updated_at: now,
+    ...TABLE_DEFAULTS[name],
+  };
+};
+
+const newUser = ({ email, user_metadata: metadata = {} }) => ({
+  id: crypto.randomUUID(),
+  aud: 'authenticated',
+  role: 'authenticated',
+  email,
+  email_confirmed_at: new Date().toISOString(),
+  app_metadata: { provider: 'email', providers: ['email'] },
+  user_metadata: metadata,
+  created_at: new Date().toISOString(),
+});
+
+const publicUser = ({ password, ...user }) => user;
+
+// Un JWT con la forma de los de Supabase para que supabase-js pueda leerlo; la firma no se comprueba
+const signToken = (user) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({
+    sub: user.id,
+    email: user.email,
+    aud: 'authenticated',
+    role: 'authenticated',
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS,
+    session_id: crypto.randomUUID(),
+  });
+  return `${header}.${payload}.${crypto.randomBytes(16).toString('base64url')}`;
+};
+
+const cors = (req, res, next) => {
+  res.set({
+    'Access-Control-Allow-Origin': req.headers.origin || '*',
+    'Access-Control-Allow-Methods': 'GET, HEAD, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*',
+    'Access-Control-Expose-Headers': 'Content-Range',
+  });
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+  next();
+};
+
+const authError = (res, status, code, message) => res.status(status).json({ code: status, error_code: code, msg: message });
+
+const restError = (res, status, code, message) => res.status(status).json({ code, details: null, hint: null, message });
+
+const singular = (name) => name.replace(/s$/, '');
+
+// Divide por comas que no estén dentro de paréntesis ni comillas
+const splitTopLevel = (value) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of value) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth += 1;
+    if (!quoted && char === ')') depth -= 1;
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return [...parts, current].filter(Boolean);
+};
+
+// `*, alias:columna, tabla!inner (columnas)` → [{ column, alias, embed, inner, select }]
+const parseSelect = (value) => splitTopLevel(value.replace(/\s/g, '')).map((item) => {
+  const [, alias, column, hint, nested] = item.match(/^(?:(\w+):)?([\w*]+)(?:::\w+)?(?:!(\w+))?(?:\((.*)\))?$/) ?? [];
+  if (!column) {
+    throw Object.assign(new Error(`Unsupported select: ${item}`), { status: 400 });
+  }
+  return {
+    column,
+    alias: alias || column,
+    embed: nested !== undefined,
+    inner: hint === 'inner',
+    select: nested !== undefined ? parseSelect(nested || '*') : [],
+  };
+});
+
+const compare = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+};
+
+const unquote = (value) => value.replace(/^"(.*)"$/, '$1');
+
+const likePattern = (pattern, flags) => new RegExp(`^${pattern
+  .split(/[*%]/)
+  .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+  .join('.*')}$`, flags);
+
+const OPERATORS = {
+  eq: (actual, value) => actual !== null && actual !== undefined && String(actual) === value,
+  neq: (actual, value) => actual !== null && actual !== undefined && String(actual) !== value,
+  gt: (actual, value) => actual != null && compare(actual, value) > 0,
+  gte: (actual, value) => actual != null && compare(actual, value) >= 0,
+  lt: (actual, value) => actual != null && compare(actual, value) < 0,
+  lte: (actual, value) => actual != null && compare(actual, value) <= 0,
+  like: (actual, value) => actual != null && likePattern(value).test(String(actual)),
+  ilike: (actual, value) => actual != null && likePattern(value, 'i').test(String(actual)),
+  is: (actual, value) => (value === 'null' ? actual == null : String(actual) === value),
+  in: (actual, value) => actual != null && splitTopLevel(value.replace(/^\((.*)\)$/, '$1')).map(unquote).includes(String(actual)),
+};
+
+// `columna=op.valor`, `columna=not.op.valor` y `or=(columna.op.valor,…)`
+const parseCondition = (column, expression) => {
+  const negated = expression.startsWith('not.');
+  const [operator, ...rest] = (negated ? expression.slice(4) : expression).split('.');
+  const test = OPERATORS[operator];
+  if (!test) {
+    throw Object.assign(new Error(`Unsupported operator: ${operator}`), { status: 400 });
+  }
+  const value = unquote(rest.join('.'));
+  return (row) => test(row[column] ?? null, value) !== negated;
+};
+
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+
+const parseFilters = (params) => {
+  const conditions = [];
+  for (const [key, expression] of params) {
+    if (key === 'or') {
+      const alternatives = splitTopLevel(expression.replace(/^\((.*)\)$/, '$1')).map((condition) => {
+        const [column, ...rest] = condition.split('.');
+        return parseCondition(column, rest.join('.'));
+      });
+      conditions.push((row) => alternatives.some((matches) => matches(row)));
+    } else if (!RESERVED_PARAMS.includes(key)) {
+      conditions.push(parseCondition(key, expression));
+    }
+  }
+  return (row) => conditions.every((matches) => matches(row));
+};
+
+// `columna.desc.nullslast,columna` → comparador. Como en Postgres, los null van al final
+// en orden ascendente y al principio en descendente
+const parseOrder = (value) => {
+  const keys = (value || '').split(',').filter(Boolean).map((key) => {
+    const [column, ...modifiers] = key.split('.');
+    const descending = modifiers.includes('desc');
+    const nullsFirst = modifiers.includes('nullsfirst') || (descending && !modifiers.includes('nullslast'));
+    return { column, descending, nullsFirst };
+  });
+  return (a, b) => {
+    for (const { column, descending, nullsFirst } of keys) {
+      const [left, right] = [a[column], b[column]];
+      if (left == null || right == null) {
+        if (left == null && right == null) continue;
+        return (left == null) === nullsFirst ? -1 : 1;
+      }
+      const order = compare(left, right);
+      if (order) return descending ? -order : order;
+    }
+    return 0;
+  };
+};
+
+module.exports = { createSupabaseStandIn };
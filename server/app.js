@@ -0,0 +1,59 @@
+const express = require('express');
+const config = require('./config');
+const { listProviders } = require('./llm');
+const { requireUser } = require('./middleware/auth');
+const { createRateLimit } = require('./middleware/rateLimit');
+const { HttpError } = require('./errors');
+const generateRouter = require('./routes/generate');
+const extractRouter = require('./routes/extract');
+const feedRouter = require('./routes/feed');
+const linkedinRouter = require('./routes/linkedin');
+const workspacesRouter = require('./routes/workspaces');
+const usageRouter = require('./routes/usage');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json({ limit: '256kb' }));
+
+  app.get('/api/health', (req, res) => {
+    res.json({ ok: true });
+  });
+
+  app.get('/api/providers', (req, res) => {
+    res.json({ providers: listProviders() });
+  });
+
+  app.use('/api/generate', requireUser, createRateLimit(config.rateLimit), generateRouter);
+  app.use('/api/extract', requireUser, createRateLimit(config.rateLimit), extractRouter);
+  app.use('/api/feed', requireUser, createRateLimit(config.rateLimit), feedRouter);
+  // Cada ruta decide si exige sesión: la vuelta del OAuth llega sin ella
+  app.use('/api/linkedin', linkedinRouter);
+  app.use('/api/workspaces', requireUser, workspacesRouter);
+  app.use('/api/usage', requireUser, usageRouter);
+
+  app.use((req, res) => {
+    res.status(404).json({ error: { code: 'not_found', message: 'Not found' } });
+  });
+
+  // eslint-disable-next-line no-unused-vars
+  app.use((err, req, res, next) => {
+    if (err.name === 'AbortError') {
+      return;
+    }
+    const status = err.status || 500;
+    const isHttpError = err instanceof HttpError;
+    if (status >= 500) {
+      console.error('Request failed:', err);
+    }
+    res.status(status).json({
+      error: {
+        code: isHttpError ? err.code : status < 500 ? 'bad_request' : 'internal_error',
+        message: isHttpError || status < 500 ? err.message : 'Internal server error',
+      }
+    });
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
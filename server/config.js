@@ -0,0 +1,59 @@
+require('dotenv').config();
+
+const port = Number(process.env.PORT) || 3001;
+
+const config = {
+  port,
+  // Origen del frontend: destino de la vuelta del OAuth de LinkedIn
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  supabase: {
+    url: process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL,
+    anonKey: process.env.SUPABASE_ANON_KEY || process.env.REACT_APP_SUPABASE_ANON_KEY,
+    // Solo para tablas sin acceso desde el navegador (tokens de LinkedIn), el worker
+    // y los emails de invitación a espacios de trabajo
+    serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+  },
+  llm: {
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+    },
+    mistral: {
+      apiKey: process.env.MISTRAL_API_KEY,
+    },
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    },
+  },
+  linkedin: {
+    clientId: process.env.LINKEDIN_CLIENT_ID,
+    clientSecret: process.env.LINKEDIN_CLIENT_SECRET,
+    redirectUri: process.env.LINKEDIN_REDIRECT_URI || `http://localhost:${port}/api/linkedin/callback`,
+    // Para publicar en páginas de empresa añade r_organization_admin y w_organization_social
+    scopes: (process.env.LINKEDIN_SCOPES || 'openid profile w_member_social').split(/[\s,]+/).filter(Boolean),
+    authUrl: process.env.LINKEDIN_AUTH_URL || 'https://www.linkedin.com/oauth/v2',
+    apiUrl: process.env.LINKEDIN_API_URL || 'https://api.linkedin.com',
+    apiVersion: process.env.LINKEDIN_API_VERSION || '202501',
+    stateSecret: process.env.LINKEDIN_STATE_SECRET || process.env.LINKEDIN_CLIENT_SECRET,
+  },
+  scheduler: {
+    // `fake` no publica nada fuera de la máquina; `linkedin` usa la conexión de cada usuario
+    publisher: process.env.SCHEDULER_PUBLISHER || 'fake',
+    intervalMs: Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000,
+    maxAttempts: Number(process.env.SCHEDULER_MAX_ATTEMPTS) || 3,
+    retryDelayMs: Number(process.env.SCHEDULER_RETRY_DELAY_MS) || 5 * 60 * 1000,
+    batchSize: Number(process.env.SCHEDULER_BATCH_SIZE) || 10,
+    fakeFailureRate: Number(process.env.SCHEDULER_FAKE_FAILURE_RATE) || 0,
+  },
+  usage: {
+    // Cuotas de generaciones por plan en JSON (ver server/usage/quotas.js); sin valor, el plan `free`
+    plans: process.env.USAGE_PLANS,
+    defaultPlan: process.env.USAGE_DEFAULT_PLAN || 'free',
+  },
+  rateLimit: {
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000,
+    max: Number(process.env.RATE_LIMIT_MAX) || 30,
+  },
+};
+
+module.exports = config;
@@ -0,0 +1,75 @@
+const path = require('node:path');
+const mammoth = require('mammoth');
+const { HttpError } = require('../errors');
+const { normalizeText, MAX_TEXT_LENGTH, MIN_TEXT_LENGTH } = require('./extractArticle');
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_PDF_PAGES = 200;
+
+// El tipo se deduce de los primeros bytes: el navegador no siempre envía el MIME de un .docx
+const detectDocumentType = (buffer) => {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'docx';
+  return null;
+};
+
+// unpdf solo se publica como módulo ES
+const readPdf = async (buffer) => {
+  const { getDocumentProxy, extractText, getMeta } = await import('unpdf');
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  if (pdf.numPages > MAX_PDF_PAGES) {
+    throw new HttpError(413, 'file_too_large', `The document has more than ${MAX_PDF_PAGES} pages`);
+  }
+  const [{ text }, { info }] = await Promise.all([extractText(pdf, { mergePages: false }), getMeta(pdf)]);
+  return {
+    title: info?.Title?.trim() || null,
+    byline: info?.Author?.trim() || null,
+    text: text.join('\n\n'),
+  };
+};
+
+const readDocx = async (buffer) => {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return { title: null, byline: null, text: value };
+};
+
+const READERS = { pdf: readPdf, docx: readDocx };
+
+// Texto de un PDF o un DOCX subido, con la misma forma que un artículo extraído
+const extractDocument = async (buffer, { fileName = '' } = {}) => {
+  if (buffer.length > MAX_FILE_BYTES) {
+    throw new HttpError(413, 'file_too_large', 'The file is too large');
+  }
+  const type = detectDocumentType(buffer);
+  if (!type) {
+    throw new HttpError(415, 'unsupported_file_type', 'Only PDF and DOCX files are supported');
+  }
+
+  let document;
+  try {
+    document = await READERS[type](buffer);
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(422, 'invalid_document', `The ${type.toUpperCase()} file could not be read: ${error.message}`);
+  }
+
+  const text = normalizeText(document.text);
+  if (text.length < MIN_TEXT_LENGTH) {
+    throw new HttpError(422, 'document_without_text', 'The document has no selectable text');
+  }
+
+  return {
+    url: null,
+    title: document.title || path.parse(fileName).name || null,
+    byline: document.byline,
+    siteName: fileName || null,
+    image: null,
+    publishedAt: null,
+    excerpt: null,
+    text: text.slice(0, MAX_TEXT_LENGTH),
+    truncated: text.length > MAX_TEXT_LENGTH,
+    sourceType: 'document',
+  };
+};
+
+module.exports = { extractDocument, detectDocumentType, MAX_FILE_BYTES };
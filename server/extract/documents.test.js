@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDocument, detectDocumentType } = require('./documents');
+
+// PDF de una página con texto en Helvetica y un título en los metadatos
+const buildPdf = (lines, title) => {
+  const content = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map((line) => `(${line}) Tj T*`).join(' ')} ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${title}) >>`,
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+const LINES = Array.from({ length: 6 }, (_, i) => `Linea ${i + 1} del informe trimestral con los resultados del equipo.`);
+
+test('detects PDF and DOCX files by their first bytes', () => {
+  assert.strictEqual(detectDocumentType(Buffer.from('%PDF-1.7\n')), 'pdf');
+  assert.strictEqual(detectDocumentType(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14])), 'docx');
+  assert.strictEqual(detectDocumentType(Buffer.from('Hola')), null);
+});
+
+test('extracts the text and title of a PDF', async () => {
+  const article = await extractDocument(buildPdf(LINES, 'Informe Q3'), { fileName: 'informe-q3.pdf' });
+  assert.strictEqual(article.title, 'Informe Q3');
+  assert.strictEqual(article.siteName, 'informe-q3.pdf');
+  assert.strictEqual(article.sourceType, 'document');
+  assert.match(article.text, /Linea 1 del informe trimestral/);
+  assert.match(article.text, /Linea 6 del informe trimestral/);
+  assert.strictEqual(article.truncated, false);
+});
+
+test('rejects unsupported, unreadable and empty documents', async () => {
+  await assert.rejects(extractDocument(Buffer.from('texto plano')), { code: 'unsupported_file_type' });
+  await assert.rejects(extractDocument(Buffer.from('%PDF-1.4\nroto')), { code: 'invalid_document' });
+  await assert.rejects(extractDocument(buildPdf(['Corto'], 'Vacio')), { code: 'document_without_text' });
+});
@@ -0,0 +1,99 @@
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { Readability } = require('@mozilla/readability');
+const { HttpError } = require('../errors');
+
+const MAX_TEXT_LENGTH = 12000;
+const MIN_TEXT_LENGTH = 200;
+const PAYWALL_TEXT_LENGTH = 1500;
+
+const getMeta = (document, ...names) => {
+  for (const name of names) {
+    const element = document.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+    const content = element?.getAttribute('content')?.trim();
+    if (content) return content;
+  }
+  return null;
+};
+
+const readJsonLd = (document) => Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+  .flatMap((script) => {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = Array.isArray(data) ? data : [data];
+      return items.flatMap((item) => item?.['@graph'] ?? [item]);
+    } catch {
+      return [];
+    }
+  });
+
+const hasPaywallMarkers = (document, jsonLd) =>
+  jsonLd.some((item) => String(item?.isAccessibleForFree).toLowerCase() === 'false') ||
+  ['locked', 'metered', 'premium'].includes(getMeta(document, 'article:content_tier')?.toLowerCase()) ||
+  Boolean(document.querySelector('[class*="paywall"], [id*="paywall"], [class*="subscriber-only"]'));
+
+const toAbsoluteUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch {
+    return null;
+  }
+};
+
+const normalizeText = (text) => text
+  .replace(/[ \t ]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Extracción tipo "modo lectura": metadatos de la página + texto principal
+const extractArticle = (html, url) => {
+  const dom = new JSDOM(html, { url, virtualConsole: new VirtualConsole() });
+  const { document } = dom.window;
+
+  const jsonLd = readJsonLd(document);
+  const articleLd = jsonLd.find((item) => /Article|Posting/.test([].concat(item?.['@type']).join(' ')));
+  const paywalled = hasPaywallMarkers(document, jsonLd);
+
+  const ldImage = [].concat(articleLd?.image ?? [])[0];
+  const meta = {
+    title: getMeta(document, 'og:title', 'twitter:title') || document.title?.trim() || null,
+    byline: getMeta(document, 'author', 'article:author') ||
+      [].concat(articleLd?.author ?? []).map((author) => author?.name ?? author).filter(Boolean).join(', ') ||
+      null,
+    image: toAbsoluteUrl(
+      getMeta(document, 'og:image', 'og:image:url', 'twitter:image') || ldImage?.url || ldImage,
+      url
+    ),
+    publishedAt: getMeta(document, 'article:published_time', 'og:article:published_time', 'datePublished', 'date') ||
+      articleLd?.datePublished ||
+      document.querySelector('time[datetime]')?.getAttribute('datetime') ||
+      null,
+    siteName: getMeta(document, 'og:site_name') || new URL(url).hostname,
+  };
+
+  // Readability modifica el DOM, por eso los metadatos se leen antes
+  const parsed = new Readability(document).parse();
+  const text = normalizeText(parsed?.textContent ?? '');
+
+  if (paywalled && text.length < PAYWALL_TEXT_LENGTH) {
+    throw new HttpError(422, 'paywall', 'The article is behind a paywall');
+  }
+  if (text.length < MIN_TEXT_LENGTH) {
+    throw new HttpError(422, 'content_not_found', 'No readable article content was found');
+  }
+
+  return {
+    url,
+    title: parsed.title || meta.title,
+    byline: parsed.byline || meta.byline,
+    siteName: parsed.siteName || meta.siteName,
+    image: meta.image,
+    publishedAt: meta.publishedAt || parsed.publishedTime || null,
+    excerpt: parsed.excerpt || null,
+    text: text.slice(0, MAX_TEXT_LENGTH),
+    truncated: text.length > MAX_TEXT_LENGTH,
+  };
+};
+
+module.exports = { extractArticle, normalizeText, MAX_TEXT_LENGTH, MIN_TEXT_LENGTH };
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractArticle } = require('./extractArticle');
+
+const paragraph = 'La inteligencia artificial está cambiando la forma en que las empresas publican contenido. '.repeat(6);
+
+const page = ({ head = '', body = '' }) => `<!doctype html>
+<html><head><title>Titular de prueba</title>${head}</head>
+<body><header>Menú</header><article><h1>Titular de prueba</h1>${body}</article><footer>Pie</footer></body></html>`;
+
+test('extracts metadata and main text', () => {
+  const html = page({
+    head: `<meta property="og:image" content="/img/portada.jpg">
+      <meta name="author" content="Ana López">
+      <meta property="article:published_time" content="2025-03-01T10:00:00Z">`,
+    body: `<p>${paragraph}</p><p>${paragraph}</p>`
+  });
+  const article = extractArticle(html, 'https://example.com/noticia');
+
+  assert.strictEqual(article.title, 'Titular de prueba');
+  assert.strictEqual(article.byline, 'Ana López');
+  assert.strictEqual(article.image, 'https://example.com/img/portada.jpg');
+  assert.strictEqual(article.publishedAt, '2025-03-01T10:00:00Z');
+  assert.match(article.text, /inteligencia artificial/);
+  assert.doesNotMatch(article.text, /Menú/);
+});
+
+test('detects paywalled articles', () => {
+  const html = page({
+    head: '<script type="application/ld+json">{"@type":"NewsArticle","isAccessibleForFree":"False"}</script>',
+    body: `<p>${paragraph}</p><div class="paywall">Suscríbete para seguir leyendo</div>`
+  });
+  assert.throws(() => extractArticle(html, 'https://example.com/premium'), { code: 'paywall' });
+});
+
+test('rejects pages without readable content', () => {
+  assert.throws(() => extractArticle(page({ body: '<p>Hola</p>' }), 'https://example.com/'), { code: 'content_not_found' });
+});
@@ -0,0 +1,167 @@
+const dns = require('node:dns/promises');
+const net = require('node:net');
+const { Agent } = require('undici');
+const { HttpError } = require('../errors');
+
+const MAX_BYTES = 3 * 1024 * 1024;
+const TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'Mozilla/5.0 (compatible; PostinkBot/1.0; +https://github.com/marcos283/postink)';
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const HTML_ACCEPT = 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5';
+
+// Redes a las que el backend no debe conectarse. BlockList compara también las direcciones
+// IPv4 escritas como IPv6 (`::ffff:7f00:1` es 127.0.0.1). NAT64 y 6to4 llevan una IPv4
+// dentro que BlockList no mira: se bloquean enteras
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const privateAddressError = () => new HttpError(400, 'invalid_url', 'URL points to a private address');
+
+// Resuelve el nombre al conectar y comprueba las direcciones que se van a usar. Si se
+// comprobara antes en otra consulta, un DNS que cambia la respuesta entre las dos
+// (DNS rebinding) llevaría la conexión a una dirección interna
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { all: true, family: options.family, hints: options.hints }).then((addresses) => {
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateAddressError());
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  }, () => callback(new HttpError(422, 'fetch_failed', `Could not resolve ${hostname}`)));
+};
+
+const dispatcher = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+// Evita que el backend se use para llegar a servicios internos. Las IP escritas en la URL
+// se comprueban aquí (al conectar no se resuelven); los nombres, en lookupPublicAddress
+const assertPublicUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new HttpError(400, 'invalid_url', `Invalid URL: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new HttpError(400, 'invalid_url', `Unsupported protocol: ${parsed.protocol}`);
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw privateAddressError();
+  }
+  return parsed;
+};
+
+const readBody = async (response) => {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > MAX_BYTES) {
+    throw new HttpError(413, 'page_too_large', 'The page is too large');
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_BYTES) {
+      throw new HttpError(413, 'page_too_large', 'The page is too large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const getCharset = (contentType) => contentType.match(/charset=["']?([\w-]+)/i)?.[1] ?? 'utf-8';
+
+const decode = (buffer, charset) => {
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+};
+
+// Descarga una página siguiendo redirecciones y devuelve su contenido decodificado.
+// `types` son los tipos MIME aceptados (HTML por defecto; los feeds piden XML).
+// Con `binary` devuelve los bytes en `body` en lugar del texto (imágenes).
+// `headers` se suman a las cabeceras por defecto
+const fetchPage = async (url, { signal, types = HTML_TYPES, accept = HTML_ACCEPT, binary = false, headers = {} } = {}) => {
+  const timeoutSignal = AbortSignal.timeout(TIMEOUT_MS);
+  const combinedSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+  let currentUrl = url;
+
+  try {
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects += 1) {
+      assertPublicUrl(currentUrl);
+      const response = await fetch(currentUrl, {
+        dispatcher,
+        redirect: 'manual',
+        signal: combinedSignal,
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': accept,
+          'Accept-Language': 'es-ES,es;q=0.9,en;q=0.8',
+          ...headers,
+        }
+      });
+
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        currentUrl = new URL(response.headers.get('location'), currentUrl).toString();
+        continue;
+      }
+
+      if (response.status === 401 || response.status === 402) {
+        throw new HttpError(422, 'paywall', 'The page requires a subscription or login');
+      }
+      if (!response.ok) {
+        throw new HttpError(422, 'http_status', `The page responded with status ${response.status}`);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      const mimeType = contentType.split(';')[0].trim().toLowerCase();
+      if (mimeType === 'application/pdf') {
+        throw new HttpError(415, 'pdf_not_supported', 'PDF documents are not supported');
+      }
+      if (mimeType && !types.includes(mimeType)) {
+        throw new HttpError(415, 'unsupported_content_type', `Unsupported content type: ${mimeType}`);
+      }
+
+      const body = await readBody(response);
+      if (binary) return { url: currentUrl, mimeType, body };
+      return { url: currentUrl, mimeType, html: decode(body, getCharset(contentType)) };
+    }
+    throw new HttpError(422, 'fetch_failed', 'Too many redirects');
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    // Los errores de lookupPublicAddress llegan envueltos en el TypeError de fetch
+    if (error.cause instanceof HttpError) throw error.cause;
+    if (error.name === 'TimeoutError') {
+      throw new HttpError(504, 'fetch_timeout', 'The page took too long to respond');
+    }
+    if (error.name === 'AbortError') throw error;
+    throw new HttpError(422, 'fetch_failed', `Could not fetch the page: ${error.message}`);
+  }
+};
+
+module.exports = { fetchPage, isPrivateAddress, HTML_TYPES };
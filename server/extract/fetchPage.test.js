@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { fetchPage, isPrivateAddress } = require('./fetchPage');
+
+let server;
+let port;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'text/html');
+    res.end('<title>Servicio interno</title>');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+test.after(() => server.close());
+
+test('recognises private addresses, also written as IPv6', () => {
+  ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe']
+    .forEach((address) => assert.strictEqual(isPrivateAddress(address), true, address));
+  ['93.184.215.14', '2606:2800:21f:cb07:6820:80da:af6b:c8e1', '::ffff:5db8:d70e']
+    .forEach((address) => assert.strictEqual(isPrivateAddress(address), false, address));
+});
+
+// Rangos que no son privados pero a los que tampoco se debe llegar, uno por test
+const BLOCKED_RANGES = {
+  'IETF protocol assignments (192.0.0.0/24)': ['192.0.0.8', '192.0.0.255'],
+  'benchmarking (198.18.0.0/15)': ['198.18.0.1', '198.19.255.254'],
+  'multicast (224.0.0.0/4)': ['224.0.0.1', '239.255.255.250'],
+  'reserved (240.0.0.0/4)': ['240.0.0.1', '255.255.255.255'],
+  'NAT64 (64:ff9b::/96)': ['64:ff9b::7f00:1', '64:ff9b::a9fe:a9fe'],
+  '6to4 (2002::/16)': ['2002:7f00:1::', '2002:c0a8:101::1'],
+  'IPv6 multicast (ff00::/8)': ['ff02::1', 'ff05::1:3'],
+};
+
+Object.entries(BLOCKED_RANGES).forEach(([range, addresses]) => {
+  test(`recognises ${range} addresses`, () => {
+    addresses.forEach((address) => assert.strictEqual(isPrivateAddress(address), true, address));
+  });
+});
+
+test('allows the public addresses next to the blocked ranges', () => {
+  ['192.0.1.1', '198.20.0.1', '223.255.255.255', '64:ff9c::7f00:1', '2003::1', 'fe00::1']
+    .forEach((address) => assert.strictEqual(isPrivateAddress(address), false, address));
+});
+
+test('refuses URLs that point to a private address', async () => {
+  for (const host of ['127.0.0.1', '[::ffff:127.0.0.1]', '[::ffff:7f00:1]', '[64:ff9b::7f00:1]', '[2002:7f00:1::1]', 'localhost']) {
+    await assert.rejects(fetchPage(`http://${host}:${port}/`), { status: 400, code: 'invalid_url' }, host);
+  }
+});
@@ -0,0 +1,66 @@
+const { fetchPage } = require('./fetchPage');
+const { extractArticle } = require('./extractArticle');
+const { extractDocument } = require('./documents');
+const { getVideoId, readPlayerResponse, pickCaptionTrack, parseTranscript, toTranscriptArticle } = require('./youtube');
+const { HttpError } = require('../errors');
+
+// Formatos que el navegador puede dibujar en un canvas
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const extractFromUrl = async (url, { signal } = {}) => {
+  const page = await fetchPage(url, { signal });
+  return extractArticle(page.html, page.url);
+};
+
+// La imagen de portada (og:image) pasa por el backend: servida desde otro origen,
+// dejaría el canvas del navegador «contaminado» y no se podría exportar
+const fetchImage = async (url, { signal } = {}) => {
+  const { mimeType, body } = await fetchPage(url, { signal, types: IMAGE_TYPES, accept: IMAGE_TYPES.join(','), binary: true });
+  return { mimeType, body };
+};
+
+// Sin la cookie de consentimiento, YouTube redirige a su aviso de cookies en Europa
+const YOUTUBE_HEADERS = { Cookie: 'CONSENT=YES+1' };
+
+// Transcripción de un vídeo de YouTube a partir de sus subtítulos (manuales o automáticos),
+// prefiriendo los del idioma `language`
+const extractTranscript = async (url, { signal, language = '' } = {}) => {
+  const videoId = getVideoId(url);
+  if (!videoId) {
+    throw new HttpError(400, 'invalid_video_url', `Not a YouTube video URL: ${url}`);
+  }
+
+  const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+  const page = await fetchPage(`${watchUrl}&hl=${encodeURIComponent(language.split('-')[0] || 'en')}`, { signal, headers: YOUTUBE_HEADERS });
+  const player = readPlayerResponse(page.html);
+  if (!player?.videoDetails) {
+    throw new HttpError(422, 'content_not_found', 'The video page could not be read');
+  }
+
+  const track = pickCaptionTrack(player.captions?.playerCaptionsTracklistRenderer?.captionTracks, language);
+  if (!track) {
+    throw new HttpError(422, 'transcript_not_found', 'The video has no captions');
+  }
+
+  const captionsUrl = new URL(track.baseUrl, watchUrl);
+  captionsUrl.searchParams.set('fmt', 'json3');
+  const captions = await fetchPage(captionsUrl.toString(), {
+    signal,
+    types: ['application/json', 'text/plain'],
+    accept: 'application/json',
+    headers: YOUTUBE_HEADERS,
+  });
+
+  let text = '';
+  try {
+    text = parseTranscript(JSON.parse(captions.html));
+  } catch {
+    // Una respuesta vacía o en otro formato cuenta como vídeo sin transcripción
+  }
+  if (!text) {
+    throw new HttpError(422, 'transcript_not_found', 'The captions of the video could not be read');
+  }
+  return toTranscriptArticle({ url: watchUrl, player, track, text });
+};
+
+module.exports = { extractFromUrl, fetchImage, extractDocument, extractTranscript };
@@ -0,0 +1,94 @@
+const { normalizeText, MAX_TEXT_LENGTH } = require('./extractArticle');
+
+const VIDEO_ID = /^[\w-]{11}$/;
+const YOUTUBE_HOSTS = ['youtube.com', 'youtube-nocookie.com'];
+
+// Identificador del vídeo en cualquiera de las formas de URL de YouTube
+const getVideoId = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^(?:www|m|music)\./, '');
+  let id = null;
+  if (host === 'youtu.be') {
+    id = parsed.pathname.split('/')[1];
+  } else if (YOUTUBE_HOSTS.includes(host)) {
+    id = parsed.searchParams.get('v') || parsed.pathname.match(/^\/(?:shorts|embed|live|v)\/([^/?#]+)/)?.[1];
+  }
+  return id && VIDEO_ID.test(id) ? id : null;
+};
+
+// Objeto JSON asignado a `ytInitialPlayerResponse` en la página del vídeo.
+// Se recorre hasta la llave que lo cierra, teniendo en cuenta las cadenas
+const readPlayerResponse = (html) => {
+  const match = /ytInitialPlayerResponse\s*=\s*\{/.exec(html);
+  if (!match) return null;
+  const start = match.index + match[0].length - 1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < html.length; i += 1) {
+    const char = html[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth += 1;
+    } else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) {
+        try {
+          return JSON.parse(html.slice(start, i + 1));
+        } catch {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+};
+
+// Mejor pista de subtítulos: primero las del idioma pedido y, dentro de cada grupo,
+// las escritas a mano antes que las automáticas (`kind: 'asr'`)
+const pickCaptionTrack = (tracks, language = '') => {
+  const base = language.split('-')[0].toLowerCase();
+  const rank = (track) => (track.languageCode?.split('-')[0].toLowerCase() === base ? 0 : 2) + (track.kind === 'asr' ? 1 : 0);
+  return [...(tracks ?? [])].filter((track) => track.baseUrl).sort((a, b) => rank(a) - rank(b))[0] ?? null;
+};
+
+// Subtítulos en formato json3: cada evento trae sus fragmentos de texto en `segs`
+const parseTranscript = (json) => {
+  const events = Array.isArray(json?.events) ? json.events : [];
+  return normalizeText(events
+    .filter((event) => Array.isArray(event.segs))
+    .map((event) => event.segs.map((seg) => seg.utf8 ?? '').join(''))
+    .join(' ')
+    .replace(/\s+/g, ' '));
+};
+
+// El vídeo como «artículo» para el generador
+const toTranscriptArticle = ({ url, player, track, text }) => {
+  const details = player.videoDetails ?? {};
+  return {
+    url,
+    title: details.title ?? null,
+    byline: details.author ?? null,
+    siteName: 'YouTube',
+    image: details.thumbnail?.thumbnails?.at(-1)?.url ?? null,
+    publishedAt: player.microformat?.playerMicroformatRenderer?.publishDate ?? null,
+    excerpt: details.shortDescription?.slice(0, 300) || null,
+    text: text.slice(0, MAX_TEXT_LENGTH),
+    truncated: text.length > MAX_TEXT_LENGTH,
+    sourceType: 'transcript',
+    transcriptLanguage: track.languageCode ?? null,
+  };
+};
+
+module.exports = { getVideoId, readPlayerResponse, pickCaptionTrack, parseTranscript, toTranscriptArticle };
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getVideoId, readPlayerResponse, pickCaptionTrack, parseTranscript } = require('./youtube');
+
+test('reads the video id from every kind of YouTube URL', () => {
+  assert.strictEqual(getVideoId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s'), 'dQw4w9WgXcQ');
+  assert.strictEqual(getVideoId('https://youtu.be/dQw4w9WgXcQ?si=abc'), 'dQw4w9WgXcQ');
+  assert.strictEqual(getVideoId('https://m.youtube.com/shorts/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  assert.strictEqual(getVideoId('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  assert.strictEqual(getVideoId('https://vimeo.com/123456'), null);
+  assert.strictEqual(getVideoId('https://www.youtube.com/watch?v=short'), null);
+});
+
+test('extracts the player response even with braces inside strings', () => {
+  const player = { videoDetails: { title: 'Charla {en directo}', shortDescription: 'Usa "comillas" y \\ barras' } };
+  const html = `<script>var ytInitialPlayerResponse = ${JSON.stringify(player)};var meta = {};</script>`;
+  assert.deepStrictEqual(readPlayerResponse(html), player);
+  assert.strictEqual(readPlayerResponse('<html></html>'), null);
+});
+
+test('prefers hand-written captions in the requested language', () => {
+  const tracks = [
+    { baseUrl: 'en-asr', languageCode: 'en', kind: 'asr' },
+    { baseUrl: 'es-asr', languageCode: 'es', kind: 'asr' },
+    { baseUrl: 'en', languageCode: 'en' },
+    { baseUrl: 'es', languageCode: 'es-ES' },
+  ];
+  assert.strictEqual(pickCaptionTrack(tracks, 'es-ES').baseUrl, 'es');
+  assert.strictEqual(pickCaptionTrack(tracks.slice(0, 3), 'es').baseUrl, 'es-asr');
+  assert.strictEqual(pickCaptionTrack(tracks.slice(0, 1), 'pt-BR').baseUrl, 'en-asr');
+  assert.strictEqual(pickCaptionTrack([], 'es'), null);
+});
+
+test('joins caption segments into plain text', () => {
+  const json = {
+    events: [
+      { tStartMs: 0 },
+      { segs: [{ utf8: 'Hola' }, { utf8: ' a todos,' }] },
+      { segs: [{ utf8: '\n' }] },
+      { segs: [{ utf8: 'hoy hablamos\nde IA.' }] },
+    ],
+  };
+  assert.strictEqual(parseTranscript(json), 'Hola a todos, hoy hablamos de IA.');
+  assert.strictEqual(parseTranscript({}), '');
+});
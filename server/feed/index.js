@@ -0,0 +1,21 @@
+const { fetchPage, HTML_TYPES } = require('../extract/fetchPage');
+const { parseFeed, findFeedLink } = require('./parseFeed');
+const { HttpError } = require('../errors');
+
+const FEED_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/rdf+xml', 'application/xml', 'text/xml'];
+const FEED_ACCEPT = 'application/rss+xml,application/atom+xml,application/xml;q=0.9,text/xml;q=0.9,text/html;q=0.5';
+
+// Descarga un feed RSS/Atom. Si la URL es una página web, sigue el feed que anuncia
+const fetchFeed = async (url, { signal } = {}) => {
+  let page = await fetchPage(url, { signal, types: [...FEED_TYPES, ...HTML_TYPES], accept: FEED_ACCEPT });
+  if (HTML_TYPES.includes(page.mimeType)) {
+    const feedUrl = findFeedLink(page.html, page.url);
+    if (!feedUrl) {
+      throw new HttpError(422, 'feed_not_found', 'The page does not link to an RSS or Atom feed');
+    }
+    page = await fetchPage(feedUrl, { signal, types: FEED_TYPES, accept: FEED_ACCEPT });
+  }
+  return parseFeed(page.html, page.url);
+};
+
+module.exports = { fetchFeed };
@@ -0,0 +1,90 @@
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { HttpError } = require('../errors');
+
+const MAX_ITEMS = 50;
+
+const toAbsoluteUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    return new URL(value.trim(), baseUrl).toString();
+  } catch {
+    return null;
+  }
+};
+
+const childText = (element, name) => {
+  const child = Array.from(element.children).find((node) => node.localName === name);
+  return child?.textContent.trim() || null;
+};
+
+const toIsoDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+};
+
+// RSS 2.0 y RSS 1.0 (RDF): <item><link>…</link></item>
+const readRssItem = (item, baseUrl) => ({
+  url: toAbsoluteUrl(childText(item, 'link'), baseUrl) ?? toAbsoluteUrl(childText(item, 'guid'), baseUrl),
+  title: childText(item, 'title'),
+  publishedAt: toIsoDate(childText(item, 'pubDate') ?? childText(item, 'date')),
+});
+
+// Atom: <entry><link rel="alternate" href="…"/></entry>
+const readAtomEntry = (entry, baseUrl) => {
+  const links = Array.from(entry.children).filter((node) => node.localName === 'link');
+  const link = links.find((node) => (node.getAttribute('rel') ?? 'alternate') === 'alternate') ?? links[0];
+  return {
+    url: toAbsoluteUrl(link?.getAttribute('href'), baseUrl),
+    title: childText(entry, 'title'),
+    publishedAt: toIsoDate(childText(entry, 'published') ?? childText(entry, 'updated')),
+  };
+};
+
+const notAFeed = () => new HttpError(422, 'invalid_feed', 'The document is not an RSS or Atom feed');
+
+const parseFeed = (xml, baseUrl) => {
+  let dom;
+  try {
+    dom = new JSDOM(xml, { contentType: 'text/xml', virtualConsole: new VirtualConsole() });
+  } catch {
+    // En modo XML jsdom lanza un DOMException con el XML mal formado (etiquetas sin cerrar,
+    // entidades HTML como &nbsp;…)
+    throw notAFeed();
+  }
+  const root = dom.window.document.documentElement;
+
+  let title;
+  let items;
+  if (root?.localName === 'feed') {
+    title = childText(root, 'title');
+    items = Array.from(root.children).filter((node) => node.localName === 'entry').map((entry) => readAtomEntry(entry, baseUrl));
+  } else if (root?.localName === 'rss' || root?.localName === 'RDF') {
+    const channel = Array.from(root.children).find((node) => node.localName === 'channel');
+    title = channel ? childText(channel, 'title') : null;
+    // En RSS 2.0 los items van dentro de <channel>; en RDF, junto a él
+    const container = root.localName === 'rss' ? channel : root;
+    items = Array.from(container?.children ?? []).filter((node) => node.localName === 'item').map((item) => readRssItem(item, baseUrl));
+  } else {
+    throw notAFeed();
+  }
+
+  const seen = new Set();
+  return {
+    title,
+    url: baseUrl,
+    items: items
+      .filter((item) => item.url && !seen.has(item.url) && seen.add(item.url))
+      .slice(0, MAX_ITEMS),
+  };
+};
+
+// Enlace <link rel="alternate" type="application/rss+xml"> de una página HTML
+const findFeedLink = (html, baseUrl) => {
+  const dom = new JSDOM(html, { url: baseUrl, virtualConsole: new VirtualConsole() });
+  const link = dom.window.document.querySelector(
+    'link[rel~="alternate"][type="application/rss+xml"], link[rel~="alternate"][type="application/atom+xml"]'
+  );
+  return toAbsoluteUrl(link?.getAttribute('href'), baseUrl);
+};
+
+module.exports = { parseFeed, findFeedLink, MAX_ITEMS };
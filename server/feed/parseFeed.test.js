@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFeed, findFeedLink } = require('./parseFeed');
+
+test('reads RSS 2.0 items', () => {
+  const feed = parseFeed(`<?xml version="1.0"?>
+    <rss version="2.0"><channel>
+      <title>Blog de prueba</title>
+      <item><title>Primera</title><link>https://example.com/1</link><pubDate>Sun, 18 Oct 2026 10:00:00 GMT</pubDate></item>
+      <item><title>Segunda</title><link>/2</link></item>
+      <item><title>Repetida</title><link>https://example.com/1</link></item>
+      <item><title>Sin enlace</title><guid isPermaLink="true">https://example.com/3</guid></item>
+    </channel></rss>`, 'https://example.com/feed');
+
+  assert.strictEqual(feed.title, 'Blog de prueba');
+  assert.deepStrictEqual(feed.items, [
+    { url: 'https://example.com/1', title: 'Primera', publishedAt: '2026-10-18T10:00:00.000Z' },
+    { url: 'https://example.com/2', title: 'Segunda', publishedAt: null },
+    { url: 'https://example.com/3', title: 'Sin enlace', publishedAt: null },
+  ]);
+});
+
+test('reads Atom entries', () => {
+  const feed = parseFeed(`<?xml version="1.0" encoding="utf-8"?>
+    <feed xmlns="http://www.w3.org/2005/Atom">
+      <title>Atom de prueba</title>
+      <entry>
+        <title>Entrada</title>
+        <link rel="self" href="https://example.com/self"/>
+        <link rel="alternate" href="https://example.com/entrada"/>
+        <updated>2026-10-18T10:00:00Z</updated>
+      </entry>
+    </feed>`, 'https://example.com/atom');
+
+  assert.strictEqual(feed.title, 'Atom de prueba');
+  assert.deepStrictEqual(feed.items, [
+    { url: 'https://example.com/entrada', title: 'Entrada', publishedAt: '2026-10-18T10:00:00.000Z' },
+  ]);
+});
+
+test('rejects documents that are not feeds', () => {
+  assert.throws(() => parseFeed('<html><body>Hola</body></html>', 'https://example.com'), { code: 'invalid_feed' });
+});
+
+test('rejects malformed XML', () => {
+  assert.throws(() => parseFeed('<rss><channel><title>Sin cerrar</channel></rss>', 'https://example.com'), { status: 422, code: 'invalid_feed' });
+  assert.throws(() => parseFeed('<rss><channel><title>A&nbsp;B</title></channel></rss>', 'https://example.com'), { status: 422, code: 'invalid_feed' });
+});
+
+test('finds the feed announced by a web page', () => {
+  const html = '<html><head><link rel="alternate" type="application/rss+xml" href="/feed.xml"></head></html>';
+  assert.strictEqual(findFeedLink(html, 'https://example.com/blog'), 'https://example.com/feed.xml');
+  assert.strictEqual(findFeedLink('<html></html>', 'https://example.com'), null);
+});
@@ -0,0 +1,6 @@
+const config = require('./config');
+const { createApp } = require('./app');
+
+createApp().listen(config.port, () => {
+  console.log(`API escuchando en http://localhost:${config.port}`);
+});
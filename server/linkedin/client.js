@@ -0,0 +1,196 @@
+const { HttpError } = require('../errors');
+
+const TIMEOUT_MS = 15000;
+const MAX_COMMENTARY_LENGTH = 3000;
+
+// El campo `commentary` de la Posts API usa el "little text format": estos caracteres
+// tienen significado (menciones, hashtags...) y hay que escaparlos para publicarlos tal cual
+const RESERVED = /[\\|{}@[\]()<>#*_~]/g;
+
+// Los hashtags (mismo criterio que src/services/hashtags.js) se envían con su plantilla
+// para que LinkedIn los enlace; escapados se publicarían como texto "\#tag"
+const HASHTAG_OR_RESERVED = new RegExp(`(?<![\\p{L}\\p{N}_])#([\\p{L}\\p{N}_]+)|${RESERVED.source}`, 'gu');
+
+const escapeLittleText = (text) => text.replace(HASHTAG_OR_RESERVED, (match, tag) => (
+  tag ? `{hashtag|\\#|${tag.replace(RESERVED, '\\$&')}}` : `\\${match}`
+));
+
+// Unidades UTF-16, como el contador del editor (src/services/linkedinFormat.js): un
+// emoji suele contar 2. Así el servidor rechaza exactamente lo que el editor marca
+const countCharacters = (text) => text.length;
+
+const personUrn = (memberId) => `urn:li:person:${memberId}`;
+
+const organizationId = (urn) => urn.split(':').pop();
+
+const readError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  return data.message || data.error_description || data.error || `HTTP ${response.status}`;
+};
+
+// `settings`: clientId, clientSecret, redirectUri, scopes, authUrl, apiUrl, apiVersion.
+// Las URLs son configurables para poder apuntar al mock local (./mock.js)
+const createLinkedInClient = (settings) => {
+  const request = async (path, { accessToken, method = 'GET', body, versioned = true } = {}) => {
+    const response = await fetch(`${settings.apiUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        ...(versioned && {
+          'LinkedIn-Version': settings.apiVersion,
+          'X-Restli-Protocol-Version': '2.0.0',
+        }),
+        ...(body && { 'Content-Type': 'application/json' }),
+      },
+      body: body && JSON.stringify(body),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (response.status === 401) {
+      throw new HttpError(403, 'linkedin_reauth_required', 'The LinkedIn token is no longer valid');
+    }
+    if (!response.ok) {
+      const error = new HttpError(502, 'linkedin_error', `LinkedIn API error: ${await readError(response)}`);
+      error.upstreamStatus = response.status;
+      throw error;
+    }
+    return response;
+  };
+
+  const getAuthorizationUrl = (state) => {
+    const url = new URL(`${settings.authUrl}/authorization`);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: settings.clientId,
+      redirect_uri: settings.redirectUri,
+      scope: settings.scopes.join(' '),
+      state,
+    });
+    return url.toString();
+  };
+
+  const exchangeCode = async (code) => {
+    const response = await fetch(`${settings.authUrl}/accessToken`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: settings.redirectUri,
+        client_id: settings.clientId,
+        client_secret: settings.clientSecret,
+      }),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new HttpError(502, 'linkedin_error', `LinkedIn token exchange failed: ${await readError(response)}`);
+    }
+    const data = await response.json();
+    return {
+      accessToken: data.access_token,
+      expiresAt: new Date(Date.now() + data.expires_in * 1000).toISOString(),
+      scopes: (data.scope || settings.scopes.join(' ')).split(/[\s,]+/).filter(Boolean),
+    };
+  };
+
+  // Perfil del miembro (OpenID Connect): `sub` es el id con el que se forma su URN
+  const getProfile = async (accessToken) => {
+    const response = await request('/v2/userinfo', { accessToken, versioned: false });
+    const data = await response.json();
+    return { urn: personUrn(data.sub), name: data.name || [data.given_name, data.family_name].filter(Boolean).join(' ') };
+  };
+
+  // Páginas de empresa que administra el usuario. Sin los permisos de organización
+  // LinkedIn responde 403: en ese caso solo puede publicar en su perfil
+  const listOrganizations = async (accessToken) => {
+    let response;
+    try {
+      response = await request('/rest/organizationAcls?q=roleAssignee&role=ADMINISTRATOR&state=APPROVED', { accessToken });
+    } catch (error) {
+      if (error.upstreamStatus === 403) return [];
+      throw error;
+    }
+    const { elements = [] } = await response.json();
+    return Promise.all(elements.map(async ({ organization }) => {
+      const details = await request(`/rest/organizations/${organizationId(organization)}`, { accessToken })
+        .then((res) => res.json())
+        .catch(() => ({}));
+      return { urn: organization, name: details.localizedName || organization };
+    }));
+  };
+
+  // Publica en nombre de `author` (persona u organización). Si hay `article.url`,
+  // LinkedIn muestra la tarjeta de vista previa del enlace. Devuelve la URN del post
+  const createPost = async (accessToken, { author, text, article }) => {
+    if (!text.trim()) {
+      throw new HttpError(400, 'invalid_text', 'The post is empty');
+    }
+    if (countCharacters(text) > MAX_COMMENTARY_LENGTH) {
+      throw new HttpError(400, 'text_too_long', `Posts are limited to ${MAX_COMMENTARY_LENGTH} characters`);
+    }
+    const response = await request('/rest/posts', {
+      accessToken,
+      method: 'POST',
+      body: {
+        author,
+        commentary: escapeLittleText(text),
+        visibility: 'PUBLIC',
+        distribution: {
+          feedDistribution: 'MAIN_FEED',
+          targetEntities: [],
+          thirdPartyDistributionChannels: [],
+        },
+        ...(article?.url && {
+          content: {
+            article: {
+              source: article.url,
+              title: article.title || article.url,
+              ...(article.description && { description: article.description }),
+            },
+          },
+        }),
+        lifecycleState: 'PUBLISHED',
+        isReshareDisabledByAuthor: false,
+      },
+    });
+    const urn = response.headers.get('x-restli-id');
+    if (!urn) {
+      throw new HttpError(502, 'linkedin_error', 'LinkedIn did not return the post URN');
+    }
+    return urn;
+  };
+
+  // Reacciones y comentarios de un post (socialActions). Las impresiones y los compartidos solo
+  // los da LinkedIn para las páginas de empresa; en un perfil personal quedan a null
+  const getPostStats = async (accessToken, { urn, author }) => {
+    const social = await request(`/rest/socialActions/${encodeURIComponent(urn)}`, { accessToken })
+      .then((res) => res.json());
+    const stats = {
+      impressions: null,
+      reactions: social.likesSummary?.totalLikes ?? 0,
+      comments: social.commentsSummary?.aggregatedTotalComments ?? 0,
+      reshares: null,
+    };
+    if (!author?.startsWith('urn:li:organization:')) return stats;
+
+    const shareType = urn.startsWith('urn:li:ugcPost:') ? 'ugcPosts' : 'shares';
+    const response = await request(
+      `/rest/organizationalEntityShareStatistics?q=organizationalEntity&organizationalEntity=${encodeURIComponent(author)}&${shareType}=List(${encodeURIComponent(urn)})`,
+      { accessToken }
+    );
+    const { elements = [] } = await response.json();
+    const total = elements[0]?.totalShareStatistics;
+    if (!total) return stats;
+    return {
+      impressions: total.impressionCount ?? null,
+      reactions: total.likeCount ?? stats.reactions,
+      comments: total.commentCount ?? stats.comments,
+      reshares: total.shareCount ?? null,
+    };
+  };
+
+  return { getAuthorizationUrl, exchangeCode, getProfile, listOrganizations, createPost, getPostStats };
+};
+
+const getPostUrl = (urn) => `https://www.linkedin.com/feed/update/${urn}/`;
+
+module.exports = { createLinkedInClient, escapeLittleText, getPostUrl, MAX_COMMENTARY_LENGTH };
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLinkedInMock } = require('./mock');
+const { createLinkedInClient, escapeLittleText } = require('./client');
+const { createState, verifyState } = require('./state');
+
+const startMock = async (options) => {
+  const mock = createLinkedInMock(options);
+  const server = await new Promise((resolve) => {
+    const listening = mock.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const client = createLinkedInClient({
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    redirectUri: 'http://localhost:3001/api/linkedin/callback',
+    scopes: ['openid', 'profile', 'w_member_social'],
+    authUrl: `${baseUrl}/oauth/v2`,
+    apiUrl: baseUrl,
+    apiVersion: '202501',
+  });
+  return { mock, client, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+// Recorre el flujo OAuth contra el mock: autorización (redirección con código) y canje
+const connect = async (client) => {
+  const response = await fetch(client.getAuthorizationUrl('state-123'), { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+  assert.strictEqual(callback.searchParams.get('state'), 'state-123');
+  return client.exchangeCode(callback.searchParams.get('code'));
+};
+
+test('connects and publishes a post with a link preview', async (t) => {
+  const { mock, client, close } = await startMock();
+  t.after(close);
+
+  const token = await connect(client);
+  assert.ok(new Date(token.expiresAt) > new Date());
+
+  const profile = await client.getProfile(token.accessToken);
+  assert.deepStrictEqual(profile, { urn: 'urn:li:person:mock-member', name: 'Mock Member' });
+
+  const urn = await client.createPost(token.accessToken, {
+    author: profile.urn,
+    text: 'Novedades (beta) #IA',
+    article: { url: 'https://example.com/articulo', title: 'Artículo' }
+  });
+  assert.match(urn, /^urn:li:share:\d+$/);
+  assert.strictEqual(mock.state.posts[0].commentary, 'Novedades \\(beta\\) {hashtag|\\#|IA}');
+  assert.deepStrictEqual(mock.state.posts[0].content, {
+    article: { source: 'https://example.com/articulo', title: 'Artículo' }
+  });
+});
+
+test('lists company pages and tolerates missing organization scopes', async (t) => {
+  const withPages = await startMock();
+  const withoutPages = await startMock({ organizationAccess: false });
+  t.after(() => Promise.all([withPages.close(), withoutPages.close()]));
+
+  const token = await connect(withPages.client);
+  assert.deepStrictEqual(await withPages.client.listOrganizations(token.accessToken), [
+    { urn: 'urn:li:organization:1001', name: 'Mock Company' }
+  ]);
+
+  const otherToken = await connect(withoutPages.client);
+  assert.deepStrictEqual(await withoutPages.client.listOrganizations(otherToken.accessToken), []);
+});
+
+test('reads post statistics, with impressions and reshares only for company pages', async (t) => {
+  const { client, close } = await startMock();
+  t.after(close);
+
+  const token = await connect(client);
+  const personal = await client.createPost(token.accessToken, { author: 'urn:li:person:mock-member', text: 'Hola' });
+  const company = await client.createPost(token.accessToken, { author: 'urn:li:organization:1001', text: 'Hola' });
+
+  assert.deepStrictEqual(
+    await client.getPostStats(token.accessToken, { urn: personal, author: 'urn:li:person:mock-member' }),
+    { impressions: null, reactions: 42, comments: 7, reshares: null }
+  );
+  assert.deepStrictEqual(
+    await client.getPostStats(token.accessToken, { urn: company, author: 'urn:li:organization:1001' }),
+    { impressions: 1500, reactions: 42, comments: 7, reshares: 3 }
+  );
+  await assert.rejects(
+    client.getPostStats(token.accessToken, { urn: 'urn:li:share:0', author: 'urn:li:person:mock-member' }),
+    { status: 502, code: 'linkedin_error' }
+  );
+});
+
+test('maps LinkedIn failures to API errors', async (t) => {
+  const { client, close } = await startMock();
+  t.after(close);
+
+  await assert.rejects(client.exchangeCode('unknown'), { status: 502, code: 'linkedin_error' });
+  await assert.rejects(client.getProfile('revoked'), { status: 403, code: 'linkedin_reauth_required' });
+
+  const token = await connect(client);
+  await assert.rejects(
+    client.createPost(token.accessToken, { author: 'urn:li:organization:9', text: 'Hola' }),
+    { status: 502, code: 'linkedin_error' }
+  );
+  await assert.rejects(
+    client.createPost(token.accessToken, { author: 'urn:li:person:mock-member', text: 'x'.repeat(3001) }),
+    { status: 400, code: 'text_too_long' }
+  );
+  // Igual que el editor: cada emoji cuenta 2
+  await assert.rejects(
+    client.createPost(token.accessToken, { author: 'urn:li:person:mock-member', text: '🚀'.repeat(1501) }),
+    { status: 400, code: 'text_too_long' }
+  );
+});
+
+test('escapes little text reserved characters', () => {
+  assert.strictEqual(escapeLittleText('@ana [x] {y} <z> a_b*c~d|e\\'), '\\@ana \\[x\\] \\{y\\} \\<z\\> a\\_b\\*c\\~d\\|e\\\\');
+});
+
+test('publishes hashtags as LinkedIn hashtags', () => {
+  assert.strictEqual(escapeLittleText('Hola #IA y #mi_tag.'), 'Hola {hashtag|\\#|IA} y {hashtag|\\#|mi\\_tag}.');
+  assert.strictEqual(escapeLittleText('#Empleo\nC# y a#b #'), '{hashtag|\\#|Empleo}\nC\\# y a\\#b \\#');
+});
+
+test('signs the OAuth state and rejects tampered or expired ones', () => {
+  const state = createState('user-1', 'secret', 0);
+  assert.strictEqual(verifyState(state, 'secret', 1000), 'user-1');
+  assert.throws(() => verifyState(state, 'other-secret', 1000), { code: 'invalid_state' });
+  assert.throws(() => verifyState(`${state}x`, 'secret', 1000), { code: 'invalid_state' });
+  assert.throws(() => verifyState(state, 'secret', 11 * 60 * 1000), { code: 'invalid_state' });
+  assert.throws(() => verifyState(undefined, 'secret'), { code: 'invalid_state' });
+});
@@ -0,0 +1,95 @@
+const config = require('../config');
+const { createLinkedInClient, getPostUrl } = require('./client');
+const { createState, verifyState } = require('./state');
+const store = require('./store');
+const { HttpError } = require('../errors');
+
+const linkedin = createLinkedInClient(config.linkedin);
+
+const isConfigured = () => Boolean(config.linkedin.clientId && config.linkedin.clientSecret && config.linkedin.stateSecret);
+
+const assertConfigured = () => {
+  if (!isConfigured()) {
+    throw new HttpError(503, 'linkedin_not_configured', 'LinkedIn integration is not configured');
+  }
+};
+
+const getAuthorizationUrl = (userId) => {
+  assertConfigured();
+  return linkedin.getAuthorizationUrl(createState(userId, config.linkedin.stateSecret));
+};
+
+// Vuelta del OAuth: canjea el código y guarda el token para el usuario que firmó el `state`
+const completeAuthorization = async ({ code, state }) => {
+  assertConfigured();
+  const userId = verifyState(state, config.linkedin.stateSecret);
+  const token = await linkedin.exchangeCode(code);
+  const profile = await linkedin.getProfile(token.accessToken);
+  await store.saveConnection(userId, { ...token, profile });
+};
+
+const getActiveConnection = async (userId) => {
+  const connection = await store.getConnection(userId);
+  if (!connection) {
+    throw new HttpError(409, 'linkedin_not_connected', 'LinkedIn account not connected');
+  }
+  if (new Date(connection.expires_at) <= new Date()) {
+    throw new HttpError(403, 'linkedin_reauth_required', 'The LinkedIn token has expired');
+  }
+  return connection;
+};
+
+// Perfil personal + páginas de empresa en las que puede publicar
+const listAuthors = async (connection) => {
+  const organizations = await linkedin.listOrganizations(connection.access_token);
+  return [
+    { urn: connection.member_urn, name: connection.member_name, type: 'person' },
+    ...organizations.map((organization) => ({ ...organization, type: 'organization' })),
+  ];
+};
+
+const getStatus = async (userId) => {
+  if (!isConfigured()) {
+    return { configured: false, connected: false };
+  }
+  const connection = await store.getConnection(userId);
+  if (!connection) {
+    return { configured: true, connected: false };
+  }
+  const expired = new Date(connection.expires_at) <= new Date();
+  return {
+    configured: true,
+    connected: !expired,
+    expired,
+    name: connection.member_name,
+    expiresAt: connection.expires_at,
+    authors: expired ? [] : await listAuthors(connection),
+  };
+};
+
+// Sin `author` se publica en el perfil personal (la cola lo guarda así)
+const publishPost = async (userId, { author, text, article }) => {
+  const connection = await getActiveConnection(userId);
+  const target = author || connection.member_urn;
+  const authors = await listAuthors(connection);
+  if (!authors.some(({ urn }) => urn === target)) {
+    throw new HttpError(403, 'linkedin_author_forbidden', 'You cannot post as this author');
+  }
+  const urn = await linkedin.createPost(connection.access_token, { author: target, text, article });
+  return { urn, url: getPostUrl(urn) };
+};
+
+// Estadísticas de un post publicado, con el token de quien las pide
+const getPostStats = async (userId, { urn, author }) => {
+  const connection = await getActiveConnection(userId);
+  return linkedin.getPostStats(connection.access_token, { urn, author: author || connection.member_urn });
+};
+
+module.exports = {
+  getAuthorizationUrl,
+  completeAuthorization,
+  getStatus,
+  publishPost,
+  getPostStats,
+  disconnect: store.deleteConnection,
+};
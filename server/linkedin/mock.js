@@ -0,0 +1,139 @@
+const express = require('express');
+
+// Imitación local de las partes de LinkedIn que usamos (OAuth, userinfo,
+// organizationAcls, organizations, posts y sus estadísticas). Se usa en los tests y en desarrollo:
+//   npm run linkedin:mock
+// y en .env LINKEDIN_AUTH_URL=http://localhost:3002/oauth/v2, LINKEDIN_API_URL=http://localhost:3002
+const createLinkedInMock = ({
+  member = { sub: 'mock-member', name: 'Mock Member' },
+  organizations = [{ id: '1001', localizedName: 'Mock Company' }],
+  // Sin permisos de organización LinkedIn responde 403 en organizationAcls
+  organizationAccess = true,
+  // Estadísticas que devuelve para cualquier post publicado en el mock
+  postStats = { impressions: 1500, likes: 42, comments: 7, shares: 3 },
+} = {}) => {
+  const app = express();
+  const state = { codes: new Set(), tokens: new Set(), posts: [] };
+  let sequence = 0;
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // Aprueba la autorización al instante y vuelve a la app con un código
+  app.get('/oauth/v2/authorization', (req, res) => {
+    const { redirect_uri: redirectUri, state: oauthState } = req.query;
+    const code = `mock-code-${++sequence}`;
+    state.codes.add(code);
+    const target = new URL(redirectUri);
+    target.search = new URLSearchParams({ code, state: oauthState });
+    res.redirect(target.toString());
+  });
+
+  app.post('/oauth/v2/accessToken', (req, res) => {
+    const { grant_type: grantType, code, client_id: clientId, client_secret: clientSecret } = req.body;
+    if (grantType !== 'authorization_code' || !clientId || !clientSecret || !state.codes.delete(code)) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'Invalid authorization code' });
+    }
+    const token = `mock-token-${++sequence}`;
+    state.tokens.add(token);
+    res.json({ access_token: token, expires_in: 5184000, scope: 'openid,profile,w_member_social' });
+  });
+
+  const requireToken = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!state.tokens.has(token)) {
+      return res.status(401).json({ status: 401, message: 'Invalid access token' });
+    }
+    next();
+  };
+
+  const requireVersionHeaders = (req, res, next) => {
+    if (!/^\d{6}$/.test(req.headers['linkedin-version'] || '') || req.headers['x-restli-protocol-version'] !== '2.0.0') {
+      return res.status(426).json({ status: 426, message: 'Missing LinkedIn-Version or X-Restli-Protocol-Version header' });
+    }
+    next();
+  };
+
+  app.get('/v2/userinfo', requireToken, (req, res) => {
+    res.json(member);
+  });
+
+  app.get('/rest/organizationAcls', requireToken, requireVersionHeaders, (req, res) => {
+    if (!organizationAccess) {
+      return res.status(403).json({ status: 403, message: 'Not enough permissions to access organizationAcls' });
+    }
+    res.json({
+      elements: organizations.map(({ id }) => ({
+        organization: `urn:li:organization:${id}`,
+        role: 'ADMINISTRATOR',
+        state: 'APPROVED',
+      })),
+    });
+  });
+
+  app.get('/rest/organizations/:id', requireToken, requireVersionHeaders, (req, res) => {
+    const organization = organizations.find(({ id }) => id === req.params.id);
+    if (!organization) {
+      return res.status(404).json({ status: 404, message: 'Organization not found' });
+    }
+    res.json({ id: Number(organization.id), localizedName: organization.localizedName });
+  });
+
+  app.post('/rest/posts', requireToken, requireVersionHeaders, (req, res) => {
+    const { author, commentary, visibility, lifecycleState } = req.body;
+    const allowedAuthors = [`urn:li:person:${member.sub}`, ...organizations.map(({ id }) => `urn:li:organization:${id}`)];
+    if (!allowedAuthors.includes(author)) {
+      return res.status(403).json({ status: 403, message: `Not allowed to post as ${author}` });
+    }
+    if (typeof commentary !== 'string' || !visibility || lifecycleState !== 'PUBLISHED') {
+      return res.status(422).json({ status: 422, message: 'Invalid post body' });
+    }
+    const urn = `urn:li:share:${Date.now()}${++sequence}`;
+    state.posts.push({ urn, ...req.body });
+    res.status(201).set('x-restli-id', urn).end();
+  });
+
+  const findPost = (urn) => state.posts.find((post) => post.urn === urn);
+
+  app.get('/rest/socialActions/:urn', requireToken, requireVersionHeaders, (req, res) => {
+    if (!findPost(req.params.urn)) {
+      return res.status(404).json({ status: 404, message: 'Post not found' });
+    }
+    res.json({
+      likesSummary: { totalLikes: postStats.likes },
+      commentsSummary: { aggregatedTotalComments: postStats.comments },
+    });
+  });
+
+  app.get('/rest/organizationalEntityShareStatistics', requireToken, requireVersionHeaders, (req, res) => {
+    const { organizationalEntity, shares = '', ugcPosts = '' } = req.query;
+    const urn = (shares || ugcPosts).match(/^List\((.+)\)$/)?.[1];
+    const post = urn && findPost(urn);
+    if (!post || post.author !== organizationalEntity) {
+      return res.json({ elements: [] });
+    }
+    res.json({
+      elements: [{
+        organizationalEntity,
+        share: urn,
+        totalShareStatistics: {
+          impressionCount: postStats.impressions,
+          likeCount: postStats.likes,
+          commentCount: postStats.comments,
+          shareCount: postStats.shares,
+        },
+      }],
+    });
+  });
+
+  return { app, state };
+};
+
+if (require.main === module) {
+  const port = Number(process.env.LINKEDIN_MOCK_PORT) || 3002;
+  createLinkedInMock().app.listen(port, () => {
+    console.log(`Mock de LinkedIn escuchando en http://localhost:${port}`);
+  });
+}
+
+module.exports = { createLinkedInMock };
@@ -0,0 +1,33 @@
+const crypto = require('node:crypto');
+const { HttpError } = require('../errors');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+// El `state` del OAuth lleva firmado el usuario que inició la conexión: la vuelta
+// desde LinkedIn llega sin la sesión de Supabase y así sabemos a quién pertenece el token
+const createState = (userId, secret, now = Date.now()) => {
+  const payload = Buffer.from(JSON.stringify({
+    userId,
+    exp: now + STATE_TTL_MS,
+    nonce: crypto.randomBytes(8).toString('hex'),
+  })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+const verifyState = (state, secret, now = Date.now()) => {
+  const [payload, signature] = String(state ?? '').split('.');
+  const expected = payload && sign(payload, secret);
+  if (!signature || signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new HttpError(400, 'invalid_state', 'Invalid OAuth state');
+  }
+  const { userId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (exp < now) {
+    throw new HttpError(400, 'invalid_state', 'The OAuth state has expired');
+  }
+  return userId;
+};
+
+module.exports = { createState, verifyState };
@@ -0,0 +1,46 @@
+const { supabaseAdmin } = require('../supabase');
+const { HttpError } = require('../errors');
+
+// Los tokens de LinkedIn viven en una tabla sin políticas RLS para `authenticated`:
+// solo el backend, con la service role, puede leerlos
+const getAdmin = () => {
+  if (!supabaseAdmin) {
+    throw new HttpError(503, 'linkedin_not_configured', 'SUPABASE_SERVICE_ROLE_KEY is not configured');
+  }
+  return supabaseAdmin;
+};
+
+const getConnection = async (userId) => {
+  const { data, error } = await getAdmin()
+    .from('linkedin_connections')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+const saveConnection = async (userId, { accessToken, expiresAt, scopes, profile }) => {
+  const { error } = await getAdmin()
+    .from('linkedin_connections')
+    .upsert({
+      user_id: userId,
+      member_urn: profile.urn,
+      member_name: profile.name,
+      access_token: accessToken,
+      expires_at: expiresAt,
+      scopes,
+      updated_at: new Date().toISOString(),
+    });
+  if (error) throw error;
+};
+
+const deleteConnection = async (userId) => {
+  const { error } = await getAdmin()
+    .from('linkedin_connections')
+    .delete()
+    .eq('user_id', userId);
+  if (error) throw error;
+};
+
+module.exports = { getConnection, saveConnection, deleteConnection };
@@ -0,0 +1,171 @@
+const gemini = require('./providers/gemini');
+const mistral = require('./providers/mistral');
+const openai = require('./providers/openai');
+const mock = require('./providers/mock');
+const { readSseData } = require('./sse');
+const { HttpError } = require('../errors');
+
+const PROVIDERS = { gemini, mistral, openai, mock };
+
+const GENERATION_DEFAULTS = {
+  temperature: 0.7,
+  maxOutputTokens: 1024,
+};
+
+const STALL_TIMEOUT_MS = 20000;
+
+const MODEL_PATTERN = /^[\w-]+(?:[.:/][\w-]+)*$/;
+
+const MAX_MESSAGES = 30;
+const MESSAGE_ROLES = ['user', 'assistant'];
+
+const listProviders = () => Object.values(PROVIDERS).map((provider) => ({
+  id: provider.id,
+  label: provider.label,
+  models: provider.models,
+  defaultModel: provider.defaultModel,
+  configured: provider.isConfigured(),
+}));
+
+const getProvider = (id) => {
+  const provider = PROVIDERS[id];
+  if (!provider) {
+    throw new HttpError(400, 'unknown_provider', `Unknown LLM provider: ${id}`);
+  }
+  if (!provider.isConfigured()) {
+    throw new HttpError(503, 'provider_not_configured', `LLM provider not configured: ${id}`);
+  }
+  return provider;
+};
+
+// Conversación para los proveedores: `messages` (refinar un post ya escrito) o un solo
+// mensaje con `prompt`. Alterna usuario y modelo y termina con un mensaje del usuario
+const normalizeMessages = ({ prompt, messages }) => {
+  if (messages === undefined) {
+    return [{ role: 'user', content: prompt }];
+  }
+  const valid = Array.isArray(messages)
+    && messages.length > 0
+    && messages.length <= MAX_MESSAGES
+    && messages.every((message, i) => MESSAGE_ROLES.includes(message?.role)
+      && message.role === MESSAGE_ROLES[i % 2]
+      && typeof message.content === 'string'
+      && message.content.trim())
+    && messages.length % 2 === 1;
+  if (!valid) {
+    throw new HttpError(400, 'invalid_request', `messages must alternate user and assistant turns, start and end with the user and have at most ${MAX_MESSAGES} items`);
+  }
+  return messages.map(({ role, content }) => ({ role, content }));
+};
+
+const prepareRequest = ({ provider: providerId, model, prompt, messages, signal, ...options }) => {
+  const provider = getProvider(providerId);
+  if (model && !MODEL_PATTERN.test(model)) {
+    throw new HttpError(400, 'invalid_model', `Invalid model name: ${model}`);
+  }
+  const params = {
+    ...GENERATION_DEFAULTS,
+    ...options,
+    messages: normalizeMessages({ prompt, messages }),
+    model: model || provider.defaultModel,
+    signal,
+  };
+  return { provider, params };
+};
+
+const fetchUpstream = async (provider, params) => {
+  const { url, init } = provider.buildRequest(params);
+  const response = await fetch(url, { ...init, signal: params.signal });
+
+  if (!response.ok) {
+    throw new HttpError(502, 'upstream_error', `HTTP error! status: ${response.status}`);
+  }
+  return response;
+};
+
+// Un proveedor implementa `generate` directamente (mock) o bien
+// `buildRequest` + `parseResponse` sobre una petición HTTP.
+const completeText = async (provider, params) => {
+  if (provider.generate) {
+    return provider.generate(params);
+  }
+
+  const response = await fetchUpstream(provider, params);
+  const data = await response.json();
+  try {
+    return provider.parseResponse(data);
+  } catch (error) {
+    throw new HttpError(502, 'invalid_response', error.message);
+  }
+};
+
+const generateText = async (options) => {
+  const { provider, params } = prepareRequest(options);
+  return completeText(provider, params);
+};
+
+// `onUsage` recibe los tokens que informa el proveedor ({ promptTokens, outputTokens });
+// si no informa de ellos no se llama
+async function* readDeltas(provider, params, onUsage) {
+  if (provider.stream) {
+    yield* provider.stream(params);
+    return;
+  }
+
+  // Sin soporte de streaming: se devuelve la respuesta completa de una vez
+  if (!provider.parseStreamChunk) {
+    const { text, usage } = await completeText(provider, params);
+    if (usage) onUsage?.(usage);
+    yield text;
+    return;
+  }
+
+  const response = await fetchUpstream(provider, { ...params, stream: true });
+  for await (const data of readSseData(response.body)) {
+    if (data === '[DONE]') return;
+    let delta;
+    try {
+      const chunk = JSON.parse(data);
+      const usage = provider.parseUsage?.(chunk);
+      if (usage) onUsage?.(usage);
+      delta = provider.parseStreamChunk(chunk);
+    } catch (error) {
+      throw new HttpError(502, 'invalid_response', error.message);
+    }
+    if (delta) yield delta;
+  }
+}
+
+// Igual que generateText pero devuelve un iterable de fragmentos de texto.
+// Si el proveedor deja de enviar datos durante `stallTimeoutMs` se corta con `stream_stalled`,
+// independientemente de lo que dure la generación completa.
+const streamText = ({ signal, stallTimeoutMs = STALL_TIMEOUT_MS, onUsage, ...options }) => {
+  const watchdog = new AbortController();
+  const combinedSignal = signal ? AbortSignal.any([signal, watchdog.signal]) : watchdog.signal;
+  const { provider, params } = prepareRequest({ ...options, signal: combinedSignal });
+
+  return (async function* () {
+    let timer;
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => watchdog.abort(), stallTimeoutMs);
+    };
+
+    try {
+      arm();
+      for await (const delta of readDeltas(provider, params, onUsage)) {
+        arm();
+        yield delta;
+      }
+    } catch (error) {
+      if (watchdog.signal.aborted && !signal?.aborted) {
+        throw new HttpError(504, 'stream_stalled', 'The model stopped sending data');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  })();
+};
+
+module.exports = { listProviders, getProvider, generateText, streamText, normalizeMessages };
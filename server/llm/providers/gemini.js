@@ -0,0 +1,58 @@
+const config = require('../../config');
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const buildRequest = ({ messages, model, temperature, maxOutputTokens, stream }) => ({
+  url: stream
+    ? `${BASE_URL}/${model}:streamGenerateContent?alt=sse`
+    : `${BASE_URL}/${model}:generateContent`,
+  init: {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': config.llm.gemini.apiKey
+    },
+    body: JSON.stringify({
+      // Gemini llama `model` al rol del asistente
+      contents: messages.map(({ role, content }) => ({
+        role: role === 'assistant' ? 'model' : 'user',
+        parts: [{
+          text: content
+        }]
+      })),
+      generationConfig: {
+        temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens,
+      }
+    })
+  }
+});
+
+// Tokens de la petición y de la respuesta. En streaming cada fragmento trae el acumulado
+const parseUsage = (data) => (data.usageMetadata
+  ? { promptTokens: data.usageMetadata.promptTokenCount ?? 0, outputTokens: data.usageMetadata.candidatesTokenCount ?? 0 }
+  : null);
+
+const parseResponse = (data) => {
+  if (!data.candidates?.[0]?.content?.parts?.[0]?.text) {
+    throw new Error('Invalid API response format');
+  }
+  return { text: data.candidates[0].content.parts[0].text, usage: parseUsage(data) };
+};
+
+const parseStreamChunk = (data) =>
+  (data.candidates?.[0]?.content?.parts ?? []).map((part) => part.text ?? '').join('');
+
+module.exports = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  models: ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-1.5-pro'],
+  defaultModel: 'gemini-2.0-flash',
+  isConfigured: () => Boolean(config.llm.gemini.apiKey),
+  buildRequest,
+  parseResponse,
+  parseStreamChunk,
+  parseUsage,
+};
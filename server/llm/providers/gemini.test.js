@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { http, HttpResponse } = require('msw');
+const { setupServer } = require('msw/node');
+const config = require('../../config');
+const { generateText, streamText } = require('..');
+
+// La API de Gemini la responde MSW: ninguna petición sale de la máquina
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const GENERATE_URL = `${BASE_URL}/gemini-2.0-flash\\:generateContent`;
+const STREAM_URL = `${BASE_URL}/gemini-2.0-flash\\:streamGenerateContent`;
+
+const server = setupServer();
+config.llm.gemini.apiKey = 'test-key';
+
+test.before(() => server.listen({ onUnhandledRequest: 'error' }));
+test.afterEach(() => server.resetHandlers());
+test.after(() => server.close());
+
+const candidate = (text) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] });
+
+const encodeEvent = (data) => new TextEncoder().encode(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\r\n\r\n`);
+
+const STALL_TIMEOUT_MS = 50;
+
+// Respuesta text/event-stream con un evento por elemento. Con `stall` deja de enviar datos y
+// la conexión se corta mucho después: MSW no corta el cuerpo al cancelar la petición
+const sse = (events, { stall = false } = {}) => new HttpResponse(new ReadableStream({
+  start(controller) {
+    events.forEach((data) => controller.enqueue(encodeEvent(data)));
+    if (stall) {
+      setTimeout(() => controller.error(new Error('socket hang up')), STALL_TIMEOUT_MS * 10);
+    } else {
+      controller.close();
+    }
+  }
+}), { headers: { 'Content-Type': 'text/event-stream' } });
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+};
+
+test('generates text with the Gemini API', async () => {
+  let received;
+  server.use(http.post(GENERATE_URL, async ({ request }) => {
+    received = { key: request.headers.get('x-goog-api-key'), body: await request.json() };
+    return HttpResponse.json({
+      ...candidate('Hola desde Gemini'),
+      usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 4 }
+    });
+  }));
+
+  const result = await generateText({
+    provider: 'gemini',
+    messages: [
+      { role: 'user', content: 'Escribe un post' },
+      { role: 'assistant', content: 'Primer borrador' },
+      { role: 'user', content: 'Más corto' }
+    ]
+  });
+
+  assert.deepStrictEqual(result, { text: 'Hola desde Gemini', usage: { promptTokens: 12, outputTokens: 4 } });
+  assert.strictEqual(received.key, 'test-key');
+  assert.deepStrictEqual(received.body.contents.map(({ role }) => role), ['user', 'model', 'user']);
+  assert.strictEqual(received.body.generationConfig.temperature, 0.7);
+});
+
+test('streams the Gemini response and reports its usage', async () => {
+  server.use(http.post(STREAM_URL, ({ request }) => {
+    assert.strictEqual(new URL(request.url).searchParams.get('alt'), 'sse');
+    return sse([
+      candidate('Hola '),
+      candidate('desde '),
+      { ...candidate('Gemini'), usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 3 } }
+    ]);
+  }));
+  const usage = [];
+
+  const chunks = await collect(streamText({ provider: 'gemini', prompt: 'Escribe un post', onUsage: (reported) => usage.push(reported) }));
+
+  assert.deepStrictEqual(chunks, ['Hola ', 'desde ', 'Gemini']);
+  assert.deepStrictEqual(usage, [{ promptTokens: 12, outputTokens: 3 }]);
+});
+
+test('turns upstream failures into upstream_error', async () => {
+  server.use(
+    http.post(GENERATE_URL, () => HttpResponse.json({ error: { message: 'Internal' } }, { status: 500 })),
+    http.post(STREAM_URL, () => new HttpResponse('Quota exceeded', { status: 429 }))
+  );
+
+  await assert.rejects(generateText({ provider: 'gemini', prompt: 'x' }), { status: 502, code: 'upstream_error' });
+  await assert.rejects(collect(streamText({ provider: 'gemini', prompt: 'x' })), { status: 502, code: 'upstream_error' });
+});
+
+test('rejects invalid responses', async () => {
+  server.use(
+    http.post(GENERATE_URL, () => HttpResponse.json({ candidates: [] })),
+    http.post(STREAM_URL, () => sse([candidate('Hola '), '{"candidates": [']))
+  );
+
+  await assert.rejects(generateText({ provider: 'gemini', prompt: 'x' }), { status: 502, code: 'invalid_response' });
+  await assert.rejects(collect(streamText({ provider: 'gemini', prompt: 'x' })), { status: 502, code: 'invalid_response' });
+});
+
+test('stops a stream that stalls', async () => {
+  server.use(http.post(STREAM_URL, () => sse([candidate('Hola ')], { stall: true })));
+  const chunks = [];
+
+  await assert.rejects(async () => {
+    for await (const chunk of streamText({ provider: 'gemini', prompt: 'x', stallTimeoutMs: STALL_TIMEOUT_MS })) chunks.push(chunk);
+  }, { status: 504, code: 'stream_stalled' });
+  assert.deepStrictEqual(chunks, ['Hola ']);
+});
@@ -0,0 +1,47 @@
+const config = require('../../config');
+
+const API_URL = 'https://api.mistral.ai/v1/chat/completions';
+
+const buildRequest = ({ messages, model, temperature, maxOutputTokens, stream }) => ({
+  url: API_URL,
+  init: {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${config.llm.mistral.apiKey}`
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxOutputTokens,
+      stream: Boolean(stream)
+    })
+  }
+});
+
+// En streaming el uso llega en el último fragmento
+const parseUsage = (data) => (data.usage
+  ? { promptTokens: data.usage.prompt_tokens ?? 0, outputTokens: data.usage.completion_tokens ?? 0 }
+  : null);
+
+const parseResponse = (data) => {
+  if (!data.choices?.[0]?.message?.content) {
+    throw new Error('Invalid API response format');
+  }
+  return { text: data.choices[0].message.content, usage: parseUsage(data) };
+};
+
+const parseStreamChunk = (data) => data.choices?.[0]?.delta?.content ?? '';
+
+module.exports = {
+  id: 'mistral',
+  label: 'Mistral',
+  models: ['mistral-small-latest', 'mistral-large-latest', 'open-mistral-nemo'],
+  defaultModel: 'mistral-small-latest',
+  isConfigured: () => Boolean(config.llm.mistral.apiKey),
+  buildRequest,
+  parseResponse,
+  parseStreamChunk,
+  parseUsage,
+};
@@ -0,0 +1,53 @@
+// Proveedor local sin red, para desarrollo y tests.
+const MOCK_STREAM_DELAY_MS = 40;
+
+const extractUrl = (text) => text.match(/https?:\/\/\S+/)?.[0] ?? '';
+
+// En una conversación (refinar) cada respuesta indica qué revisión es
+const buildText = (messages) => {
+  const url = extractUrl(messages[0].content);
+  const revision = (messages.length - 1) / 2;
+  return [
+    revision ? `Revisión ${revision} de la publicación de ejemplo generada por el proveedor de pruebas.` : 'Publicación de ejemplo generada por el proveedor de pruebas.',
+    '',
+    'Este texto no procede de ningún modelo real y sirve para probar la interfaz sin coste.',
+    '',
+    `Más información: ${url}`
+  ].join('\n');
+};
+
+const generate = async ({ messages, signal }) => {
+  signal?.throwIfAborted();
+  return { text: buildText(messages) };
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timeout);
+    reject(signal.reason);
+  };
+  const timeout = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Emite el texto palabra a palabra para probar el streaming en la interfaz
+async function* stream({ messages, signal }) {
+  for (const word of buildText(messages).split(/(?<=\s)/)) {
+    signal?.throwIfAborted();
+    await wait(MOCK_STREAM_DELAY_MS, signal);
+    yield word;
+  }
+}
+
+module.exports = {
+  id: 'mock',
+  label: 'Mock (local)',
+  models: ['mock-1'],
+  defaultModel: 'mock-1',
+  isConfigured: () => true,
+  generate,
+  stream,
+};
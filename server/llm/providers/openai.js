@@ -0,0 +1,50 @@
+// Cualquier endpoint compatible con la API de OpenAI (OpenAI, OpenRouter, Ollama, LM Studio...)
+const config = require('../../config');
+
+const buildRequest = ({ messages, model, temperature, maxOutputTokens, stream }) => ({
+  url: `${config.llm.openai.baseUrl.replace(/\/$/, '')}/chat/completions`,
+  init: {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.llm.openai.apiKey && {
+        'Authorization': `Bearer ${config.llm.openai.apiKey}`
+      })
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxOutputTokens,
+      stream: Boolean(stream),
+      ...(stream && { stream_options: { include_usage: true } })
+    })
+  }
+});
+
+// En streaming el uso llega en el último fragmento, que OpenAI solo manda si se pide con `stream_options`
+const parseUsage = (data) => (data.usage
+  ? { promptTokens: data.usage.prompt_tokens ?? 0, outputTokens: data.usage.completion_tokens ?? 0 }
+  : null);
+
+const parseResponse = (data) => {
+  if (!data.choices?.[0]?.message?.content) {
+    throw new Error('Invalid API response format');
+  }
+  return { text: data.choices[0].message.content, usage: parseUsage(data) };
+};
+
+const parseStreamChunk = (data) => data.choices?.[0]?.delta?.content ?? '';
+
+module.exports = {
+  id: 'openai',
+  label: 'Compatible con OpenAI',
+  models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'],
+  defaultModel: 'gpt-4o-mini',
+  // Los servidores locales (Ollama, LM Studio) no necesitan clave
+  isConfigured: () => Boolean(config.llm.openai.baseUrl),
+  buildRequest,
+  parseResponse,
+  parseStreamChunk,
+  parseUsage,
+};
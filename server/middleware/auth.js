@@ -0,0 +1,21 @@
+const { supabase } = require('../supabase');
+const { HttpError } = require('../errors');
+
+// Valida el access token de la sesión de Supabase que envía el frontend
+const requireUser = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw new HttpError(401, 'unauthorized', 'Missing bearer token');
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    throw new HttpError(401, 'unauthorized', 'Invalid or expired session');
+  }
+
+  req.user = data.user;
+  req.accessToken = token;
+  next();
+};
+
+module.exports = { requireUser };
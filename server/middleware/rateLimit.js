@@ -0,0 +1,31 @@
+const { HttpError } = require('../errors');
+
+// Límite por usuario en ventana fija, en memoria del proceso.
+const createRateLimit = ({ windowMs, max, now = Date.now }) => {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const key = req.user.id;
+    const current = now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= current) {
+      entry = { count: 0, resetAt: current + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(Math.ceil((entry.resetAt - current) / 1000)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - current) / 1000)));
+      throw new HttpError(429, 'rate_limited', 'Too many generation requests');
+    }
+
+    next();
+  };
+};
+
+module.exports = { createRateLimit };
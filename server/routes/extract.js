@@ -0,0 +1,79 @@
+const express = require('express');
+const { extractFromUrl, fetchImage, extractDocument, extractTranscript } = require('../extract');
+const { MAX_FILE_BYTES } = require('../extract/documents');
+const { HttpError } = require('../errors');
+
+const router = express.Router();
+
+// El archivo llega tal cual en el cuerpo; el nombre, codificado, en `X-File-Name`
+const readFile = express.raw({ type: () => true, limit: MAX_FILE_BYTES });
+const readFileBody = (req, res, next) => readFile(req, res, (error) => {
+  next(error?.type === 'entity.too.large' ? new HttpError(413, 'file_too_large', 'The file is too large') : error);
+});
+
+const decodeFileName = (value) => {
+  try {
+    return decodeURIComponent(value ?? '');
+  } catch {
+    return '';
+  }
+};
+
+router.post('/', async (req, res) => {
+  const { url } = req.body ?? {};
+  if (typeof url !== 'string' || !url.trim()) {
+    throw new HttpError(400, 'invalid_request', 'Missing url');
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const article = await extractFromUrl(url.trim(), { signal: controller.signal });
+  res.json({ article });
+});
+
+router.post('/image', async (req, res) => {
+  const { url } = req.body ?? {};
+  if (typeof url !== 'string' || !url.trim()) {
+    throw new HttpError(400, 'invalid_request', 'Missing url');
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const image = await fetchImage(url.trim(), { signal: controller.signal });
+  res.set('Cache-Control', 'private, max-age=3600');
+  res.type(image.mimeType).send(image.body);
+});
+
+router.post('/document', readFileBody, async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || !req.body.length) {
+    throw new HttpError(400, 'invalid_request', 'Missing file');
+  }
+  const article = await extractDocument(req.body, { fileName: decodeFileName(req.get('X-File-Name')) });
+  res.json({ article });
+});
+
+router.post('/transcript', async (req, res) => {
+  const { url, language } = req.body ?? {};
+  if (typeof url !== 'string' || !url.trim()) {
+    throw new HttpError(400, 'invalid_request', 'Missing url');
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const article = await extractTranscript(url.trim(), {
+    signal: controller.signal,
+    language: typeof language === 'string' ? language : '',
+  });
+  res.json({ article });
+});
+
+module.exports = router;
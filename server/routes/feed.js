@@ -0,0 +1,22 @@
+const express = require('express');
+const { fetchFeed } = require('../feed');
+const { HttpError } = require('../errors');
+
+const router = express.Router();
+
+router.post('/', async (req, res) => {
+  const { url } = req.body ?? {};
+  if (typeof url !== 'string' || !url.trim()) {
+    throw new HttpError(400, 'invalid_request', 'Missing url');
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const feed = await fetchFeed(url.trim(), { signal: controller.signal });
+  res.json({ feed });
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { listProviders, generateText, streamText } = require('../llm');
+const { HttpError } = require('../errors');
+const usage = require('../usage');
+
+const router = express.Router();
+
+const parseGenerationRequest = (body) => {
+  const { provider, model, prompt, messages, temperature } = body ?? {};
+  // `messages` (una conversación) se valida en llm/index.js
+  if (messages === undefined && (typeof prompt !== 'string' || !prompt.trim())) {
+    throw new HttpError(400, 'invalid_request', 'Missing prompt');
+  }
+  if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+    throw new HttpError(400, 'invalid_request', 'temperature must be a number between 0 and 2');
+  }
+  return { provider, model, prompt, messages, ...(temperature !== undefined && { temperature }) };
+};
+
+// El modelo que se registra en el uso: el pedido o el predeterminado del proveedor
+const resolveModel = ({ provider, model }) => model
+  || listProviders().find(({ id }) => id === provider)?.defaultModel
+  || null;
+
+// Reserva la generación en la cuota del usuario y empieza a medirla
+const startUsage = (req, request) => usage.start(req.user.id, { ...request, model: resolveModel(request) });
+
+// Si el cliente cancela, se cancela también la petición al proveedor
+const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller;
+};
+
+router.post('/', async (req, res) => {
+  const request = parseGenerationRequest(req.body);
+  const meter = await startUsage(req, request);
+  const controller = abortOnClose(res);
+
+  let result;
+  try {
+    result = await generateText({
+      ...request,
+      signal: controller.signal
+    });
+  } catch (error) {
+    meter.finish({ error, cancelled: controller.signal.aborted });
+    throw error;
+  }
+  meter.finish(result);
+
+  res.json({ text: result.text });
+});
+
+// Respuesta en NDJSON: una línea por fragmento ({ type: 'delta' }) y una final
+// ({ type: 'done' } o { type: 'error' }), porque el estado HTTP ya se ha enviado.
+router.post('/stream', async (req, res) => {
+  const request = parseGenerationRequest(req.body);
+  const meter = await startUsage(req, request);
+  const controller = abortOnClose(res);
+  let text = '';
+  let providerUsage = null;
+  let stream;
+  try {
+    stream = streamText({
+      ...request,
+      signal: controller.signal,
+      onUsage: (reported) => {
+        providerUsage = reported;
+      }
+    });
+  } catch (error) {
+    meter.finish({ error });
+    throw error;
+  }
+
+  res.status(200).set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (message) => res.write(`${JSON.stringify(message)}\n`);
+
+  try {
+    for await (const delta of stream) {
+      text += delta;
+      send({ type: 'delta', text: delta });
+    }
+    meter.finish({ text, usage: providerUsage });
+    send({ type: 'done' });
+  } catch (error) {
+    meter.finish({ text, error, cancelled: controller.signal.aborted });
+    if (controller.signal.aborted) return;
+    if (!(error instanceof HttpError)) {
+      console.error('Stream failed:', error);
+    }
+    send({
+      type: 'error',
+      error: error instanceof HttpError
+        ? { code: error.code, message: error.message }
+        : { code: 'internal_error', message: 'Internal server error' }
+    });
+  }
+  res.end();
+});
+
+module.exports = router;
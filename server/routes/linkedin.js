@@ -0,0 +1,66 @@
+const express = require('express');
+const config = require('../config');
+const linkedin = require('../linkedin');
+const { requireUser } = require('../middleware/auth');
+const { HttpError } = require('../errors');
+
+const router = express.Router();
+
+// LinkedIn redirige aquí al navegador, sin la sesión de Supabase: el usuario va en el `state`.
+// La ventana vuelve al frontend (/linkedin/callback), que avisa a la app y se cierra
+router.get('/callback', async (req, res) => {
+  const target = new URL('/linkedin/callback', config.appUrl);
+  const { code, state, error } = req.query;
+  try {
+    if (error || !code) {
+      throw new HttpError(400, 'linkedin_denied', String(error || 'Missing code'));
+    }
+    await linkedin.completeAuthorization({ code: String(code), state });
+    target.searchParams.set('status', 'connected');
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error('LinkedIn authorization failed:', err);
+    target.searchParams.set('status', 'error');
+    target.searchParams.set('code', err instanceof HttpError ? err.code : 'linkedin_error');
+  }
+  res.redirect(target.toString());
+});
+
+router.use(requireUser);
+
+router.get('/status', async (req, res) => {
+  res.json(await linkedin.getStatus(req.user.id));
+});
+
+router.post('/connect', (req, res) => {
+  res.json({ url: linkedin.getAuthorizationUrl(req.user.id) });
+});
+
+router.delete('/connection', async (req, res) => {
+  await linkedin.disconnect(req.user.id);
+  res.status(204).end();
+});
+
+router.post('/posts', async (req, res) => {
+  const { author, text, article } = req.body ?? {};
+  if (typeof author !== 'string' || typeof text !== 'string') {
+    throw new HttpError(400, 'invalid_request', 'Missing author or text');
+  }
+  const source = article && typeof article.url === 'string'
+    ? { url: article.url, title: typeof article.title === 'string' ? article.title : undefined }
+    : undefined;
+  res.status(201).json(await linkedin.publishPost(req.user.id, { author, text, article: source }));
+});
+
+// Reacciones, comentarios y, en páginas de empresa, impresiones y compartidos de un post publicado
+router.get('/posts/stats', async (req, res) => {
+  const { urn, author } = req.query;
+  if (typeof urn !== 'string' || !urn.startsWith('urn:li:')) {
+    throw new HttpError(400, 'invalid_request', 'Missing post URN');
+  }
+  res.json(await linkedin.getPostStats(req.user.id, {
+    urn,
+    author: typeof author === 'string' && author.startsWith('urn:li:') ? author : undefined,
+  }));
+});
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const usage = require('../usage');
+
+const router = express.Router();
+
+// Generaciones gastadas hoy y este mes frente a los límites del plan del usuario
+router.get('/', async (req, res) => {
+  res.json(await usage.getStatus(req.user.id));
+});
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const workspaces = require('../workspaces');
+
+const router = express.Router();
+
+// La invitación ya existe (la crea el owner con RLS); aquí solo se envía el email
+router.post('/invitations/:id/email', async (req, res) => {
+  res.json(await workspaces.sendInvitation(req.user.id, req.params.id));
+});
+
+module.exports = router;
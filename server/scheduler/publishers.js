@@ -0,0 +1,47 @@
+const { HttpError } = require('../errors');
+
+// Un publicador recibe una fila de scheduled_posts y devuelve { urn, url }.
+// Si lanza un HttpError 4xx (salvo 429) el worker no reintenta.
+
+const toArticle = (item) => (item.article_url ? { url: item.article_url, title: item.article_title } : undefined);
+
+const createLinkedInPublisher = () => {
+  // Se carga aquí para que el publicador falso no necesite la configuración de LinkedIn
+  const linkedin = require('../linkedin');
+  return {
+    name: 'linkedin',
+    publish: (item) => linkedin.publishPost(item.user_id, {
+      author: item.author,
+      text: item.content,
+      article: toArticle(item),
+    }),
+  };
+};
+
+// Publicador de pruebas: no sale de la máquina. `failureRate` simula errores
+// transitorios para ver los reintentos y el registro de errores
+const createFakePublisher = ({ failureRate = 0, random = Math.random, logger = console } = {}) => {
+  let sequence = 0;
+  return {
+    name: 'fake',
+    publish: async (item) => {
+      if (!item.content.trim()) {
+        throw new HttpError(400, 'invalid_text', 'Post text is empty');
+      }
+      if (random() < failureRate) {
+        throw new HttpError(502, 'fake_publisher_error', 'Simulated publishing failure');
+      }
+      const urn = `urn:li:share:fake-${Date.now()}${++sequence}`;
+      logger.log(`[fake] ${item.id} publicado como ${urn}`);
+      return { urn, url: `https://www.linkedin.com/feed/update/${urn}/` };
+    },
+  };
+};
+
+const createPublisher = (name, options) => {
+  if (name === 'linkedin') return createLinkedInPublisher();
+  if (name === 'fake') return createFakePublisher(options);
+  throw new Error(`Unknown publisher: ${name}`);
+};
+
+module.exports = { createPublisher, createFakePublisher, createLinkedInPublisher };
@@ -0,0 +1,75 @@
+const { supabaseAdmin } = require('../supabase');
+
+// Acceso a la cola desde el worker. Usa la service role: publica en nombre de
+// cualquier usuario y escribe el registro de errores, que el navegador solo lee
+const getAdmin = () => {
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to run the scheduler');
+  }
+  return supabaseAdmin;
+};
+
+const claimDue = async ({ batchSize, lockMs }) => {
+  const { data, error } = await getAdmin().rpc('claim_scheduled_posts', {
+    batch_size: batchSize,
+    lock_seconds: Math.ceil(lockMs / 1000),
+  });
+  if (error) throw error;
+  return data;
+};
+
+const update = async (id, values) => {
+  const { error } = await getAdmin()
+    .from('scheduled_posts')
+    .update(values)
+    .eq('id', id);
+  if (error) throw error;
+};
+
+const markPublishing = (item) => update(item.id, { status: 'publishing' });
+
+const markPublished = async (item, { urn, publishedAt }) => {
+  await update(item.id, {
+    status: 'published',
+    attempts: item.attempts + 1,
+    linkedin_urn: urn,
+    published_at: publishedAt.toISOString(),
+    next_attempt_at: null,
+    locked_until: null,
+  });
+  // El post del historial del que sale también queda marcado como publicado
+  if (item.post_id) {
+    const { error } = await getAdmin()
+      .from('posts')
+      .update({
+        linkedin_urn: urn,
+        linkedin_author: item.author,
+        published_at: publishedAt.toISOString(),
+      })
+      .eq('id', item.post_id);
+    if (error) throw error;
+  }
+};
+
+const markRetry = (item, { nextAttemptAt }) => update(item.id, {
+  status: 'scheduled',
+  attempts: item.attempts + 1,
+  next_attempt_at: nextAttemptAt.toISOString(),
+  locked_until: null,
+});
+
+const markFailed = (item) => update(item.id, {
+  status: 'failed',
+  attempts: item.attempts + 1,
+  next_attempt_at: null,
+  locked_until: null,
+});
+
+const logError = async (item, { attempt, code, message }) => {
+  const { error } = await getAdmin()
+    .from('scheduled_post_errors')
+    .insert({ scheduled_post_id: item.id, attempt, code, message });
+  if (error) throw error;
+};
+
+module.exports = { claimDue, markPublishing, markPublished, markRetry, markFailed, logError };
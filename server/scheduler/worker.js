@@ -0,0 +1,83 @@
+// Errores de petición (4xx) no se arreglan reintentando; los límites de uso sí
+const isRetryable = (error) => !(error.status >= 400 && error.status < 500 && error.status !== 429);
+
+// Espera exponencial: retryDelayMs, 2×, 4×…
+const getRetryDelay = (attempt, retryDelayMs) => retryDelayMs * 2 ** (attempt - 1);
+
+const createWorker = ({
+  store,
+  publisher,
+  maxAttempts = 3,
+  retryDelayMs = 60 * 1000,
+  batchSize = 10,
+  lockMs = 5 * 60 * 1000,
+  now = () => new Date(),
+  logger = console,
+}) => {
+  const processItem = async (item) => {
+    const attempt = item.attempts + 1;
+    // Antes de publicar: a partir de aquí la entrada no se vuelve a reclamar, y un fallo
+    // al guardar el resultado no puede acabar en una segunda publicación
+    await store.markPublishing(item);
+    let urn;
+    try {
+      ({ urn } = await publisher.publish(item));
+    } catch (error) {
+      logger.error(`Scheduled post ${item.id} failed (attempt ${attempt}):`, error.message);
+      await store.logError(item, {
+        attempt,
+        code: error.code ?? null,
+        message: error.message || String(error),
+      });
+      if (attempt < maxAttempts && isRetryable(error)) {
+        await store.markRetry(item, { nextAttemptAt: new Date(now().getTime() + getRetryDelay(attempt, retryDelayMs)) });
+        return 'retried';
+      }
+      await store.markFailed(item);
+      return 'failed';
+    }
+    try {
+      await store.markPublished(item, { urn, publishedAt: now() });
+    } catch (error) {
+      // Ya está en LinkedIn: se queda en `publishing` para revisarla, sin reintentar
+      logger.error(`Scheduled post ${item.id} was published as ${urn} but could not be marked as published:`, error.message);
+    }
+    return 'published';
+  };
+
+  // Una pasada: publica todo lo vencido y devuelve cuántos acabaron en cada estado
+  const runOnce = async () => {
+    const summary = { published: 0, retried: 0, failed: 0 };
+    const items = await store.claimDue({ batchSize, lockMs, now: now() });
+    // En serie: LinkedIn limita las publicaciones por miembro
+    for (const item of items) {
+      summary[await processItem(item)] += 1;
+    }
+    return summary;
+  };
+
+  const start = (intervalMs) => {
+    let timer = null;
+    let stopped = false;
+    const tick = async () => {
+      try {
+        const summary = await runOnce();
+        if (summary.published || summary.retried || summary.failed) {
+          logger.log('Scheduler:', summary);
+        }
+      } catch (error) {
+        logger.error('Scheduler pass failed:', error);
+      }
+      if (!stopped) timer = setTimeout(tick, intervalMs);
+    };
+    tick();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  };
+
+  return { runOnce, start };
+};
+
+module.exports = { createWorker, isRetryable, getRetryDelay };
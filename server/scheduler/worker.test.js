@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWorker, getRetryDelay } = require('./worker');
+const { createFakePublisher } = require('./publishers');
+const { HttpError } = require('../errors');
+
+// Cola en memoria con la misma semántica que claim_scheduled_posts
+const createMemoryStore = (items) => {
+  const rows = items.map((item) => ({ attempts: 0, next_attempt_at: null, locked_until: null, ...item }));
+  const errors = [];
+  const find = (id) => rows.find((row) => row.id === id);
+  return {
+    rows,
+    errors,
+    claimDue: async ({ batchSize, lockMs, now }) => rows
+      .filter((row) => row.status === 'scheduled'
+        && new Date(row.next_attempt_at ?? row.scheduled_at) <= now
+        && (!row.locked_until || new Date(row.locked_until) < now))
+      .slice(0, batchSize)
+      .map((row) => {
+        row.locked_until = new Date(now.getTime() + lockMs);
+        return { ...row };
+      }),
+    markPublishing: async (item) => {
+      find(item.id).status = 'publishing';
+    },
+    markPublished: async (item, { urn, publishedAt }) => {
+      Object.assign(find(item.id), { status: 'published', attempts: item.attempts + 1, linkedin_urn: urn, published_at: publishedAt, locked_until: null });
+    },
+    markRetry: async (item, { nextAttemptAt }) => {
+      Object.assign(find(item.id), { status: 'scheduled', attempts: item.attempts + 1, next_attempt_at: nextAttemptAt, locked_until: null });
+    },
+    markFailed: async (item) => {
+      Object.assign(find(item.id), { status: 'failed', attempts: item.attempts + 1, locked_until: null });
+    },
+    logError: async (item, entry) => {
+      errors.push({ id: item.id, ...entry });
+    },
+  };
+};
+
+const silent = { log: () => {}, error: () => {} };
+
+const createClock = (start) => {
+  let current = new Date(start);
+  return {
+    now: () => new Date(current),
+    advance: (ms) => {
+      current = new Date(current.getTime() + ms);
+    },
+  };
+};
+
+test('publishes only the posts that are due', async () => {
+  const clock = createClock('2026-10-19T10:00:00Z');
+  const store = createMemoryStore([
+    { id: 'due', status: 'scheduled', scheduled_at: '2026-10-19T09:59:00Z', content: 'Hola' },
+    { id: 'later', status: 'scheduled', scheduled_at: '2026-10-19T11:00:00Z', content: 'Luego' },
+    { id: 'draft', status: 'draft', scheduled_at: '2026-10-19T09:00:00Z', content: 'Borrador' },
+  ]);
+  const worker = createWorker({ store, publisher: createFakePublisher({ logger: silent }), now: clock.now, logger: silent });
+
+  assert.deepStrictEqual(await worker.runOnce(), { published: 1, retried: 0, failed: 0 });
+  const [due, later, draft] = store.rows;
+  assert.strictEqual(due.status, 'published');
+  assert.match(due.linkedin_urn, /^urn:li:share:fake-/);
+  assert.strictEqual(later.status, 'scheduled');
+  assert.strictEqual(draft.status, 'draft');
+
+  clock.advance(60 * 60 * 1000);
+  assert.deepStrictEqual(await worker.runOnce(), { published: 1, retried: 0, failed: 0 });
+  assert.strictEqual(later.status, 'published');
+});
+
+test('retries transient failures with backoff and logs every attempt', async () => {
+  const clock = createClock('2026-10-19T10:00:00Z');
+  const store = createMemoryStore([
+    { id: 'flaky', status: 'scheduled', scheduled_at: '2026-10-19T10:00:00Z', content: 'Hola' },
+  ]);
+  const worker = createWorker({
+    store,
+    publisher: createFakePublisher({ failureRate: 1, logger: silent }),
+    maxAttempts: 3,
+    retryDelayMs: 1000,
+    now: clock.now,
+    logger: silent,
+  });
+  const [item] = store.rows;
+
+  assert.deepStrictEqual(await worker.runOnce(), { published: 0, retried: 1, failed: 0 });
+  assert.strictEqual(item.status, 'scheduled');
+  assert.strictEqual(item.next_attempt_at.toISOString(), '2026-10-19T10:00:01.000Z');
+
+  // Antes de que venza el reintento no se vuelve a intentar
+  assert.deepStrictEqual(await worker.runOnce(), { published: 0, retried: 0, failed: 0 });
+
+  clock.advance(1000);
+  assert.deepStrictEqual(await worker.runOnce(), { published: 0, retried: 1, failed: 0 });
+  assert.strictEqual(item.next_attempt_at.toISOString(), '2026-10-19T10:00:03.000Z');
+
+  clock.advance(2000);
+  assert.deepStrictEqual(await worker.runOnce(), { published: 0, retried: 0, failed: 1 });
+  assert.strictEqual(item.status, 'failed');
+  assert.strictEqual(item.attempts, 3);
+  assert.deepStrictEqual(store.errors.map(({ attempt, code }) => [attempt, code]), [
+    [1, 'fake_publisher_error'],
+    [2, 'fake_publisher_error'],
+    [3, 'fake_publisher_error'],
+  ]);
+});
+
+test('does not retry request errors', async () => {
+  const clock = createClock('2026-10-19T10:00:00Z');
+  const store = createMemoryStore([
+    { id: 'forbidden', status: 'scheduled', scheduled_at: '2026-10-19T10:00:00Z', content: 'Hola' },
+  ]);
+  const publisher = {
+    publish: async () => {
+      throw new HttpError(403, 'linkedin_author_forbidden', 'You cannot post as this author');
+    },
+  };
+  const worker = createWorker({ store, publisher, now: clock.now, logger: silent });
+
+  assert.deepStrictEqual(await worker.runOnce(), { published: 0, retried: 0, failed: 1 });
+  assert.strictEqual(store.rows[0].status, 'failed');
+  assert.deepStrictEqual(store.errors, [
+    { id: 'forbidden', attempt: 1, code: 'linkedin_author_forbidden', message: 'You cannot post as this author' },
+  ]);
+});
+
+test('does not publish again when the result cannot be saved', async () => {
+  const clock = createClock('2026-10-19T10:00:00Z');
+  const store = createMemoryStore([
+    { id: 'saved-later', status: 'scheduled', scheduled_at: '2026-10-19T10:00:00Z', content: 'Hola' },
+  ]);
+  store.markPublished = async () => {
+    throw new Error('Database unavailable');
+  };
+  let published = 0;
+  const publisher = {
+    publish: async () => {
+      published += 1;
+      return { urn: 'urn:li:share:1' };
+    },
+  };
+  const worker = createWorker({ store, publisher, lockMs: 1000, now: clock.now, logger: silent });
+
+  assert.deepStrictEqual(await worker.runOnce(), { published: 1, retried: 0, failed: 0 });
+  clock.advance(60 * 60 * 1000);
+  assert.deepStrictEqual(await worker.runOnce(), { published: 0, retried: 0, failed: 0 });
+  assert.strictEqual(published, 1);
+  assert.strictEqual(store.rows[0].status, 'publishing');
+  assert.deepStrictEqual(store.errors, []);
+});
+
+test('doubles the retry delay on every attempt', () => {
+  assert.deepStrictEqual([1, 2, 3].map((attempt) => getRetryDelay(attempt, 1000)), [1000, 2000, 4000]);
+});
@@ -0,0 +1,23 @@
+const { createClient } = require('@supabase/supabase-js');
+const config = require('./config');
+
+const supabase = createClient(config.supabase.url, config.supabase.anonKey, {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false,
+  },
+});
+
+// Cliente con la service role: se salta RLS, así que solo se usa para tablas
+// que el navegador no debe leer nunca (los tokens de LinkedIn) y para la API de
+// administración de Auth (emails de invitación)
+const supabaseAdmin = config.supabase.serviceRoleKey
+  ? createClient(config.supabase.url, config.supabase.serviceRoleKey, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+    },
+  })
+  : null;
+
+module.exports = { supabase, supabaseAdmin };
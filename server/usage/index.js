@@ -0,0 +1,12 @@
+const config = require('../config');
+const { supabaseAdmin } = require('../supabase');
+const { createUsageMeter } = require('./meter');
+const { parsePlans } = require('./quotas');
+
+const usage = createUsageMeter({
+  store: supabaseAdmin ? require('./store') : null,
+  plans: parsePlans(config.usage.plans),
+  defaultPlan: config.usage.defaultPlan,
+});
+
+module.exports = usage;
@@ -0,0 +1,62 @@
+const { HttpError } = require('../errors');
+const { resolveQuota, getPeriodStarts, getErrorCategory, estimateTokens } = require('./quotas');
+
+// Registro de cada llamada al modelo y comprobación de las cuotas antes de hacerla.
+// `store` lee y escribe las tablas de uso; sin él (no hay service role) no se registra
+// nada y no hay cuotas
+const createUsageMeter = ({ store, plans, defaultPlan, now = () => new Date() }) => {
+  const getStatus = async (userId) => {
+    if (!store) {
+      return { enabled: false };
+    }
+    const { day, month } = getPeriodStarts(now());
+    const [override, usedToday, usedThisMonth] = await Promise.all([
+      store.getQuota(userId),
+      store.countSince(userId, day),
+      store.countSince(userId, month),
+    ]);
+    const quota = resolveQuota({ plans, defaultPlan, override });
+    return {
+      enabled: true,
+      plan: quota.plan,
+      daily: { used: usedToday, limit: quota.daily },
+      monthly: { used: usedThisMonth, limit: quota.monthly },
+    };
+  };
+
+  const quotaExceeded = (period) => new HttpError(429, 'quota_exceeded', `The ${period} generation quota has been used up`);
+
+  // Reserva la generación en la cuota (o la rechaza con 429) y empieza a medirla. `finish`
+  // se llama una vez, al terminar, con el texto devuelto y los tokens del proveedor; `error`
+  // si falló y `cancelled` si la cortó el cliente
+  const start = async (userId, { provider, model, prompt, messages }) => {
+    let usageId = null;
+    if (store) {
+      const quota = resolveQuota({ plans, defaultPlan, override: await store.getQuota(userId) });
+      const { day, month } = getPeriodStarts(now());
+      const { id, exceeded } = await store.reserve({ userId, provider, model, day, month, daily: quota.daily, monthly: quota.monthly });
+      if (exceeded) throw quotaExceeded(exceeded);
+      usageId = id;
+    }
+    const startedAt = now();
+    const promptText = messages ? messages.map(({ content }) => content).join('\n') : prompt;
+
+    const finish = ({ text = '', usage = null, error = null, cancelled = false }) => {
+      if (!store) return Promise.resolve();
+      return store.complete(usageId, {
+        prompt_tokens: usage?.promptTokens ?? estimateTokens(promptText),
+        output_tokens: usage?.outputTokens ?? estimateTokens(text),
+        tokens_estimated: !usage,
+        latency_ms: now() - startedAt,
+        status: cancelled ? 'cancelled' : error ? 'error' : 'success',
+        error_category: error && !cancelled ? getErrorCategory(error) : null,
+      }).catch((updateError) => console.error('Error recording usage:', updateError));
+    };
+
+    return { finish };
+  };
+
+  return { getStatus, start };
+};
+
+module.exports = { createUsageMeter };
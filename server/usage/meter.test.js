@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUsageMeter } = require('./meter');
+const { parsePlans, resolveQuota, getPeriodStarts, getErrorCategory } = require('./quotas');
+const { HttpError } = require('../errors');
+
+const plans = { free: { daily: 2, monthly: 3 }, pro: { daily: null, monthly: 100 } };
+
+// Tabla de uso en memoria con las reglas de count_charged_usage y reserve_generation_usage
+// (supabase/migrations): cuenta todo lo que gastó tokens, también lo cancelado y lo que sigue
+// en curso, salvo las reservas de hace más de 15 minutos que nadie completó
+const PENDING_EXPIRY_MS = 15 * 60 * 1000;
+
+const isCharged = ({ status, output_tokens: outputTokens, created_at: createdAt }, now) => ['success', 'cancelled'].includes(status)
+  || (status === 'error' && outputTokens > 0)
+  || (status === 'pending' && now - new Date(createdAt) < PENDING_EXPIRY_MS);
+
+const createMeter = ({ rows = [], quota = null, times = ['2026-10-19T10:00:00Z'] } = {}) => {
+  const table = rows.map((row) => ({ status: 'success', output_tokens: 10, ...row }));
+  let tick = 0;
+  // El reloj de la base de datos, now() en SQL
+  const databaseNow = new Date(times[0]);
+  const countSince = (userId, since) => table
+    .filter((row) => row.user_id === userId && new Date(row.created_at) >= since && isCharged(row, databaseNow))
+    .length;
+  const meter = createUsageMeter({
+    store: {
+      getQuota: async () => quota,
+      countSince: async (userId, since) => countSince(userId, since),
+      reserve: async ({ userId, provider, model, day, month, daily, monthly }) => {
+        if (daily !== null && countSince(userId, day) >= daily) return { id: null, exceeded: 'daily' };
+        if (monthly !== null && countSince(userId, month) >= monthly) return { id: null, exceeded: 'monthly' };
+        const id = `usage-${table.length + 1}`;
+        table.push({ id, user_id: userId, provider, model, status: 'pending', output_tokens: 0, created_at: databaseNow.toISOString() });
+        return { id, exceeded: null };
+      },
+      complete: async (id, values) => {
+        Object.assign(table.find((row) => row.id === id), values);
+      },
+    },
+    plans,
+    defaultPlan: 'free',
+    now: () => new Date(times[Math.min(tick++, times.length - 1)]),
+  });
+  return { meter, table };
+};
+
+const request = { provider: 'gemini', model: 'gemini-2.0-flash', prompt: 'Escribe un post' };
+
+test('parses the plans and falls back to the default ones', () => {
+  assert.deepStrictEqual(parsePlans(undefined), { free: { daily: 100, monthly: 2000 } });
+  assert.deepStrictEqual(parsePlans('{"pro":{"daily":null,"monthly":10}}'), { pro: { daily: null, monthly: 10 } });
+  assert.throws(() => parsePlans('{nope'), /valid JSON/);
+  assert.throws(() => parsePlans('{"pro":{"daily":-1}}'), /daily, monthly/);
+});
+
+test('a user quota picks the plan and may override its limits', () => {
+  assert.deepStrictEqual(resolveQuota({ plans, defaultPlan: 'free', override: null }), { plan: 'free', daily: 2, monthly: 3 });
+  assert.deepStrictEqual(
+    resolveQuota({ plans, defaultPlan: 'free', override: { plan: 'pro', daily_limit: null, monthly_limit: 500 } }),
+    { plan: 'pro', daily: null, monthly: 500 }
+  );
+  assert.strictEqual(resolveQuota({ plans, defaultPlan: 'free', override: { plan: 'gone' } }).plan, 'free');
+});
+
+test('periods start at midnight and on the first of the month in UTC', () => {
+  const { day, month } = getPeriodStarts(new Date('2026-10-19T23:30:00-05:00'));
+  assert.strictEqual(day.toISOString(), '2026-10-20T00:00:00.000Z');
+  assert.strictEqual(month.toISOString(), '2026-10-01T00:00:00.000Z');
+});
+
+test('rejects generations once the daily or monthly quota is used up', async () => {
+  const today = { user_id: 'u1', created_at: '2026-10-19T08:00:00Z' };
+  const earlier = { user_id: 'u1', created_at: '2026-10-02T08:00:00Z' };
+
+  await createMeter({ rows: [today] }).meter.start('u1', request);
+  await assert.rejects(
+    createMeter({ rows: [today, today] }).meter.start('u1', request),
+    (err) => err instanceof HttpError && err.status === 429 && err.code === 'quota_exceeded' && /daily/.test(err.message)
+  );
+  await assert.rejects(createMeter({ rows: [today, earlier, earlier] }).meter.start('u1', request), /monthly/);
+  await createMeter({ rows: [today, today], quota: { plan: 'pro' } }).meter.start('u1', request);
+
+  const { meter } = createMeter({ rows: [today] });
+  assert.deepStrictEqual(await meter.getStatus('u1'), {
+    enabled: true,
+    plan: 'free',
+    daily: { used: 1, limit: 2 },
+    monthly: { used: 1, limit: 3 },
+  });
+});
+
+test('counts cancelled generations and errors that produced text', async () => {
+  const row = { user_id: 'u1', created_at: '2026-10-19T08:00:00Z' };
+
+  await assert.rejects(
+    createMeter({ rows: [{ ...row, status: 'cancelled' }, { ...row, status: 'error', output_tokens: 5 }] }).meter.start('u1', request),
+    { code: 'quota_exceeded' }
+  );
+  await createMeter({ rows: [{ ...row, status: 'error', output_tokens: 0 }, { ...row, status: 'error', output_tokens: 0 }] }).meter.start('u1', request);
+});
+
+test('stops counting reservations that were never completed', async () => {
+  const row = { user_id: 'u1', status: 'pending', output_tokens: 0 };
+  // Un proceso que se cayó a las 9:00 con la generación a medias, y otra que sigue en curso
+  const rows = [{ ...row, created_at: '2026-10-19T09:00:00Z' }, { ...row, created_at: '2026-10-19T09:55:00Z' }];
+
+  await createMeter({ rows }).meter.start('u1', request);
+  await assert.rejects(createMeter({ rows: [rows[1], rows[1]] }).meter.start('u1', request), { code: 'quota_exceeded' });
+});
+
+test('reserves the quota before generating, so parallel generations cannot all get through', async () => {
+  const { meter, table } = createMeter({ rows: [{ user_id: 'u1', created_at: '2026-10-19T08:00:00Z' }] });
+
+  const results = await Promise.allSettled([1, 2, 3].map(() => meter.start('u1', request)));
+
+  assert.deepStrictEqual(results.map(({ status }) => status), ['fulfilled', 'rejected', 'rejected']);
+  assert.deepStrictEqual(table.map(({ status }) => status), ['success', 'pending']);
+});
+
+test('records tokens, latency and the outcome of each generation', async () => {
+  const { meter, table } = createMeter({ quota: { plan: 'pro' }, times: ['2026-10-19T10:00:00.000Z', '2026-10-19T10:00:00.000Z', '2026-10-19T10:00:01.250Z'] });
+
+  await (await meter.start('u1', request)).finish({ text: 'Hola', usage: { promptTokens: 12, outputTokens: 40 } });
+  await (await meter.start('u1', request)).finish({ text: 'Hola mundo', error: new HttpError(504, 'stream_stalled', 'Stalled') });
+  await (await meter.start('u1', { ...request, prompt: undefined, messages: [{ role: 'user', content: '12345678' }] }))
+    .finish({ error: new Error('aborted'), cancelled: true });
+
+  const { id, created_at: createdAt, ...first } = table[0];
+  assert.deepStrictEqual(first, {
+    user_id: 'u1',
+    provider: 'gemini',
+    model: 'gemini-2.0-flash',
+    prompt_tokens: 12,
+    output_tokens: 40,
+    tokens_estimated: false,
+    latency_ms: 1250,
+    status: 'success',
+    error_category: null,
+  });
+  // Sin datos del proveedor los tokens se estiman a partir del texto
+  assert.deepStrictEqual(
+    [table[1].prompt_tokens, table[1].output_tokens, table[1].tokens_estimated, table[1].status, table[1].error_category],
+    [4, 3, true, 'error', 'stalled']
+  );
+  assert.deepStrictEqual([table[2].prompt_tokens, table[2].status, table[2].error_category], [2, 'cancelled', null]);
+});
+
+test('groups backend error codes into categories', () => {
+  assert.strictEqual(getErrorCategory(new HttpError(502, 'upstream_error', 'Bad gateway')), 'upstream');
+  assert.strictEqual(getErrorCategory(new HttpError(503, 'provider_not_configured', 'Missing key')), 'configuration');
+  assert.strictEqual(getErrorCategory(new HttpError(400, 'invalid_request', 'Bad messages')), 'invalid_request');
+  assert.strictEqual(getErrorCategory(new TypeError('boom')), 'internal');
+});
+
+test('without a store nothing is recorded and there are no quotas', async () => {
+  const meter = createUsageMeter({ store: null, plans, defaultPlan: 'free' });
+  assert.deepStrictEqual(await meter.getStatus('u1'), { enabled: false });
+  await (await meter.start('u1', { provider: 'mock', prompt: 'x' })).finish({ text: 'y' });
+});
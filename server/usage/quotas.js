@@ -0,0 +1,66 @@
+// Cuotas de generaciones por usuario. Cada plan tiene un límite diario y otro mensual
+// (null = sin límite); la fila de un usuario en `usage_quotas` elige su plan y puede
+// cambiar cualquiera de los dos límites solo para él
+const DEFAULT_PLANS = {
+  free: { daily: 100, monthly: 2000 },
+};
+
+const isLimit = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+// USAGE_PLANS es un JSON como {"free":{"daily":20,"monthly":300},"pro":{"daily":null,"monthly":5000}}
+const parsePlans = (value) => {
+  if (!value) return DEFAULT_PLANS;
+  let plans;
+  try {
+    plans = JSON.parse(value);
+  } catch {
+    throw new Error('USAGE_PLANS must be valid JSON');
+  }
+  const valid = plans && typeof plans === 'object' && !Array.isArray(plans)
+    && Object.values(plans).every((plan) => plan && isLimit(plan.daily ?? null) && isLimit(plan.monthly ?? null));
+  if (!valid) {
+    throw new Error('USAGE_PLANS must map plan names to { daily, monthly } limits');
+  }
+  return plans;
+};
+
+const resolveQuota = ({ plans, defaultPlan, override }) => {
+  const plan = override?.plan && plans[override.plan] ? override.plan : defaultPlan;
+  const limits = plans[plan] ?? {};
+  return {
+    plan,
+    daily: override?.daily_limit ?? limits.daily ?? null,
+    monthly: override?.monthly_limit ?? limits.monthly ?? null,
+  };
+};
+
+// Los periodos empiezan a medianoche y el día 1 en UTC, igual para todos los usuarios
+const getPeriodStarts = (now) => ({
+  day: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+  month: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+});
+
+const ERROR_CATEGORIES = {
+  stream_stalled: 'stalled',
+  upstream_error: 'upstream',
+  invalid_response: 'upstream',
+  provider_not_configured: 'configuration',
+  unknown_provider: 'configuration',
+  invalid_model: 'configuration',
+  invalid_request: 'invalid_request',
+};
+
+// Categoría del fallo para el registro de uso: agrupa los códigos de error del backend
+const getErrorCategory = (error) => ERROR_CATEGORIES[error?.code] ?? 'internal';
+
+// Aproximación para los proveedores que no informan de los tokens (~4 caracteres por token)
+const estimateTokens = (text) => Math.ceil((text ?? '').length / 4);
+
+module.exports = {
+  DEFAULT_PLANS,
+  parsePlans,
+  resolveQuota,
+  getPeriodStarts,
+  getErrorCategory,
+  estimateTokens,
+};
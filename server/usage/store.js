@@ -0,0 +1,46 @@
+const { supabaseAdmin } = require('../supabase');
+
+// El registro de uso solo lo escribe el backend, con la service role; el navegador lo lee con RLS
+const getQuota = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('usage_quotas')
+    .select('plan, daily_limit, monthly_limit')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// Generaciones que cuentan para la cuota (ver count_charged_usage en la migración)
+const countSince = async (userId, since) => {
+  const { data, error } = await supabaseAdmin.rpc('count_charged_usage', {
+    target_user_id: userId,
+    since: since.toISOString(),
+  });
+  if (error) throw error;
+  return data ?? 0;
+};
+
+// Comprueba la cuota y reserva una fila `pending` en la misma transacción.
+// Devuelve { id } o { exceeded: 'daily' | 'monthly' }
+const reserve = async ({ userId, provider, model, day, month, daily, monthly }) => {
+  const { data, error } = await supabaseAdmin.rpc('reserve_generation_usage', {
+    target_user_id: userId,
+    target_provider: provider,
+    target_model: model,
+    day_start: day.toISOString(),
+    month_start: month.toISOString(),
+    daily_limit: daily,
+    monthly_limit: monthly,
+  });
+  if (error) throw error;
+  const [{ usage_id: id, exceeded }] = data;
+  return { id, exceeded };
+};
+
+const complete = async (id, values) => {
+  const { error } = await supabaseAdmin.from('generation_usage').update(values).eq('id', id);
+  if (error) throw error;
+};
+
+module.exports = { getQuota, countSince, reserve, complete };
@@ -0,0 +1,29 @@
+const config = require('./config');
+const store = require('./scheduler/store');
+const { createPublisher } = require('./scheduler/publishers');
+const { createWorker } = require('./scheduler/worker');
+
+// Publica los posts programados que vencen. `--once` hace una sola pasada y termina
+const { publisher: publisherName, intervalMs, maxAttempts, retryDelayMs, batchSize, fakeFailureRate } = config.scheduler;
+
+const worker = createWorker({
+  store,
+  publisher: createPublisher(publisherName, { failureRate: fakeFailureRate }),
+  maxAttempts,
+  retryDelayMs,
+  batchSize,
+});
+
+if (process.argv.includes('--once')) {
+  worker.runOnce()
+    .then((summary) => console.log('Scheduler:', summary))
+    .catch((error) => {
+      console.error('Scheduler pass failed:', error);
+      process.exitCode = 1;
+    });
+} else {
+  console.log(`Worker de publicación (${publisherName}) comprobando la cola cada ${intervalMs / 1000} s`);
+  const stop = worker.start(intervalMs);
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
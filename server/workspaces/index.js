@@ -0,0 +1,11 @@
+const config = require('../config');
+const store = require('./store');
+const { createInvitationSender } = require('./invitations');
+
+const invitations = createInvitationSender({
+  store,
+  auth: { inviteUserByEmail: store.inviteUserByEmail },
+  appUrl: config.appUrl,
+});
+
+module.exports = { sendInvitation: invitations.send };
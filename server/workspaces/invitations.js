@@ -0,0 +1,27 @@
+const { HttpError } = require('../errors');
+
+// Envía el email de una invitación que el owner ya ha guardado desde el navegador (con RLS).
+// `store` lee invitaciones y roles con la service role; `auth` es `supabase.auth.admin`.
+// Si el invitado ya tiene cuenta Supabase no manda nada: verá la invitación al entrar en la app
+const createInvitationSender = ({ store, auth, appUrl }) => ({
+  send: async (userId, invitationId) => {
+    const invitation = await store.getInvitation(invitationId);
+    if (!invitation) {
+      throw new HttpError(404, 'invitation_not_found', 'Invitation not found');
+    }
+    if (await store.getRole(invitation.workspace_id, userId) !== 'owner') {
+      throw new HttpError(403, 'forbidden', 'Only workspace owners can send invitations');
+    }
+
+    const { error } = await auth.inviteUserByEmail(invitation.email, { redirectTo: appUrl });
+    if (error) {
+      if (error.code === 'email_exists' || error.status === 422) {
+        return { sent: false, reason: 'existing_user' };
+      }
+      throw error;
+    }
+    return { sent: true };
+  },
+});
+
+module.exports = { createInvitationSender };
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInvitationSender } = require('./invitations');
+const { HttpError } = require('../errors');
+
+const invitation = { id: 'inv-1', workspace_id: 'ws-1', email: 'ana@example.com', role: 'editor' };
+
+const createSender = ({ role = 'owner', authError = null } = {}) => {
+  const sent = [];
+  const sender = createInvitationSender({
+    store: {
+      getInvitation: async (id) => (id === invitation.id ? invitation : null),
+      getRole: async (workspaceId, userId) => (workspaceId === 'ws-1' && userId === 'owner-1' ? role : null),
+    },
+    auth: {
+      inviteUserByEmail: async (email, options) => {
+        sent.push({ email, options });
+        return { data: authError ? null : { user: { email } }, error: authError };
+      },
+    },
+    appUrl: 'http://localhost:3000',
+  });
+  return { sender, sent };
+};
+
+test('sends the invitation email when an owner asks for it', async () => {
+  const { sender, sent } = createSender();
+  assert.deepStrictEqual(await sender.send('owner-1', 'inv-1'), { sent: true });
+  assert.deepStrictEqual(sent, [{ email: 'ana@example.com', options: { redirectTo: 'http://localhost:3000' } }]);
+});
+
+test('only owners of the workspace can send invitations', async () => {
+  const { sender, sent } = createSender({ role: 'editor' });
+  await assert.rejects(sender.send('owner-1', 'inv-1'), (err) => err instanceof HttpError && err.status === 403);
+  await assert.rejects(sender.send('someone-else', 'inv-1'), (err) => err.status === 403);
+  await assert.rejects(sender.send('owner-1', 'missing'), (err) => err.code === 'invitation_not_found');
+  assert.strictEqual(sent.length, 0);
+});
+
+test('leaves existing users to accept the invitation in the app', async () => {
+  const { sender } = createSender({ authError: { status: 422, code: 'email_exists', message: 'User already registered' } });
+  assert.deepStrictEqual(await sender.send('owner-1', 'inv-1'), { sent: false, reason: 'existing_user' });
+
+  const failing = createSender({ authError: { status: 500, message: 'SMTP down' } }).sender;
+  await assert.rejects(failing.send('owner-1', 'inv-1'), { message: 'SMTP down' });
+});
@@ -0,0 +1,35 @@
+const { supabaseAdmin } = require('../supabase');
+const { HttpError } = require('../errors');
+
+// Enviar invitaciones usa la API de administración de Supabase Auth: hace falta la service role
+const getAdmin = () => {
+  if (!supabaseAdmin) {
+    throw new HttpError(503, 'invitations_not_configured', 'SUPABASE_SERVICE_ROLE_KEY is not configured');
+  }
+  return supabaseAdmin;
+};
+
+const getInvitation = async (id) => {
+  const { data, error } = await getAdmin()
+    .from('workspace_invitations')
+    .select('id, workspace_id, email, role')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+const getRole = async (workspaceId, userId) => {
+  const { data, error } = await getAdmin()
+    .from('workspace_members')
+    .select('role')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.role ?? null;
+};
+
+const inviteUserByEmail = (email, options) => getAdmin().auth.admin.inviteUserByEmail(email, options);
+
+module.exports = { getInvitation, getRole, inviteUserByEmail };
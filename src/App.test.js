@@ -1,8 +1,18 @@
-import { render, screen } from '@testing-library/react';
+import { screen } from '@testing-library/react';
 import App from './App';
+import { renderWithAuth, t } from './test-utils';
+import { signIn } from './mocks/handlers';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+test('sends signed-out visitors to the login page', async () => {
+  renderWithAuth(<App />);
+
+  expect(await screen.findByRole('heading', { name: t('auth.login.title') })).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/login');
+});
+
+test('opens the generator with a stored session', async () => {
+  signIn();
+  renderWithAuth(<App />);
+
+  expect(await screen.findByRole('button', { name: t('generator.generate') })).toBeInTheDocument();
 });
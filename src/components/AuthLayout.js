@@ -0,0 +1,15 @@
+import { Outlet } from 'react-router-dom';
+import { Box } from '@mui/material';
+import LanguageSwitcher from './LanguageSwitcher';
+
+// Pantallas de acceso: sin cabecera, solo el selector de idioma
+export default function AuthLayout() {
+  return (
+    <>
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', px: 2, pt: 2 }}>
+        <LanguageSwitcher />
+      </Box>
+      <Outlet />
+    </>
+  );
+}
@@ -0,0 +1,393 @@
+import { useState, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Box, Button, TextField, ToggleButtonGroup, ToggleButton, FormControl, InputLabel, Select, MenuItem, Table, TableHead, TableBody, TableRow, TableCell, TableContainer, Paper, Chip, IconButton, Tooltip, Typography, LinearProgress, CircularProgress } from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import RssFeedIcon from '@mui/icons-material/RssFeed';
+import PlaylistAddIcon from '@mui/icons-material/PlaylistAdd';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import StopIcon from '@mui/icons-material/Stop';
+import DownloadIcon from '@mui/icons-material/Download';
+import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import { parseUrlList, readUrlsFromCsv, runWithConcurrency, toCsv, BATCH_CONCURRENCY_OPTIONS, DEFAULT_BATCH_CONCURRENCY, MAX_BATCH_ITEMS } from '../services/batch';
+import { fetchFeed } from '../services/feed';
+import { extractArticle } from '../services/extract';
+import { generatePost, getGenerationErrorKey } from '../services/generation';
+import { getViolationMessage } from '../services/validation';
+import { savePost, listProcessedUrls } from '../services/posts';
+import { countCharacters } from '../services/linkedinFormat';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const STATUS_COLORS = {
+  pending: 'default',
+  skipped: 'default',
+  extracting: 'info',
+  generating: 'info',
+  done: 'success',
+  cancelled: 'warning',
+  error: 'error'
+};
+
+const RUNNING_STATUSES = ['extracting', 'generating'];
+
+const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Genera un post por cada URL de una lista, un CSV o un feed, con los ajustes actuales del generador
+export default function BatchGenerator({ settings }) {
+  const { user } = useAuth();
+  const { workspace } = useWorkspace();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [source, setSource] = useState('urls');
+  const [urlList, setUrlList] = useState('');
+  const [feedUrl, setFeedUrl] = useState('');
+  const [concurrency, setConcurrency] = useState(DEFAULT_BATCH_CONCURRENCY);
+  const [items, setItems] = useState([]);
+  const [loadingSource, setLoadingSource] = useState(false);
+  const [running, setRunning] = useState(false);
+  const controllersRef = useRef(new Map());
+  const stoppedRef = useRef(false);
+
+  const updateItem = (id, patch) => {
+    setItems((current) => current.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  };
+
+  // Añade elementos a la tabla; los que ya tienen post en el historial se saltan
+  const addItems = async (entries) => {
+    const known = new Set(items.map((item) => item.url));
+    const fresh = entries.filter((entry) => !known.has(entry.url)).slice(0, Math.max(0, MAX_BATCH_ITEMS - items.length));
+    if (!fresh.length) {
+      notify(t('batch.nothingToAdd'), 'info');
+      return;
+    }
+    const processed = await listProcessedUrls({ workspaceId: workspace.id, urls: fresh.map((entry) => entry.url) });
+    setItems((current) => [
+      ...current,
+      ...fresh.map((entry, index) => ({
+        id: `${Date.now()}-${index}`,
+        url: entry.url,
+        title: entry.title,
+        status: processed.has(entry.url) ? 'skipped' : 'pending',
+        content: '',
+        error: null,
+        post: null
+      }))
+    ]);
+    if (entries.length > fresh.length) notify(t('batch.someIgnored', { count: entries.length - fresh.length }), 'info');
+  };
+
+  const handleAdd = async (load) => {
+    try {
+      setLoadingSource(true);
+      await addItems(await load());
+    } catch (error) {
+      console.error('Error loading batch source:', error);
+      notify(t(getGenerationErrorKey(error)));
+    } finally {
+      setLoadingSource(false);
+    }
+  };
+
+  const handleCsvFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    handleAdd(async () => readUrlsFromCsv(await file.text()));
+  };
+
+  const processItem = async (item, runSettings) => {
+    const controller = new AbortController();
+    controllersRef.current.set(item.id, controller);
+    updateItem(item.id, { status: 'extracting', content: '', error: null, violations: [] });
+    try {
+      const article = await extractArticle(item.url, { signal: controller.signal });
+      updateItem(item.id, { status: 'generating', title: article.title ?? item.title });
+      const { text, cancelled, violations } = await generatePost({ article, url: item.url, ...runSettings, signal: controller.signal });
+      if (cancelled) {
+        updateItem(item.id, { status: 'cancelled', content: text });
+        return;
+      }
+      const post = await savePost({
+        userId: user.id,
+        workspaceId: workspace.id,
+        url: item.url,
+        title: article.title,
+        content: text,
+        tone: runSettings.tone || null,
+        postLength: runSettings.postLength,
+        useEmojis: runSettings.useEmojis,
+        provider: runSettings.provider,
+        model: runSettings.model,
+        language: runSettings.language,
+        templateId: runSettings.template.id,
+        templateVersion: runSettings.template.version,
+        voiceProfileId: runSettings.voice?.id ?? null
+      });
+      updateItem(item.id, { status: 'done', content: text, post, violations });
+    } catch (error) {
+      if (error.name === 'AbortError' && stoppedRef.current) {
+        updateItem(item.id, { status: 'cancelled', content: error.partialText ?? '' });
+        return;
+      }
+      console.error('Error generating batch item:', error);
+      updateItem(item.id, { status: 'error', content: error.partialText ?? '', error: getGenerationErrorKey(error) });
+    } finally {
+      controllersRef.current.delete(item.id);
+    }
+  };
+
+  const handleRun = async () => {
+    const pending = items.filter((item) => item.status === 'pending');
+    if (!pending.length) return;
+    // Los ajustes se fijan al empezar: cambiarlos a mitad no afecta al lote en curso
+    const runSettings = settings;
+    stoppedRef.current = false;
+    setRunning(true);
+    try {
+      await runWithConcurrency(pending, concurrency, (item) => processItem(item, runSettings), {
+        shouldStop: () => stoppedRef.current
+      });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleRetry = (item) => {
+    stoppedRef.current = false;
+    processItem(item, settings);
+  };
+
+  const handleStop = () => {
+    stoppedRef.current = true;
+    controllersRef.current.forEach((controller) => controller.abort());
+  };
+
+  const handleCopy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      notify(t('common.copied'), 'success');
+    } catch (err) {
+      notify(t('common.copyFailed'));
+    }
+  };
+
+  const getViolationMessages = (item) =>
+    (item.violations ?? []).map((violation) => getViolationMessage(violation, t));
+
+  const exportRows = () => items.map((item) => ({
+    url: item.url,
+    title: item.title,
+    status: item.status,
+    content: item.content,
+    error: item.error ? t(item.error) : null,
+    violations: getViolationMessages(item).join(' ') || null,
+    postId: item.post?.id ?? null
+  }));
+
+  const finished = items.filter((item) => ['done', 'error', 'cancelled', 'skipped'].includes(item.status)).length;
+  const busy = running || items.some((item) => RUNNING_STATUSES.includes(item.status));
+  const pendingCount = items.filter((item) => item.status === 'pending').length;
+
+  return (
+    <Box sx={{ mb: 4 }}>
+      {/* Origen del lote */}
+      <ToggleButtonGroup
+        value={source}
+        exclusive
+        onChange={(e, value) => value && setSource(value)}
+        size="small"
+        sx={{ mb: 2 }}
+      >
+        <ToggleButton value="urls">{t('batch.sources.urls')}</ToggleButton>
+        <ToggleButton value="csv">{t('batch.sources.csv')}</ToggleButton>
+        <ToggleButton value="feed">{t('batch.sources.feed')}</ToggleButton>
+      </ToggleButtonGroup>
+
+      {source === 'urls' && (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            maxRows={10}
+            label={t('batch.urlList')}
+            placeholder={'https://…\nhttps://…'}
+            value={urlList}
+            onChange={(e) => setUrlList(e.target.value)}
+          />
+          <Button
+            variant="outlined"
+            startIcon={<PlaylistAddIcon />}
+            onClick={() => handleAdd(async () => parseUrlList(urlList)).then(() => setUrlList(''))}
+            disabled={loadingSource || !urlList.trim()}
+            sx={{ flexShrink: 0 }}
+          >
+            {t('batch.add')}
+          </Button>
+        </Box>
+      )}
+
+      {source === 'csv' && (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={loadingSource}>
+            {t('batch.uploadCsv')}
+            <input type="file" accept=".csv,text/csv" hidden onChange={handleCsvFile} />
+          </Button>
+          <Typography variant="body2" color="text.secondary">
+            {t('batch.csvHint')}
+          </Typography>
+        </Box>
+      )}
+
+      {source === 'feed' && (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+          <TextField
+            fullWidth
+            label={t('batch.feedUrl')}
+            value={feedUrl}
+            onChange={(e) => setFeedUrl(e.target.value)}
+            helperText={t('batch.feedHint')}
+          />
+          <Button
+            variant="outlined"
+            startIcon={<RssFeedIcon />}
+            onClick={() => handleAdd(async () => (await fetchFeed(feedUrl.trim())).items)}
+            disabled={loadingSource || !feedUrl.trim()}
+            sx={{ flexShrink: 0, mt: 1 }}
+          >
+            {t('batch.loadFeed')}
+          </Button>
+        </Box>
+      )}
+
+      {loadingSource && <LinearProgress sx={{ mt: 2 }} />}
+
+      {/* Controles */}
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mt: 3 }}>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel>{t('batch.concurrency')}</InputLabel>
+          <Select value={concurrency} onChange={(e) => setConcurrency(e.target.value)} label={t('batch.concurrency')} disabled={running}>
+            {BATCH_CONCURRENCY_OPTIONS.map((count) => (
+              <MenuItem key={count} value={count}>{count}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button
+          variant="contained"
+          onClick={handleRun}
+          disabled={busy || !pendingCount}
+          startIcon={running ? <CircularProgress size={18} color="inherit" /> : null}
+        >
+          {running ? t('generator.generating') : t('batch.run', { count: pendingCount })}
+        </Button>
+        {busy && (
+          <Button variant="outlined" color="error" startIcon={<StopIcon />} onClick={handleStop}>
+            {t('common.stop')}
+          </Button>
+        )}
+        <Box sx={{ flexGrow: 1 }} />
+        <Button
+          size="small"
+          startIcon={<DownloadIcon />}
+          onClick={() => downloadFile(toCsv(exportRows()), 'postink-batch.csv', 'text/csv;charset=utf-8')}
+          disabled={!items.length}
+        >
+          CSV
+        </Button>
+        <Button
+          size="small"
+          startIcon={<DownloadIcon />}
+          onClick={() => downloadFile(JSON.stringify(exportRows(), null, 2), 'postink-batch.json', 'application/json')}
+          disabled={!items.length}
+        >
+          JSON
+        </Button>
+        <Button size="small" color="inherit" onClick={() => setItems([])} disabled={busy || !items.length}>
+          {t('batch.clear')}
+        </Button>
+      </Box>
+
+      {/* Progreso */}
+      {items.length > 0 && (
+        <>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+            <LinearProgress variant="determinate" value={(finished / items.length) * 100} sx={{ flexGrow: 1 }} />
+            <Typography variant="body2" color="text.secondary">
+              {finished}/{items.length}
+            </Typography>
+          </Box>
+          <TableContainer component={Paper} variant="outlined" sx={{ mt: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('batch.article')}</TableCell>
+                  <TableCell>{t('batch.status')}</TableCell>
+                  <TableCell align="right">{t('batch.length')}</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {items.map((item) => (
+                  <TableRow key={item.id}>
+                    <TableCell sx={{ maxWidth: 280 }}>
+                      <Typography variant="body2" noWrap>{item.title || item.url}</Typography>
+                      <Typography variant="caption" color="text.secondary" noWrap component="div">{item.url}</Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title={item.error ? t(item.error) : ''}>
+                        <Chip size="small" color={STATUS_COLORS[item.status]} label={t(`batch.statuses.${item.status}`)} />
+                      </Tooltip>
+                      {item.violations?.length > 0 && (
+                        <Tooltip title={getViolationMessages(item).join(' ')}>
+                          <WarningAmberIcon color="warning" fontSize="small" sx={{ ml: 1, verticalAlign: 'middle' }} />
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      {item.content ? countCharacters(item.content) : '–'}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      {['error', 'cancelled', 'skipped'].includes(item.status) && (
+                        <Tooltip title={t('batch.retry')}>
+                          <IconButton size="small" onClick={() => handleRetry(item)}>
+                            <RefreshIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {item.content && (
+                        <Tooltip title={t('common.copy')}>
+                          <IconButton size="small" onClick={() => handleCopy(item.content)}>
+                            <ContentCopyIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {item.post && (
+                        <Tooltip title={t('common.open')}>
+                          <IconButton size="small" onClick={() => navigate('/', { state: { post: item.post } })}>
+                            <OpenInNewIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Box>
+  );
+}
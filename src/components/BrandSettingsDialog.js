@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Box, Typography, TextField } from '@mui/material';
+import { saveBrandSettings } from '../services/brand';
+import { DEFAULT_BRAND, MAX_LOGO_SIZE, isHexColor } from '../services/visuals';
+import { loadImageFromBlob } from '../services/canvas';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const COLOR_FIELDS = ['primaryColor', 'backgroundColor', 'textColor'];
+// Límite del data URL en la tabla brand_settings
+const MAX_LOGO_LENGTH = 300000;
+
+// Reduce el logo a MAX_LOGO_SIZE px por el lado mayor y lo devuelve como PNG en data URL
+const resizeLogo = async (file) => {
+  const image = await loadImageFromBlob(file);
+  const scale = Math.min(1, MAX_LOGO_SIZE / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/png');
+};
+
+export default function BrandSettingsDialog({ open, brand, onClose, onSaved }) {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [values, setValues] = useState(brand);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) setValues(brand);
+  }, [open, brand]);
+
+  const handleLogo = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const logo = await resizeLogo(file);
+      if (logo.length > MAX_LOGO_LENGTH) throw new Error('logo_too_large');
+      setValues((current) => ({ ...current, logo }));
+    } catch (error) {
+      console.error('Error loading logo:', error);
+      notify(t('visuals.brand.invalidLogo'));
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      onSaved(await saveBrandSettings({ userId: user.id, ...values }));
+      onClose();
+    } catch (error) {
+      console.error('Error saving brand settings:', error);
+      notify(t('visuals.brand.saveFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const isValid = COLOR_FIELDS.every((field) => isHexColor(values[field]));
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>{t('visuals.brand.title')}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {t('visuals.brand.hint')}
+        </Typography>
+        {/* Colores */}
+        {COLOR_FIELDS.map((field) => (
+          <Box key={field} sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+            <input
+              type="color"
+              aria-label={t(`visuals.brand.${field}`)}
+              value={isHexColor(values[field]) ? values[field] : DEFAULT_BRAND[field]}
+              onChange={(e) => setValues((current) => ({ ...current, [field]: e.target.value }))}
+              style={{ width: 48, height: 40, padding: 0, border: 'none', background: 'none', cursor: 'pointer' }}
+            />
+            <TextField
+              label={t(`visuals.brand.${field}`)}
+              value={values[field]}
+              onChange={(e) => setValues((current) => ({ ...current, [field]: e.target.value.trim() }))}
+              error={!isHexColor(values[field])}
+              size="small"
+              fullWidth
+            />
+          </Box>
+        ))}
+        {/* Logo */}
+        <Typography variant="subtitle2" gutterBottom>
+          {t('visuals.brand.logo')}
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          {values.logo && (
+            <Box
+              component="img"
+              src={values.logo}
+              alt=""
+              sx={{ maxWidth: 96, maxHeight: 48, objectFit: 'contain', bgcolor: values.backgroundColor, p: 0.5, borderRadius: 1, border: 1, borderColor: 'divider' }}
+            />
+          )}
+          <Button variant="outlined" size="small" component="label">
+            {t('visuals.brand.uploadLogo')}
+            <input type="file" accept="image/png,image/jpeg,image/webp,image/svg+xml" hidden onChange={handleLogo} />
+          </Button>
+          {values.logo && (
+            <Button size="small" onClick={() => setValues((current) => ({ ...current, logo: null }))}>
+              {t('visuals.brand.removeLogo')}
+            </Button>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setValues(DEFAULT_BRAND)} sx={{ mr: 'auto' }}>
+          {t('visuals.brand.reset')}
+        </Button>
+        <Button onClick={onClose}>{t('common.cancel')}</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !isValid}>
+          {saving ? t('common.saving') : t('common.save')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,148 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Box, Typography, IconButton, Tooltip, Button, CircularProgress, Paper, ButtonBase, List, ListItemButton, ListItemText } from '@mui/material';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import { format, addDays, addMonths, subMonths, startOfMonth, isSameMonth, isToday } from 'date-fns';
+import { listScheduledPosts, listUnscheduledDrafts } from '../services/schedule';
+import { getMonthDays, getDayKey, groupByDay } from '../services/calendar';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import ScheduleDialog from './ScheduleDialog';
+import { STATUS_COLORS } from './ScheduleStatusChip';
+
+export default function CalendarPage() {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t, dateLocale } = useTranslation();
+  const [month, setMonth] = useState(() => startOfMonth(new Date()));
+  const [items, setItems] = useState([]);
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  const weekStartsOn = dateLocale.options?.weekStartsOn ?? 1;
+  const days = useMemo(() => getMonthDays(month, weekStartsOn), [month, weekStartsOn]);
+  const itemsByDay = useMemo(() => groupByDay(items), [items]);
+
+  const fetchItems = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [scheduled, unscheduled] = await Promise.all([
+        listScheduledPosts({ userId: user.id, from: days[0], to: addDays(days[days.length - 1], 1) }),
+        listUnscheduledDrafts({ userId: user.id })
+      ]);
+      setItems(scheduled);
+      setDrafts(unscheduled);
+    } catch (error) {
+      console.error('Error loading schedule:', error);
+      notify(t('calendar.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [user.id, days, notify, t]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Typography variant="h6" sx={{ flexGrow: 1, textTransform: 'capitalize' }}>
+          {format(month, 'LLLL yyyy', { locale: dateLocale })}
+        </Typography>
+        {loading && <CircularProgress size={20} />}
+        <Button size="small" onClick={() => setMonth(startOfMonth(new Date()))}>
+          {t('calendar.today')}
+        </Button>
+        <Tooltip title={t('calendar.previous')}>
+          <IconButton onClick={() => setMonth(subMonths(month, 1))}>
+            <ChevronLeftIcon />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title={t('calendar.next')}>
+          <IconButton onClick={() => setMonth(addMonths(month, 1))}>
+            <ChevronRightIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      {/* Cuadrícula del mes */}
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(0, 1fr))', gap: 0.5 }}>
+        {days.slice(0, 7).map((day) => (
+          <Typography key={day.getDay()} variant="caption" color="text.secondary" align="center" sx={{ textTransform: 'capitalize' }}>
+            {format(day, 'EEEEEE', { locale: dateLocale })}
+          </Typography>
+        ))}
+        {days.map((day) => (
+          <Paper
+            key={getDayKey(day)}
+            variant="outlined"
+            sx={{
+              minHeight: 88,
+              p: 0.5,
+              opacity: isSameMonth(day, month) ? 1 : 0.5,
+              borderColor: isToday(day) ? 'primary.main' : 'divider'
+            }}
+          >
+            <Typography variant="caption" sx={{ fontWeight: isToday(day) ? 'bold' : 'normal' }}>
+              {format(day, 'd')}
+            </Typography>
+            {(itemsByDay[getDayKey(day)] ?? []).map((item) => (
+              <ButtonBase
+                key={item.id}
+                onClick={() => setSelected(item)}
+                sx={{
+                  display: 'block',
+                  width: '100%',
+                  textAlign: 'left',
+                  mb: 0.5,
+                  px: 0.5,
+                  borderLeft: 3,
+                  borderColor: STATUS_COLORS[item.status] === 'default' ? 'grey.500' : `${STATUS_COLORS[item.status]}.main`,
+                  borderRadius: 0.5,
+                  bgcolor: 'action.hover'
+                }}
+              >
+                <Typography variant="caption" component="div" noWrap>
+                  {format(new Date(item.scheduled_at), 'HH:mm')} {item.content}
+                </Typography>
+              </ButtonBase>
+            ))}
+          </Paper>
+        ))}
+      </Box>
+
+      {/* Borradores sin fecha */}
+      <Typography variant="subtitle1" sx={{ mt: 4 }}>
+        {t('calendar.drafts')}
+      </Typography>
+      {drafts.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          {t('calendar.noDrafts')}
+        </Typography>
+      ) : (
+        <List dense>
+          {drafts.map((item) => (
+            <ListItemButton key={item.id} onClick={() => setSelected(item)}>
+              <ListItemText
+                primary={item.content}
+                secondary={format(new Date(item.updated_at), 'Pp', { locale: dateLocale })}
+                slotProps={{ primary: { noWrap: true } }}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+      )}
+
+      <ScheduleDialog
+        open={Boolean(selected)}
+        item={selected}
+        onClose={() => setSelected(null)}
+        onSaved={fetchItems}
+        onDeleted={fetchItems}
+      />
+    </Box>
+  );
+}
@@ -0,0 +1,1043 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Alert, TextField, Button, FormControl, InputLabel, Select, MenuItem, FormControlLabel, Checkbox, Typography, Box, Paper, IconButton, Tooltip, CircularProgress, Tabs, Tab, ToggleButtonGroup, ToggleButton } from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import ShareIcon from '@mui/icons-material/Share';
+import ContentPasteIcon from '@mui/icons-material/ContentPaste';
+import StopIcon from '@mui/icons-material/Stop';
+import LinkedInIcon from '@mui/icons-material/LinkedIn';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import LinkIcon from '@mui/icons-material/Link';
+import NotesIcon from '@mui/icons-material/Notes';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import YouTubeIcon from '@mui/icons-material/YouTube';
+import { fetchProviders } from '../services/llm';
+import { extractArticle } from '../services/extract';
+import { getGenerationErrorKey, buildPrompt } from '../services/generation';
+import { validatePost, repairPost } from '../services/validation';
+import { SOURCE_TYPES, getSourceTextError, buildTextSource } from '../services/sources';
+import { savePost, markPostPublished } from '../services/posts';
+import { listTemplates, getTemplateName } from '../services/templates';
+import { listVoiceProfiles } from '../services/voiceProfiles';
+import { listPostsWithMetrics } from '../services/postMetrics';
+import { getTopPosts } from '../services/performance';
+import { canEdit } from '../services/workflow';
+import { getItem, setItem } from '../services/localStore';
+import { createTimeline } from '../services/versions';
+import { POST_LENGTHS, LENGTH_UNITS, TONES, VARIANT_COUNTS, VARIANT_MODES, SAMPLE_TEMPERATURES, OUTPUT_LANGUAGES, DEFAULT_OUTPUT_LANGUAGE } from '../config/postOptions';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useOfflineQueue } from '../contexts/OfflineQueueContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import { useVariants } from '../hooks/useVariants';
+import { LLM_PROVIDER, LLM_MODEL } from '../config/llm';
+import { BUILTIN_TEMPLATES, DEFAULT_TEMPLATE_ID } from '../config/promptTemplates';
+import PostEditor from './PostEditor';
+import LinkedInPreview from './LinkedInPreview';
+import VariantCard from './VariantCard';
+import HashtagSuggestions from './HashtagSuggestions';
+import VisualsPanel from './VisualsPanel';
+import RefinePanel from './RefinePanel';
+import ValidationAlert from './ValidationAlert';
+import BatchGenerator from './BatchGenerator';
+import SourceInput from './SourceInput';
+import LinkedInPublishDialog from './LinkedInPublishDialog';
+import ScheduleDialog from './ScheduleDialog';
+import OfflineQueuePanel from './OfflineQueuePanel';
+
+// Borrador del generador que se guarda en IndexedDB mientras se escribe
+const DRAFT_SAVE_DELAY_MS = 500;
+
+const validateUrl = (url) => {
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const SOURCE_ICONS = {
+  url: <LinkIcon fontSize="small" />,
+  text: <NotesIcon fontSize="small" />,
+  file: <UploadFileIcon fontSize="small" />,
+  video: <YouTubeIcon fontSize="small" />
+};
+
+function Generator() {
+  const { user } = useAuth();
+  const { workspace, role } = useWorkspace();
+  // Los revisores no crean posts: solo abren los del historial
+  const canCreate = canEdit(role);
+  const notify = useNotify();
+  const { online, enqueue } = useOfflineQueue();
+  const { t, language, locale } = useTranslation();
+  const location = useLocation();
+  const navigate = useNavigate();
+  // `single`: una fuente (URL, texto, archivo o vídeo) con variantes; `batch`: un post por URL de una lista, CSV o feed
+  const [mode, setMode] = useState('single');
+  const [sourceType, setSourceType] = useState('url');
+  const [url, setUrl] = useState('');
+  const [isValidUrl, setIsValidUrl] = useState(true);
+  // Fuentes sin URL: lo escrito y lo ya extraído de un archivo o un vídeo
+  const [sourceInput, setSourceInput] = useState({ text: '', title: '', videoUrl: '' });
+  const [extractedSources, setExtractedSources] = useState({ file: null, video: null });
+  const [postLength, setPostLength] = useState('medium');
+  const [tone, setTone] = useState('professional');
+  const [useEmojis, setUseEmojis] = useState(false);
+  // Por defecto, el idioma de la interfaz (o español de España)
+  const [outputLanguage, setOutputLanguage] = useState(() => localStorage.getItem('outputLanguage')
+    || (OUTPUT_LANGUAGES.some((option) => option.value === language) ? language : DEFAULT_OUTPUT_LANGUAGE));
+  const [lengthUnit, setLengthUnit] = useState('words');
+  const [audience, setAudience] = useState('');
+  const [cta, setCta] = useState('');
+  // Palabras que no deben aparecer en ningún post, separadas por comas
+  const [bannedWords, setBannedWords] = useState(() => localStorage.getItem('bannedWords') || '');
+  const [templates, setTemplates] = useState(BUILTIN_TEMPLATES);
+  const [templateId, setTemplateId] = useState(() => localStorage.getItem('promptTemplate') || DEFAULT_TEMPLATE_ID);
+  const [voiceProfiles, setVoiceProfiles] = useState([]);
+  // '' = sin voz de marca
+  const [voiceProfileId, setVoiceProfileId] = useState(() => localStorage.getItem('voiceProfile') || '');
+  // Textos de los posts del espacio con mejores resultados, para darlos de ejemplo al modelo
+  const [topPosts, setTopPosts] = useState([]);
+  const [useTopPosts, setUseTopPosts] = useState(() => localStorage.getItem('useTopPosts') === 'true');
+  const [isLoading, setIsLoading] = useState(false);
+  const [generatedContent, setGeneratedContent] = useState('');
+  const [article, setArticle] = useState(null);
+  const [resultView, setResultView] = useState('edit');
+  // Fila del historial del post mostrado: se actualiza al publicarlo en LinkedIn
+  const [savedPostId, setSavedPostId] = useState(null);
+  // Ajustes con los que se generó el post mostrado, para validarlo mientras se edita
+  const [validationContext, setValidationContext] = useState(null);
+  // Versiones del post mostrado (ver services/versions.js) y si se está refinando
+  const [timeline, setTimeline] = useState(null);
+  const [isRefining, setIsRefining] = useState(false);
+  const [publishOpen, setPublishOpen] = useState(false);
+  const [scheduleOpen, setScheduleOpen] = useState(false);
+  const [variantCount, setVariantCount] = useState(1);
+  const [variantMode, setVariantMode] = useState('tones');
+  const { variants, setVariants, updateVariant, runVariant, stopVariant, stopAll } = useVariants();
+  const [selectedVariantId, setSelectedVariantId] = useState(null);
+  const extractionRef = useRef(null);
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState(() => localStorage.getItem('llmProvider') || LLM_PROVIDER);
+  const [model, setModel] = useState(() => localStorage.getItem('llmModel') || LLM_MODEL);
+  // Clave del borrador ya cargado: hasta entonces no se guarda, para no pisarlo con los valores iniciales
+  const hydratedKeyRef = useRef(null);
+  const draftKey = `${user.id}:${workspace.id}`;
+  // Si se llega con un post del historial o con algo compartido desde otra app, eso manda sobre el borrador
+  const skipDraftKeyRef = useRef(location.state?.post || location.state?.shared ? draftKey : null);
+
+  useEffect(() => {
+    localStorage.setItem('llmProvider', provider);
+    localStorage.setItem('llmModel', model);
+  }, [provider, model]);
+
+  useEffect(() => {
+    localStorage.setItem('promptTemplate', templateId);
+  }, [templateId]);
+
+  useEffect(() => {
+    localStorage.setItem('voiceProfile', voiceProfileId);
+  }, [voiceProfileId]);
+
+  useEffect(() => {
+    localStorage.setItem('useTopPosts', String(useTopPosts));
+  }, [useTopPosts]);
+
+  useEffect(() => {
+    localStorage.setItem('outputLanguage', outputLanguage);
+  }, [outputLanguage]);
+
+  useEffect(() => {
+    localStorage.setItem('bannedWords', bannedWords);
+  }, [bannedWords]);
+
+  useEffect(() => {
+    listTemplates({ workspaceId: workspace.id })
+      .then(setTemplates)
+      .catch((err) => console.error('Error loading templates:', err));
+    listVoiceProfiles({ workspaceId: workspace.id })
+      .then(setVoiceProfiles)
+      .catch((err) => console.error('Error loading voice profiles:', err));
+    listPostsWithMetrics({ workspaceId: workspace.id })
+      .then((posts) => setTopPosts(getTopPosts(posts).map((post) => post.content)))
+      .catch((err) => console.error('Error loading top posts:', err));
+  }, [workspace.id]);
+
+  useEffect(() => {
+    fetchProviders()
+      .then(setProviders)
+      .catch((err) => console.error('Error loading providers:', err));
+  }, []);
+
+  // Borrador guardado de este usuario y espacio
+  useEffect(() => {
+    if (skipDraftKeyRef.current === draftKey) {
+      hydratedKeyRef.current = draftKey;
+      return undefined;
+    }
+    let cancelled = false;
+    getItem('drafts', draftKey)
+      .then((draft) => {
+        if (cancelled || !draft) return;
+        setSourceType(draft.sourceType);
+        setUrl(draft.url);
+        setIsValidUrl(!draft.url || validateUrl(draft.url));
+        setSourceInput(draft.sourceInput);
+        setExtractedSources(draft.extractedSources);
+        setTone(draft.tone);
+        setPostLength(draft.postLength);
+        setLengthUnit(draft.lengthUnit);
+        setUseEmojis(draft.useEmojis);
+        setAudience(draft.audience);
+        setCta(draft.cta);
+        setVariantCount(draft.variantCount);
+        setVariantMode(draft.variantMode);
+        setGeneratedContent(draft.generatedContent);
+        setArticle(draft.article);
+        setSavedPostId(draft.savedPostId);
+        setValidationContext(draft.validationContext);
+        setTimeline(draft.timeline ?? null);
+      })
+      .catch((err) => console.error('Error loading draft:', err))
+      .finally(() => {
+        if (!cancelled) hydratedKeyRef.current = draftKey;
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [draftKey]);
+
+  useEffect(() => {
+    if (hydratedKeyRef.current !== draftKey) return undefined;
+    const timer = setTimeout(() => {
+      setItem('drafts', draftKey, {
+        sourceType,
+        url,
+        sourceInput,
+        extractedSources,
+        tone,
+        postLength,
+        lengthUnit,
+        useEmojis,
+        audience,
+        cta,
+        variantCount,
+        variantMode,
+        generatedContent,
+        article,
+        savedPostId,
+        validationContext,
+        timeline
+      }).catch((err) => console.error('Error saving draft:', err));
+    }, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draftKey, sourceType, url, sourceInput, extractedSources, tone, postLength, lengthUnit, useEmojis, audience, cta, variantCount, variantMode, generatedContent, article, savedPostId, validationContext, timeline]);
+
+  const currentProvider = providers.find((p) => p.id === provider);
+  // Si la plantilla guardada ya no existe se usa la predeterminada
+  const template = templates.find((item) => item.id === templateId)
+    ?? templates.find((item) => item.id === DEFAULT_TEMPLATE_ID);
+  const voice = voiceProfiles.find((item) => item.id === voiceProfileId) ?? null;
+  const examples = useTopPosts ? topPosts : [];
+  // Con voz de marca, el tono '' deja que mande la voz
+  const toneValues = [...(voice ? [''] : []), ...TONES.map((option) => option.value)];
+  // Sin la voz (borrada o deseleccionada) el tono '' ya no vale
+  const effectiveTone = toneValues.includes(tone) ? tone : TONES[0].value;
+
+  const handleProviderChange = (e) => {
+    const newProvider = e.target.value;
+    setProvider(newProvider);
+    setModel(providers.find((p) => p.id === newProvider)?.defaultModel ?? '');
+  };
+
+  const handleUrlChange = (e) => {
+    const newUrl = e.target.value;
+    setUrl(newUrl);
+    setIsValidUrl(validateUrl(newUrl));
+  };
+
+  // `sourceUrl`: la del artículo o el vídeo; los textos y archivos no tienen
+  const buildVariants = (sourceUrl) => {
+    const toneIndex = toneValues.indexOf(effectiveTone);
+    return Array.from({ length: variantCount }, (_, i) => ({
+      id: `${Date.now()}-${i}`,
+      status: 'loading',
+      text: '',
+      error: null,
+      settings: {
+        url: sourceUrl,
+        template,
+        postLength,
+        lengthUnit,
+        useEmojis,
+        language: outputLanguage,
+        audience,
+        cta,
+        bannedWords,
+        voice,
+        examples,
+        provider,
+        model,
+        ...(variantMode === 'tones' || variantCount === 1
+          ? { tone: toneValues[(toneIndex + i) % toneValues.length] }
+          : { tone: effectiveTone, temperature: SAMPLE_TEMPERATURES[i % SAMPLE_TEMPERATURES.length] })
+      }
+    }));
+  };
+
+  const stopGeneration = () => {
+    extractionRef.current?.abort();
+    stopAll();
+  };
+
+  // `source`: el artículo recién extraído, cuando todavía no ha llegado al estado
+  const pickVariant = (variant, text, source = article) => {
+    if (variant.id === selectedVariantId) return;
+    setSelectedVariantId(variant.id);
+    setValidationContext({ ...variant.settings, article: source });
+    setGeneratedContent(text);
+    setTimeline(createTimeline(text, 'generated', buildPrompt({ ...variant.settings, article: source })));
+
+    savePost({
+      userId: user.id,
+      workspaceId: workspace.id,
+      url: variant.settings.url,
+      title: variant.title,
+      content: text,
+      tone: variant.settings.tone || null,
+      postLength: variant.settings.postLength,
+      useEmojis: variant.settings.useEmojis,
+      provider: variant.settings.provider,
+      model: variant.settings.model,
+      language: variant.settings.language,
+      templateId: variant.settings.template.id,
+      templateVersion: variant.settings.template.version,
+      voiceProfileId: variant.settings.voice?.id ?? null
+    }).then((post) => setSavedPostId(post.id)).catch((saveError) => {
+      console.error('Error saving post:', saveError);
+      notify(t('generator.saveFailed'));
+    });
+  };
+
+  // Texto de origen según la fuente elegida; solo la URL se extrae en este momento
+  const getSource = (signal) => {
+    if (sourceType === 'url') return extractArticle(url, { signal });
+    if (sourceType === 'text') return buildTextSource(sourceInput);
+    return extractedSources[sourceType];
+  };
+
+  const handleGenerate = async () => {
+    if (sourceType === 'url' && !url) {
+      notify(t('generator.urlRequired'));
+      return;
+    }
+
+    // Sin conexión se deja en la cola una sola generación (las variantes se eligen al verlas).
+    // Con URL el artículo se extrae cuando vuelva la conexión
+    if (!online) {
+      try {
+        const source = sourceType === 'url' ? null : getSource();
+        const [variant] = buildVariants(sourceType === 'url' ? url : source.url);
+        await enqueue({ workspaceId: workspace.id, settings: variant.settings, article: source });
+        notify(t('offline.queued'), 'info');
+      } catch (error) {
+        console.error('Error queuing generation:', error);
+        notify(t('offline.queueFailed'));
+      }
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setArticle(null);
+      setVariants([]);
+      setSelectedVariantId(null);
+      setSavedPostId(null);
+      setValidationContext(null);
+      setTimeline(null);
+      setGeneratedContent('');
+
+      const extraction = new AbortController();
+      extractionRef.current = extraction;
+      const source = await getSource(extraction.signal);
+      extractionRef.current = null;
+      setArticle(source);
+
+      const newVariants = buildVariants(sourceType === 'url' ? url : source.url).map((variant) => ({ ...variant, title: source.title }));
+      setVariants(newVariants);
+
+      // Con una sola variante el texto se va mostrando en el resultado principal
+      const live = newVariants.length === 1;
+      const results = await Promise.all(newVariants.map((variant) => runVariant(variant, source, live ? { onDelta: setGeneratedContent } : {})));
+
+      if (live && !results[0].error) {
+        if (results[0].cancelled) {
+          notify(t('common.generationStopped'), 'info');
+        } else {
+          pickVariant(newVariants[0], results[0].text, source);
+        }
+      } else if (results.every((result) => result.error)) {
+        notify(t(getGenerationErrorKey(results[0].error)));
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error extracting article:', error);
+      notify(t(getGenerationErrorKey(error)));
+    } finally {
+      extractionRef.current = null;
+      setIsLoading(false);
+    }
+  };
+
+  // Enlace o texto compartido desde otra app (ver ShareTarget)
+  useEffect(() => {
+    const shared = location.state?.shared;
+    if (!shared) return;
+    setMode('single');
+    setSourceType(shared.type);
+    if (shared.type === 'url') {
+      setUrl(shared.url);
+      setIsValidUrl(validateUrl(shared.url));
+    } else if (shared.type === 'video') {
+      setSourceInput((current) => ({ ...current, videoUrl: shared.videoUrl }));
+      setExtractedSources((current) => ({ ...current, video: null }));
+    } else {
+      setSourceInput((current) => ({ ...current, text: shared.text, title: shared.title }));
+    }
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location, navigate]);
+
+  // Post abierto desde el historial
+  useEffect(() => {
+    const post = location.state?.post;
+    if (!post) return;
+    setMode('single');
+    setSourceType('url');
+    setUrl(post.url ?? '');
+    setIsValidUrl(!post.url || validateUrl(post.url));
+    setTone(post.tone ?? '');
+    setVoiceProfileId(post.voice_profile_id ?? '');
+    setPostLength(post.post_length);
+    setUseEmojis(post.use_emojis);
+    if (post.template_id) setTemplateId(post.template_id);
+    if (post.language) setOutputLanguage(post.language);
+    setArticle(null);
+    setVariants([]);
+    setSelectedVariantId(null);
+    setGeneratedContent(post.content);
+    setTimeline(createTimeline(post.content, 'opened'));
+    setSavedPostId(post.id);
+    // Del historial no se sabe en qué unidad se pidió la longitud: no se comprueba
+    setValidationContext({ url: post.url, useEmojis: post.use_emojis, language: post.language });
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location, navigate, setVariants]);
+
+  // Ajustes actuales con los que se genera cada elemento de un lote
+  const batchSettings = {
+    template,
+    tone: effectiveTone,
+    voice,
+    examples,
+    postLength,
+    lengthUnit,
+    useEmojis,
+    language: outputLanguage,
+    audience,
+    cta,
+    bannedWords,
+    provider,
+    model
+  };
+
+  const violations = useMemo(
+    () => (validationContext ? validatePost(generatedContent, { ...validationContext, bannedWords }) : []),
+    [generatedContent, validationContext, bannedWords]
+  );
+
+  // Lo que se lleva a la cola al programar el post mostrado
+  const scheduleDraft = useMemo(() => ({
+    content: generatedContent,
+    postId: savedPostId,
+    article: article ?? (url ? { url } : null)
+  }), [generatedContent, savedPostId, article, url]);
+
+  const handlePublished = ({ urn, author }) => {
+    if (!savedPostId) return;
+    markPostPublished(savedPostId, { content: generatedContent, urn, author }).catch((error) => {
+      console.error('Error saving LinkedIn URN:', error);
+      notify(t('linkedin.saveFailed'));
+    });
+  };
+
+  const activeMode = canCreate ? mode : 'single';
+  // Con URL se deja pulsar sin ella para avisar de que falta
+  const isSourceReady = {
+    url: isValidUrl,
+    text: !getSourceTextError(sourceInput.text),
+    file: Boolean(extractedSources.file),
+    video: Boolean(extractedSources.video)
+  }[sourceType];
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      notify(t('common.copied'), 'success');
+    } catch (err) {
+      notify(t('common.copyFailed'));
+    }
+  };
+
+  return (
+    <Box>
+      {!canCreate && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          {t('generator.reviewerNotice', { name: workspace.name })}
+        </Alert>
+      )}
+
+      {/* Modo */}
+      <ToggleButtonGroup
+        value={activeMode}
+        exclusive
+        onChange={(e, value) => value && setMode(value)}
+        size="small"
+        disabled={isLoading || !canCreate}
+        sx={{ mb: 2 }}
+      >
+        <ToggleButton value="single">{t('generator.modes.single')}</ToggleButton>
+        <ToggleButton value="batch">{t('generator.modes.batch')}</ToggleButton>
+      </ToggleButtonGroup>
+
+      {/* Fuente */}
+      {activeMode === 'single' && (
+        <ToggleButtonGroup
+          value={sourceType}
+          exclusive
+          onChange={(e, value) => value && setSourceType(value)}
+          size="small"
+          disabled={isLoading}
+          sx={{ display: 'flex', mb: 1 }}
+        >
+          {SOURCE_TYPES.map((type) => (
+            <ToggleButton key={type} value={type} sx={{ gap: 1 }}>
+              {SOURCE_ICONS[type]}
+              {t(`generator.sources.types.${type}`)}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      )}
+
+      {/* Panel de Configuración */}
+      {activeMode === 'single' && sourceType !== 'url' && (
+        <Box sx={{ mb: 4 }}>
+          <SourceInput
+            type={sourceType}
+            value={sourceInput}
+            source={extractedSources[sourceType]}
+            language={outputLanguage}
+            onChange={(patch) => setSourceInput((current) => ({ ...current, ...patch }))}
+            onExtracted={(type, source) => setExtractedSources((current) => ({ ...current, [type]: source }))}
+            disabled={isLoading}
+          />
+        </Box>
+      )}
+      {activeMode === 'single' && sourceType === 'url' && (
+        <Box sx={{ 
+          display: 'grid', 
+          gap: 2,
+          gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' },
+          mb: 4 
+        }}>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+            <TextField
+              fullWidth
+              label={t('generator.url')}
+              value={url}
+              onChange={handleUrlChange}
+              margin="normal"
+              disabled={isLoading}
+              error={!isValidUrl && url.length > 0}
+              helperText={!isValidUrl && url.length > 0 ? t('generator.invalidUrl') : ''}
+              sx={{ mb: 0 }}
+            />
+            <IconButton 
+              onClick={async () => {
+                try {
+                  const text = await navigator.clipboard.readText();
+                  setUrl(text);
+                  setIsValidUrl(validateUrl(text));
+                } catch (err) {
+                  notify(t('generator.pasteFailed'));
+                }
+              }}
+              sx={{ mt: 2 }}
+              disabled={isLoading}
+            >
+              <ContentPasteIcon />
+            </IconButton>
+          </Box>
+        </Box>
+      )}
+
+      {/* Opciones de Generación */}
+      <Box sx={{ 
+        display: 'grid', 
+        gap: 2,
+        gridTemplateColumns: { xs: '1fr', md: '1fr 1fr 1fr 1fr' },
+        mb: 3 
+      }}>
+        <FormControl fullWidth>
+          <InputLabel>{t('generator.length')}</InputLabel>
+          <Select
+            value={postLength}
+            onChange={(e) => setPostLength(e.target.value)}
+            label={t('generator.length')}
+            disabled={isLoading}
+          >
+            {POST_LENGTHS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>{t(`options.postLength.${option.value}`)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl fullWidth>
+          <InputLabel shrink={effectiveTone === '' || undefined}>{t('generator.tone')}</InputLabel>
+          <Select
+            value={effectiveTone}
+            onChange={(e) => setTone(e.target.value)}
+            label={t('generator.tone')}
+            disabled={isLoading}
+            displayEmpty={Boolean(voice)}
+            notched={effectiveTone === '' || undefined}
+          >
+            {voice && <MenuItem value="">{t('generator.voiceOnlyTone')}</MenuItem>}
+            {TONES.map((option) => (
+              <MenuItem key={option.value} value={option.value}>{t(`options.tone.${option.value}`)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl fullWidth>
+          <InputLabel>{t('generator.outputLanguage')}</InputLabel>
+          <Select
+            value={outputLanguage}
+            onChange={(e) => setOutputLanguage(e.target.value)}
+            label={t('generator.outputLanguage')}
+            disabled={isLoading}
+          >
+            {OUTPUT_LANGUAGES.map((option) => (
+              <MenuItem key={option.value} value={option.value} lang={option.value}>{option.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={useEmojis}
+              onChange={(e) => setUseEmojis(e.target.checked)}
+              disabled={isLoading}
+            />
+          }
+          label={t('generator.emojis')}
+          sx={{ mt: 1 }}
+        />
+      </Box>
+
+      {/* Plantilla */}
+      <Box sx={{ 
+        display: 'grid', 
+        gap: 2,
+        gridTemplateColumns: { xs: '1fr', md: '1fr 1fr 1fr 1fr' },
+        mb: 3 
+      }}>
+        <FormControl fullWidth>
+          <InputLabel>{t('generator.template')}</InputLabel>
+          <Select
+            value={template.id}
+            onChange={(e) => setTemplateId(e.target.value)}
+            label={t('generator.template')}
+            disabled={isLoading}
+          >
+            {templates.map((item) => (
+              <MenuItem key={item.id} value={item.id}>{getTemplateName(item, t)} · v{item.version}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl fullWidth>
+          <InputLabel>{t('generator.lengthUnit')}</InputLabel>
+          <Select
+            value={lengthUnit}
+            onChange={(e) => setLengthUnit(e.target.value)}
+            label={t('generator.lengthUnit')}
+            disabled={isLoading}
+          >
+            {LENGTH_UNITS.map((unit) => (
+              <MenuItem key={unit} value={unit}>{t(`options.lengthUnit.${unit}`)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <TextField
+          fullWidth
+          label={t('generator.audience')}
+          value={audience}
+          onChange={(e) => setAudience(e.target.value)}
+          disabled={isLoading}
+        />
+
+        <TextField
+          fullWidth
+          label={t('generator.cta')}
+          value={cta}
+          onChange={(e) => setCta(e.target.value)}
+          disabled={isLoading}
+        />
+      </Box>
+
+      {/* Voz de marca y palabras prohibidas */}
+      <Box sx={{ 
+        display: 'grid', 
+        gap: 2,
+        gridTemplateColumns: { xs: '1fr', md: '1fr 3fr' },
+        mb: 3 
+      }}>
+        <FormControl fullWidth>
+          <InputLabel shrink>{t('generator.voice')}</InputLabel>
+          <Select
+            value={voice ? voiceProfileId : ''}
+            onChange={(e) => setVoiceProfileId(e.target.value)}
+            label={t('generator.voice')}
+            disabled={isLoading}
+            displayEmpty
+            notched
+          >
+            <MenuItem value="">{t('generator.noVoice')}</MenuItem>
+            {voiceProfiles.map((item) => (
+              <MenuItem key={item.id} value={item.id}>{item.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <TextField
+          fullWidth
+          label={t('generator.bannedWords')}
+          helperText={t('generator.bannedWordsHint')}
+          value={bannedWords}
+          onChange={(e) => setBannedWords(e.target.value)}
+          disabled={isLoading}
+        />
+      </Box>
+
+      {/* Mejores posts como ejemplos */}
+      <Box sx={{ mt: -2, mb: 3 }}>
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={useTopPosts && topPosts.length > 0}
+              onChange={(e) => setUseTopPosts(e.target.checked)}
+              disabled={isLoading || !topPosts.length}
+            />
+          }
+          label={topPosts.length ? t('generator.useTopPosts', { count: topPosts.length }) : t('generator.noTopPosts')}
+        />
+      </Box>
+
+      {/* Modelo */}
+      <Box sx={{ 
+        display: 'grid', 
+        gap: 2,
+        gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' },
+        mb: 3 
+      }}>
+        <FormControl fullWidth>
+          <InputLabel>{t('generator.provider')}</InputLabel>
+          <Select
+            value={provider}
+            onChange={handleProviderChange}
+            label={t('generator.provider')}
+            disabled={isLoading}
+          >
+            {!currentProvider && (
+              <MenuItem value={provider}>{provider}</MenuItem>
+            )}
+            {providers.map((p) => (
+              <MenuItem key={p.id} value={p.id} disabled={!p.configured}>{p.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl fullWidth>
+          <InputLabel>{t('generator.model')}</InputLabel>
+          <Select
+            value={model || currentProvider?.defaultModel || ''}
+            onChange={(e) => setModel(e.target.value)}
+            label={t('generator.model')}
+            disabled={isLoading}
+          >
+            {[...new Set([model || currentProvider?.defaultModel, ...(currentProvider?.models ?? [])])].filter(Boolean).map((m) => (
+              <MenuItem key={m} value={m}>{m}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {/* Lote: se oculta en vez de desmontarse para no perder la tabla al cambiar de modo */}
+      <Box sx={{ display: activeMode === 'batch' ? 'block' : 'none' }}>
+        <BatchGenerator settings={batchSettings} />
+      </Box>
+
+      {activeMode === 'single' && (
+        <>
+          {/* Variantes */}
+          <Box sx={{ 
+            display: 'grid', 
+            gap: 2,
+            gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' },
+            mb: 3 
+          }}>
+            <FormControl fullWidth>
+              <InputLabel>{t('generator.variants')}</InputLabel>
+              <Select
+                value={variantCount}
+                onChange={(e) => setVariantCount(e.target.value)}
+                label={t('generator.variants')}
+                disabled={isLoading}
+              >
+                {VARIANT_COUNTS.map((count) => (
+                  <MenuItem key={count} value={count}>{count}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <FormControl fullWidth>
+              <InputLabel>{t('generator.variantMode')}</InputLabel>
+              <Select
+                value={variantMode}
+                onChange={(e) => setVariantMode(e.target.value)}
+                label={t('generator.variantMode')}
+                disabled={isLoading || variantCount === 1}
+              >
+                {VARIANT_MODES.map((mode) => (
+                  <MenuItem key={mode} value={mode}>{t(`options.variantMode.${mode}`)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+
+          {/* Botón de Generación */}
+          <Box sx={{ display: 'flex', gap: 2, mt: 2, mb: 4 }}>
+            <Button
+              variant="contained"
+              color="primary"
+              onClick={handleGenerate}
+              fullWidth
+              sx={{ 
+                py: 1.5,
+                fontSize: '1.1rem',
+                fontWeight: 'bold'
+              }}
+              disabled={isLoading || isRefining || !isSourceReady || !canCreate}
+            >
+              {isLoading ? (
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <CircularProgress size={24} sx={{ mr: 1 }} color="inherit" />
+                  {t('generator.generating')}
+                </Box>
+              ) : (
+                online ? t('generator.generate') : t('offline.queue')
+              )}
+            </Button>
+            {isLoading && (
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={stopGeneration}
+                startIcon={<StopIcon />}
+                sx={{ flexShrink: 0, fontWeight: 'bold' }}
+              >
+                {t('common.stop')}
+              </Button>
+            )}
+          </Box>
+
+          <OfflineQueuePanel />
+        </>
+      )}
+
+      {/* Artículo de origen */}
+      {activeMode === 'single' && article && (
+        <Paper variant="outlined" sx={{ display: 'flex', gap: 2, p: 2, mb: 2 }}>
+          {article.image && (
+            <Box
+              component="img"
+              src={article.image}
+              alt=""
+              sx={{ width: 96, height: 96, objectFit: 'cover', borderRadius: 1, flexShrink: 0 }}
+            />
+          )}
+          <Box sx={{ minWidth: 0 }}>
+            <Typography variant="overline" color="text.secondary">
+              {article.siteName}
+            </Typography>
+            <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+              {article.title}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {[
+                article.byline,
+                article.publishedAt && !isNaN(new Date(article.publishedAt)) && new Date(article.publishedAt).toLocaleDateString(locale)
+              ].filter(Boolean).join(' · ')}
+            </Typography>
+          </Box>
+        </Paper>
+      )}
+
+      {/* Variantes generadas */}
+      {activeMode === 'single' && variants.length > 1 && (
+        <Box sx={{ 
+          display: 'grid', 
+          gap: 2,
+          gridTemplateColumns: { xs: '1fr', md: variants.length === 2 || variants.length === 4 ? '1fr 1fr' : '1fr 1fr 1fr' },
+          mb: 4 
+        }}>
+          {variants.map((variant, index) => (
+            <VariantCard
+              key={variant.id}
+              variant={variant}
+              index={index}
+              selected={variant.id === selectedVariantId}
+              onPick={() => pickVariant(variant, variant.text)}
+              violations={variant.status === 'done' ? validatePost(variant.text, { ...variant.settings, article }) : []}
+              onRegenerate={() => runVariant(variant, article)}
+              onStop={() => stopVariant(variant.id)}
+              onChange={(text) => updateVariant(variant.id, { text })}
+            />
+          ))}
+        </Box>
+      )}
+
+      {/* Contenido Generado */}
+      {activeMode === 'single' && generatedContent && (
+          <Box sx={{ mt: 4 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Typography variant="h6" gutterBottom>
+                {t('generator.result')}
+              </Typography>
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <Button
+                  variant="contained"
+                  size="small"
+                  startIcon={<LinkedInIcon />}
+                  onClick={() => setPublishOpen(true)}
+                  disabled={isLoading}
+                  sx={{ mr: 1 }}
+                >
+                  {t('linkedin.publish')}
+                </Button>
+                <Tooltip title={t('schedule.title')}>
+                  <span>
+                    <IconButton
+                      onClick={() => setScheduleOpen(true)}
+                      disabled={isLoading}
+                      size="small"
+                      sx={{ mr: 1 }}
+                    >
+                      <ScheduleIcon />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+                <Tooltip title={t('common.copy')}>
+                  <IconButton 
+                    onClick={() => copyToClipboard(generatedContent)}
+                    size="small"
+                    sx={{ mr: 1 }}
+                  >
+                    <ContentCopyIcon />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title={t('common.share')}>
+                  <IconButton 
+                    onClick={() => {
+                      if (navigator.share) {
+                        navigator.share({
+                          title: 'LinkedIn Post',
+                          text: generatedContent
+                        }).catch(err => {
+                          notify(t('generator.shareFailed'));
+                        });
+                      } else {
+                        copyToClipboard(generatedContent);
+                        notify(t('generator.copiedShareUnsupported'), 'success');
+                      }
+                    }}
+                    size="small"
+                  >
+                    <ShareIcon />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+            </Box>
+            <ValidationAlert
+              violations={isLoading || isRefining ? [] : violations}
+              onRepair={() => setGeneratedContent(repairPost(generatedContent, { ...validationContext, bannedWords }).text)}
+              sx={{ mb: 2 }}
+            />
+            <Tabs value={resultView} onChange={(e, value) => setResultView(value)} sx={{ mb: 2 }}>
+              <Tab value="edit" label={t('generator.editTab')} />
+              <Tab value="preview" label={t('generator.previewTab')} />
+            </Tabs>
+            {resultView === 'edit' ? (
+              <PostEditor value={generatedContent} onChange={setGeneratedContent} disabled={isLoading || isRefining} />
+            ) : (
+              <LinkedInPreview
+                text={generatedContent}
+                authorName={user.user_metadata?.full_name || user.email.split('@')[0]}
+                article={article ?? (url ? { url } : null)}
+              />
+            )}
+            <RefinePanel
+              content={generatedContent}
+              onContentChange={setGeneratedContent}
+              timeline={timeline}
+              onTimelineChange={setTimeline}
+              context={validationContext}
+              onContextChange={setValidationContext}
+              settings={{ provider, model, bannedWords, cta }}
+              disabled={isLoading || !canCreate}
+              onBusyChange={setIsRefining}
+            />
+            <HashtagSuggestions
+              content={generatedContent}
+              article={article}
+              onChange={setGeneratedContent}
+              disabled={isLoading || isRefining}
+            />
+            <VisualsPanel
+              content={generatedContent}
+              article={article}
+              disabled={isLoading}
+            />
+            <LinkedInPublishDialog
+              open={publishOpen}
+              text={generatedContent}
+              article={article ?? (url ? { url } : null)}
+              onClose={() => setPublishOpen(false)}
+              onPublished={handlePublished}
+            />
+            <ScheduleDialog
+              open={scheduleOpen}
+              draft={scheduleDraft}
+              onClose={() => setScheduleOpen(false)}
+            />
+          </Box>
+        )}
+    </Box>
+  );
+}
+
+export default Generator;
@@ -0,0 +1,138 @@
+import { fireEvent, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { http } from 'msw';
+import { server } from '../mocks/server';
+import { API_URL, db, testArticle, testPost, ndjson, apiError } from '../mocks/handlers';
+import { renderSignedIn, t } from '../test-utils';
+import Generator from './Generator';
+
+// Cada test monta el generador completo y genera de principio a fin: más que los 5 s por defecto
+jest.setTimeout(20000);
+
+const generatedPost = `${testPost}\n\nMore information: ${testArticle.url}`;
+
+const clipboard = {
+  readText: jest.fn(),
+  writeText: jest.fn()
+};
+
+beforeAll(() => {
+  Object.defineProperty(navigator, 'clipboard', { value: clipboard, configurable: true });
+});
+
+const openGenerator = async () => {
+  renderSignedIn(<Generator />);
+  return screen.findByRole('button', { name: t('generator.generate') });
+};
+
+// La URL se pega de una vez: escribirla tecla a tecla en el generador completo es muy lento
+const enterUrl = (url) => fireEvent.change(screen.getByLabelText(t('generator.url')), { target: { value: url } });
+
+// El post tiene saltos de línea: se compara tal cual, sin el normalizador por defecto
+const findPost = () => screen.findByDisplayValue(generatedPost, { normalizer: (value) => value });
+
+const generateFrom = async (url) => {
+  const button = await openGenerator();
+  enterUrl(url);
+  userEvent.click(button);
+};
+
+test('generates a post from a URL and saves it to the history', async () => {
+  const requests = [];
+  server.events.on('request:start', ({ request }) => requests.push(new URL(request.url).pathname));
+
+  await generateFrom(testArticle.url);
+
+  expect(await findPost()).toBeInTheDocument();
+  expect(screen.getByText(testArticle.title)).toBeInTheDocument();
+  await waitFor(() => expect(db.posts).toHaveLength(1));
+  expect(db.posts[0]).toMatchObject({
+    user_id: 'user-1',
+    workspace_id: 'workspace-1',
+    url: testArticle.url,
+    title: testArticle.title,
+    content: generatedPost,
+    provider: 'gemini',
+    model: 'gemini-2.0-flash'
+  });
+  expect(requests).toEqual(expect.arrayContaining(['/api/extract', '/api/generate/stream']));
+  server.events.removeAllListeners();
+});
+
+test('flags invalid URLs and does not let them through', async () => {
+  const button = await openGenerator();
+
+  enterUrl('example.com/articulo');
+  expect(screen.getByText(t('generator.invalidUrl'))).toBeInTheDocument();
+  expect(button).toBeDisabled();
+
+  enterUrl(testArticle.url);
+  expect(screen.queryByText(t('generator.invalidUrl'))).not.toBeInTheDocument();
+  expect(button).toBeEnabled();
+});
+
+test('asks for a URL before generating', async () => {
+  userEvent.click(await openGenerator());
+
+  expect(await screen.findByText(t('generator.urlRequired'))).toBeInTheDocument();
+});
+
+test('shows why the article could not be read', async () => {
+  server.use(http.post(`${API_URL}/api/extract`, () => apiError(422, 'paywall')));
+
+  await generateFrom(testArticle.url);
+
+  expect(await screen.findByText(t('extractionErrors.paywall'))).toBeInTheDocument();
+  expect(db.posts).toBeUndefined();
+});
+
+test('shows an error when the model fails and logs it once', async () => {
+  server.use(http.post(`${API_URL}/api/generate/stream`, () => apiError(500, 'internal_error')));
+  const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  await generateFrom(testArticle.url);
+
+  expect(await screen.findByText(t('generationErrors.generic'))).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: t('generator.generate') })).toBeEnabled();
+  expect(db.posts).toBeUndefined();
+  expect(log.mock.calls.filter(([message]) => String(message).startsWith('Error generating post'))).toHaveLength(1);
+  log.mockRestore();
+});
+
+test('shows an error when the model response is invalid', async () => {
+  server.use(http.post(`${API_URL}/api/generate/stream`, () => ndjson([
+    { type: 'error', error: { code: 'invalid_response', message: 'Invalid API response format' } }
+  ])));
+
+  await generateFrom(testArticle.url);
+
+  expect(await screen.findByText(t('generationErrors.generic'))).toBeInTheDocument();
+  expect(screen.queryByDisplayValue(generatedPost, { normalizer: (value) => value })).not.toBeInTheDocument();
+});
+
+test('copies the post to the clipboard', async () => {
+  clipboard.writeText.mockResolvedValueOnce().mockRejectedValueOnce(new Error('Denied'));
+  await generateFrom(testArticle.url);
+  await findPost();
+  const copyButton = screen.getByRole('button', { name: t('common.copy') });
+
+  userEvent.click(copyButton);
+  expect(await screen.findByText(t('common.copied'))).toBeInTheDocument();
+  expect(clipboard.writeText).toHaveBeenCalledWith(generatedPost);
+
+  userEvent.click(copyButton);
+  expect(await screen.findByText(t('common.copyFailed'))).toBeInTheDocument();
+});
+
+test('pastes the URL from the clipboard', async () => {
+  clipboard.readText.mockResolvedValueOnce(testArticle.url).mockRejectedValueOnce(new Error('Denied'));
+  await openGenerator();
+  const field = screen.getByLabelText(t('generator.url'));
+
+  userEvent.click(screen.getByTestId('ContentPasteIcon'));
+  await waitFor(() => expect(field).toHaveValue(testArticle.url));
+
+  userEvent.click(screen.getByTestId('ContentPasteIcon'));
+  expect(await screen.findByText(t('generator.pasteFailed'))).toBeInTheDocument();
+  expect(field).toHaveValue(testArticle.url);
+});
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Box, Typography, TextField, Chip } from '@mui/material';
+import { HASHTAG_LISTS, addToHashtagList, removeFromHashtagList } from '../services/hashtagLists';
+import { normalizeHashtag, getHashtagKey } from '../services/hashtags';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const withoutTag = (tags, tag) => tags.filter((item) => getHashtagKey(item) !== getHashtagKey(tag));
+
+export default function HashtagListsDialog({ open, lists, onClose, onChange }) {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [inputs, setInputs] = useState({ favorite: '', banned: '' });
+  const [busy, setBusy] = useState(false);
+
+  const handleAdd = async (list) => {
+    const tag = normalizeHashtag(inputs[list]);
+    if (!tag) return;
+    try {
+      setBusy(true);
+      await addToHashtagList({ userId: user.id, tag, list });
+      onChange({
+        favorite: withoutTag(lists.favorite, tag),
+        banned: withoutTag(lists.banned, tag),
+        [list]: [...withoutTag(lists[list], tag), tag]
+      });
+      setInputs((current) => ({ ...current, [list]: '' }));
+    } catch (error) {
+      console.error('Error saving hashtag list:', error);
+      notify(t('hashtags.saveFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (list, tag) => {
+    try {
+      setBusy(true);
+      await removeFromHashtagList({ userId: user.id, tag });
+      onChange({ ...lists, [list]: withoutTag(lists[list], tag) });
+    } catch (error) {
+      console.error('Error saving hashtag list:', error);
+      notify(t('hashtags.saveFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{t('hashtags.listsTitle')}</DialogTitle>
+      <DialogContent>
+        {HASHTAG_LISTS.map((list) => (
+          <Box key={list} sx={{ mb: 3 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              {t(`hashtags.lists.${list}`)}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              {t(`hashtags.listHints.${list}`)}
+            </Typography>
+            <Box
+              component="form"
+              sx={{ display: 'flex', gap: 1, mb: 1 }}
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleAdd(list);
+              }}
+            >
+              <TextField
+                size="small"
+                fullWidth
+                placeholder={t('hashtags.addPlaceholder')}
+                value={inputs[list]}
+                onChange={(e) => setInputs((current) => ({ ...current, [list]: e.target.value }))}
+                disabled={busy}
+              />
+              <Button type="submit" variant="outlined" disabled={busy || !normalizeHashtag(inputs[list])}>
+                {t('hashtags.add')}
+              </Button>
+            </Box>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+              {lists[list].map((tag) => (
+                <Chip
+                  key={tag}
+                  label={tag}
+                  size="small"
+                  color={list === 'banned' ? 'default' : 'primary'}
+                  variant="outlined"
+                  onDelete={busy ? undefined : () => handleRemove(list, tag)}
+                />
+              ))}
+              {!lists[list].length && (
+                <Typography variant="caption" color="text.secondary">
+                  {t('hashtags.emptyList')}
+                </Typography>
+              )}
+            </Box>
+          </Box>
+        ))}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
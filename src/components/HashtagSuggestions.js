@@ -0,0 +1,143 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Paper, Box, Typography, Chip, IconButton, Tooltip } from '@mui/material';
+import StarIcon from '@mui/icons-material/Star';
+import BlockIcon from '@mui/icons-material/Block';
+import TuneIcon from '@mui/icons-material/Tune';
+import PersonIcon from '@mui/icons-material/Person';
+import BusinessIcon from '@mui/icons-material/Business';
+import { suggestHashtags, suggestMentions, addHashtag, removeHashtag, addMention, removeMention, getHashtags, getHashtagKey } from '../services/hashtags';
+import { listHashtagLists, addToHashtagList } from '../services/hashtagLists';
+import { countCharacters, LINKEDIN_MAX_LENGTH } from '../services/linkedinFormat';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import HashtagListsDialog from './HashtagListsDialog';
+
+export default function HashtagSuggestions({ content, article, onChange, disabled }) {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t, locale } = useTranslation();
+  const [lists, setLists] = useState({ favorite: [], banned: [] });
+  const [listsOpen, setListsOpen] = useState(false);
+
+  useEffect(() => {
+    listHashtagLists({ userId: user.id })
+      .then(setLists)
+      .catch((err) => console.error('Error loading hashtag lists:', err));
+  }, [user.id]);
+
+  const source = article ? [article.title, article.excerpt, article.text].filter(Boolean).join('\n') : '';
+
+  const hashtags = useMemo(
+    () => suggestHashtags({ source, content, favorites: lists.favorite, banned: lists.banned }),
+    [source, content, lists]
+  );
+  const mentions = useMemo(() => suggestMentions({ source, content, article }), [source, content, article]);
+
+  // Los hashtags forman parte del texto, así que cuentan para el límite de LinkedIn
+  const usedTags = getHashtags(content);
+  const usedCharacters = usedTags.reduce((total, tag) => total + countCharacters(tag) + 1, 0);
+
+  // Cuánto añade una sugerencia al post y si todavía cabe
+  const getCost = (next) => {
+    const extra = countCharacters(next) - countCharacters(content);
+    return { extra, fits: countCharacters(next) <= LINKEDIN_MAX_LENGTH };
+  };
+
+  const handleBan = async (tag) => {
+    try {
+      await addToHashtagList({ userId: user.id, tag, list: 'banned' });
+      setLists((current) => ({
+        favorite: current.favorite.filter((item) => getHashtagKey(item) !== getHashtagKey(tag)),
+        banned: [...current.banned, tag]
+      }));
+    } catch (error) {
+      console.error('Error saving hashtag list:', error);
+      notify(t('hashtags.saveFailed'));
+    }
+  };
+
+  // `next`: el texto del post tras añadir o quitar la sugerencia
+  const renderChip = ({ key, label, icon, selected, next, onBan }) => {
+    const { extra, fits } = getCost(next);
+    return (
+      <Tooltip
+        key={key}
+        title={selected ? t('hashtags.remove') : fits ? t('hashtags.cost', { count: extra }) : t('hashtags.overLimit')}
+      >
+        <span>
+          <Chip
+            label={label}
+            icon={icon}
+            size="small"
+            color={selected ? 'primary' : 'default'}
+            variant={selected ? 'filled' : 'outlined'}
+            onClick={() => onChange(next)}
+            onDelete={onBan}
+            deleteIcon={onBan ? <BlockIcon /> : undefined}
+            disabled={disabled || (!selected && !fits)}
+          />
+        </span>
+      </Tooltip>
+    );
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mt: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Box>
+          <Typography variant="subtitle2">{t('hashtags.title')}</Typography>
+          <Typography variant="caption" color="text.secondary">
+            {t('hashtags.summary', { count: usedTags.length, characters: usedCharacters.toLocaleString(locale) })}
+          </Typography>
+        </Box>
+        <Tooltip title={t('hashtags.listsTitle')}>
+          <IconButton size="small" onClick={() => setListsOpen(true)}>
+            <TuneIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      {/* Hashtags */}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        {hashtags.map((item) => renderChip({
+          key: item.key,
+          label: item.tag,
+          icon: item.favorite ? <StarIcon /> : undefined,
+          selected: item.selected,
+          next: item.selected ? removeHashtag(content, item.tag) : addHashtag(content, item.tag),
+          onBan: item.selected || item.favorite ? undefined : () => handleBan(item.tag)
+        }))}
+        {!hashtags.length && (
+          <Typography variant="caption" color="text.secondary">{t('hashtags.none')}</Typography>
+        )}
+      </Box>
+
+      {/* Menciones */}
+      {mentions.length > 0 && (
+        <>
+          <Typography variant="subtitle2">{t('hashtags.mentionsTitle')}</Typography>
+          <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+            {t('hashtags.mentionsHint')}
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {mentions.map((item) => renderChip({
+              key: item.name,
+              label: `@${item.name}`,
+              icon: item.type === 'person' ? <PersonIcon /> : <BusinessIcon />,
+              selected: item.selected,
+              next: item.selected ? removeMention(content, item.name) : addMention(content, item.name)
+            }))}
+          </Box>
+        </>
+      )}
+
+      <HashtagListsDialog
+        open={listsOpen}
+        lists={lists}
+        onClose={() => setListsOpen(false)}
+        onChange={setLists}
+      />
+    </Paper>
+  );
+}
@@ -0,0 +1,320 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Box, Paper, Typography, TextField, IconButton, Tooltip, Pagination, CircularProgress, Chip, InputAdornment, Select, MenuItem, Button, Badge } from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import FileCopyIcon from '@mui/icons-material/FileCopy';
+import DeleteIcon from '@mui/icons-material/Delete';
+import LinkedInIcon from '@mui/icons-material/LinkedIn';
+import CommentIcon from '@mui/icons-material/Comment';
+import InsightsIcon from '@mui/icons-material/Insights';
+import { listPosts, duplicatePost, deletePost, setPostStatus, HISTORY_PAGE_SIZE } from '../services/posts';
+import { POST_STATUSES, getStatusActions, canEdit } from '../services/workflow';
+import { getTemplateName } from '../services/templates';
+import { getLinkedInPostUrl } from '../services/linkedin';
+import { OUTPUT_LANGUAGES } from '../config/postOptions';
+import { BUILTIN_TEMPLATES } from '../config/promptTemplates';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import PostCommentsDialog from './PostCommentsDialog';
+import PostMetricsDialog from './PostMetricsDialog';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const STATUS_COLORS = { draft: 'default', in_review: 'warning', approved: 'success' };
+
+const getPostTemplateLabel = (post, t) => {
+  const builtinTemplate = BUILTIN_TEMPLATES.find((template) => template.id === post.template_id);
+  return `${builtinTemplate ? getTemplateName(builtinTemplate, t) : t('history.template')} v${post.template_version}`;
+};
+
+export default function HistoryPanel() {
+  const { workspace, role } = useWorkspace();
+  const notify = useNotify();
+  const { t, locale } = useTranslation();
+  const navigate = useNavigate();
+  const [posts, setPosts] = useState([]);
+  const [count, setCount] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  // '' = todos los estados
+  const [status, setStatus] = useState('');
+  const [commentsPost, setCommentsPost] = useState(null);
+  const [metricsPost, setMetricsPost] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setDebouncedSearch(search);
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  const fetchPosts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await listPosts({ workspaceId: workspace.id, page, search: debouncedSearch, status });
+      setPosts(result.posts);
+      setCount(result.count);
+    } catch (error) {
+      console.error('Error loading history:', error);
+      notify(t('history.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [workspace.id, page, debouncedSearch, status, notify, t]);
+
+  useEffect(() => {
+    fetchPosts();
+  }, [fetchPosts]);
+
+  const handleCopy = async (post) => {
+    try {
+      await navigator.clipboard.writeText(post.content);
+      notify(t('common.copied'), 'success');
+    } catch (err) {
+      notify(t('common.copyFailed'));
+    }
+  };
+
+  const handleDuplicate = async (post) => {
+    try {
+      setBusyId(post.id);
+      await duplicatePost(post);
+      setPage(1);
+      await fetchPosts();
+      notify(t('history.duplicated'), 'success');
+    } catch (error) {
+      notify(t('history.duplicateFailed'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleStatusChange = async (post, to) => {
+    try {
+      setBusyId(post.id);
+      const updated = await setPostStatus(post.id, to);
+      setPosts((current) => current.map((item) => (item.id === post.id ? { ...item, ...updated } : item)));
+      notify(t(`workflow.changed.${to}`), 'success');
+    } catch (error) {
+      console.error('Error changing post status:', error);
+      notify(t('workflow.changeFailed'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCommentCount = (postId, commentCount) => {
+    setPosts((current) => current.map((item) => (item.id === postId ? { ...item, commentCount } : item)));
+  };
+
+  const handleDelete = async (post) => {
+    try {
+      setBusyId(post.id);
+      await deletePost(post.id);
+      // Si era el último de la página, retrocede una
+      if (posts.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        await fetchPosts();
+      }
+      notify(t('history.deleted'), 'success');
+    } catch (error) {
+      notify(t('history.deleteFailed'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const pageCount = Math.ceil(count / HISTORY_PAGE_SIZE);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Typography variant="h6">
+          {t('history.title')}
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Select
+            size="small"
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+            displayEmpty
+          >
+            <MenuItem value="">{t('workflow.allStatuses')}</MenuItem>
+            {POST_STATUSES.map((item) => (
+              <MenuItem key={item} value={item}>{t(`workflow.statuses.${item}`)}</MenuItem>
+            ))}
+          </Select>
+          <TextField
+            size="small"
+            placeholder={t('history.search')}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            slotProps={{
+              input: {
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon fontSize="small" />
+                  </InputAdornment>
+                )
+              }
+            }}
+          />
+        </Box>
+      </Box>
+
+      {loading && posts.length === 0 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      {!loading && posts.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          {debouncedSearch || status ? t('history.noResults') : t('history.empty')}
+        </Typography>
+      )}
+
+      {posts.map((post) => (
+        <Paper key={post.id} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2 }}>
+            <Box sx={{ minWidth: 0 }}>
+              <Typography variant="caption" color="text.secondary" noWrap component="div">
+                {new Date(post.created_at).toLocaleString(locale)} · {post.title || post.url}
+              </Typography>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, my: 1 }}>
+                <Chip size="small" color={STATUS_COLORS[post.status] ?? 'default'} label={t(`workflow.statuses.${post.status ?? 'draft'}`)} />
+                {post.tone && <Chip size="small" label={t(`options.tone.${post.tone}`)} />}
+                <Chip size="small" label={t(`options.postLength.${post.post_length}`)} />
+                {post.language && (
+                  <Chip size="small" label={OUTPUT_LANGUAGES.find((option) => option.value === post.language)?.label ?? post.language} />
+                )}
+                {post.use_emojis && <Chip size="small" label={t('history.emojis')} />}
+                {post.model && <Chip size="small" variant="outlined" label={post.model} />}
+                {post.template_id && <Chip size="small" variant="outlined" label={getPostTemplateLabel(post, t)} />}
+                {post.linkedin_urn && (
+                  <Chip
+                    size="small"
+                    color="primary"
+                    icon={<LinkedInIcon />}
+                    label={t('history.published')}
+                    component="a"
+                    href={getLinkedInPostUrl(post.linkedin_urn)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    clickable
+                  />
+                )}
+              </Box>
+              <Typography
+                variant="body2"
+                sx={{
+                  whiteSpace: 'pre-line',
+                  display: '-webkit-box',
+                  WebkitLineClamp: 3,
+                  WebkitBoxOrient: 'vertical',
+                  overflow: 'hidden'
+                }}
+              >
+                {post.content}
+              </Typography>
+              {/* Flujo de aprobación */}
+              {getStatusActions(post.status, role).length > 0 && (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+                  {getStatusActions(post.status, role).map(({ action, to }) => (
+                    <Button
+                      key={action}
+                      size="small"
+                      variant={action === 'approve' || action === 'submit' ? 'contained' : 'outlined'}
+                      color={action === 'approve' ? 'success' : 'primary'}
+                      onClick={() => handleStatusChange(post, to)}
+                      disabled={busyId === post.id}
+                    >
+                      {t(`workflow.actions.${action}`)}
+                    </Button>
+                  ))}
+                </Box>
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', flexShrink: 0 }}>
+              <Tooltip title={t('common.open')}>
+                <IconButton size="small" onClick={() => navigate('/', { state: { post } })}>
+                  <OpenInNewIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title={t('workflow.comments.title')}>
+                <IconButton size="small" onClick={() => setCommentsPost(post)}>
+                  <Badge badgeContent={post.commentCount} color="primary" max={99}>
+                    <CommentIcon fontSize="small" />
+                  </Badge>
+                </IconButton>
+              </Tooltip>
+              <Tooltip title={t('performance.dialogTitle')}>
+                <IconButton size="small" onClick={() => setMetricsPost(post)}>
+                  <InsightsIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title={t('common.copy')}>
+                <IconButton size="small" onClick={() => handleCopy(post)}>
+                  <ContentCopyIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+              {canEdit(role) && (
+                <Tooltip title={t('common.duplicate')}>
+                  <span>
+                    <IconButton size="small" onClick={() => handleDuplicate(post)} disabled={busyId === post.id}>
+                      <FileCopyIcon fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              )}
+              {canEdit(role) && (
+                <Tooltip title={t('common.delete')}>
+                  <span>
+                    <IconButton size="small" color="error" onClick={() => handleDelete(post)} disabled={busyId === post.id}>
+                      {busyId === post.id ? <CircularProgress size={20} color="error" /> : <DeleteIcon fontSize="small" />}
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              )}
+            </Box>
+          </Box>
+        </Paper>
+      ))}
+
+      {commentsPost && (
+        <PostCommentsDialog
+          open
+          post={commentsPost}
+          onClose={() => setCommentsPost(null)}
+          onCountChange={(commentCount) => handleCommentCount(commentsPost.id, commentCount)}
+        />
+      )}
+
+      {metricsPost && (
+        <PostMetricsDialog
+          open
+          post={metricsPost}
+          readOnly={!canEdit(role)}
+          onClose={() => setMetricsPost(null)}
+        />
+      )}
+
+      {pageCount > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+          <Pagination count={pageCount} page={page} onChange={(e, value) => setPage(value)} color="primary" />
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { IconButton, Tooltip, Menu, MenuItem } from '@mui/material';
+import TranslateIcon from '@mui/icons-material/Translate';
+import { UI_LANGUAGES } from '../i18n';
+import { useTranslation } from '../contexts/LanguageContext';
+
+export default function LanguageSwitcher() {
+  const { language, setLanguage, t } = useTranslation();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const handleSelect = (value) => {
+    setLanguage(value);
+    setAnchorEl(null);
+  };
+
+  return (
+    <>
+      <Tooltip title={t('common.language')}>
+        <IconButton onClick={(e) => setAnchorEl(e.currentTarget)} aria-label={t('common.language')}>
+          <TranslateIcon />
+        </IconButton>
+      </Tooltip>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {UI_LANGUAGES.map((option) => (
+          <MenuItem
+            key={option.value}
+            selected={option.value === language}
+            onClick={() => handleSelect(option.value)}
+            lang={option.value}
+          >
+            {option.label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
@@ -0,0 +1,92 @@
+import { NavLink, Outlet, useLocation } from 'react-router-dom';
+import { Container, Paper, Box, Typography, IconButton, Tooltip, Tabs, Tab, Alert } from '@mui/material';
+import LightModeIcon from '@mui/icons-material/LightMode';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import LogoutIcon from '@mui/icons-material/Logout';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useOfflineQueue } from '../contexts/OfflineQueueContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import LanguageSwitcher from './LanguageSwitcher';
+import WorkspaceSwitcher from './WorkspaceSwitcher';
+
+const NAV_ITEMS = [
+  { to: '/', label: 'layout.nav.generator' },
+  { to: '/history', label: 'layout.nav.history' },
+  { to: '/calendar', label: 'layout.nav.calendar' },
+  { to: '/templates', label: 'layout.nav.templates' },
+  { to: '/voices', label: 'layout.nav.voices' },
+  { to: '/performance', label: 'layout.nav.performance' },
+  { to: '/usage', label: 'layout.nav.usage' },
+];
+
+export default function Layout({ darkMode, onToggleDarkMode }) {
+  const { user, signOut } = useAuth();
+  const notify = useNotify();
+  const { online } = useOfflineQueue();
+  const { t } = useTranslation();
+  const location = useLocation();
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+    } catch (error) {
+      notify(t('layout.signOutFailed'));
+    }
+  };
+
+  const currentTab = NAV_ITEMS.some((item) => item.to === location.pathname) ? location.pathname : false;
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Paper elevation={3} sx={{ p: 4, borderRadius: 2 }}>
+        {/* Encabezado */}
+        <Box sx={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'center', 
+          flexWrap: 'wrap',
+          gap: 1,
+          borderBottom: 1,
+          borderColor: 'divider',
+          pb: 2
+        }}>
+          <Typography variant="h4" sx={{ fontWeight: 'bold', color: 'primary.main' }}>
+            {t('layout.title')}
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <WorkspaceSwitcher />
+            <Typography variant="body2" color="text.secondary" noWrap sx={{ maxWidth: 220, ml: 1 }}>
+              {user.email}
+            </Typography>
+            <Tooltip title={t('layout.signOut')}>
+              <IconButton onClick={handleSignOut} sx={{ ml: 1 }}>
+                <LogoutIcon />
+              </IconButton>
+            </Tooltip>
+            <LanguageSwitcher />
+            <Tooltip title={darkMode ? t('layout.lightMode') : t('layout.darkMode')}>
+              <IconButton onClick={onToggleDarkMode}>
+                {darkMode ? <LightModeIcon /> : <DarkModeIcon />}
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Box>
+
+        {!online && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            {t('offline.banner')}
+          </Alert>
+        )}
+
+        <Tabs value={currentTab} variant="scrollable" scrollButtons="auto" sx={{ mb: 4 }}>
+          {NAV_ITEMS.map((item) => (
+            <Tab key={item.to} label={t(item.label)} value={item.to} component={NavLink} to={item.to} />
+          ))}
+        </Tabs>
+
+        <Outlet />
+      </Paper>
+    </Container>
+  );
+}
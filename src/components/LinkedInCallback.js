@@ -0,0 +1,37 @@
+import { useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Box, CircularProgress } from '@mui/material';
+import { LINKEDIN_MESSAGE_TYPE, getLinkedInErrorKey } from '../services/linkedin';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+// Final del OAuth de LinkedIn (el backend redirige aquí). Normalmente se abre en una
+// ventana emergente: avisa a la app que la abrió y se cierra
+export default function LinkedInCallback() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const notify = useNotify();
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    const result = { type: LINKEDIN_MESSAGE_TYPE, status: searchParams.get('status'), code: searchParams.get('code') };
+    if (window.opener) {
+      window.opener.postMessage(result, window.location.origin);
+      window.close();
+      return;
+    }
+    // Sin ventana emergente (bloqueada por el navegador): se vuelve al generador
+    if (result.status === 'connected') {
+      notify(t('linkedin.connected'), 'success');
+    } else {
+      notify(t(getLinkedInErrorKey(result)));
+    }
+    navigate('/', { replace: true });
+  }, [searchParams, navigate, notify, t]);
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+      <CircularProgress />
+    </Box>
+  );
+}
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { Box, Avatar, Typography, ToggleButtonGroup, ToggleButton, Divider } from '@mui/material';
+import { ThemeProvider } from '@mui/material/styles';
+import LightModeIcon from '@mui/icons-material/LightMode';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import PublicIcon from '@mui/icons-material/Public';
+import ThumbUpOffAltIcon from '@mui/icons-material/ThumbUpOffAlt';
+import ChatBubbleOutlineIcon from '@mui/icons-material/ChatBubbleOutline';
+import RepeatIcon from '@mui/icons-material/Repeat';
+import SendIcon from '@mui/icons-material/Send';
+import { createAppTheme } from '../theme';
+import { getFoldIndex } from '../services/linkedinFormat';
+import { useTranslation } from '../contexts/LanguageContext';
+
+// Medidas y colores del feed de LinkedIn (escritorio)
+const FEED_WIDTH = 555;
+const FEED_FONT = '-apple-system, system-ui, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", "Fira Sans", Ubuntu, Oxygen, "Oxygen Sans", Cantarell, "Droid Sans", "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Lucida Grande", Helvetica, Arial, sans-serif';
+const FEED_COLORS = {
+  light: { card: '#ffffff', text: 'rgba(0, 0, 0, 0.9)', muted: 'rgba(0, 0, 0, 0.6)', border: 'rgba(140, 140, 140, 0.2)', linkBg: '#eef3f8' },
+  dark: { card: '#1b1f23', text: 'rgba(255, 255, 255, 0.9)', muted: 'rgba(255, 255, 255, 0.6)', border: 'rgba(140, 140, 140, 0.3)', linkBg: '#38434f' },
+};
+
+const ACTIONS = [
+  { label: 'preview.like', Icon: ThumbUpOffAltIcon },
+  { label: 'preview.comment', Icon: ChatBubbleOutlineIcon },
+  { label: 'preview.repost', Icon: RepeatIcon },
+  { label: 'preview.send', Icon: SendIcon },
+];
+
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+export default function LinkedInPreview({ text, authorName, article }) {
+  const { t } = useTranslation();
+  const [mode, setMode] = useState('light');
+  const [expanded, setExpanded] = useState(false);
+  const colors = FEED_COLORS[mode];
+  const foldIndex = getFoldIndex(text);
+  const visibleText = expanded || foldIndex === null ? text : text.slice(0, foldIndex).trimEnd();
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={mode}
+          onChange={(e, value) => value && setMode(value)}
+        >
+          <ToggleButton value="light" aria-label={t('layout.lightMode')}><LightModeIcon fontSize="small" /></ToggleButton>
+          <ToggleButton value="dark" aria-label={t('layout.darkMode')}><DarkModeIcon fontSize="small" /></ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      <ThemeProvider theme={createAppTheme(mode)}>
+        <Box sx={{ bgcolor: 'background.default', p: 3, borderRadius: 2, display: 'flex', justifyContent: 'center' }}>
+          <Box
+            sx={{
+              width: '100%',
+              maxWidth: FEED_WIDTH,
+              bgcolor: colors.card,
+              color: colors.text,
+              fontFamily: FEED_FONT,
+              borderRadius: 2,
+              boxShadow: `0 0 0 1px ${colors.border}`,
+              overflow: 'hidden'
+            }}
+          >
+            {/* Cabecera del autor */}
+            <Box sx={{ display: 'flex', gap: 1, px: 2, pt: 1.5, mb: 1 }}>
+              <Avatar sx={{ width: 48, height: 48, bgcolor: 'primary.main' }}>
+                {authorName?.[0]?.toUpperCase()}
+              </Avatar>
+              <Box sx={{ minWidth: 0 }}>
+                <Typography sx={{ fontFamily: 'inherit', fontSize: 14, fontWeight: 600, lineHeight: '20px' }} noWrap>
+                  {authorName}
+                </Typography>
+                <Typography sx={{ fontFamily: 'inherit', fontSize: 12, lineHeight: '16px', color: colors.muted, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                  {t('preview.now')} · <PublicIcon sx={{ fontSize: 14 }} />
+                </Typography>
+              </Box>
+            </Box>
+
+            {/* Texto */}
+            <Box sx={{ px: 2, fontSize: 14, lineHeight: '20px', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+              {visibleText}
+              {foldIndex !== null && !expanded && (
+                <Box
+                  component="button"
+                  type="button"
+                  onClick={() => setExpanded(true)}
+                  sx={{ border: 0, p: 0, ml: 0.5, bgcolor: 'transparent', color: colors.muted, font: 'inherit', cursor: 'pointer', '&:hover': { color: 'primary.main', textDecoration: 'underline' } }}
+                >
+                  {t('preview.seeMore')}
+                </Box>
+              )}
+            </Box>
+
+            {/* Vista previa del enlace */}
+            {article?.url && (
+              <Box sx={{ mt: 1 }}>
+                {article.image && (
+                  <Box component="img" src={article.image} alt="" sx={{ display: 'block', width: '100%', maxHeight: 290, objectFit: 'cover' }} />
+                )}
+                <Box sx={{ bgcolor: colors.linkBg, px: 1.5, py: 1 }}>
+                  <Typography sx={{ fontFamily: 'inherit', fontSize: 14, fontWeight: 600, lineHeight: '20px', color: colors.text }} noWrap>
+                    {article.title || article.url}
+                  </Typography>
+                  <Typography sx={{ fontFamily: 'inherit', fontSize: 12, lineHeight: '16px', color: colors.muted }} noWrap>
+                    {getHostname(article.url)}
+                  </Typography>
+                </Box>
+              </Box>
+            )}
+
+            <Divider sx={{ mx: 2, mt: 1, borderColor: colors.border }} />
+
+            {/* Acciones */}
+            <Box sx={{ display: 'flex', justifyContent: 'space-around', px: 1, py: 0.5 }}>
+              {ACTIONS.map(({ label, Icon }) => (
+                <Box key={label} sx={{ display: 'flex', alignItems: 'center', gap: 0.75, px: 1, py: 1.25, color: colors.muted, fontSize: 14, fontWeight: 600 }}>
+                  <Icon sx={{ fontSize: 20 }} />
+                  {t(label)}
+                </Box>
+              ))}
+            </Box>
+          </Box>
+        </Box>
+      </ThemeProvider>
+    </Box>
+  );
+}
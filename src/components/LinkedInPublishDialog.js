@@ -0,0 +1,204 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Box, Typography, Alert, FormControl, InputLabel, Select, MenuItem, CircularProgress, Link } from '@mui/material';
+import LinkedInIcon from '@mui/icons-material/LinkedIn';
+import PersonIcon from '@mui/icons-material/Person';
+import BusinessIcon from '@mui/icons-material/Business';
+import { getLinkedInStatus, getLinkedInConnectUrl, disconnectLinkedIn, publishToLinkedIn, getLinkedInErrorKey, LINKEDIN_MESSAGE_TYPE } from '../services/linkedin';
+import { countCharacters, LINKEDIN_MAX_LENGTH } from '../services/linkedinFormat';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+export default function LinkedInPublishDialog({ open, text, article, onClose, onPublished }) {
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [status, setStatus] = useState(null);
+  const [author, setAuthor] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [published, setPublished] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const result = await getLinkedInStatus();
+      setStatus(result);
+      setAuthor((current) => result.authors?.some(({ urn }) => urn === current) ? current : result.authors?.[0]?.urn ?? '');
+    } catch (error) {
+      console.error('Error loading LinkedIn status:', error);
+      setStatus({ configured: false, connected: false });
+      notify(t(getLinkedInErrorKey(error)));
+    }
+  }, [notify, t]);
+
+  useEffect(() => {
+    if (!open) return;
+    setStatus(null);
+    setPublished(null);
+    loadStatus();
+  }, [open, loadStatus]);
+
+  // La ventana del OAuth avisa al terminar (ver LinkedInCallback)
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.origin !== window.location.origin || event.data?.type !== LINKEDIN_MESSAGE_TYPE) return;
+      setBusy(false);
+      if (event.data.status === 'connected') {
+        notify(t('linkedin.connected'), 'success');
+        loadStatus();
+      } else {
+        notify(t(getLinkedInErrorKey(event.data)));
+      }
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [loadStatus, notify, t]);
+
+  const handleConnect = async () => {
+    try {
+      setBusy(true);
+      const url = await getLinkedInConnectUrl();
+      const popup = window.open(url, 'linkedin-oauth', 'width=600,height=720');
+      if (!popup) {
+        // Ventana emergente bloqueada: el OAuth sigue en esta pestaña
+        window.location.assign(url);
+        return;
+      }
+      // Si el usuario cierra la ventana sin terminar, se puede volver a intentar
+      const timer = setInterval(() => {
+        if (!popup.closed) return;
+        clearInterval(timer);
+        setBusy(false);
+      }, 500);
+    } catch (error) {
+      setBusy(false);
+      notify(t(getLinkedInErrorKey(error)));
+    }
+  };
+
+  const handleDisconnect = async () => {
+    try {
+      setBusy(true);
+      await disconnectLinkedIn();
+      notify(t('linkedin.disconnected'), 'success');
+      await loadStatus();
+    } catch (error) {
+      notify(t(getLinkedInErrorKey(error)));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    try {
+      setBusy(true);
+      const result = await publishToLinkedIn({
+        author,
+        text,
+        article: article?.url ? { url: article.url, title: article.title } : undefined
+      });
+      setPublished(result);
+      onPublished?.({ ...result, author });
+    } catch (error) {
+      console.error('Error publishing to LinkedIn:', error);
+      notify(t(getLinkedInErrorKey(error)));
+      if (error.code === 'linkedin_reauth_required') loadStatus();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const overLimit = countCharacters(text) > LINKEDIN_MAX_LENGTH;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <LinkedInIcon color="primary" />
+        {t('linkedin.dialogTitle')}
+      </DialogTitle>
+      <DialogContent>
+        {!status && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={28} />
+          </Box>
+        )}
+
+        {status && !status.configured && (
+          <Alert severity="info">{t('linkedin.notConfigured')}</Alert>
+        )}
+
+        {status?.configured && !status.connected && (
+          <Box>
+            {status.expired && <Alert severity="warning" sx={{ mb: 2 }}>{t('linkedin.expired')}</Alert>}
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {t('linkedin.connectPrompt')}
+            </Typography>
+            <Button variant="contained" startIcon={<LinkedInIcon />} onClick={handleConnect} disabled={busy}>
+              {busy ? t('linkedin.connecting') : t('linkedin.connect')}
+            </Button>
+          </Box>
+        )}
+
+        {status?.connected && !published && (
+          <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1, mb: 2 }}>
+              <Typography variant="body2" color="text.secondary">
+                {t('linkedin.connectedAs', { name: status.name })}
+              </Typography>
+              <Button size="small" color="inherit" onClick={handleDisconnect} disabled={busy}>
+                {t('linkedin.disconnect')}
+              </Button>
+            </Box>
+            <FormControl fullWidth sx={{ mb: 2 }}>
+              <InputLabel>{t('linkedin.author')}</InputLabel>
+              <Select value={author} onChange={(e) => setAuthor(e.target.value)} label={t('linkedin.author')} disabled={busy}>
+                {status.authors.map((option) => (
+                  <MenuItem key={option.urn} value={option.urn}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {option.type === 'organization' ? <BusinessIcon fontSize="small" /> : <PersonIcon fontSize="small" />}
+                      {option.name}
+                      <Typography variant="caption" color="text.secondary">
+                        {option.type === 'organization' ? t('linkedin.companyPage') : t('linkedin.personalProfile')}
+                      </Typography>
+                    </Box>
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Typography
+              variant="body2"
+              sx={{ whiteSpace: 'pre-line', maxHeight: 240, overflow: 'auto', p: 1.5, bgcolor: 'action.hover', borderRadius: 1 }}
+            >
+              {text}
+            </Typography>
+            {article?.url && (
+              <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 1 }}>
+                {t('linkedin.linkPreview', { url: article.url })}
+              </Typography>
+            )}
+            {overLimit && <Alert severity="error" sx={{ mt: 2 }}>{t('linkedinErrors.text_too_long')}</Alert>}
+          </Box>
+        )}
+
+        {published && (
+          <Alert severity="success">
+            {t('linkedin.published')}{' '}
+            <Link href={published.url} target="_blank" rel="noopener noreferrer">
+              {t('linkedin.viewPost')}
+            </Link>
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{published ? t('common.close') : t('common.cancel')}</Button>
+        {status?.connected && !published && (
+          <Button
+            variant="contained"
+            startIcon={busy ? <CircularProgress size={18} color="inherit" /> : <LinkedInIcon />}
+            onClick={handlePublish}
+            disabled={busy || !author || !text.trim() || overLimit}
+          >
+            {busy ? t('linkedin.publishing') : t('linkedin.publish')}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
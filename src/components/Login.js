@@ -1,56 +1,83 @@
 import { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import { supabase } from '../config/supabase';
-import { Box, Button, TextField, Typography, Container, Alert } from '@mui/material';
-import Register from './Register';
+import { Box, Button, TextField, Typography, Container, Alert, Divider, Link } from '@mui/material';
+import { getAuthErrorKey } from '../services/authErrors';
+import { useTranslation } from '../contexts/LanguageContext';
 
 export default function Login() {
+  const { t } = useTranslation();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [isRegistering, setIsRegistering] = useState(false);
 
   const handleLogin = async (e) => {
     e.preventDefault();
     try {
       setLoading(true);
       setError(null);
+      setMessage(null);
       const { error } = await supabase.auth.signInWithPassword({
         email,
         password,
       });
       if (error) throw error;
     } catch (error) {
-      setError(error.message);
+      setError(getAuthErrorKey(error));
     } finally {
       setLoading(false);
     }
   };
 
-  if (isRegistering) {
-    return <Register setIsRegistering={setIsRegistering} />;
-  }
+  const handleMagicLink = async () => {
+    if (!email) {
+      setError('auth.login.magicLinkEmailRequired');
+      return;
+    }
+    try {
+      setLoading(true);
+      setError(null);
+      setMessage(null);
+      const { error } = await supabase.auth.signInWithOtp({
+        email,
+        options: {
+          emailRedirectTo: window.location.origin,
+          shouldCreateUser: false,
+        },
+      });
+      if (error) throw error;
+      setMessage('auth.login.magicLinkSent');
+    } catch (error) {
+      setError(getAuthErrorKey(error));
+    } finally {
+      setLoading(false);
+    }
+  };
 
   return (
     <Container component="main" maxWidth="xs">
       <Box
         sx={{
-          marginTop: 8,
+          pt: 4,
           display: 'flex',
           flexDirection: 'column',
           alignItems: 'center',
         }}
       >
         <Typography component="h1" variant="h5">
-          Sign in
+          {t('auth.login.title')}
         </Typography>
-        {error && <Alert severity="error">{error}</Alert>}
-        <Box component="form" onSubmit={handleLogin} sx={{ mt: 1 }}>
+        {error && <Alert severity="error" sx={{ mt: 2, width: '100%' }}>{t(error)}</Alert>}
+        {message && <Alert severity="success" sx={{ mt: 2, width: '100%' }}>{t(message)}</Alert>}
+        <Box component="form" onSubmit={handleLogin} sx={{ mt: 1, width: '100%' }}>
           <TextField
             margin="normal"
             required
             fullWidth
-            label="Email Address"
+            label={t('common.email')}
+            type="email"
             autoComplete="email"
             autoFocus
             value={email}
@@ -60,12 +87,17 @@ export default function Login() {
             margin="normal"
             required
             fullWidth
-            label="Password"
+            label={t('common.password')}
             type="password"
             autoComplete="current-password"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
           />
+          <Box sx={{ textAlign: 'right' }}>
+            <Link component={RouterLink} to="/reset-password" variant="body2">
+              {t('auth.login.forgotPassword')}
+            </Link>
+          </Box>
           <Button
             type="submit"
             fullWidth
@@ -73,17 +105,28 @@ export default function Login() {
             sx={{ mt: 3, mb: 2 }}
             disabled={loading}
           >
-            {loading ? 'Signing in...' : 'Sign In'}
+            {loading ? t('auth.login.submitting') : t('auth.login.submit')}
+          </Button>
+          <Divider>{t('auth.login.or')}</Divider>
+          <Button
+            fullWidth
+            variant="outlined"
+            onClick={handleMagicLink}
+            sx={{ mt: 2 }}
+            disabled={loading}
+          >
+            {t('auth.login.magicLink')}
           </Button>
           <Button
             fullWidth
-            onClick={() => setIsRegistering(true)}
+            component={RouterLink}
+            to="/register"
             sx={{ mt: 1 }}
           >
-            Create Account
+            {t('auth.login.register')}
           </Button>
         </Box>
       </Box>
     </Container>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,66 @@
+import { Paper, Box, Typography, Chip, IconButton, Tooltip, CircularProgress } from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { useOfflineQueue } from '../contexts/OfflineQueueContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import ValidationAlert from './ValidationAlert';
+
+// Generaciones pedidas sin conexión que todavía no han terminado, y las que se guardaron
+// con infracciones de las reglas para que se revisen
+export default function OfflineQueuePanel() {
+  const { online, queue, runningId, remove, retry } = useOfflineQueue();
+  const { t, locale } = useTranslation();
+
+  if (!queue.length) return null;
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 4 }}>
+      <Typography variant="subtitle2">{t('offline.queueTitle', { count: queue.length })}</Typography>
+      <Typography variant="caption" color="text.secondary">
+        {online ? t('offline.queueOnline') : t('offline.queueOffline')}
+      </Typography>
+      {queue.map((item) => (
+        <Box key={item.id} sx={{ mt: 1 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Box sx={{ flex: 1, minWidth: 0 }}>
+              <Typography variant="body2" noWrap>{item.title}</Typography>
+              <Typography variant="caption" color={item.error ? 'error' : 'text.secondary'}>
+                {item.error
+                  ? t(item.error)
+                  : item.status === 'review' ? t('offline.reviewHint') : new Date(item.createdAt).toLocaleString(locale)}
+              </Typography>
+            </Box>
+            {item.id === runningId ? (
+              <CircularProgress size={20} />
+            ) : (
+              <Chip
+                size="small"
+                color={{ failed: 'error', review: 'warning' }[item.status] ?? 'default'}
+                label={t(`offline.status.${item.status}`)}
+              />
+            )}
+            {item.status === 'failed' && (
+              <Tooltip title={t('offline.retry')}>
+                <span>
+                  <IconButton size="small" onClick={() => retry(item.id)} disabled={!online}>
+                    <RefreshIcon />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            )}
+            <Tooltip title={t('offline.remove')}>
+              <span>
+                <IconButton size="small" onClick={() => remove(item.id)} disabled={item.id === runningId}>
+                  <DeleteIcon />
+                </IconButton>
+              </span>
+            </Tooltip>
+          </Box>
+          {item.status === 'review' && (
+            <ValidationAlert violations={item.result.violations} sx={{ mt: 1 }} />
+          )}
+        </Box>
+      ))}
+    </Paper>
+  );
+}
@@ -0,0 +1,257 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Box, Paper, Typography, Button, IconButton, Tooltip, Chip, CircularProgress, ToggleButtonGroup, ToggleButton, Table, TableHead, TableBody, TableRow, TableCell } from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import LinkedInIcon from '@mui/icons-material/LinkedIn';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+import InsightsIcon from '@mui/icons-material/Insights';
+import PostMetricsDialog from './PostMetricsDialog';
+import { listPostsForMetrics, savePostMetrics } from '../services/postMetrics';
+import { fetchLinkedInPostStats, getLinkedInErrorKey } from '../services/linkedin';
+import { PERFORMANCE_DIMENSIONS, METRIC_FIELDS, readMetricsCsv, matchMetricsToPosts, summarizeByDimension, getTopPosts, getInteractions } from '../services/performance';
+import { listTemplates, getTemplateName } from '../services/templates';
+import { canEdit } from '../services/workflow';
+import { BUILTIN_TEMPLATES } from '../config/promptTemplates';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const TOP_POSTS_SHOWN = 5;
+
+// Resultados de los posts del espacio en LinkedIn: cómo funcionan según tono, longitud,
+// emojis y plantilla, y cuáles son los mejores (los que el generador puede usar de ejemplo)
+export default function PerformancePage() {
+  const { workspace, role } = useWorkspace();
+  const notify = useNotify();
+  const { t, locale } = useTranslation();
+  const navigate = useNavigate();
+  const [posts, setPosts] = useState([]);
+  const [templates, setTemplates] = useState(BUILTIN_TEMPLATES);
+  const [dimension, setDimension] = useState('tone');
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [metricsPost, setMetricsPost] = useState(null);
+
+  const fetchPosts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setPosts(await listPostsForMetrics({ workspaceId: workspace.id }));
+    } catch (error) {
+      console.error('Error loading post metrics:', error);
+      notify(t('performance.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [workspace.id, notify, t]);
+
+  useEffect(() => {
+    fetchPosts();
+    listTemplates({ workspaceId: workspace.id })
+      .then(setTemplates)
+      .catch((err) => console.error('Error loading templates:', err));
+  }, [fetchPosts, workspace.id]);
+
+  const measured = useMemo(() => posts.filter((post) => post.metrics), [posts]);
+  const groups = useMemo(() => summarizeByDimension(measured, dimension), [measured, dimension]);
+  const topPosts = useMemo(() => getTopPosts(measured, TOP_POSTS_SHOWN), [measured]);
+  const published = posts.filter((post) => post.linkedin_urn);
+
+  const getGroupLabel = (key) => {
+    if (dimension === 'tone') return key === 'voice' ? t('performance.voiceTone') : t(`options.tone.${key}`);
+    if (dimension === 'length') return t(`options.postLength.${key}`);
+    if (dimension === 'emojis') return t(`performance.emojis.${key}`);
+    const template = templates.find((item) => item.id === key);
+    if (template) return getTemplateName(template, t);
+    return key ? t('performance.deletedTemplate') : t('performance.noTemplate');
+  };
+
+  const formatNumber = (value) => (value === null ? '—' : value.toLocaleString(locale));
+  const formatRate = (value) => (value === null ? '—' : value.toLocaleString(locale, { style: 'percent', maximumFractionDigits: 1 }));
+
+  const handleCsvFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setBusy(true);
+      const rows = readMetricsCsv(await file.text());
+      if (!rows.length) {
+        notify(t('performance.csvInvalid'));
+        return;
+      }
+      const { matches, unmatched } = matchMetricsToPosts(rows, posts);
+      if (matches.length) await savePostMetrics(matches, 'csv');
+      notify(t('performance.csvImported', { count: matches.length, unmatched }), matches.length ? 'success' : 'warning');
+      await fetchPosts();
+    } catch (error) {
+      console.error('Error importing metrics CSV:', error);
+      notify(t('performance.saveFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // De uno en uno: la API de LinkedIn limita las peticiones por minuto.
+  // Lo que LinkedIn no da (impresiones de un perfil personal) se queda como estaba
+  const handleRefreshFromLinkedIn = async () => {
+    setBusy(true);
+    const items = [];
+    let failed = 0;
+    for (const post of published) {
+      try {
+        const stats = await fetchLinkedInPostStats({ urn: post.linkedin_urn, author: post.linkedin_author });
+        items.push({
+          postId: post.id,
+          metrics: Object.fromEntries(METRIC_FIELDS.map((field) => [field, stats[field] ?? post.metrics?.[field] ?? null]))
+        });
+      } catch (error) {
+        console.error('Error fetching LinkedIn stats:', error);
+        // Sin conexión con LinkedIn fallarían todos: se avisa del motivo y se para
+        if (error.status !== 502) {
+          notify(t(getLinkedInErrorKey(error)));
+          break;
+        }
+        failed += 1;
+      }
+    }
+
+    try {
+      if (items.length) {
+        await savePostMetrics(items, 'linkedin');
+        notify(t('performance.linkedinUpdated', { count: items.length, failed }), failed ? 'warning' : 'success');
+      }
+      await fetchPosts();
+    } catch (error) {
+      console.error('Error saving LinkedIn stats:', error);
+      notify(t('performance.saveFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <Typography variant="h6">{t('performance.title')}</Typography>
+        {canEdit(role) && (
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            <Button size="small" variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={busy || loading}>
+              {t('performance.importCsv')}
+              <input type="file" accept=".csv,text/csv" hidden onChange={handleCsvFile} />
+            </Button>
+            <Button
+              size="small"
+              variant="outlined"
+              startIcon={busy ? <CircularProgress size={16} /> : <LinkedInIcon />}
+              onClick={handleRefreshFromLinkedIn}
+              disabled={busy || loading || !published.length}
+            >
+              {t('performance.refreshFromLinkedIn')}
+            </Button>
+          </Box>
+        )}
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {t('performance.subtitle')}
+      </Typography>
+
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+      {!loading && measured.length === 0 && (
+        <Typography variant="body2" color="text.secondary">{t('performance.empty')}</Typography>
+      )}
+
+      {!loading && measured.length > 0 && (
+        <>
+          {/* Resultados por dimensión */}
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={dimension}
+            onChange={(e, value) => value && setDimension(value)}
+            sx={{ mb: 1, flexWrap: 'wrap' }}
+          >
+            {PERFORMANCE_DIMENSIONS.map((value) => (
+              <ToggleButton key={value} value={value}>{t(`performance.dimensions.${value}`)}</ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+          <Table size="small" sx={{ mb: 4 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>{t(`performance.dimensions.${dimension}`)}</TableCell>
+                <TableCell align="right">{t('performance.posts')}</TableCell>
+                <TableCell align="right">{t('performance.averageImpressions')}</TableCell>
+                <TableCell align="right">{t('performance.averageInteractions')}</TableCell>
+                <TableCell align="right">{t('performance.rate')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {groups.map((group) => (
+                <TableRow key={group.key}>
+                  <TableCell>{getGroupLabel(group.key)}</TableCell>
+                  <TableCell align="right">{formatNumber(group.posts)}</TableCell>
+                  <TableCell align="right">{formatNumber(group.averageImpressions)}</TableCell>
+                  <TableCell align="right">{formatNumber(group.averageInteractions)}</TableCell>
+                  <TableCell align="right">{formatRate(group.engagementRate)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {/* Mejores posts */}
+          <Typography variant="subtitle2">{t('performance.topPosts')}</Typography>
+          <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+            {t('performance.topPostsHint')}
+          </Typography>
+          {topPosts.map((post, i) => (
+            <Paper key={post.id} variant="outlined" sx={{ p: 2, mb: 1 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2 }}>
+                <Box sx={{ minWidth: 0 }}>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+                    <Chip size="small" color="primary" label={`#${i + 1}`} />
+                    <Chip size="small" label={t('performance.interactions', { count: formatNumber(getInteractions(post.metrics)) })} />
+                    {post.metrics.impressions !== null && (
+                      <Chip size="small" variant="outlined" label={t('performance.impressions', { count: formatNumber(post.metrics.impressions) })} />
+                    )}
+                  </Box>
+                  <Typography
+                    variant="body2"
+                    sx={{ whiteSpace: 'pre-line', display: '-webkit-box', WebkitLineClamp: 3, WebkitBoxOrient: 'vertical', overflow: 'hidden' }}
+                  >
+                    {post.content}
+                  </Typography>
+                </Box>
+                <Box sx={{ display: 'flex', flexShrink: 0 }}>
+                  <Tooltip title={t('common.open')}>
+                    <IconButton size="small" onClick={() => navigate('/', { state: { post } })}>
+                      <OpenInNewIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={t('performance.dialogTitle')}>
+                    <IconButton size="small" onClick={() => setMetricsPost(post)}>
+                      <InsightsIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              </Box>
+            </Paper>
+          ))}
+        </>
+      )}
+
+      {metricsPost && (
+        <PostMetricsDialog
+          open
+          post={metricsPost}
+          readOnly={!canEdit(role)}
+          onClose={() => setMetricsPost(null)}
+          onSaved={fetchPosts}
+        />
+      )}
+    </Box>
+  );
+}
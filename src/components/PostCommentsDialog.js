@@ -0,0 +1,127 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Box, Typography, TextField, IconButton, Tooltip, CircularProgress } from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { listComments, addComment, deleteComment } from '../services/comments';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Comentarios de revisión de un post. `onCountChange` recibe el nuevo número de comentarios
+export default function PostCommentsDialog({ open, post, onClose, onCountChange }) {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t, locale } = useTranslation();
+  const [comments, setComments] = useState([]);
+  const [body, setBody] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const fetchComments = useCallback(async () => {
+    try {
+      setLoading(true);
+      setComments(await listComments({ postId: post.id }));
+    } catch (error) {
+      console.error('Error loading comments:', error);
+      notify(t('workflow.comments.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [post.id, notify, t]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const handleAdd = async () => {
+    try {
+      setBusy(true);
+      const comment = await addComment({ postId: post.id, userId: user.id, body });
+      const next = [...comments, comment];
+      setComments(next);
+      onCountChange?.(next.length);
+      setBody('');
+    } catch (error) {
+      console.error('Error saving comment:', error);
+      notify(t('workflow.comments.saveFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    try {
+      setBusy(true);
+      await deleteComment(comment.id);
+      const next = comments.filter((item) => item.id !== comment.id);
+      setComments(next);
+      onCountChange?.(next.length);
+    } catch (error) {
+      notify(t('workflow.comments.deleteFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{t('workflow.comments.title')}</DialogTitle>
+      <DialogContent>
+        <Typography
+          variant="body2"
+          color="text.secondary"
+          sx={{ whiteSpace: 'pre-line', bgcolor: 'action.hover', borderRadius: 1, p: 1.5, mb: 2, maxHeight: 160, overflow: 'auto' }}
+        >
+          {post.content}
+        </Typography>
+
+        {loading && comments.length === 0 && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {!loading && comments.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {t('workflow.comments.empty')}
+          </Typography>
+        )}
+        {comments.map((comment) => (
+          <Box key={comment.id} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 2 }}>
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              <Typography variant="caption" color="text.secondary" component="div">
+                {comment.author_email} · {new Date(comment.created_at).toLocaleString(locale)}
+              </Typography>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>{comment.body}</Typography>
+            </Box>
+            {comment.user_id === user.id && (
+              <Tooltip title={t('common.delete')}>
+                <span>
+                  <IconButton size="small" onClick={() => handleDelete(comment)} disabled={busy}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            )}
+          </Box>
+        ))}
+
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          placeholder={t('workflow.comments.placeholder')}
+          value={body}
+          onChange={(e) => setBody(e.target.value.slice(0, MAX_COMMENT_LENGTH))}
+          disabled={busy}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.close')}</Button>
+        <Button variant="contained" onClick={handleAdd} disabled={busy || !body.trim()}>
+          {t('workflow.comments.send')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,48 @@
+import { Box, TextField, Typography, LinearProgress } from '@mui/material';
+import { countCharacters, getFoldIndex, LINKEDIN_MAX_LENGTH } from '../services/linkedinFormat';
+import { useTranslation } from '../contexts/LanguageContext';
+
+export default function PostEditor({ value, onChange, disabled }) {
+  const { t, locale } = useTranslation();
+  const count = countCharacters(value);
+  const foldIndex = getFoldIndex(value);
+  const overLimit = count > LINKEDIN_MAX_LENGTH;
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    // Se permite borrar aunque el texto generado ya supere el límite
+    if (countCharacters(text) > LINKEDIN_MAX_LENGTH && countCharacters(text) > count) return;
+    onChange(text);
+  };
+
+  return (
+    <Box>
+      <TextField
+        fullWidth
+        multiline
+        minRows={8}
+        value={value}
+        onChange={handleChange}
+        disabled={disabled}
+        error={overLimit}
+        helperText={overLimit ? t('editor.overLimit', { count: count - LINKEDIN_MAX_LENGTH }) : ''}
+      />
+      <LinearProgress
+        variant="determinate"
+        value={Math.min(100, (count / LINKEDIN_MAX_LENGTH) * 100)}
+        color={overLimit ? 'error' : count > LINKEDIN_MAX_LENGTH * 0.9 ? 'warning' : 'primary'}
+        sx={{ mt: 1, height: 4, borderRadius: 2 }}
+      />
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 2, mt: 0.5 }}>
+        <Typography variant="caption" color="text.secondary" sx={{ minWidth: 0 }}>
+          {foldIndex === null
+            ? t('editor.noFold')
+            : <>{t('editor.foldAfter')} <Box component="span" sx={{ fontStyle: 'italic' }}>«…{value.slice(Math.max(0, foldIndex - 40), foldIndex).trim()}»</Box></>}
+        </Typography>
+        <Typography variant="caption" color={overLimit ? 'error' : 'text.secondary'} sx={{ flexShrink: 0 }}>
+          {count.toLocaleString(locale)} / {LINKEDIN_MAX_LENGTH.toLocaleString(locale)}
+        </Typography>
+      </Box>
+    </Box>
+  );
+}
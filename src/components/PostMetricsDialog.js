@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Box, Typography, TextField, CircularProgress } from '@mui/material';
+import LinkedInIcon from '@mui/icons-material/LinkedIn';
+import { getPostMetrics, savePostMetrics } from '../services/postMetrics';
+import { fetchLinkedInPostStats, getLinkedInErrorKey } from '../services/linkedin';
+import { METRIC_FIELDS, getEngagementRate, parseCount } from '../services/performance';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+// Impresiones y compartidos pueden quedar vacíos (no se saben); reacciones y comentarios no
+const OPTIONAL_FIELDS = ['impressions', 'reshares'];
+
+const EMPTY_VALUES = { impressions: '', reactions: '', comments: '', reshares: '' };
+
+const toValues = (metrics) => Object.fromEntries(METRIC_FIELDS.map((field) => [field, metrics?.[field]?.toString() ?? '']));
+
+const toMetrics = (values) => Object.fromEntries(METRIC_FIELDS.map((field) => [
+  field,
+  OPTIONAL_FIELDS.includes(field) ? parseCount(values[field]) : parseCount(values[field]) ?? 0
+]));
+
+// Resultados de un post en LinkedIn: a mano o, si se publicó desde la app, leídos de la API.
+// `readOnly`: los revisores solo los ven
+export default function PostMetricsDialog({ open, post, readOnly, onClose, onSaved }) {
+  const notify = useNotify();
+  const { t, locale } = useTranslation();
+  const [values, setValues] = useState(EMPTY_VALUES);
+  const [source, setSource] = useState('manual');
+  const [saved, setSaved] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    setLoading(true);
+    getPostMetrics(post.id)
+      .then((metrics) => {
+        if (cancelled) return;
+        setSaved(metrics);
+        setValues(metrics ? toValues(metrics) : EMPTY_VALUES);
+        setSource(metrics?.source ?? 'manual');
+      })
+      .catch((error) => {
+        console.error('Error loading post metrics:', error);
+        if (!cancelled) notify(t('performance.loadFailed'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, post.id, notify, t]);
+
+  const isValid = METRIC_FIELDS.every((field) => !values[field].trim() || parseCount(values[field]) !== null);
+  const rate = getEngagementRate(toMetrics(values));
+
+  const handleChange = (field) => (e) => {
+    setValues((current) => ({ ...current, [field]: e.target.value }));
+    setSource('manual');
+  };
+
+  const handleFetch = async () => {
+    try {
+      setBusy(true);
+      const stats = await fetchLinkedInPostStats({ urn: post.linkedin_urn, author: post.linkedin_author });
+      // Lo que LinkedIn no da (impresiones de un perfil personal) se queda como estaba
+      setValues((current) => ({
+        ...current,
+        ...Object.fromEntries(METRIC_FIELDS.filter((field) => stats[field] !== null).map((field) => [field, stats[field].toString()]))
+      }));
+      setSource('linkedin');
+    } catch (error) {
+      console.error('Error fetching LinkedIn stats:', error);
+      notify(t(getLinkedInErrorKey(error)));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setBusy(true);
+      const [metrics] = await savePostMetrics([{ postId: post.id, metrics: toMetrics(values) }], source);
+      notify(t('performance.saved'), 'success');
+      onSaved?.(metrics);
+      onClose();
+    } catch (error) {
+      console.error('Error saving post metrics:', error);
+      notify(t('performance.saveFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{t('performance.dialogTitle')}</DialogTitle>
+      <DialogContent>
+        <Typography
+          variant="body2"
+          color="text.secondary"
+          sx={{ whiteSpace: 'pre-line', bgcolor: 'action.hover', borderRadius: 1, p: 1.5, mb: 2, maxHeight: 120, overflow: 'auto' }}
+        >
+          {post.content}
+        </Typography>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <>
+            <Box sx={{ display: 'grid', gap: 2, gridTemplateColumns: { xs: '1fr 1fr', sm: 'repeat(4, 1fr)' }, mt: 1 }}>
+              {METRIC_FIELDS.map((field) => (
+                <TextField
+                  key={field}
+                  label={t(`performance.metrics.${field}`)}
+                  value={values[field]}
+                  onChange={handleChange(field)}
+                  error={Boolean(values[field].trim()) && parseCount(values[field]) === null}
+                  placeholder={OPTIONAL_FIELDS.includes(field) ? t('performance.unknown') : '0'}
+                  inputProps={{ inputMode: 'numeric' }}
+                  disabled={readOnly || busy}
+                />
+              ))}
+            </Box>
+            <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 1 }}>
+              {rate !== null
+                ? t('performance.engagementRate', { rate: rate.toLocaleString(locale, { style: 'percent', maximumFractionDigits: 1 }) })
+                : t('performance.noImpressions')}
+            </Typography>
+            {saved && (
+              <Typography variant="caption" color="text.secondary" component="p">
+                {t('performance.lastUpdated', {
+                  date: new Date(saved.updated_at).toLocaleString(locale),
+                  source: t(`performance.sources.${saved.source}`)
+                })}
+              </Typography>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {post.linkedin_urn && !readOnly && (
+          <Button startIcon={<LinkedInIcon />} onClick={handleFetch} disabled={busy || loading} sx={{ mr: 'auto' }}>
+            {t('performance.fetchFromLinkedIn')}
+          </Button>
+        )}
+        <Button onClick={onClose}>{readOnly ? t('common.close') : t('common.cancel')}</Button>
+        {!readOnly && (
+          <Button variant="contained" onClick={handleSave} disabled={busy || loading || !isValid}>
+            {t('common.save')}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
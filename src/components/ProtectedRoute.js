@@ -0,0 +1,16 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+export default function ProtectedRoute() {
+  const { user, passwordRecovery } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  // La sesión de recuperación solo sirve para cambiar la contraseña
+  if (passwordRecovery) {
+    return <Navigate to="/update-password" replace />;
+  }
+  return <Outlet />;
+}
@@ -0,0 +1,14 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+export default function PublicOnlyRoute() {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  // Con la búsqueda: lo compartido desde otra app llega en la query de /share
+  if (user) {
+    const from = location.state?.from;
+    return <Navigate to={from ? `${from.pathname}${from.search}` : '/'} replace />;
+  }
+  return <Outlet />;
+}
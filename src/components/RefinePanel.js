@@ -0,0 +1,218 @@
+import { useState, useEffect, useRef } from 'react';
+import { Paper, Box, Typography, Button, IconButton, Tooltip, TextField, Menu, MenuItem, Chip, LinearProgress } from '@mui/material';
+import UndoIcon from '@mui/icons-material/Undo';
+import RedoIcon from '@mui/icons-material/Redo';
+import DifferenceIcon from '@mui/icons-material/Difference';
+import SendIcon from '@mui/icons-material/Send';
+import StopIcon from '@mui/icons-material/Stop';
+import { generatePost, getGenerationErrorKey } from '../services/generation';
+import { buildRefineInstruction, buildRefineMessages, getRefinedContext } from '../services/refine';
+import { createTimeline, addVersion, syncEdits, undo, redo, goToVersion, canUndo, canRedo, getCurrentVersion, getActiveVersions, getVersionLabel } from '../services/versions';
+import { TONES } from '../config/postOptions';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import VersionDiffDialog from './VersionDiffDialog';
+
+const QUICK_ACTIONS = ['shorter', 'longer', 'hook', 'cta', 'removeEmojis'];
+
+// Cambios sobre el post mostrado, como una conversación con el modelo que parte del prompt de
+// origen, y el historial de versiones para deshacer, rehacer y comparar.
+// `context` son los ajustes con los que se valida el post; `settings`, los actuales del generador
+export default function RefinePanel({ content, onContentChange, timeline, onTimelineChange, context, onContextChange, settings, disabled, onBusyChange }) {
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [instruction, setInstruction] = useState('');
+  const [refining, setRefining] = useState(false);
+  const [toneAnchor, setToneAnchor] = useState(null);
+  const [diffOpen, setDiffOpen] = useState(false);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Sin historial (borradores anteriores) el texto actual es la primera versión
+  const current = timeline ?? createTimeline(content, 'edited');
+  const isEdited = content !== getCurrentVersion(current).text;
+  const busy = disabled || refining;
+
+  const setRefiningState = (value) => {
+    setRefining(value);
+    onBusyChange(value);
+  };
+
+  const runRefine = async (request) => {
+    const base = syncEdits(current, content);
+    const refineInstruction = buildRefineInstruction({ ...request, cta: settings.cta }, context);
+    const messages = buildRefineMessages({
+      sourcePrompt: base.sourcePrompt,
+      versions: getActiveVersions(base),
+      content,
+      instruction: refineInstruction
+    });
+    const refinedContext = getRefinedContext(context, request);
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    try {
+      setRefiningState(true);
+      const { text, cancelled } = await generatePost({
+        ...refinedContext,
+        provider: settings.provider,
+        model: settings.model,
+        bannedWords: settings.bannedWords,
+        messages,
+        signal: controller.signal,
+        onDelta: onContentChange
+      });
+      // Si se detiene se vuelve al texto de antes: una versión a medias no sirve
+      if (cancelled) {
+        onContentChange(content);
+        notify(t('common.generationStopped'), 'info');
+        return;
+      }
+      onTimelineChange(addVersion(base, text, {
+        action: request.action,
+        tone: request.tone,
+        note: request.action === 'custom' ? request.instruction.trim() : null,
+        instruction: refineInstruction
+      }));
+      onContentChange(text);
+      onContextChange(refinedContext);
+      if (request.action === 'custom') setInstruction('');
+    } catch (error) {
+      console.error('Error refining post:', error);
+      onContentChange(content);
+      notify(t(getGenerationErrorKey(error)));
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+      setRefiningState(false);
+    }
+  };
+
+  // Los cambios a mano se guardan como versión antes de moverse por el historial
+  const moveTo = (move) => {
+    const next = move(syncEdits(current, content));
+    onTimelineChange(next);
+    onContentChange(getCurrentVersion(next).text);
+  };
+
+  const handleCustom = (e) => {
+    e.preventDefault();
+    if (instruction.trim()) runRefine({ action: 'custom', instruction });
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mt: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+        <Box>
+          <Typography variant="subtitle2">{t('refine.title')}</Typography>
+          <Typography variant="caption" color="text.secondary">{t('refine.subtitle')}</Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', flexShrink: 0 }}>
+          <Tooltip title={t('refine.undo')}>
+            <span>
+              <IconButton size="small" onClick={() => moveTo(undo)} disabled={busy || (!canUndo(current) && !isEdited)}>
+                <UndoIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title={t('refine.redo')}>
+            <span>
+              <IconButton size="small" onClick={() => moveTo(redo)} disabled={busy || !canRedo(current) || isEdited}>
+                <RedoIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title={t('refine.compare')}>
+            <span>
+              <IconButton size="small" onClick={() => setDiffOpen(true)} disabled={busy || current.versions.length < 2}>
+                <DifferenceIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      {/* Cambios rápidos */}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+        {QUICK_ACTIONS.map((action) => (
+          <Button key={action} size="small" variant="outlined" onClick={() => runRefine({ action })} disabled={busy}>
+            {t(`refine.actions.${action}`)}
+          </Button>
+        ))}
+        <Button size="small" variant="outlined" onClick={(e) => setToneAnchor(e.currentTarget)} disabled={busy}>
+          {t('refine.actions.tone')}
+        </Button>
+        <Menu anchorEl={toneAnchor} open={Boolean(toneAnchor)} onClose={() => setToneAnchor(null)}>
+          {TONES.map((option) => (
+            <MenuItem
+              key={option.value}
+              onClick={() => {
+                setToneAnchor(null);
+                runRefine({ action: 'tone', tone: option.value });
+              }}
+            >
+              {t(`options.tone.${option.value}`)}
+            </MenuItem>
+          ))}
+        </Menu>
+      </Box>
+
+      {/* Instrucción libre */}
+      <Box component="form" onSubmit={handleCustom} sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 2 }}>
+        <TextField
+          fullWidth
+          size="small"
+          label={t('refine.instructionLabel')}
+          placeholder={t('refine.instructionPlaceholder')}
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          disabled={busy}
+        />
+        {refining ? (
+          <Tooltip title={t('common.stop')}>
+            <IconButton color="error" onClick={() => controllerRef.current?.abort()}>
+              <StopIcon />
+            </IconButton>
+          </Tooltip>
+        ) : (
+          <Tooltip title={t('refine.send')}>
+            <span>
+              <IconButton type="submit" color="primary" disabled={busy || !instruction.trim()}>
+                <SendIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        )}
+      </Box>
+      {refining && <LinearProgress sx={{ mt: 2 }} />}
+
+      {/* Versiones: las deshechas se ven atenuadas hasta que se hace un cambio nuevo */}
+      {current.versions.length > 1 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5, mt: 2 }}>
+          <Typography variant="caption" color="text.secondary" sx={{ mr: 0.5 }}>
+            {t('refine.versionCount', { current: current.index + 1, total: current.versions.length })}
+          </Typography>
+          {current.versions.map((version, i) => (
+            <Chip
+              key={version.id}
+              size="small"
+              label={`v${i + 1} · ${getVersionLabel(version, t)}`}
+              color={i === current.index ? 'primary' : 'default'}
+              variant={i === current.index ? 'filled' : 'outlined'}
+              onClick={i === current.index && !isEdited ? undefined : () => moveTo((synced) => goToVersion(synced, i))}
+              disabled={busy || (isEdited && i > current.index)}
+              sx={{ maxWidth: 220, opacity: i > current.index ? 0.6 : 1 }}
+            />
+          ))}
+        </Box>
+      )}
+
+      <VersionDiffDialog
+        open={diffOpen}
+        versions={current.versions}
+        index={current.index}
+        onClose={() => setDiffOpen(false)}
+      />
+    </Paper>
+  );
+}
@@ -1,11 +1,16 @@
 import { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import { supabase } from '../config/supabase';
-import { Box, Button, TextField, Typography, Container, Alert, Link } from '@mui/material';
+import { Box, Button, TextField, Typography, Container, Alert } from '@mui/material';
+import { getAuthErrorKey } from '../services/authErrors';
+import { useTranslation } from '../contexts/LanguageContext';
 
-export default function Register({ setIsRegistering }) {
+export default function Register() {
+  const { t } = useTranslation();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
   const [loading, setLoading] = useState(false);
 
   const handleRegister = async (e) => {
@@ -13,14 +18,18 @@ export default function Register({ setIsRegistering }) {
     try {
       setLoading(true);
       setError(null);
+      setMessage(null);
       const { error } = await supabase.auth.signUp({
         email,
         password,
+        options: {
+          emailRedirectTo: window.location.origin,
+        },
       });
       if (error) throw error;
-      setError('Check your email for the confirmation link!');
+      setMessage('auth.register.confirmEmail');
     } catch (error) {
-      setError(error.message);
+      setError(getAuthErrorKey(error));
     } finally {
       setLoading(false);
     }
@@ -28,15 +37,17 @@ export default function Register({ setIsRegistering }) {
 
   return (
     <Container component="main" maxWidth="xs">
-      <Box sx={{ marginTop: 8, display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
-        <Typography component="h1" variant="h5">Register</Typography>
-        {error && <Alert severity={error.includes('confirmation') ? 'success' : 'error'}>{error}</Alert>}
-        <Box component="form" onSubmit={handleRegister} sx={{ mt: 1 }}>
+      <Box sx={{ pt: 4, display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+        <Typography component="h1" variant="h5">{t('auth.register.title')}</Typography>
+        {error && <Alert severity="error" sx={{ mt: 2, width: '100%' }}>{t(error)}</Alert>}
+        {message && <Alert severity="success" sx={{ mt: 2, width: '100%' }}>{t(message)}</Alert>}
+        <Box component="form" onSubmit={handleRegister} sx={{ mt: 1, width: '100%' }}>
           <TextField
             margin="normal"
             required
             fullWidth
-            label="Email Address"
+            label={t('common.email')}
+            type="email"
             autoComplete="email"
             autoFocus
             value={email}
@@ -46,8 +57,9 @@ export default function Register({ setIsRegistering }) {
             margin="normal"
             required
             fullWidth
-            label="Password"
+            label={t('common.password')}
             type="password"
+            autoComplete="new-password"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
           />
@@ -58,17 +70,18 @@ export default function Register({ setIsRegistering }) {
             sx={{ mt: 3, mb: 2 }}
             disabled={loading}
           >
-            {loading ? 'Registering...' : 'Register'}
+            {loading ? t('auth.register.submitting') : t('auth.register.submit')}
           </Button>
           <Button
             fullWidth
-            onClick={() => setIsRegistering(false)}
+            component={RouterLink}
+            to="/login"
             sx={{ mt: 1 }}
           >
-            Back to Login
+            {t('auth.backToLogin')}
           </Button>
         </Box>
       </Box>
     </Container>
   );
-}
\ No newline at end of file
+}
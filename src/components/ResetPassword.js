@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { supabase } from '../config/supabase';
+import { Box, Button, TextField, Typography, Container, Alert } from '@mui/material';
+import { getAuthErrorKey } from '../services/authErrors';
+import { useTranslation } from '../contexts/LanguageContext';
+
+export default function ResetPassword() {
+  const { t } = useTranslation();
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setError(null);
+      setMessage(null);
+      const { error } = await supabase.auth.resetPasswordForEmail(email, {
+        redirectTo: `${window.location.origin}/update-password`,
+      });
+      if (error) throw error;
+      setMessage('auth.reset.sent');
+    } catch (error) {
+      setError(getAuthErrorKey(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box sx={{ pt: 4, display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+        <Typography component="h1" variant="h5">{t('auth.reset.title')}</Typography>
+        {error && <Alert severity="error" sx={{ mt: 2, width: '100%' }}>{t(error)}</Alert>}
+        {message && <Alert severity="success" sx={{ mt: 2, width: '100%' }}>{t(message)}</Alert>}
+        <Box component="form" onSubmit={handleReset} sx={{ mt: 1, width: '100%' }}>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label={t('common.email')}
+            type="email"
+            autoComplete="email"
+            autoFocus
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+          />
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            sx={{ mt: 3, mb: 2 }}
+            disabled={loading}
+          >
+            {loading ? t('auth.reset.submitting') : t('auth.reset.submit')}
+          </Button>
+          <Button
+            fullWidth
+            component={RouterLink}
+            to="/login"
+            sx={{ mt: 1 }}
+          >
+            {t('auth.backToLogin')}
+          </Button>
+        </Box>
+      </Box>
+    </Container>
+  );
+}
@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Box, TextField, Typography, Alert, FormControl, InputLabel, Select, MenuItem, Link, List, ListItem, ListItemText } from '@mui/material';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import { format, addHours, startOfHour } from 'date-fns';
+import { saveScheduledPost, deleteScheduledPost, listScheduledPostErrors } from '../services/schedule';
+import { getLinkedInStatus, getLinkedInPostUrl } from '../services/linkedin';
+import { fromDateTimeInput, toDateTimeInput } from '../services/calendar';
+import { countCharacters, LINKEDIN_MAX_LENGTH } from '../services/linkedinFormat';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import ScheduleStatusChip from './ScheduleStatusChip';
+
+// Crea un elemento de la cola a partir de un post (`draft`) o edita uno existente (`item`)
+export default function ScheduleDialog({ open, item, draft, onClose, onSaved, onDeleted }) {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t, dateLocale } = useTranslation();
+  const [content, setContent] = useState('');
+  const [scheduledAt, setScheduledAt] = useState('');
+  const [author, setAuthor] = useState('');
+  const [authors, setAuthors] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [validationError, setValidationError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setContent(item?.content ?? draft?.content ?? '');
+    // Por defecto, la próxima hora en punto
+    setScheduledAt(toDateTimeInput(item?.scheduled_at ? new Date(item.scheduled_at) : addHours(startOfHour(new Date()), 1)));
+    setAuthor(item?.author ?? '');
+    setErrors([]);
+    setValidationError('');
+
+    // Autores de LinkedIn disponibles; sin conexión se publica en el perfil personal
+    getLinkedInStatus()
+      .then((status) => setAuthors(status.connected ? status.authors : []))
+      .catch(() => setAuthors([]));
+
+    if (item?.attempts > 0) {
+      listScheduledPostErrors(item.id)
+        .then(setErrors)
+        .catch((error) => console.error('Error loading schedule errors:', error));
+    }
+  }, [open, item, draft]);
+
+  // Lo que se publica o ya se ha publicado es del worker (ver guard_scheduled_post)
+  const readOnly = ['publishing', 'published'].includes(item?.status);
+  const overLimit = countCharacters(content) > LINKEDIN_MAX_LENGTH;
+
+  const handleSave = async (status) => {
+    const date = fromDateTimeInput(scheduledAt);
+    if (status === 'scheduled') {
+      if (!date) {
+        setValidationError(t('schedule.dateRequired'));
+        return;
+      }
+      if (date <= new Date()) {
+        setValidationError(t('schedule.dateInPast'));
+        return;
+      }
+    }
+    try {
+      setSaving(true);
+      const saved = await saveScheduledPost({
+        id: item?.id,
+        userId: user.id,
+        postId: draft?.postId,
+        article: draft?.article,
+        content,
+        author,
+        scheduledAt: date,
+        status
+      });
+      notify(t(status === 'scheduled' ? 'schedule.scheduled' : 'schedule.savedDraft'), 'success');
+      onSaved?.(saved);
+      onClose();
+    } catch (error) {
+      console.error('Error saving scheduled post:', error);
+      notify(t('schedule.saveFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setSaving(true);
+      await deleteScheduledPost(item.id);
+      notify(t('schedule.deleted'), 'success');
+      onDeleted?.(item.id);
+      onClose();
+    } catch (error) {
+      console.error('Error deleting scheduled post:', error);
+      notify(t('schedule.deleteFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <ScheduleIcon color="primary" />
+        {item ? t('schedule.editTitle') : t('schedule.title')}
+        {item && <ScheduleStatusChip status={item.status} sx={{ ml: 'auto' }} />}
+      </DialogTitle>
+      <DialogContent>
+        {item?.status === 'published' && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {t('schedule.publishedAt', { date: format(new Date(item.published_at), 'PPPp', { locale: dateLocale }) })}{' '}
+            {item.linkedin_urn && (
+              <Link href={getLinkedInPostUrl(item.linkedin_urn)} target="_blank" rel="noopener noreferrer">
+                {t('linkedin.viewPost')}
+              </Link>
+            )}
+          </Alert>
+        )}
+
+        <TextField
+          type="datetime-local"
+          label={t('schedule.date')}
+          value={scheduledAt}
+          onChange={(e) => {
+            setScheduledAt(e.target.value);
+            setValidationError('');
+          }}
+          error={Boolean(validationError)}
+          helperText={validationError}
+          disabled={readOnly || saving}
+          fullWidth
+          slotProps={{ inputLabel: { shrink: true } }}
+          sx={{ mt: 1, mb: 2 }}
+        />
+
+        {authors.length > 0 ? (
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel>{t('linkedin.author')}</InputLabel>
+            <Select value={author} onChange={(e) => setAuthor(e.target.value)} label={t('linkedin.author')} disabled={readOnly || saving}>
+              {authors.map((option) => (
+                <MenuItem key={option.urn} value={option.type === 'person' ? '' : option.urn}>
+                  {option.name} · {option.type === 'organization' ? t('linkedin.companyPage') : t('linkedin.personalProfile')}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        ) : (
+          <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 2 }}>
+            {t('schedule.personalProfileHint')}
+          </Typography>
+        )}
+
+        <TextField
+          label={t('schedule.content')}
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          disabled={readOnly || saving}
+          multiline
+          minRows={4}
+          maxRows={12}
+          fullWidth
+          error={overLimit}
+          helperText={overLimit ? t('linkedinErrors.text_too_long') : t('common.characters', { count: countCharacters(content) })}
+        />
+
+        {/* Registro de errores del worker */}
+        {errors.length > 0 && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="subtitle2" color="error">
+              {t('schedule.errorLog', { count: errors.length })}
+            </Typography>
+            <List dense disablePadding>
+              {errors.map((entry) => (
+                <ListItem key={entry.id} disableGutters>
+                  <ListItemText
+                    primary={entry.message}
+                    secondary={`${t('schedule.attempt', { number: entry.attempt })} · ${format(new Date(entry.created_at), 'Pp', { locale: dateLocale })}${entry.code ? ` · ${entry.code}` : ''}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {item && !readOnly && (
+          <Button color="error" onClick={handleDelete} disabled={saving} sx={{ mr: 'auto' }}>
+            {t('common.delete')}
+          </Button>
+        )}
+        <Button onClick={onClose}>{readOnly ? t('common.close') : t('common.cancel')}</Button>
+        {!readOnly && (
+          <>
+            <Button onClick={() => handleSave('draft')} disabled={saving || !content.trim()}>
+              {t('schedule.saveDraft')}
+            </Button>
+            <Button
+              variant="contained"
+              onClick={() => handleSave('scheduled')}
+              disabled={saving || !content.trim() || overLimit}
+            >
+              {item?.status === 'failed' ? t('schedule.retry') : t('schedule.schedule')}
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
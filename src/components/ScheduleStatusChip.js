@@ -0,0 +1,15 @@
+import { Chip } from '@mui/material';
+import { useTranslation } from '../contexts/LanguageContext';
+
+export const STATUS_COLORS = {
+  draft: 'default',
+  scheduled: 'primary',
+  publishing: 'info',
+  published: 'success',
+  failed: 'error',
+};
+
+export default function ScheduleStatusChip({ status, ...props }) {
+  const { t } = useTranslation();
+  return <Chip size="small" color={STATUS_COLORS[status]} label={t(`options.scheduleStatus.${status}`)} {...props} />;
+}
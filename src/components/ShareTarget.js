@@ -0,0 +1,15 @@
+import { Navigate, useSearchParams } from 'react-router-dom';
+import { getSharedSource } from '../services/sources';
+
+// Destino de "Compartir" en el móvil (share_target en manifest.json): el generador recibe
+// lo compartido en `location.state.shared` y rellena la fuente
+export default function ShareTarget() {
+  const [searchParams] = useSearchParams();
+  const shared = getSharedSource({
+    title: searchParams.get('title') ?? '',
+    text: searchParams.get('text') ?? '',
+    url: searchParams.get('url') ?? ''
+  });
+
+  return <Navigate to="/" replace state={{ shared }} />;
+}
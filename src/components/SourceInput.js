@@ -0,0 +1,191 @@
+import { useState, useEffect, useRef } from 'react';
+import { Alert, Box, Button, CircularProgress, IconButton, Paper, TextField, Tooltip, Typography } from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import CloseIcon from '@mui/icons-material/Close';
+import { extractDocument, extractTranscript } from '../services/extract';
+import { getGenerationErrorKey } from '../services/generation';
+import { MIN_SOURCE_TEXT_LENGTH, MAX_SOURCE_TEXT_LENGTH, SOURCE_FILE_ACCEPT, getFileKind, getFileError, getSourceTextError, isYouTubeUrl, buildTextSource } from '../services/sources';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+// Texto extraído de un archivo o un vídeo, para revisarlo antes de generar
+function SourcePreview({ source, onClear, disabled }) {
+  const { t, locale } = useTranslation();
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mt: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 1 }}>
+        <Box sx={{ minWidth: 0 }}>
+          <Typography variant="overline" color="text.secondary">
+            {t(`generator.sources.kinds.${source.sourceType}`)}
+          </Typography>
+          <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+            {source.title}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {[
+              source.siteName,
+              source.byline,
+              t('common.characters', { count: source.text.length.toLocaleString(locale) })
+            ].filter(Boolean).join(' · ')}
+          </Typography>
+        </Box>
+        <Tooltip title={t('generator.sources.clear')}>
+          <span>
+            <IconButton size="small" onClick={onClear} disabled={disabled}>
+              <CloseIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+      {source.truncated && (
+        <Alert severity="warning" sx={{ mt: 1 }}>
+          {t('generator.sources.truncated', { count: MAX_SOURCE_TEXT_LENGTH.toLocaleString(locale) })}
+        </Alert>
+      )}
+      <Typography
+        variant="body2"
+        component="div"
+        sx={{ mt: 1, maxHeight: 240, overflow: 'auto', whiteSpace: 'pre-wrap', bgcolor: 'action.hover', borderRadius: 1, p: 1.5 }}
+      >
+        {source.text}
+      </Typography>
+    </Paper>
+  );
+}
+
+// Fuentes distintas de una URL: texto pegado, un archivo o la transcripción de un vídeo.
+// `value` son los campos que se escriben ({ text, title, videoUrl }); `source`, el texto ya
+// extraído del archivo o el vídeo, que se comunica con `onExtracted(type, article)`
+export default function SourceInput({ type, value, source, language, onChange, onExtracted, disabled }) {
+  const notify = useNotify();
+  const { t, locale } = useTranslation();
+  const [loading, setLoading] = useState(false);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const extract = async (target, task) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    onExtracted(target, null);
+
+    try {
+      setLoading(true);
+      onExtracted(target, await task(controller.signal));
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error reading source:', error);
+      notify(t(getGenerationErrorKey(error)));
+    } finally {
+      if (controllerRef.current === controller) setLoading(false);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    const errorKey = getFileError(file);
+    if (errorKey) {
+      notify(t(errorKey));
+      return;
+    }
+
+    // Los archivos de texto se leen aquí; los PDF y DOCX, en el backend
+    if (getFileKind(file) === 'text') {
+      const text = await file.text();
+      if (getSourceTextError(text) === 'generator.sources.textTooShort') {
+        notify(t('extractionErrors.document_without_text'));
+        return;
+      }
+      onExtracted('file', buildTextSource({ text, fileName: file.name }));
+      return;
+    }
+    extract('file', (signal) => extractDocument(file, { signal }));
+  };
+
+  const busy = disabled || loading;
+
+  if (type === 'text') {
+    const length = value.text.trim().length;
+    const errorKey = length > 0 ? getSourceTextError(value.text) : null;
+    return (
+      <Box>
+        <TextField
+          fullWidth
+          label={t('generator.sources.title')}
+          helperText={t('generator.sources.titleHint')}
+          value={value.title}
+          onChange={(e) => onChange({ title: e.target.value })}
+          margin="normal"
+          disabled={disabled}
+        />
+        <TextField
+          fullWidth
+          multiline
+          minRows={6}
+          maxRows={16}
+          label={t('generator.sources.text')}
+          value={value.text}
+          onChange={(e) => onChange({ text: e.target.value })}
+          disabled={disabled}
+          error={Boolean(errorKey)}
+          helperText={[
+            errorKey && t(errorKey, { min: MIN_SOURCE_TEXT_LENGTH, max: MAX_SOURCE_TEXT_LENGTH.toLocaleString(locale) }),
+            `${length.toLocaleString(locale)} / ${MAX_SOURCE_TEXT_LENGTH.toLocaleString(locale)}`
+          ].filter(Boolean).join(' · ')}
+        />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {type === 'file' ? (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+          <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={busy}>
+            {t('generator.sources.chooseFile')}
+            <input type="file" accept={SOURCE_FILE_ACCEPT} hidden onChange={handleFile} />
+          </Button>
+          <Typography variant="caption" color="text.secondary">
+            {t('generator.sources.fileHint')}
+          </Typography>
+        </Box>
+      ) : (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+          <TextField
+            fullWidth
+            label={t('generator.sources.videoUrl')}
+            value={value.videoUrl}
+            onChange={(e) => onChange({ videoUrl: e.target.value })}
+            margin="normal"
+            disabled={busy}
+            error={value.videoUrl.length > 0 && !isYouTubeUrl(value.videoUrl)}
+            helperText={value.videoUrl.length > 0 && !isYouTubeUrl(value.videoUrl) ? t('generator.sources.invalidVideoUrl') : t('generator.sources.videoHint')}
+          />
+          <Button
+            variant="outlined"
+            onClick={() => extract('video', (signal) => extractTranscript(value.videoUrl.trim(), { language, signal }))}
+            disabled={busy || !isYouTubeUrl(value.videoUrl)}
+            sx={{ mt: 3, flexShrink: 0 }}
+          >
+            {t('generator.sources.getTranscript')}
+          </Button>
+        </Box>
+      )}
+
+      {loading && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 2 }}>
+          <CircularProgress size={20} />
+          <Typography variant="body2" color="text.secondary">{t('generator.sources.reading')}</Typography>
+        </Box>
+      )}
+      {!loading && source && (
+        <SourcePreview source={source} onClear={() => onExtracted(type, null)} disabled={disabled} />
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,143 @@
+import { useState, useRef, useMemo } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, Box, Chip, Typography, Tooltip, Alert } from '@mui/material';
+import { TEMPLATE_VARIABLES, findUnknownVariables, buildPromptFromTemplate } from '../services/promptTemplate';
+import { useTranslation } from '../contexts/LanguageContext';
+
+// Valores de ejemplo para la vista previa del prompt
+const SAMPLE_SETTINGS = {
+  article: {
+    title: 'La IA generativa llega a las pymes españolas',
+    byline: 'Ana López',
+    publishedAt: '2025-03-01',
+    siteName: 'Ejemplo Noticias',
+    text: 'Un estudio reciente muestra que el 35 % de las pymes españolas ya utiliza herramientas de IA generativa...'
+  },
+  url: 'https://example.com/ia-pymes',
+  tone: 'professional',
+  postLength: 'medium',
+  lengthUnit: 'words',
+  useEmojis: false,
+  language: 'es-ES',
+  audience: 'Directivos de pymes',
+  cta: '¿Ya la usáis en vuestra empresa?',
+};
+
+export default function TemplateEditorDialog({ open, template, onClose, onSave }) {
+  const { t } = useTranslation();
+  const [name, setName] = useState(template?.name ?? '');
+  const [description, setDescription] = useState(template?.description ?? '');
+  const [body, setBody] = useState(template?.body ?? '');
+  const [saving, setSaving] = useState(false);
+  const bodyRef = useRef(null);
+
+  const unknownVariables = useMemo(() => findUnknownVariables(body), [body]);
+  const preview = useMemo(() => buildPromptFromTemplate({ body }, SAMPLE_SETTINGS), [body]);
+
+  const insertVariable = (variable) => {
+    const input = bodyRef.current;
+    const placeholder = `{{${variable}}}`;
+    const start = input?.selectionStart ?? body.length;
+    const end = input?.selectionEnd ?? body.length;
+    setBody(body.slice(0, start) + placeholder + body.slice(end));
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(start + placeholder.length, start + placeholder.length);
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await onSave({ name: name.trim(), description: description.trim(), body });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="lg">
+      <DialogTitle>
+        {template?.id ? t('templateEditor.editTitle') : t('templateEditor.newTitle')}
+        {template?.id && (
+          <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+            {t('templateEditor.versionBump', { from: template.version, to: template.version + 1 })}
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'grid', gap: 2, gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' }, pt: 1 }}>
+          <Box>
+            <TextField
+              fullWidth
+              label={t('templateEditor.name')}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              margin="dense"
+              required
+            />
+            <TextField
+              fullWidth
+              label={t('templateEditor.description')}
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              margin="dense"
+            />
+            <TextField
+              fullWidth
+              multiline
+              minRows={14}
+              label={t('templateEditor.body')}
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              inputRef={bodyRef}
+              margin="dense"
+              slotProps={{ htmlInput: { sx: { fontFamily: 'monospace', fontSize: 13 } } }}
+            />
+            <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 1 }}>
+              {t('templateEditor.help')}
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+              {TEMPLATE_VARIABLES.map((variable) => (
+                <Tooltip key={variable} title={t(`templateEditor.variables.${variable}`)}>
+                  <Chip size="small" label={variable} onClick={() => insertVariable(variable)} />
+                </Tooltip>
+              ))}
+            </Box>
+            {unknownVariables.length > 0 && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                {t('templateEditor.unknownVariables', { names: unknownVariables.join(', ') })}
+              </Alert>
+            )}
+          </Box>
+          <Box>
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              {t('templateEditor.preview')}
+            </Typography>
+            <Box
+              component="pre"
+              sx={{
+                m: 0,
+                p: 2,
+                bgcolor: 'action.hover',
+                borderRadius: 1,
+                fontSize: 13,
+                whiteSpace: 'pre-wrap',
+                wordBreak: 'break-word',
+                maxHeight: 520,
+                overflow: 'auto'
+              }}
+            >
+              {preview}
+            </Box>
+          </Box>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.cancel')}</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !name.trim() || !body.trim()}>
+          {saving ? t('common.saving') : t('common.save')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
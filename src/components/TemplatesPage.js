@@ -0,0 +1,149 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Box, Paper, Typography, Button, IconButton, Tooltip, Chip, CircularProgress } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import FileCopyIcon from '@mui/icons-material/FileCopy';
+import DeleteIcon from '@mui/icons-material/Delete';
+import TemplateEditorDialog from './TemplateEditorDialog';
+import { listTemplates, saveTemplate, deleteTemplate, getTemplateName, getTemplateDescription } from '../services/templates';
+import { canEdit } from '../services/workflow';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+export default function TemplatesPage() {
+  const { user } = useAuth();
+  const { workspace, role } = useWorkspace();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  // null = cerrado; objeto sin id = plantilla nueva
+  const [editing, setEditing] = useState(null);
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setLoading(true);
+      setTemplates(await listTemplates({ workspaceId: workspace.id }));
+    } catch (error) {
+      console.error('Error loading templates:', error);
+      notify(t('templates.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [workspace.id, notify, t]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const handleSave = async (values) => {
+    try {
+      await saveTemplate({ ...values, id: editing.id, userId: user.id, workspaceId: workspace.id });
+      setEditing(null);
+      await fetchTemplates();
+      notify(t('templates.saved'), 'success');
+    } catch (error) {
+      notify(t('templates.saveFailed'));
+    }
+  };
+
+  const handleDelete = async (template) => {
+    try {
+      setBusyId(template.id);
+      await deleteTemplate(template.id);
+      await fetchTemplates();
+      notify(t('templates.deleted'), 'success');
+    } catch (error) {
+      notify(t('templates.deleteFailed'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDuplicate = (template) => {
+    setEditing({
+      name: t('templates.copyName', { name: getTemplateName(template, t) }),
+      description: getTemplateDescription(template, t),
+      body: template.body
+    });
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Typography variant="h6">
+          {t('templates.title')}
+        </Typography>
+        {canEdit(role) && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setEditing({ name: '', description: '', body: '' })}>
+            {t('templates.new')}
+          </Button>
+        )}
+      </Box>
+
+      {loading && templates.length === 0 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      {templates.map((template) => (
+        <Paper key={template.id} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2 }}>
+            <Box sx={{ minWidth: 0 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+                <Typography variant="subtitle1">
+                  {getTemplateName(template, t)}
+                </Typography>
+                <Chip size="small" label={`v${template.version}`} />
+                {template.builtin && <Chip size="small" variant="outlined" label={t('templates.builtin')} />}
+              </Box>
+              {getTemplateDescription(template, t) && (
+                <Typography variant="body2" color="text.secondary">
+                  {getTemplateDescription(template, t)}
+                </Typography>
+              )}
+            </Box>
+            <Box sx={{ display: 'flex', flexShrink: 0 }}>
+              {!template.builtin && canEdit(role) && (
+                <Tooltip title={t('common.edit')}>
+                  <IconButton size="small" onClick={() => setEditing(template)}>
+                    <EditIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              {canEdit(role) && (
+                <Tooltip title={t('common.duplicate')}>
+                  <IconButton size="small" onClick={() => handleDuplicate(template)}>
+                    <FileCopyIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+              {!template.builtin && canEdit(role) && (
+                <Tooltip title={t('common.delete')}>
+                  <span>
+                    <IconButton size="small" color="error" onClick={() => handleDelete(template)} disabled={busyId === template.id}>
+                      {busyId === template.id ? <CircularProgress size={20} color="error" /> : <DeleteIcon fontSize="small" />}
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              )}
+            </Box>
+          </Box>
+        </Paper>
+      ))}
+
+      {editing && (
+        <TemplateEditorDialog
+          open
+          template={editing}
+          onClose={() => setEditing(null)}
+          onSave={handleSave}
+        />
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { supabase } from '../config/supabase';
+import { Box, Button, TextField, Typography, Container, Alert } from '@mui/material';
+import { getAuthErrorKey } from '../services/authErrors';
+import { useTranslation } from '../contexts/LanguageContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+
+// Destino del enlace de recuperación: Supabase abre una sesión temporal
+export default function UpdatePassword() {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  if (!user) {
+    return <Navigate to="/login" replace />;
+  }
+
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+    if (password !== confirmation) {
+      setError('auth.update.mismatch');
+      return;
+    }
+    try {
+      setLoading(true);
+      setError(null);
+      const { error } = await supabase.auth.updateUser({ password });
+      if (error) throw error;
+      notify(t('auth.update.updated'), 'success');
+      navigate('/', { replace: true });
+    } catch (error) {
+      setError(getAuthErrorKey(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="xs">
+      <Box sx={{ pt: 4, display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+        <Typography component="h1" variant="h5">{t('auth.update.title')}</Typography>
+        {error && <Alert severity="error" sx={{ mt: 2, width: '100%' }}>{t(error)}</Alert>}
+        <Box component="form" onSubmit={handleUpdate} sx={{ mt: 1, width: '100%' }}>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label={t('auth.update.password')}
+            type="password"
+            autoComplete="new-password"
+            autoFocus
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label={t('auth.update.confirmation')}
+            type="password"
+            autoComplete="new-password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+          />
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            sx={{ mt: 3, mb: 2 }}
+            disabled={loading}
+          >
+            {loading ? t('common.saving') : t('auth.update.submit')}
+          </Button>
+        </Box>
+      </Box>
+    </Container>
+  );
+}
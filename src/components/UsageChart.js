@@ -0,0 +1,51 @@
+import { Box, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const LABEL_HEIGHT = 20;
+const MAX_LABELS = 8;
+
+// Gráfica de barras en SVG: una barra por periodo, con el valor en el title para verlo al pasar el ratón
+export default function UsageChart({ title, buckets, getValue, formatValue, formatLabel }) {
+  const theme = useTheme();
+  const values = buckets.map(getValue);
+  const max = Math.max(...values, 0);
+  const slot = WIDTH / Math.max(buckets.length, 1);
+  const barWidth = Math.max(slot * 0.7, 1);
+  const labelEvery = Math.ceil(buckets.length / MAX_LABELS);
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+        <Typography variant="subtitle2">{title}</Typography>
+        <Typography variant="caption" color="text.secondary">{formatValue(max)}</Typography>
+      </Box>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT + LABEL_HEIGHT}`} width="100%" role="img" aria-label={title}>
+        <line x1={0} y1={HEIGHT} x2={WIDTH} y2={HEIGHT} stroke={theme.palette.divider} />
+        {buckets.map((bucket, i) => {
+          const height = max ? (values[i] / max) * (HEIGHT - 4) : 0;
+          const x = i * slot + (slot - barWidth) / 2;
+          return (
+            <g key={bucket.date.toISOString()}>
+              <rect x={x} y={HEIGHT - height} width={barWidth} height={height} rx={2} fill={theme.palette.primary.main}>
+                <title>{`${formatLabel(bucket.date)}: ${formatValue(values[i])}`}</title>
+              </rect>
+              {i % labelEvery === 0 && (
+                <text
+                  x={i * slot + slot / 2}
+                  y={HEIGHT + LABEL_HEIGHT - 5}
+                  textAnchor="middle"
+                  fontSize={11}
+                  fill={theme.palette.text.secondary}
+                >
+                  {formatLabel(bucket.date)}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+    </Box>
+  );
+}
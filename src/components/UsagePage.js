@@ -0,0 +1,188 @@
+import { useState, useEffect, useMemo } from 'react';
+import { format } from 'date-fns';
+import { Box, Paper, Typography, Alert, LinearProgress, CircularProgress, ToggleButtonGroup, ToggleButton, Table, TableHead, TableBody, TableRow, TableCell } from '@mui/material';
+import UsageChart from './UsageChart';
+import { listUsage, fetchUsageStatus } from '../services/usage';
+import { getRangeStart, bucketUsage, summarizeUsage } from '../services/usageStats';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const PERIODS = ['day', 'week', 'month'];
+
+const LABEL_FORMATS = {
+  day: 'd MMM',
+  week: 'd MMM',
+  month: 'MMM yy'
+};
+
+// Generaciones, tokens y coste estimado del usuario, y lo que le queda de sus cuotas
+export default function UsagePage() {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t, locale, dateLocale } = useTranslation();
+  const [period, setPeriod] = useState('day');
+  const [rows, setRows] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        const data = await listUsage({ userId: user.id, since: getRangeStart(period) });
+        if (!cancelled) setRows(data);
+      } catch (error) {
+        console.error('Error loading usage:', error);
+        if (!cancelled) notify(t('usage.loadFailed'));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [user.id, period, notify, t]);
+
+  // Sin backend de uso (o sin conexión) el panel se muestra igualmente, sin las cuotas
+  useEffect(() => {
+    fetchUsageStatus()
+      .then(setStatus)
+      .catch((error) => console.error('Error loading usage quotas:', error));
+  }, []);
+
+  const buckets = useMemo(() => bucketUsage(rows, { period, from: getRangeStart(period) }), [rows, period]);
+  const { totals, models } = useMemo(() => summarizeUsage(rows), [rows]);
+
+  const formatNumber = (value) => value.toLocaleString(locale);
+  const formatCost = (value) => value.toLocaleString(locale, { style: 'currency', currency: 'USD', maximumFractionDigits: value && value < 0.01 ? 4 : 2 });
+  const formatLabel = (date) => format(date, LABEL_FORMATS[period], { locale: dateLocale });
+
+  const renderQuota = (label, { used, limit }) => (
+    <Box sx={{ flex: 1, minWidth: 200 }}>
+      <Typography variant="body2">{label}</Typography>
+      <Typography variant="caption" color="text.secondary">
+        {limit === null
+          ? t('usage.unlimited', { used: formatNumber(used) })
+          : t('usage.quotaUsed', { used: formatNumber(used), limit: formatNumber(limit) })}
+      </Typography>
+      {limit !== null && (
+        <LinearProgress
+          variant="determinate"
+          value={limit ? Math.min(100, (used / limit) * 100) : 100}
+          color={used >= limit ? 'error' : 'primary'}
+          sx={{ mt: 0.5 }}
+        />
+      )}
+    </Box>
+  );
+
+  const stats = [
+    { label: t('usage.generations'), value: formatNumber(totals.generations) },
+    { label: t('usage.errors'), value: formatNumber(totals.errors) },
+    { label: t('usage.tokens'), value: formatNumber(totals.tokens) },
+    { label: t('usage.cost'), value: formatCost(totals.cost) },
+    { label: t('usage.latency'), value: t('usage.seconds', { seconds: (totals.averageLatency / 1000).toLocaleString(locale, { maximumFractionDigits: 1 }) }) }
+  ];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <Typography variant="h6">{t('usage.title')}</Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={period}
+          onChange={(e, value) => value && setPeriod(value)}
+        >
+          {PERIODS.map((value) => (
+            <ToggleButton key={value} value={value}>{t(`usage.periods.${value}`)}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+
+      {/* Cuotas */}
+      {status?.enabled && (
+        <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>{t('usage.plan', { plan: status.plan })}</Typography>
+          <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap' }}>
+            {renderQuota(t('usage.today'), status.daily)}
+            {renderQuota(t('usage.thisMonth'), status.monthly)}
+          </Box>
+        </Paper>
+      )}
+      {status && !status.enabled && (
+        <Alert severity="info" sx={{ mb: 2 }}>{t('usage.notRecorded')}</Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <>
+          {/* Totales del periodo */}
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+            {stats.map((stat) => (
+              <Paper key={stat.label} variant="outlined" sx={{ p: 1.5, flex: 1, minWidth: 110 }}>
+                <Typography variant="caption" color="text.secondary">{stat.label}</Typography>
+                <Typography variant="h6">{stat.value}</Typography>
+              </Paper>
+            ))}
+          </Box>
+          {totals.estimated && (
+            <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 1 }}>
+              {t('usage.estimatedTokens')}
+            </Typography>
+          )}
+
+          <UsageChart
+            title={t('usage.generationsChart')}
+            buckets={buckets}
+            getValue={(bucket) => bucket.generations}
+            formatValue={formatNumber}
+            formatLabel={formatLabel}
+          />
+          <UsageChart
+            title={t('usage.costChart')}
+            buckets={buckets}
+            getValue={(bucket) => bucket.cost}
+            formatValue={formatCost}
+            formatLabel={formatLabel}
+          />
+
+          {/* Por modelo */}
+          {models.length > 0 && (
+            <Table size="small" sx={{ mt: 3 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('usage.model')}</TableCell>
+                  <TableCell align="right">{t('usage.generations')}</TableCell>
+                  <TableCell align="right">{t('usage.tokens')}</TableCell>
+                  <TableCell align="right">{t('usage.cost')}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {models.map((item) => (
+                  <TableRow key={`${item.provider}/${item.model}`}>
+                    <TableCell>{item.provider} · {item.model}</TableCell>
+                    <TableCell align="right">{formatNumber(item.generations)}</TableCell>
+                    <TableCell align="right">{formatNumber(item.tokens)}</TableCell>
+                    <TableCell align="right">{formatCost(item.cost)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+          <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 2 }}>
+            {t('usage.costNote')}
+          </Typography>
+        </>
+      )}
+    </Box>
+  );
+}
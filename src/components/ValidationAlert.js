@@ -0,0 +1,29 @@
+import { Alert, AlertTitle, Button } from '@mui/material';
+import { getViolationMessage } from '../services/validation';
+import { useTranslation } from '../contexts/LanguageContext';
+
+// Infracciones de las reglas de validation.js que siguen en el texto.
+// `onRepair`, si se pasa, aplica las correcciones automáticas
+export default function ValidationAlert({ violations, onRepair, sx }) {
+  const { t } = useTranslation();
+  if (!violations?.length) return null;
+
+  const canRepair = onRepair && violations.some(({ repair }) => repair === 'auto');
+
+  return (
+    <Alert
+      severity={violations.some(({ severity }) => severity === 'error') ? 'error' : 'warning'}
+      action={canRepair && (
+        <Button color="inherit" size="small" onClick={onRepair}>
+          {t('validation.repair')}
+        </Button>
+      )}
+      sx={sx}
+    >
+      <AlertTitle>{t('validation.title', { count: violations.length })}</AlertTitle>
+      {violations.map((violation) => (
+        <div key={violation.rule}>{getViolationMessage(violation, t)}</div>
+      ))}
+    </Alert>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { Paper, Box, Typography, Chip, Button, IconButton, Tooltip, CircularProgress, LinearProgress, Alert } from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import EditIcon from '@mui/icons-material/Edit';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import StopIcon from '@mui/icons-material/Stop';
+import { countCharacters } from '../services/linkedinFormat';
+import { useTranslation } from '../contexts/LanguageContext';
+import PostEditor from './PostEditor';
+import ValidationAlert from './ValidationAlert';
+
+export default function VariantCard({ variant, index, selected, violations, onPick, onRegenerate, onStop, onChange }) {
+  const { t } = useTranslation();
+  const [editing, setEditing] = useState(false);
+  const isLoading = variant.status === 'loading';
+  const canPick = (variant.status === 'done' || variant.status === 'cancelled') && Boolean(variant.text);
+
+  return (
+    <Paper
+      variant="outlined"
+      sx={{
+        p: 2,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 1,
+        borderColor: selected ? 'primary.main' : 'divider',
+        borderWidth: selected ? 2 : 1
+      }}
+    >
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+        <Typography variant="subtitle2">
+          {t('variant.title', { number: index + 1 })}
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 0.5 }}>
+          <Chip size="small" label={variant.settings.tone ? t(`options.tone.${variant.settings.tone}`) : variant.settings.voice?.name} />
+          {variant.settings.temperature !== undefined && (
+            <Chip size="small" variant="outlined" label={`T ${variant.settings.temperature}`} />
+          )}
+        </Box>
+      </Box>
+
+      {isLoading && !variant.text && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress size={28} />
+        </Box>
+      )}
+      {isLoading && variant.text && <LinearProgress />}
+
+      {variant.status === 'error' && (
+        <Alert severity="error">{t(variant.error)}</Alert>
+      )}
+      {variant.status === 'cancelled' && (
+        <Alert severity="info">{t('common.generationStopped')}</Alert>
+      )}
+      <ValidationAlert violations={violations} />
+
+      {editing && canPick ? (
+        <PostEditor value={variant.text} onChange={onChange} />
+      ) : variant.text && (
+        <Typography variant="body2" sx={{ whiteSpace: 'pre-line', maxHeight: 320, overflow: 'auto', flexGrow: 1 }}>
+          {variant.text}
+        </Typography>
+      )}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 'auto' }}>
+        <Button
+          size="small"
+          variant={selected ? 'contained' : 'outlined'}
+          startIcon={selected ? <CheckCircleIcon /> : null}
+          onClick={onPick}
+          disabled={!canPick}
+        >
+          {selected ? t('variant.picked') : t('variant.pick')}
+        </Button>
+        <Tooltip title={editing ? t('variant.finishEditing') : t('common.edit')}>
+          <span>
+            <IconButton size="small" onClick={() => setEditing(!editing)} disabled={!canPick} color={editing ? 'primary' : 'default'}>
+              <EditIcon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        {isLoading ? (
+          <Tooltip title={t('common.stop')}>
+            <IconButton size="small" color="error" onClick={onStop}>
+              <StopIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        ) : (
+          <Tooltip title={t('variant.regenerate')}>
+            <IconButton size="small" onClick={onRegenerate}>
+              <RefreshIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+        {variant.text && (
+          <Typography variant="caption" color="text.secondary" sx={{ ml: 'auto' }}>
+            {t('common.characters', { count: countCharacters(variant.text) })}
+          </Typography>
+        )}
+      </Box>
+    </Paper>
+  );
+}
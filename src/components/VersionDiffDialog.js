@@ -0,0 +1,67 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Box, FormControl, InputLabel, Select, MenuItem, Typography } from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import { diffWords, countChanges } from '../services/diff';
+import { getVersionLabel } from '../services/versions';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const PART_STYLES = {
+  added: { bgcolor: (theme) => alpha(theme.palette.success.main, 0.2) },
+  removed: { bgcolor: (theme) => alpha(theme.palette.error.main, 0.2), textDecoration: 'line-through' }
+};
+
+// Diferencias entre dos versiones del post; por defecto, la anterior y la actual
+export default function VersionDiffDialog({ open, versions, index, onClose }) {
+  const { t } = useTranslation();
+  const [from, setFrom] = useState(0);
+  const [to, setTo] = useState(0);
+
+  useEffect(() => {
+    if (!open) return;
+    setFrom(Math.max(0, index - 1));
+    setTo(index);
+  }, [open, index]);
+
+  const before = versions[from]?.text ?? '';
+  const after = versions[to]?.text ?? '';
+  const parts = useMemo(() => (open ? diffWords(before, after) : []), [open, before, after]);
+  const { added, removed } = countChanges(parts);
+
+  const renderSelect = (label, value, onChange) => (
+    <FormControl fullWidth size="small">
+      <InputLabel>{label}</InputLabel>
+      <Select value={value} onChange={(e) => onChange(e.target.value)} label={label}>
+        {versions.map((version, i) => (
+          <MenuItem key={version.id} value={i}>v{i + 1} · {getVersionLabel(version, t)}</MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>{t('refine.diff.title')}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', gap: 2, mt: 1, mb: 2 }}>
+          {renderSelect(t('refine.diff.from'), from, setFrom)}
+          {renderSelect(t('refine.diff.to'), to, setTo)}
+        </Box>
+        <Typography variant="caption" color="text.secondary">
+          {added || removed ? t('refine.diff.summary', { added, removed }) : t('refine.diff.noChanges')}
+        </Typography>
+        <Typography
+          variant="body2"
+          component="div"
+          sx={{ mt: 1, whiteSpace: 'pre-wrap', bgcolor: 'action.hover', borderRadius: 1, p: 1.5 }}
+        >
+          {parts.map((part, i) => (
+            <Box key={i} component="span" sx={PART_STYLES[part.type]}>{part.text}</Box>
+          ))}
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,297 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Paper, Box, Typography, Tabs, Tab, TextField, FormControlLabel, Checkbox, Button, IconButton, Tooltip } from '@mui/material';
+import PaletteIcon from '@mui/icons-material/Palette';
+import DownloadIcon from '@mui/icons-material/Download';
+import ShareIcon from '@mui/icons-material/Share';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import RestartAltIcon from '@mui/icons-material/RestartAlt';
+import { DEFAULT_BRAND, CARD_SIZE, SLIDE_SIZE, getKeyQuote, getCarouselDefaults, buildCarousel, getVisualFileName } from '../services/visuals';
+import { drawCard, drawSlide, loadImage, loadImageFromBlob, canvasToBlob } from '../services/canvas';
+import { buildImagePdf } from '../services/pdf';
+import { getBrandSettings } from '../services/brand';
+import { fetchArticleImage } from '../services/extract';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import BrandSettingsDialog from './BrandSettingsDialog';
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const getSource = (article) => {
+  if (article?.siteName) return article.siteName;
+  try {
+    return article?.url ? new URL(article.url).hostname.replace(/^www\./, '') : '';
+  } catch {
+    return '';
+  }
+};
+
+// Imagen para compartir y carrusel en PDF a partir del post, con los colores y el logo de marca.
+// Los textos se sacan del post mientras no se editen (null = automático)
+export default function VisualsPanel({ content, article, disabled }) {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [view, setView] = useState('card');
+  const [brand, setBrand] = useState(DEFAULT_BRAND);
+  const [brandOpen, setBrandOpen] = useState(false);
+  const [logo, setLogo] = useState(null);
+  const [articleImage, setArticleImage] = useState(null);
+  const [useArticleImage, setUseArticleImage] = useState(true);
+  const [drafts, setDrafts] = useState({ title: null, quote: null, points: null, closing: null });
+  const [slideIndex, setSlideIndex] = useState(0);
+  const [exporting, setExporting] = useState(false);
+  const cardRef = useRef(null);
+  const slideRef = useRef(null);
+
+  useEffect(() => {
+    getBrandSettings({ userId: user.id })
+      .then(setBrand)
+      .catch((err) => console.error('Error loading brand settings:', err));
+  }, [user.id]);
+
+  useEffect(() => {
+    setLogo(null);
+    if (!brand.logo) return;
+    loadImage(brand.logo)
+      .then(setLogo)
+      .catch((err) => console.error('Error loading logo:', err));
+  }, [brand.logo]);
+
+  // La imagen del artículo pasa por el backend para que el canvas se pueda exportar
+  const imageUrl = article?.image;
+  useEffect(() => {
+    setArticleImage(null);
+    if (!imageUrl) return undefined;
+    const controller = new AbortController();
+    fetchArticleImage(imageUrl, { signal: controller.signal })
+      .then(loadImageFromBlob)
+      .then(setArticleImage)
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('Error loading article image:', err);
+      });
+    return () => controller.abort();
+  }, [imageUrl]);
+
+  const defaults = useMemo(() => ({
+    ...getCarouselDefaults(content, article),
+    quote: getKeyQuote(content)
+  }), [content, article]);
+
+  const title = drafts.title ?? defaults.title;
+  const quote = drafts.quote ?? defaults.quote;
+  const pointsText = drafts.points ?? defaults.points.join('\n');
+  const closing = drafts.closing ?? defaults.closing;
+  const isEdited = Object.values(drafts).some((value) => value !== null);
+  const source = getSource(article);
+
+  const slides = useMemo(() => buildCarousel({
+    title,
+    points: pointsText.split('\n').map((line) => line.trim()).filter(Boolean),
+    closing: closing.trim()
+  }), [title, pointsText, closing]);
+  const currentSlide = Math.min(slideIndex, slides.length - 1);
+
+  const cardOptions = {
+    title,
+    quote,
+    source,
+    image: useArticleImage ? articleImage : null,
+    logo,
+    brand
+  };
+  const slideOptions = (index) => ({ index, total: slides.length, logo, brand, source, labels: { swipe: t('visuals.swipe') } });
+
+  // Vista previa: se redibuja con cada cambio
+  useEffect(() => {
+    if (view === 'card' && cardRef.current) drawCard(cardRef.current, cardOptions);
+    if (view === 'carousel' && slideRef.current) drawSlide(slideRef.current, slides[currentSlide], slideOptions(currentSlide));
+  });
+
+  const setDraft = (field) => (e) => setDrafts((current) => ({ ...current, [field]: e.target.value }));
+
+  const getCardFile = async () => {
+    const canvas = document.createElement('canvas');
+    drawCard(canvas, cardOptions);
+    const blob = await canvasToBlob(canvas, 'image/png');
+    return new File([blob], getVisualFileName(title, 'png'), { type: 'image/png' });
+  };
+
+  const handleDownloadCard = async () => {
+    try {
+      const file = await getCardFile();
+      downloadBlob(file, file.name);
+    } catch (error) {
+      console.error('Error exporting image:', error);
+      notify(t('visuals.exportFailed'));
+    }
+  };
+
+  // Sin Web Share con archivos (escritorio) se descarga
+  const handleShareCard = async () => {
+    try {
+      const file = await getCardFile();
+      if (navigator.canShare?.({ files: [file] })) {
+        await navigator.share({ files: [file], title });
+      } else {
+        downloadBlob(file, file.name);
+        notify(t('visuals.shareUnsupported'), 'info');
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error sharing image:', error);
+      notify(t('visuals.exportFailed'));
+    }
+  };
+
+  const handleDownloadPdf = async () => {
+    try {
+      setExporting(true);
+      const canvas = document.createElement('canvas');
+      const pages = [];
+      for (const [index, slide] of slides.entries()) {
+        drawSlide(canvas, slide, slideOptions(index));
+        const blob = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+        pages.push({ jpeg: new Uint8Array(await blob.arrayBuffer()), ...SLIDE_SIZE });
+      }
+      downloadBlob(new Blob([buildImagePdf(pages, { title })], { type: 'application/pdf' }), getVisualFileName(title, 'pdf'));
+    } catch (error) {
+      console.error('Error exporting carousel:', error);
+      notify(t('visuals.exportFailed'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mt: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+        <Box>
+          <Typography variant="subtitle2">{t('visuals.title')}</Typography>
+          <Typography variant="caption" color="text.secondary">{t('visuals.subtitle')}</Typography>
+        </Box>
+        <Box>
+          {isEdited && (
+            <Tooltip title={t('visuals.resetTexts')}>
+              <IconButton size="small" onClick={() => setDrafts({ title: null, quote: null, points: null, closing: null })}>
+                <RestartAltIcon />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title={t('visuals.brand.title')}>
+            <IconButton size="small" onClick={() => setBrandOpen(true)}>
+              <PaletteIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      <Tabs value={view} onChange={(e, value) => setView(value)} sx={{ mb: 2 }}>
+        <Tab value="card" label={t('visuals.cardTab')} />
+        <Tab value="carousel" label={t('visuals.carouselTab', { count: slides.length })} />
+      </Tabs>
+
+      <Box sx={{ display: 'flex', flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+        {/* Textos */}
+        <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <TextField label={t('visuals.titleLabel')} value={title} onChange={setDraft('title')} size="small" fullWidth />
+          {view === 'card' ? (
+            <>
+              <TextField label={t('visuals.quote')} value={quote} onChange={setDraft('quote')} multiline minRows={3} fullWidth />
+              <FormControlLabel
+                control={(
+                  <Checkbox
+                    checked={useArticleImage && Boolean(articleImage)}
+                    onChange={(e) => setUseArticleImage(e.target.checked)}
+                    disabled={!articleImage}
+                  />
+                )}
+                label={t('visuals.useArticleImage')}
+              />
+            </>
+          ) : (
+            <>
+              <TextField
+                label={t('visuals.points')}
+                helperText={t('visuals.pointsHelper')}
+                value={pointsText}
+                onChange={setDraft('points')}
+                multiline
+                minRows={5}
+                fullWidth
+              />
+              <TextField label={t('visuals.closing')} value={closing} onChange={setDraft('closing')} size="small" fullWidth />
+            </>
+          )}
+        </Box>
+
+        {/* Vista previa */}
+        <Box sx={{ width: { xs: '100%', md: 320 }, textAlign: 'center' }}>
+          {view === 'card' ? (
+            <canvas
+              ref={cardRef}
+              width={CARD_SIZE.width}
+              height={CARD_SIZE.height}
+              aria-label={t('visuals.cardTab')}
+              style={{ width: '100%', borderRadius: 4, boxShadow: '0 1px 4px rgba(0, 0, 0, 0.2)' }}
+            />
+          ) : (
+            <>
+              <canvas
+                ref={slideRef}
+                width={SLIDE_SIZE.width}
+                height={SLIDE_SIZE.height}
+                aria-label={t('visuals.carouselTab', { count: slides.length })}
+                style={{ width: '100%', borderRadius: 4, boxShadow: '0 1px 4px rgba(0, 0, 0, 0.2)' }}
+              />
+              <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 1 }}>
+                <IconButton size="small" aria-label={t('visuals.previousSlide')} onClick={() => setSlideIndex(currentSlide - 1)} disabled={currentSlide === 0}>
+                  <ChevronLeftIcon />
+                </IconButton>
+                <Typography variant="caption">
+                  {t('visuals.slideCount', { current: currentSlide + 1, total: slides.length })}
+                </Typography>
+                <IconButton size="small" aria-label={t('visuals.nextSlide')} onClick={() => setSlideIndex(currentSlide + 1)} disabled={currentSlide === slides.length - 1}>
+                  <ChevronRightIcon />
+                </IconButton>
+              </Box>
+            </>
+          )}
+        </Box>
+      </Box>
+
+      {/* Exportar */}
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+        {view === 'card' ? (
+          <>
+            <Button size="small" startIcon={<ShareIcon />} onClick={handleShareCard} disabled={disabled}>
+              {t('common.share')}
+            </Button>
+            <Button size="small" variant="outlined" startIcon={<DownloadIcon />} onClick={handleDownloadCard} disabled={disabled}>
+              {t('visuals.downloadPng')}
+            </Button>
+          </>
+        ) : (
+          <Button size="small" variant="outlined" startIcon={<DownloadIcon />} onClick={handleDownloadPdf} disabled={disabled || exporting}>
+            {exporting ? t('visuals.exporting') : t('visuals.downloadPdf')}
+          </Button>
+        )}
+      </Box>
+
+      <BrandSettingsDialog
+        open={brandOpen}
+        brand={brand}
+        onClose={() => setBrandOpen(false)}
+        onSaved={setBrand}
+      />
+    </Paper>
+  );
+}
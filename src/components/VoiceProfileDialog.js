@@ -0,0 +1,163 @@
+import { useState, useMemo } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, Box, Typography, Alert, List, ListItemButton, ListItemIcon, ListItemText, Checkbox, CircularProgress } from '@mui/material';
+import HistoryIcon from '@mui/icons-material/History';
+import VoiceStyleSummary from './VoiceStyleSummary';
+import { splitExamples, joinExamples, analyzeVoice, MIN_VOICE_EXAMPLES, RECOMMENDED_VOICE_EXAMPLES, MAX_VOICE_EXAMPLES } from '../services/voice';
+import { listExamplePosts } from '../services/voiceProfiles';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+export default function VoiceProfileDialog({ open, profile, onClose, onSave }) {
+  const { workspace } = useWorkspace();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [name, setName] = useState(profile?.name ?? '');
+  const [text, setText] = useState(joinExamples(profile?.examples ?? []));
+  const [saving, setSaving] = useState(false);
+  // null = sin cargar; los posts del historial que se pueden importar
+  const [history, setHistory] = useState(null);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+
+  const examples = useMemo(() => splitExamples(text), [text]);
+  const style = useMemo(() => (examples.length ? analyzeVoice(examples) : null), [examples]);
+
+  const handleLoadHistory = async () => {
+    try {
+      setLoadingHistory(true);
+      setHistory(await listExamplePosts({ workspaceId: workspace.id }));
+    } catch (error) {
+      console.error('Error loading history:', error);
+      notify(t('voices.dialog.historyFailed'));
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  // Marcar un post lo añade a los ejemplos; desmarcarlo lo quita
+  const toggleExample = (content) => {
+    const example = content.trim();
+    setText(joinExamples(examples.includes(example)
+      ? examples.filter((item) => item !== example)
+      : [...examples, example]));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await onSave({ name: name.trim(), examples });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const tooFew = examples.length < MIN_VOICE_EXAMPLES;
+  const tooMany = examples.length > MAX_VOICE_EXAMPLES;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="lg">
+      <DialogTitle>
+        {profile?.id ? t('voices.dialog.editTitle') : t('voices.dialog.newTitle')}
+      </DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'grid', gap: 2, gridTemplateColumns: { xs: '1fr', md: '3fr 2fr' }, pt: 1 }}>
+          <Box>
+            <TextField
+              fullWidth
+              label={t('voices.dialog.name')}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              margin="dense"
+              required
+            />
+            <TextField
+              fullWidth
+              multiline
+              minRows={14}
+              maxRows={24}
+              label={t('voices.dialog.examples')}
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              margin="dense"
+              helperText={t('voices.dialog.examplesHelp', { count: examples.length, max: MAX_VOICE_EXAMPLES })}
+              error={tooMany}
+            />
+            {tooFew && (
+              <Alert severity="warning" sx={{ mt: 1 }}>
+                {t('voices.dialog.tooFew', { min: MIN_VOICE_EXAMPLES })}
+              </Alert>
+            )}
+            {!tooFew && examples.length < RECOMMENDED_VOICE_EXAMPLES && (
+              <Alert severity="info" sx={{ mt: 1 }}>
+                {t('voices.dialog.recommended', { count: RECOMMENDED_VOICE_EXAMPLES })}
+              </Alert>
+            )}
+            {tooMany && (
+              <Alert severity="error" sx={{ mt: 1 }}>
+                {t('voices.dialog.tooMany', { max: MAX_VOICE_EXAMPLES })}
+              </Alert>
+            )}
+          </Box>
+          <Box>
+            {/* Resumen de estilo */}
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              {t('voices.dialog.style')}
+            </Typography>
+            {style ? (
+              <VoiceStyleSummary style={style} />
+            ) : (
+              <Typography variant="body2" color="text.secondary">{t('voices.dialog.styleEmpty')}</Typography>
+            )}
+
+            {/* Importar del historial */}
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 3, mb: 1 }}>
+              <Typography variant="subtitle2">{t('voices.dialog.import')}</Typography>
+              {history === null && (
+                <Button
+                  size="small"
+                  startIcon={loadingHistory ? <CircularProgress size={16} /> : <HistoryIcon />}
+                  onClick={handleLoadHistory}
+                  disabled={loadingHistory}
+                >
+                  {t('voices.dialog.loadHistory')}
+                </Button>
+              )}
+            </Box>
+            {history?.length === 0 && (
+              <Typography variant="body2" color="text.secondary">{t('voices.dialog.historyEmpty')}</Typography>
+            )}
+            {history?.length > 0 && (
+              <List dense sx={{ maxHeight: 360, overflow: 'auto', border: 1, borderColor: 'divider', borderRadius: 1 }}>
+                {history.map((post) => {
+                  const checked = examples.includes(post.content.trim());
+                  return (
+                    <ListItemButton
+                      key={post.id}
+                      onClick={() => toggleExample(post.content)}
+                      disabled={!checked && examples.length >= MAX_VOICE_EXAMPLES}
+                    >
+                      <ListItemIcon sx={{ minWidth: 36 }}>
+                        <Checkbox edge="start" size="small" checked={checked} tabIndex={-1} disableRipple />
+                      </ListItemIcon>
+                      <ListItemText
+                        primary={post.title || post.content.slice(0, 60)}
+                        secondary={post.published_at ? t('voices.dialog.published') : null}
+                        slotProps={{ primary: { noWrap: true } }}
+                      />
+                    </ListItemButton>
+                  );
+                })}
+              </List>
+            )}
+          </Box>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('common.cancel')}</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !name.trim() || tooFew || tooMany}>
+          {saving ? t('common.saving') : t('common.save')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
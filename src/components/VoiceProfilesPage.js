@@ -0,0 +1,134 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Box, Paper, Typography, Button, IconButton, Tooltip, Chip, CircularProgress } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import VoiceProfileDialog from './VoiceProfileDialog';
+import VoiceStyleSummary from './VoiceStyleSummary';
+import { listVoiceProfiles, saveVoiceProfile, deleteVoiceProfile } from '../services/voiceProfiles';
+import { canEdit } from '../services/workflow';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+export default function VoiceProfilesPage() {
+  const { user } = useAuth();
+  const { workspace, role } = useWorkspace();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  // null = cerrado; objeto sin id = perfil nuevo
+  const [editing, setEditing] = useState(null);
+
+  const fetchProfiles = useCallback(async () => {
+    try {
+      setLoading(true);
+      setProfiles(await listVoiceProfiles({ workspaceId: workspace.id }));
+    } catch (error) {
+      console.error('Error loading voice profiles:', error);
+      notify(t('voices.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [workspace.id, notify, t]);
+
+  useEffect(() => {
+    fetchProfiles();
+  }, [fetchProfiles]);
+
+  const handleSave = async (values) => {
+    try {
+      await saveVoiceProfile({ ...values, id: editing.id, userId: user.id, workspaceId: workspace.id });
+      setEditing(null);
+      await fetchProfiles();
+      notify(t('voices.saved'), 'success');
+    } catch (error) {
+      notify(t('voices.saveFailed'));
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    try {
+      setBusyId(profile.id);
+      await deleteVoiceProfile(profile.id);
+      await fetchProfiles();
+      notify(t('voices.deleted'), 'success');
+    } catch (error) {
+      notify(t('voices.deleteFailed'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, mb: 1 }}>
+        <Typography variant="h6">
+          {t('voices.title')}
+        </Typography>
+        {canEdit(role) && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setEditing({ name: '', examples: [] })}>
+            {t('voices.new')}
+          </Button>
+        )}
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {t('voices.intro')}
+      </Typography>
+
+      {loading && profiles.length === 0 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      {!loading && profiles.length === 0 && (
+        <Typography color="text.secondary">{t('voices.empty')}</Typography>
+      )}
+
+      {profiles.map((profile) => (
+        <Paper key={profile.id} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2 }}>
+            <Box sx={{ minWidth: 0 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+                <Typography variant="subtitle1">
+                  {profile.name}
+                </Typography>
+                <Chip size="small" label={t('voices.examplesCount', { count: profile.examples.length })} />
+              </Box>
+              <VoiceStyleSummary style={profile.style} />
+            </Box>
+            {canEdit(role) && (
+              <Box sx={{ display: 'flex', flexShrink: 0 }}>
+                <Tooltip title={t('common.edit')}>
+                  <IconButton size="small" onClick={() => setEditing(profile)}>
+                    <EditIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title={t('common.delete')}>
+                  <span>
+                    <IconButton size="small" color="error" onClick={() => handleDelete(profile)} disabled={busyId === profile.id}>
+                      {busyId === profile.id ? <CircularProgress size={20} color="error" /> : <DeleteIcon fontSize="small" />}
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </Box>
+            )}
+          </Box>
+        </Paper>
+      ))}
+
+      {editing && (
+        <VoiceProfileDialog
+          open
+          profile={editing}
+          onClose={() => setEditing(null)}
+          onSave={handleSave}
+        />
+      )}
+    </Box>
+  );
+}
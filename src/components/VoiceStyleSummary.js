@@ -0,0 +1,32 @@
+import { Box, Chip } from '@mui/material';
+import { useTranslation } from '../contexts/LanguageContext';
+
+const percent = (value) => Math.round(value * 100);
+
+// Resumen de estilo de una voz de marca (ver analyzeVoice), en el idioma de la interfaz
+export default function VoiceStyleSummary({ style }) {
+  const { t, locale } = useTranslation();
+  if (!style?.posts) return null;
+
+  const [opening] = Object.entries(style.openingTypes).sort((a, b) => b[1] - a[1]);
+  const items = [
+    t('voices.style.wordsPerPost', { count: style.wordsPerPost.toLocaleString(locale) }),
+    t('voices.style.wordsPerSentence', { count: style.wordsPerSentence.toLocaleString(locale) }),
+    style.emojiShare > 0
+      ? t('voices.style.emojis', { percent: percent(style.emojiShare), emojis: style.topEmojis.join(' ') }).trim()
+      : t('voices.style.noEmojis'),
+    style.listShare >= 0.3 && t('voices.style.lists', { percent: percent(style.listShare) }),
+    opening && t(`voices.style.openings.${opening[0]}`, { percent: percent(opening[1]) }),
+    style.questionClosingShare >= 0.3 && t('voices.style.questionClosing', { percent: percent(style.questionClosingShare) }),
+    t('voices.style.hashtags', { count: style.hashtagsPerPost.toLocaleString(locale) }),
+    ...style.openers.map((opener) => `«${opener}…»`)
+  ].filter(Boolean);
+
+  return (
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+      {items.map((item) => (
+        <Chip key={item} size="small" variant="outlined" label={item} />
+      ))}
+    </Box>
+  );
+}
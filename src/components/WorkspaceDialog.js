@@ -0,0 +1,246 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Dialog, DialogTitle, DialogContent, DialogActions, Button, Box, Typography, TextField, Select, MenuItem, IconButton, Tooltip, Alert, CircularProgress, Divider } from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CloseIcon from '@mui/icons-material/Close';
+import { listMembers, updateMemberRole, removeMember, listInvitations, inviteMember, cancelInvitation, renameWorkspace, deleteWorkspace, isLastOwnerError } from '../services/workspaces';
+import { WORKSPACE_ROLES, canManage, isValidEmail, normalizeEmail } from '../services/workflow';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+
+// Miembros, invitaciones y ajustes del espacio activo. Solo el owner puede cambiarlos
+export default function WorkspaceDialog({ open, onClose }) {
+  const { user } = useAuth();
+  const { workspace, role, refresh } = useWorkspace();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [name, setName] = useState(workspace.name);
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [email, setEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const isOwner = canManage(role);
+
+  const fetchMembers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setMembers(await listMembers({ workspaceId: workspace.id }));
+      if (isOwner) setInvitations(await listInvitations({ workspaceId: workspace.id }));
+    } catch (error) {
+      console.error('Error loading members:', error);
+      notify(t('workspaces.membersFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [workspace.id, isOwner, notify, t]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  // Ejecuta un cambio y recarga; `errorKey` es el mensaje si falla
+  const run = async (action, errorKey) => {
+    try {
+      setBusy(true);
+      await action();
+      return true;
+    } catch (error) {
+      console.error('Workspace update failed:', error);
+      notify(t(isLastOwnerError(error) ? 'workspaces.lastOwner' : errorKey));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRename = () => run(async () => {
+    await renameWorkspace(workspace.id, name.trim());
+    await refresh();
+    notify(t('workspaces.renamed'), 'success');
+  }, 'workspaces.saveFailed');
+
+  const handleRoleChange = (member, newRole) => run(async () => {
+    await updateMemberRole({ workspaceId: workspace.id, userId: member.user_id, role: newRole });
+    await fetchMembers();
+    // El owner que se quita el rol deja de poder gestionar el espacio
+    if (member.user_id === user.id) await refresh();
+  }, 'workspaces.saveFailed');
+
+  const handleRemove = (member) => run(async () => {
+    await removeMember({ workspaceId: workspace.id, userId: member.user_id });
+    await fetchMembers();
+  }, 'workspaces.saveFailed');
+
+  const handleInvite = () => run(async () => {
+    const { emailSent } = await inviteMember({ workspaceId: workspace.id, userId: user.id, email, role: inviteRole });
+    setEmail('');
+    await fetchMembers();
+    notify(t(emailSent ? 'workspaces.invited' : 'workspaces.invitedInApp', { email: normalizeEmail(email) }), emailSent ? 'success' : 'info');
+  }, 'workspaces.inviteFailed');
+
+  const handleCancelInvitation = (invitation) => run(async () => {
+    await cancelInvitation(invitation.id);
+    await fetchMembers();
+  }, 'workspaces.saveFailed');
+
+  const handleLeave = async () => {
+    const left = await run(() => removeMember({ workspaceId: workspace.id, userId: user.id }), 'workspaces.leaveFailed');
+    if (left) {
+      onClose();
+      await refresh();
+    }
+  };
+
+  const handleDelete = async () => {
+    const deleted = await run(() => deleteWorkspace(workspace.id), 'workspaces.deleteFailed');
+    if (deleted) {
+      onClose();
+      await refresh();
+      notify(t('workspaces.deleted'), 'success');
+    }
+  };
+
+  const isMember = members.some((member) => member.email === normalizeEmail(email));
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{t('workspaces.manageTitle')}</DialogTitle>
+      <DialogContent>
+        {/* Nombre */}
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', pt: 1, mb: 3 }}>
+          <TextField
+            fullWidth
+            size="small"
+            label={t('workspaces.name')}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            disabled={!isOwner || busy}
+          />
+          {isOwner && (
+            <Button variant="outlined" onClick={handleRename} disabled={busy || !name.trim() || name.trim() === workspace.name}>
+              {t('common.save')}
+            </Button>
+          )}
+        </Box>
+
+        {/* Miembros */}
+        <Typography variant="subtitle2" gutterBottom>{t('workspaces.members')}</Typography>
+        {loading && members.length === 0 && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {members.map((member) => (
+          <Box key={member.user_id} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Typography variant="body2" noWrap sx={{ flexGrow: 1, minWidth: 0 }}>
+              {member.email}
+              {member.user_id === user.id && ` (${t('workspaces.you')})`}
+            </Typography>
+            {isOwner ? (
+              <Select
+                size="small"
+                value={member.role}
+                onChange={(e) => handleRoleChange(member, e.target.value)}
+                disabled={busy}
+              >
+                {WORKSPACE_ROLES.map((item) => (
+                  <MenuItem key={item} value={item}>{t(`workspaces.roles.${item}`)}</MenuItem>
+                ))}
+              </Select>
+            ) : (
+              <Typography variant="body2" color="text.secondary">{t(`workspaces.roles.${member.role}`)}</Typography>
+            )}
+            {isOwner && member.user_id !== user.id && (
+              <Tooltip title={t('workspaces.remove')}>
+                <span>
+                  <IconButton size="small" color="error" onClick={() => handleRemove(member)} disabled={busy}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            )}
+          </Box>
+        ))}
+        <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 3 }}>
+          {t('workspaces.rolesHint')}
+        </Typography>
+
+        {/* Invitaciones */}
+        {isOwner && (
+          <>
+            <Typography variant="subtitle2" gutterBottom>{t('workspaces.invite')}</Typography>
+            <Box
+              component="form"
+              sx={{ display: 'flex', gap: 1, mb: 1 }}
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleInvite();
+              }}
+            >
+              <TextField
+                size="small"
+                fullWidth
+                type="email"
+                placeholder={t('common.email')}
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                disabled={busy}
+                error={isMember}
+                helperText={isMember ? t('workspaces.alreadyMember') : ''}
+              />
+              <Select size="small" value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} disabled={busy}>
+                {WORKSPACE_ROLES.map((item) => (
+                  <MenuItem key={item} value={item}>{t(`workspaces.roles.${item}`)}</MenuItem>
+                ))}
+              </Select>
+              <Button type="submit" variant="outlined" disabled={busy || !isValidEmail(email) || isMember}>
+                {t('workspaces.sendInvite')}
+              </Button>
+            </Box>
+            {invitations.map((invitation) => (
+              <Box key={invitation.id} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="body2" color="text.secondary" noWrap sx={{ flexGrow: 1, minWidth: 0 }}>
+                  {t('workspaces.invitationPending', { email: invitation.email, role: t(`workspaces.roles.${invitation.role}`) })}
+                </Typography>
+                <Tooltip title={t('workspaces.cancelInvitation')}>
+                  <IconButton size="small" onClick={() => handleCancelInvitation(invitation)} disabled={busy}>
+                    <CloseIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+            ))}
+          </>
+        )}
+
+        {confirmingDelete && (
+          <Alert
+            severity="error"
+            sx={{ mt: 3 }}
+            action={(
+              <Button color="inherit" size="small" onClick={handleDelete} disabled={busy}>
+                {t('common.delete')}
+              </Button>
+            )}
+          >
+            {t('workspaces.deleteWarning', { name: workspace.name })}
+          </Alert>
+        )}
+      </DialogContent>
+      <Divider />
+      <DialogActions>
+        <Button color="error" onClick={handleLeave} disabled={busy}>{t('workspaces.leave')}</Button>
+        {isOwner && (
+          <Button color="error" onClick={() => setConfirmingDelete(true)} disabled={busy || confirmingDelete}>
+            {t('workspaces.delete')}
+          </Button>
+        )}
+        <Box sx={{ flexGrow: 1 }} />
+        <Button onClick={onClose}>{t('common.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,155 @@
+import { useState } from 'react';
+import { Box, Button, Menu, MenuItem, ListItemIcon, ListItemText, ListSubheader, Divider, IconButton, Tooltip, Badge, Dialog, DialogTitle, DialogContent, DialogActions, TextField } from '@mui/material';
+import WorkspacesIcon from '@mui/icons-material/Workspaces';
+import ArrowDropDownIcon from '@mui/icons-material/ArrowDropDown';
+import CheckIcon from '@mui/icons-material/Check';
+import CloseIcon from '@mui/icons-material/Close';
+import SettingsIcon from '@mui/icons-material/Settings';
+import AddIcon from '@mui/icons-material/Add';
+import { createWorkspace, acceptInvitation, declineInvitation } from '../services/workspaces';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { useNotify } from '../contexts/NotificationContext';
+import { useTranslation } from '../contexts/LanguageContext';
+import WorkspaceDialog from './WorkspaceDialog';
+
+// Selector de espacio de trabajo del encabezado, con las invitaciones pendientes
+export default function WorkspaceSwitcher() {
+  const { workspaces, workspace, invitations, switchWorkspace, refresh } = useWorkspace();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [manageOpen, setManageOpen] = useState(false);
+  // null = cerrado; texto = nombre del espacio nuevo
+  const [newName, setNewName] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSelect = (id) => {
+    switchWorkspace(id);
+    setAnchorEl(null);
+  };
+
+  const handleAccept = async (invitation) => {
+    try {
+      setBusy(true);
+      const workspaceId = await acceptInvitation(invitation.id);
+      await refresh();
+      switchWorkspace(workspaceId);
+      setAnchorEl(null);
+      notify(t('workspaces.joined', { name: invitation.workspace?.name ?? '' }), 'success');
+    } catch (error) {
+      console.error('Error accepting invitation:', error);
+      notify(t('workspaces.acceptFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDecline = async (invitation) => {
+    try {
+      setBusy(true);
+      await declineInvitation(invitation.id);
+      await refresh();
+    } catch (error) {
+      notify(t('workspaces.declineFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setBusy(true);
+      const created = await createWorkspace(newName.trim());
+      await refresh();
+      switchWorkspace(created.id);
+      setNewName(null);
+      notify(t('workspaces.created'), 'success');
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      notify(t('workspaces.createFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title={t('workspaces.switch')}>
+        <Button
+          color="inherit"
+          onClick={(e) => setAnchorEl(e.currentTarget)}
+          startIcon={(
+            <Badge color="secondary" variant="dot" invisible={!invitations.length}>
+              <WorkspacesIcon />
+            </Badge>
+          )}
+          endIcon={<ArrowDropDownIcon />}
+          sx={{ textTransform: 'none', maxWidth: 220 }}
+        >
+          <Box component="span" sx={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{workspace.name}</Box>
+        </Button>
+      </Tooltip>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {workspaces.map((item) => (
+          <MenuItem key={item.id} selected={item.id === workspace.id} onClick={() => handleSelect(item.id)}>
+            <ListItemText primary={item.name} secondary={t(`workspaces.roles.${item.role}`)} />
+          </MenuItem>
+        ))}
+
+        {/* Invitaciones pendientes */}
+        {invitations.length > 0 && <Divider />}
+        {invitations.length > 0 && <ListSubheader>{t('workspaces.pendingInvitations')}</ListSubheader>}
+        {invitations.map((invitation) => (
+          <MenuItem key={invitation.id} disableRipple sx={{ gap: 1 }}>
+            <ListItemText
+              primary={invitation.workspace?.name ?? t('workspaces.unknownWorkspace')}
+              secondary={t(`workspaces.roles.${invitation.role}`)}
+            />
+            <Tooltip title={t('workspaces.accept')}>
+              <IconButton size="small" color="primary" onClick={() => handleAccept(invitation)} disabled={busy}>
+                <CheckIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title={t('workspaces.decline')}>
+              <IconButton size="small" onClick={() => handleDecline(invitation)} disabled={busy}>
+                <CloseIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </MenuItem>
+        ))}
+
+        <Divider />
+        <MenuItem onClick={() => { setManageOpen(true); setAnchorEl(null); }}>
+          <ListItemIcon><SettingsIcon fontSize="small" /></ListItemIcon>
+          {t('workspaces.manage')}
+        </MenuItem>
+        <MenuItem onClick={() => { setNewName(''); setAnchorEl(null); }}>
+          <ListItemIcon><AddIcon fontSize="small" /></ListItemIcon>
+          {t('workspaces.new')}
+        </MenuItem>
+      </Menu>
+
+      {manageOpen && <WorkspaceDialog open onClose={() => setManageOpen(false)} />}
+
+      <Dialog open={newName !== null} onClose={() => setNewName(null)} fullWidth maxWidth="xs">
+        <DialogTitle>{t('workspaces.new')}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label={t('workspaces.name')}
+            value={newName ?? ''}
+            onChange={(e) => setNewName(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNewName(null)}>{t('common.cancel')}</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={busy || !newName?.trim()}>
+            {t('workspaces.create')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
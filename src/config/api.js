@@ -0,0 +1,2 @@
+// En desarrollo CRA redirige /api al servidor local (ver "proxy" en package.json)
+export const API_URL = process.env.REACT_APP_API_URL || '';
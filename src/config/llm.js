@@ -0,0 +1,2 @@
+export const LLM_PROVIDER = process.env.REACT_APP_LLM_PROVIDER || 'gemini';
+export const LLM_MODEL = process.env.REACT_APP_LLM_MODEL || '';
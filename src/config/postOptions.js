@@ -0,0 +1,51 @@
+export const POST_LENGTHS = [
+  { value: 'short', words: [40, 80], characters: [300, 600] },
+  { value: 'medium', words: [100, 180], characters: [700, 1300] },
+  { value: 'long', words: [200, 300], characters: [1400, 2200] },
+];
+
+export const LENGTH_UNITS = ['words', 'characters'];
+
+// `name` e `instruction` van dentro del prompt, cuyas instrucciones están siempre en español;
+// las etiquetas de la interfaz están en `options.tone.*` de las traducciones
+export const TONES = [
+  {
+    value: 'professional',
+    name: 'Profesional',
+    instruction: 'Mantén un equilibrio entre formalidad y accesibilidad. Usa términos técnicos cuando sea necesario pero mantén la claridad.'
+  },
+  {
+    value: 'formal',
+    name: 'Formal',
+    instruction: 'Utiliza un lenguaje estrictamente formal y estructurado. Evita cualquier coloquialismo.'
+  },
+  {
+    value: 'informative',
+    name: 'Informativo',
+    instruction: 'Prioriza la claridad y la transmisión efectiva de información. Mantén un tono neutral y didáctico.'
+  },
+  {
+    value: 'analytical',
+    name: 'Analítico',
+    instruction: 'Utiliza un lenguaje técnico y objetivo. Enfócate en datos, métricas y análisis. Evita expresiones coloquiales y emocionales. Estructura el contenido de manera sistemática.'
+  },
+];
+
+export const VARIANT_COUNTS = [1, 2, 3, 4];
+
+export const VARIANT_MODES = ['tones', 'samples'];
+
+// Temperaturas para las variantes "Mismo tono": misma petición, muestras distintas
+export const SAMPLE_TEMPERATURES = [0.7, 0.9, 1.1, 0.5];
+
+// Idioma en el que se escribe el post, independiente del idioma de la interfaz.
+// `prompt`: cómo se nombra en el prompt; `moreInfo`: etiqueta del enlace final del post
+export const OUTPUT_LANGUAGES = [
+  { value: 'es-ES', label: 'Español (España)', prompt: 'español de España', moreInfo: 'Más información' },
+  { value: 'es-MX', label: 'Español (México)', prompt: 'español de México', moreInfo: 'Más información' },
+  { value: 'en', label: 'English', prompt: 'inglés', moreInfo: 'More information' },
+  { value: 'ca', label: 'Català', prompt: 'catalán', moreInfo: 'Més informació' },
+  { value: 'pt', label: 'Português', prompt: 'portugués de Portugal', moreInfo: 'Mais informações' },
+];
+
+export const DEFAULT_OUTPUT_LANGUAGE = 'es-ES';
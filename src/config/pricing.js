@@ -0,0 +1,14 @@
+// Precio orientativo en USD por millón de tokens de entrada y de salida, para estimar el
+// coste en el panel de uso. Revisa las tarifas de cada proveedor: cambian a menudo
+export const MODEL_PRICING = {
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'mistral-small-latest': { input: 0.1, output: 0.3 },
+  'mistral-large-latest': { input: 2, output: 6 },
+  'open-mistral-nemo': { input: 0.15, output: 0.15 },
+  'mock-1': { input: 0, output: 0 },
+};
@@ -0,0 +1,62 @@
+// Plantillas incluidas en la app. Al cambiar el cuerpo de una, sube su `version`:
+// los posts guardan id y versión de la plantilla que los generó.
+// Nombre y descripción de cada una están en `builtinTemplates.<id>` de las traducciones.
+export const BUILTIN_TEMPLATES = [
+  {
+    id: 'builtin:summary',
+    version: 3,
+    builtin: true,
+    body: `Crea una publicación para LinkedIn en {{language}} a partir del siguiente artículo.
+DEBES basar la publicación EXCLUSIVAMENTE en el contenido del artículo, sin añadir información inventada.
+Escribe todo el post en {{language}}, con expresiones y vocabulario naturales para ese público, aunque el artículo esté en otro idioma.
+
+Tono ({{tone_name}}): {{tone}}
+Longitud: {{length}}
+{{emojis}}
+{{#audience}}Escribe pensando en este público: {{audience}}{{/audience}}
+{{#cta}}Cierra el cuerpo del post con esta llamada a la acción: {{cta}}{{/cta}}
+{{#url}}El post debe terminar con una línea en blanco seguida de "{{more_info}}: {{url}}"{{/url}}
+
+{{article}}`
+  },
+  {
+    id: 'builtin:hook-bullets-cta',
+    version: 3,
+    builtin: true,
+    body: `Crea una publicación para LinkedIn en {{language}} a partir del siguiente artículo, con esta estructura exacta:
+1. Una primera línea breve que funcione como gancho y despierte curiosidad (debe entenderse sola, antes del «…ver más»).
+2. Una línea en blanco.
+3. Tres puntos clave del artículo, cada uno en su propia línea y empezando por «→».
+4. Una línea en blanco y una llamada a la acción{{#cta}}: {{cta}}{{/cta}}{{^cta}} que invite a comentar{{/cta}}.
+
+DEBES basar la publicación EXCLUSIVAMENTE en el contenido del artículo.
+Escribe todo el post en {{language}}, aunque el artículo esté en otro idioma.
+Tono ({{tone_name}}): {{tone}}
+Longitud: {{length}}
+{{emojis}}
+{{#audience}}Público objetivo: {{audience}}{{/audience}}
+{{#url}}El post debe terminar con una línea en blanco seguida de "{{more_info}}: {{url}}"{{/url}}
+
+{{article}}`
+  },
+  {
+    id: 'builtin:event',
+    version: 3,
+    builtin: true,
+    body: `Crea una publicación para LinkedIn en {{language}} que anuncie el evento descrito en el siguiente texto.
+Incluye, si aparecen en el texto: qué es, fecha y hora, lugar o formato (presencial u online), a quién va dirigido y por qué merece la pena asistir.
+No inventes datos que no aparezcan en el texto.
+Escribe todo el post en {{language}}, aunque el texto esté en otro idioma.
+
+Tono ({{tone_name}}): {{tone}}
+Longitud: {{length}}
+{{emojis}}
+{{#audience}}Público objetivo: {{audience}}{{/audience}}
+Llamada a la acción: {{#cta}}{{cta}}{{/cta}}{{^cta}}invita a inscribirse{{/cta}}.
+{{#url}}El post debe terminar con una línea en blanco seguida de "{{more_info}}: {{url}}"{{/url}}
+
+{{article}}`
+  },
+];
+
+export const DEFAULT_TEMPLATE_ID = 'builtin:summary';
@@ -0,0 +1,49 @@
+import { act, screen } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server';
+import { SUPABASE_URL, TEST_PASSWORD, testUser, signIn } from '../mocks/handlers';
+import { renderWithAuth } from '../test-utils';
+import { supabase } from '../config/supabase';
+import { useAuth } from './AuthContext';
+
+let auth;
+
+function CurrentUser() {
+  auth = useAuth();
+  return <p>{auth.user?.email ?? 'anonymous'}</p>;
+}
+
+test('starts without a user when there is no stored session', async () => {
+  renderWithAuth(<CurrentUser />);
+
+  expect(await screen.findByText('anonymous')).toBeInTheDocument();
+  expect(auth.session).toBeNull();
+});
+
+test('restores the stored session', async () => {
+  signIn();
+  renderWithAuth(<CurrentUser />);
+
+  expect(await screen.findByText(testUser.email)).toBeInTheDocument();
+  expect(auth.session.access_token).toBe('test-access-token');
+});
+
+test('follows sign in and sign out', async () => {
+  const logout = jest.fn();
+  server.use(http.post(`${SUPABASE_URL}/auth/v1/logout`, () => {
+    logout();
+    return new HttpResponse(null, { status: 204 });
+  }));
+  renderWithAuth(<CurrentUser />);
+  await screen.findByText('anonymous');
+
+  const { error } = await supabase.auth.signInWithPassword({ email: testUser.email, password: 'wrong-password' });
+  expect(error.message).toBe('Invalid login credentials');
+
+  await act(() => supabase.auth.signInWithPassword({ email: testUser.email, password: TEST_PASSWORD }));
+  expect(await screen.findByText(testUser.email)).toBeInTheDocument();
+
+  await act(() => auth.signOut());
+  expect(await screen.findByText('anonymous')).toBeInTheDocument();
+  expect(logout).toHaveBeenCalled();
+});
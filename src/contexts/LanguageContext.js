@@ -0,0 +1,34 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { translate, detectLanguage, isSupportedLanguage, getLanguageOption } from '../i18n';
+
+const LanguageContext = createContext(null);
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguage] = useState(() => {
+    const savedLanguage = localStorage.getItem('language');
+    return isSupportedLanguage(savedLanguage) ? savedLanguage : detectLanguage();
+  });
+
+  useEffect(() => {
+    localStorage.setItem('language', language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const value = useMemo(() => ({
+    language,
+    setLanguage,
+    locale: getLanguageOption(language).locale,
+    dateLocale: getLanguageOption(language).dateLocale,
+    t: (key, params) => translate(language, key, params),
+  }), [language]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+export const useTranslation = () => {
+  return useContext(LanguageContext);
+};
@@ -0,0 +1,39 @@
+import { createContext, useCallback, useContext, useState } from 'react';
+import { Snackbar, Alert } from '@mui/material';
+
+const NotificationContext = createContext(() => {});
+
+export const NotificationProvider = ({ children }) => {
+  const [notification, setNotification] = useState({ open: false, message: '', severity: 'error' });
+
+  const notify = useCallback((message, severity = 'error') => {
+    setNotification({ open: true, message, severity });
+  }, []);
+
+  const handleClose = () => {
+    setNotification((current) => ({ ...current, open: false }));
+  };
+
+  return (
+    <NotificationContext.Provider value={notify}>
+      {children}
+      <Snackbar
+        open={notification.open}
+        autoHideDuration={6000}
+        onClose={handleClose}
+      >
+        <Alert
+          onClose={handleClose}
+          severity={notification.severity}
+          sx={{ width: '100%' }}
+        >
+          {notification.message}
+        </Alert>
+      </Snackbar>
+    </NotificationContext.Provider>
+  );
+};
+
+export const useNotify = () => {
+  return useContext(NotificationContext);
+};
@@ -0,0 +1,151 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { getAllItems, setItem, removeItem } from '../services/localStore';
+import { createQueueItem, getPendingItems, isRetryableError, runQueueItem } from '../services/offlineQueue';
+import { extractArticle } from '../services/extract';
+import { generatePost, getGenerationErrorKey } from '../services/generation';
+import { savePost } from '../services/posts';
+import { useAuth } from './AuthContext';
+import { useNotify } from './NotificationContext';
+import { useTranslation } from './LanguageContext';
+
+const OfflineQueueContext = createContext({});
+
+// Estado de la conexión y cola de generaciones pedidas sin ella (guardada en IndexedDB).
+// Al volver la conexión se generan de una en una y se guardan en el historial del espacio
+// en que se pidieron. Un fallo de red detiene la cola hasta la próxima vez. Los que se
+// guardaron con infracciones de las reglas siguen en la cola (`review`) hasta que se quitan
+export const OfflineQueueProvider = ({ children }) => {
+  const { user } = useAuth();
+  const notify = useNotify();
+  const { t } = useTranslation();
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [queue, setQueue] = useState([]);
+  const [runningId, setRunningId] = useState(null);
+  const processingRef = useRef(false);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  const reload = useCallback(async () => {
+    const items = await getAllItems('queue');
+    setQueue(items
+      .filter((item) => item.userId === user.id)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+  }, [user.id]);
+
+  const saveQueuedPost = useCallback(({ workspaceId, settings, article, result }) => savePost({
+    userId: user.id,
+    workspaceId,
+    url: settings.url,
+    title: article.title,
+    content: result.text,
+    tone: settings.tone || null,
+    postLength: settings.postLength,
+    useEmojis: settings.useEmojis,
+    provider: settings.provider,
+    model: settings.model,
+    language: settings.language,
+    templateId: settings.template.id,
+    templateVersion: settings.template.version,
+    voiceProfileId: settings.voice?.id ?? null
+  }), [user.id]);
+
+  const processQueue = useCallback(async () => {
+    if (processingRef.current || !navigator.onLine) return;
+    processingRef.current = true;
+
+    try {
+      for (const item of getPendingItems(await getAllItems('queue'), user.id)) {
+        setRunningId(item.id);
+        // El elemento con el post ya generado, si se llegó a generar
+        let current = item;
+        try {
+          const done = await runQueueItem(item, {
+            extract: extractArticle,
+            generate: generatePost,
+            save: saveQueuedPost,
+            persist: (updated) => {
+              current = updated;
+              return setItem('queue', updated.id, updated);
+            }
+          });
+          // Con infracciones de las reglas se queda en la lista para que se revise antes de publicarlo
+          if (done.result.violations.length) {
+            await setItem('queue', item.id, { ...done, status: 'review' });
+            notify(t('offline.generatedWithIssues', { title: done.article.title }), 'warning');
+          } else {
+            await removeItem('queue', item.id);
+            notify(t('offline.generated', { title: done.article.title }), 'success');
+          }
+        } catch (error) {
+          console.error('Error running queued generation:', error);
+          if (isRetryableError(error)) break;
+          await setItem('queue', item.id, { ...current, status: 'failed', error: getGenerationErrorKey(error) });
+          notify(t('offline.itemFailed', { title: item.title }));
+        }
+        await reload();
+      }
+    } catch (error) {
+      console.error('Error reading the offline queue:', error);
+    } finally {
+      processingRef.current = false;
+      setRunningId(null);
+      reload().catch((err) => console.error('Error loading the offline queue:', err));
+    }
+  }, [user.id, saveQueuedPost, reload, notify, t]);
+
+  // Lo que quedó pendiente de otra sesión se lanza en cuanto hay conexión
+  useEffect(() => {
+    reload().catch((err) => console.error('Error loading the offline queue:', err));
+  }, [reload]);
+
+  useEffect(() => {
+    if (online) processQueue();
+  }, [online, processQueue]);
+
+  const enqueue = useCallback(async ({ workspaceId, settings, article }) => {
+    const item = createQueueItem({ userId: user.id, workspaceId, settings, article });
+    await setItem('queue', item.id, item);
+    await reload();
+    return item;
+  }, [user.id, reload]);
+
+  const remove = useCallback(async (id) => {
+    await removeItem('queue', id);
+    await reload();
+  }, [reload]);
+
+  const retry = useCallback(async (id) => {
+    const item = queue.find((current) => current.id === id);
+    if (!item) return;
+    await setItem('queue', id, { ...item, status: 'pending', error: null });
+    await reload();
+    processQueue();
+  }, [queue, reload, processQueue]);
+
+  const value = useMemo(() => ({
+    online,
+    queue,
+    runningId,
+    enqueue,
+    remove,
+    retry
+  }), [online, queue, runningId, enqueue, remove, retry]);
+
+  return (
+    <OfflineQueueContext.Provider value={value}>
+      {children}
+    </OfflineQueueContext.Provider>
+  );
+};
+
+export const useOfflineQueue = () => {
+  return useContext(OfflineQueueContext);
+};
@@ -0,0 +1,105 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { Box, Alert, Button, CircularProgress } from '@mui/material';
+import { listWorkspaces, listMyInvitations, ensurePersonalWorkspace } from '../services/workspaces';
+import { getItem, setItem } from '../services/localStore';
+import { useAuth } from './AuthContext';
+import { useTranslation } from './LanguageContext';
+
+const WorkspaceContext = createContext({});
+
+// Espacio de trabajo activo. Todo lo que cuelga de él (historial, plantillas, voces)
+// se carga con `workspace.id` y se vuelve a cargar al cambiar de espacio
+export const WorkspaceProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { t } = useTranslation();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [workspaceId, setWorkspaceId] = useState(() => localStorage.getItem('workspace') || '');
+  const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+  // Nombre del espacio personal en el idioma actual. Va en un ref para que cambiar de
+  // idioma no vuelva a cargar los espacios
+  const personalNameRef = useRef(t('workspaces.personal'));
+  personalNameRef.current = t('workspaces.personal');
+
+  const refresh = useCallback(async () => {
+    let list = await listWorkspaces({ userId: user.id });
+    // Cuenta nueva: el servidor crea su espacio personal, una sola vez aunque haya dos cargas a la vez
+    if (!list.length) {
+      await ensurePersonalWorkspace(personalNameRef.current);
+      list = await listWorkspaces({ userId: user.id });
+    }
+    setWorkspaces(list);
+    setItem('settings', `workspaces:${user.id}`, list).catch((err) => console.error('Error caching workspaces:', err));
+    setInvitations(await listMyInvitations({ email: user.email }));
+    return list;
+  }, [user.id, user.email]);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setLoadFailed(false);
+      await refresh();
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+      // Sin conexión se sigue con la última lista conocida
+      const cached = await getItem('settings', `workspaces:${user.id}`).catch(() => null);
+      if (cached?.length) {
+        setWorkspaces(cached);
+      } else {
+        setLoadFailed(true);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [refresh, user.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const switchWorkspace = useCallback((id) => {
+    setWorkspaceId(id);
+    localStorage.setItem('workspace', id);
+  }, []);
+
+  // Si el guardado ya no existe (se salió o lo borraron) se usa el primero
+  const workspace = workspaces.find((item) => item.id === workspaceId) ?? workspaces[0] ?? null;
+
+  const value = useMemo(() => ({
+    workspaces,
+    workspace,
+    role: workspace?.role ?? null,
+    invitations,
+    switchWorkspace,
+    refresh
+  }), [workspaces, workspace, invitations, switchWorkspace, refresh]);
+
+  if (loading && !workspace) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (loadFailed || !workspace) {
+    return (
+      <Box sx={{ maxWidth: 480, mx: 'auto', py: 8, px: 2 }}>
+        <Alert severity="error" action={<Button color="inherit" size="small" onClick={load}>{t('workspaces.retry')}</Button>}>
+          {t('workspaces.loadFailed')}
+        </Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
+
+export const useWorkspace = () => {
+  return useContext(WorkspaceContext);
+};
@@ -0,0 +1,57 @@
+import { StrictMode } from 'react';
+import { act, screen, waitFor } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server';
+import { SUPABASE_URL, db, testWorkspace } from '../mocks/handlers';
+import { renderSignedIn, t } from '../test-utils';
+import { useTranslation } from './LanguageContext';
+import { useWorkspace } from './WorkspaceContext';
+
+let language;
+
+function CurrentWorkspace() {
+  language = useTranslation();
+  const { workspaces } = useWorkspace();
+  return <p>{workspaces.map((workspace) => workspace.name).join(', ')}</p>;
+}
+
+// Como ensure_personal_workspace: solo crea el espacio si el usuario no tiene ninguno
+const usePersonalWorkspaceRpc = () => {
+  const calls = [];
+  server.use(http.post(`${SUPABASE_URL}/rest/v1/rpc/ensure_personal_workspace`, async ({ request }) => {
+    calls.push(await request.json());
+    if (!db.workspace_members.length) {
+      db.workspace_members.push({ role: 'owner', workspaces: testWorkspace });
+    }
+    return HttpResponse.json(null);
+  }));
+  return calls;
+};
+
+test('asks the server for the personal workspace of a new account with its translated name', async () => {
+  db.workspace_members = [];
+  const calls = usePersonalWorkspaceRpc();
+
+  renderSignedIn(<StrictMode><CurrentWorkspace /></StrictMode>);
+
+  expect(await screen.findByText(testWorkspace.name)).toBeInTheDocument();
+  expect(calls.length).toBeGreaterThan(0);
+  calls.forEach((call) => expect(call).toEqual({ workspace_name: t('workspaces.personal') }));
+  expect(db.workspace_members).toHaveLength(1);
+});
+
+test('does not reload the workspaces when the language changes', async () => {
+  let loads = 0;
+  server.events.on('request:start', ({ request }) => {
+    if (new URL(request.url).pathname === '/rest/v1/workspace_members') loads += 1;
+  });
+  renderSignedIn(<CurrentWorkspace />);
+  await screen.findByText(testWorkspace.name);
+  const loadsBefore = loads;
+
+  act(() => language.setLanguage('ca'));
+
+  await waitFor(() => expect(document.documentElement.lang).toBe('ca'));
+  expect(loads).toBe(loadsBefore);
+  server.events.removeAllListeners();
+});
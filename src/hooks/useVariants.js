@@ -0,0 +1,46 @@
+import { useRef, useState } from 'react';
+import { generatePost, getGenerationErrorKey } from '../services/generation';
+
+// Variantes de un post, cada una con su propia generación en streaming que se puede detener.
+// Los fallos se registran aquí, una vez, y se devuelven en `error` sin lanzarlos
+export const useVariants = () => {
+  const [variants, setVariants] = useState([]);
+  const controllersRef = useRef(new Map());
+
+  const updateVariant = (id, patch) => {
+    setVariants((current) => current.map((variant) => (variant.id === id ? { ...variant, ...patch } : variant)));
+  };
+
+  // `onDelta`: el texto recibido también va a otro sitio, como el resultado principal
+  const runVariant = async (variant, source, { onDelta } = {}) => {
+    const controller = new AbortController();
+    controllersRef.current.set(variant.id, controller);
+    updateVariant(variant.id, { status: 'loading', text: '', error: null });
+
+    try {
+      const { text, cancelled } = await generatePost({
+        article: source,
+        ...variant.settings,
+        signal: controller.signal,
+        onDelta: (partial) => {
+          updateVariant(variant.id, { text: partial });
+          onDelta?.(partial);
+        }
+      });
+      updateVariant(variant.id, { status: cancelled ? 'cancelled' : 'done', text });
+      return { text, cancelled };
+    } catch (error) {
+      console.error('Error generating post:', error);
+      updateVariant(variant.id, { status: 'error', text: error.partialText ?? '', error: getGenerationErrorKey(error) });
+      return { error };
+    } finally {
+      controllersRef.current.delete(variant.id);
+    }
+  };
+
+  const stopVariant = (id) => controllersRef.current.get(id)?.abort();
+
+  const stopAll = () => controllersRef.current.forEach((controller) => controller.abort());
+
+  return { variants, setVariants, updateVariant, runVariant, stopVariant, stopAll };
+};
@@ -0,0 +1,37 @@
+import { esES, enUS, caES, ptPT } from '@mui/material/locale';
+import { es as esDates, enGB as enDates, ca as caDates, pt as ptDates } from 'date-fns/locale';
+import es from './locales/es';
+import en from './locales/en';
+import ca from './locales/ca';
+import pt from './locales/pt';
+
+// Idiomas de la interfaz. `locale` se usa para fechas y números; `muiLocale`, para los textos de MUI;
+// `dateLocale`, para date-fns (calendario)
+export const UI_LANGUAGES = [
+  { value: 'es', label: 'Español', locale: 'es-ES', muiLocale: esES, dateLocale: esDates },
+  { value: 'en', label: 'English', locale: 'en-GB', muiLocale: enUS, dateLocale: enDates },
+  { value: 'ca', label: 'Català', locale: 'ca-ES', muiLocale: caES, dateLocale: caDates },
+  { value: 'pt', label: 'Português', locale: 'pt-PT', muiLocale: ptPT, dateLocale: ptDates },
+];
+
+export const DEFAULT_LANGUAGE = 'es';
+
+const MESSAGES = { es, en, ca, pt };
+
+export const isSupportedLanguage = (language) => UI_LANGUAGES.some((option) => option.value === language);
+
+export const getLanguageOption = (language) =>
+  UI_LANGUAGES.find((option) => option.value === language) ?? UI_LANGUAGES[0];
+
+// Primer idioma del navegador que tengamos traducido
+export const detectLanguage = (preferred = navigator.languages ?? [navigator.language]) =>
+  preferred.map((tag) => tag?.split('-')[0]).find(isSupportedLanguage) ?? DEFAULT_LANGUAGE;
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+// Las claves que faltan en un idioma se muestran en español; si tampoco existen, la propia clave
+export const translate = (language, key, params = {}) => {
+  const message = lookup(MESSAGES[language], key) ?? lookup(MESSAGES[DEFAULT_LANGUAGE], key);
+  if (typeof message !== 'string') return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
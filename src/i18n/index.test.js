@@ -0,0 +1,33 @@
+import { translate, detectLanguage, UI_LANGUAGES } from '.';
+import es from './locales/es';
+import en from './locales/en';
+import ca from './locales/ca';
+import pt from './locales/pt';
+
+const collectKeys = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) =>
+  typeof value === 'string' ? [`${prefix}${key}`] : collectKeys(value, `${prefix}${key}.`)
+);
+
+test('every language has the same keys as Spanish', () => {
+  const expected = collectKeys(es).sort();
+  [en, ca, pt].forEach((messages) => {
+    expect(collectKeys(messages).sort()).toEqual(expected);
+  });
+  expect(UI_LANGUAGES.map((option) => option.value)).toEqual(['es', 'en', 'ca', 'pt']);
+});
+
+test('interpolates parameters', () => {
+  expect(translate('en', 'variant.title', { number: 2 })).toBe('Variant 2');
+  expect(translate('es', 'common.characters', { count: 0 })).toBe('0 caracteres');
+});
+
+test('falls back to Spanish and then to the key', () => {
+  expect(translate('fr', 'layout.nav.history')).toBe('Historial');
+  expect(translate('en', 'missing.key')).toBe('missing.key');
+  expect(translate('en', 'layout.nav')).toBe('layout.nav');
+});
+
+test('detects the first supported browser language', () => {
+  expect(detectLanguage(['fr-FR', 'pt-BR', 'en'])).toBe('pt');
+  expect(detectLanguage(['de'])).toBe('es');
+});
@@ -0,0 +1,724 @@
+const ca = {
+  common: {
+    language: 'Idioma',
+    email: 'Correu electrònic',
+    password: 'Contrasenya',
+    copy: 'Copia al porta-retalls',
+    copied: 'Post copiat al porta-retalls!',
+    copyFailed: 'No s\'ha pogut copiar el post',
+    share: 'Comparteix',
+    edit: 'Edita',
+    duplicate: 'Duplica',
+    delete: 'Elimina',
+    open: 'Obre',
+    cancel: 'Cancel·la',
+    close: 'Tanca',
+    save: 'Desa',
+    saving: 'Desant...',
+    stop: 'Atura',
+    characters: '{count} caràcters',
+    generationStopped: 'Generació aturada',
+  },
+  layout: {
+    title: 'LinkedIn Post Generator',
+    signOut: 'Tanca la sessió',
+    signOutFailed: 'No s\'ha pogut tancar la sessió',
+    lightMode: 'Mode clar',
+    darkMode: 'Mode fosc',
+    nav: {
+      generator: 'Generador',
+      history: 'Historial',
+      calendar: 'Calendari',
+      templates: 'Plantilles',
+      voices: 'Veus',
+      performance: 'Resultats',
+      usage: 'Ús',
+    },
+  },
+  options: {
+    postLength: {
+      short: 'Curt',
+      medium: 'Mitjà',
+      long: 'Llarg',
+    },
+    lengthUnit: {
+      words: 'Paraules',
+      characters: 'Caràcters',
+    },
+    tone: {
+      professional: 'Professional',
+      formal: 'Formal',
+      informative: 'Informatiu',
+      analytical: 'Analític',
+    },
+    variantMode: {
+      tones: 'Tons diferents',
+      samples: 'Mateix to',
+    },
+    scheduleStatus: {
+      draft: 'Esborrany',
+      scheduled: 'Programat',
+      publishing: 'Publicant',
+      published: 'Publicat',
+      failed: 'Fallit',
+    },
+  },
+  generator: {
+    url: 'URL del lloc web',
+    invalidUrl: 'Introdueix una URL vàlida',
+    urlRequired: 'Introdueix una URL',
+    pasteFailed: 'No s\'ha pogut enganxar des del porta-retalls',
+    length: 'Longitud',
+    tone: 'To',
+    emojis: 'Inclou emojis',
+    outputLanguage: 'Idioma del post',
+    template: 'Plantilla',
+    lengthUnit: 'Mesura la longitud en',
+    audience: 'Públic objectiu (opcional)',
+    cta: 'Crida a l\'acció (opcional)',
+    provider: 'Proveïdor',
+    model: 'Model',
+    variants: 'Variants',
+    variantMode: 'Varia',
+    generate: 'Genera el post',
+    generating: 'Generant...',
+    result: 'Contingut generat',
+    editTab: 'Edita',
+    previewTab: 'Previsualització',
+    shareFailed: 'No s\'ha pogut compartir el post',
+    copiedShareUnsupported: 'Copiat al porta-retalls (el navegador no permet compartir)',
+    saveFailed: 'El post s\'ha generat però no s\'ha pogut desar a l\'historial',
+    bannedWords: 'Paraules prohibides',
+    bannedWordsHint: 'Separades per comes. Si n\'hi apareix alguna, es demana al model que reescrigui el post.',
+    useTopPosts: 'Fes servir els meus {count} posts amb millors resultats com a exemples',
+    noTopPosts: 'Fes servir els posts amb millors resultats com a exemples (encara no hi ha resultats registrats)',
+    voice: 'Veu de marca',
+    noVoice: 'Cap',
+    voiceOnlyTone: 'Només la veu de marca',
+    reviewerNotice: 'Ets revisor a «{name}»: pots obrir, comentar i aprovar els posts de l\'historial, però no generar-ne de nous.',
+    modes: {
+      single: 'Un post',
+      batch: 'Lot',
+    },
+    sources: {
+      types: {
+        url: 'URL',
+        text: 'Text',
+        file: 'Fitxer',
+        video: 'Vídeo',
+      },
+      kinds: {
+        article: 'Article',
+        text: 'Text',
+        document: 'Document',
+        transcript: 'Transcripció del vídeo',
+      },
+      title: 'Títol (opcional)',
+      titleHint: 'Si no s\'indica, es fa servir la primera línia del text',
+      text: 'Text sobre el qual escriure',
+      textTooShort: 'Escriu almenys {min} caràcters',
+      textTooLong: 'El text no pot superar els {max} caràcters',
+      chooseFile: 'Tria un fitxer',
+      fileHint: 'PDF, DOCX, TXT o Markdown, fins a 10 MB. Els PDF escanejats sense text seleccionable no es poden llegir.',
+      videoUrl: 'URL del vídeo de YouTube',
+      videoHint: 'Es fan servir els subtítols del vídeo, també els automàtics',
+      invalidVideoUrl: 'No és un enllaç de YouTube',
+      getTranscript: 'Obtén la transcripció',
+      reading: 'S\'està llegint la font...',
+      truncated: 'El text és llarg: només es faran servir els primers {count} caràcters.',
+      clear: 'Descarta',
+    },
+  },
+  variant: {
+    title: 'Variant {number}',
+    pick: 'Tria',
+    picked: 'Triada',
+    finishEditing: 'Acaba l\'edició',
+    regenerate: 'Torna a generar',
+  },
+  editor: {
+    overLimit: 'El post supera el límit de LinkedIn en {count} caràcters',
+    noFold: 'El post es veurà complet al feed, sense «…més».',
+    foldAfter: '«…més» apareixerà després de:',
+  },
+  preview: {
+    now: 'Ara',
+    seeMore: '…més',
+    like: 'Recomana',
+    comment: 'Comenta',
+    repost: 'Comparteix',
+    send: 'Envia',
+  },
+  history: {
+    title: 'Historial',
+    search: 'Cerca a l\'historial',
+    noResults: 'Cap post coincideix amb la cerca.',
+    empty: 'Encara no has generat cap post.',
+    emojis: 'Emojis',
+    template: 'Plantilla',
+    published: 'Publicat',
+    loadFailed: 'No s\'ha pogut carregar l\'historial',
+    duplicated: 'Post duplicat',
+    duplicateFailed: 'No s\'ha pogut duplicar el post',
+    deleted: 'Post eliminat',
+    deleteFailed: 'No s\'ha pogut eliminar el post',
+  },
+  templates: {
+    title: 'Plantilles de prompt',
+    new: 'Nova plantilla',
+    builtin: 'Inclosa',
+    copyName: '{name} (còpia)',
+    loadFailed: 'No s\'han pogut carregar les plantilles',
+    saved: 'Plantilla desada',
+    saveFailed: 'No s\'ha pogut desar la plantilla',
+    deleted: 'Plantilla eliminada',
+    deleteFailed: 'No s\'ha pogut eliminar la plantilla',
+  },
+  voices: {
+    title: 'Veus de marca',
+    new: 'Nova veu',
+    intro: 'Enganxa entre 3 i 20 posts que ja hagis publicat: el generador n\'imitarà l\'estil, l\'estructura i la manera d\'obrir i tancar.',
+    empty: 'Encara no tens cap veu de marca.',
+    examplesCount: 'Exemples: {count}',
+    loadFailed: 'No s\'han pogut carregar les veus de marca',
+    saved: 'Veu de marca desada',
+    saveFailed: 'No s\'ha pogut desar la veu de marca',
+    deleted: 'Veu de marca eliminada',
+    deleteFailed: 'No s\'ha pogut eliminar la veu de marca',
+    dialog: {
+      newTitle: 'Nova veu de marca',
+      editTitle: 'Edita la veu de marca',
+      name: 'Nom',
+      examples: 'Posts d\'exemple',
+      examplesHelp: 'Separa cada post amb una línia que només contingui ---. Exemples: {count} de {max}.',
+      tooFew: 'Calen com a mínim {min} exemples.',
+      recommended: 'Amb {count} exemples o més l\'estil s\'imita millor.',
+      tooMany: 'Com a màxim {max} exemples.',
+      style: 'Estil detectat',
+      styleEmpty: 'Afegeix exemples per veure\'n l\'estil.',
+      import: 'Importa de l\'historial',
+      loadHistory: 'Carrega posts',
+      historyEmpty: 'No hi ha posts a l\'historial.',
+      historyFailed: 'No s\'ha pogut carregar l\'historial',
+      published: 'Publicat a LinkedIn',
+    },
+    style: {
+      wordsPerPost: '{count} paraules per post',
+      wordsPerSentence: '{count} paraules per frase',
+      emojis: 'Emojis en el {percent} % {emojis}',
+      noEmojis: 'Sense emojis',
+      lists: 'Llistes en el {percent} %',
+      openings: {
+        question: 'Obre amb una pregunta ({percent} %)',
+        exclamation: 'Obre amb una exclamació ({percent} %)',
+        number: 'Obre amb una xifra ({percent} %)',
+        statement: 'Obre amb una afirmació ({percent} %)',
+      },
+      questionClosing: 'Tanca amb una pregunta ({percent} %)',
+      hashtags: '{count} hashtags per post',
+    },
+  },
+  workspaces: {
+    personal: 'Personal',
+    loadFailed: 'No s\'han pogut carregar els teus espais de treball',
+    retry: 'Torna-ho a provar',
+    switch: 'Canvia d\'espai de treball',
+    pendingInvitations: 'Invitacions pendents',
+    unknownWorkspace: 'Espai de treball',
+    accept: 'Accepta',
+    decline: 'Rebutja',
+    joined: 'T\'has unit a «{name}»',
+    acceptFailed: 'No s\'ha pogut acceptar la invitació',
+    declineFailed: 'No s\'ha pogut rebutjar la invitació',
+    manage: 'Gestiona l\'espai',
+    manageTitle: 'Espai de treball',
+    new: 'Nou espai de treball',
+    create: 'Crea',
+    created: 'Espai de treball creat',
+    createFailed: 'No s\'ha pogut crear l\'espai de treball',
+    name: 'Nom',
+    renamed: 'Nom desat',
+    saveFailed: 'No s\'han pogut desar els canvis',
+    membersFailed: 'No s\'han pogut carregar els membres',
+    members: 'Membres',
+    you: 'tu',
+    remove: 'Treu de l\'espai',
+    rolesHint: 'Owner: gestiona l\'espai i els membres. Editor: crea i edita posts, plantilles i veus. Revisor: comenta i aprova posts.',
+    lastOwner: 'L\'espai de treball necessita almenys un owner',
+    invite: 'Convida per email',
+    sendInvite: 'Convida',
+    alreadyMember: 'Ja n\'és membre',
+    invited: 'Invitació enviada a {email}',
+    invitedInApp: '{email} veurà la invitació quan entri a l\'app',
+    inviteFailed: 'No s\'ha pogut desar la invitació',
+    invitationPending: '{email} · {role} · pendent',
+    cancelInvitation: 'Cancel·la la invitació',
+    leave: 'Surt de l\'espai',
+    leaveFailed: 'No s\'ha pogut sortir de l\'espai de treball',
+    delete: 'Elimina l\'espai',
+    deleteWarning: 'S\'eliminaran «{name}» i tots els seus posts, plantilles i veus de marca. No es pot desfer.',
+    deleted: 'Espai de treball eliminat',
+    deleteFailed: 'No s\'ha pogut eliminar l\'espai de treball',
+    roles: {
+      owner: 'Owner',
+      editor: 'Editor',
+      reviewer: 'Revisor',
+    },
+  },
+  workflow: {
+    allStatuses: 'Tots els estats',
+    statuses: {
+      draft: 'Esborrany',
+      in_review: 'En revisió',
+      approved: 'Aprovat',
+    },
+    actions: {
+      submit: 'Envia a revisió',
+      approve: 'Aprova',
+      requestChanges: 'Demana canvis',
+      withdraw: 'Retira de revisió',
+      reopen: 'Torna a esborrany',
+    },
+    changed: {
+      draft: 'El post ha tornat a esborrany',
+      in_review: 'Post enviat a revisió',
+      approved: 'Post aprovat',
+    },
+    changeFailed: 'No s\'ha pogut canviar l\'estat del post',
+    comments: {
+      title: 'Comentaris',
+      empty: 'Encara no hi ha comentaris.',
+      placeholder: 'Escriu un comentari',
+      send: 'Comenta',
+      loadFailed: 'No s\'han pogut carregar els comentaris',
+      saveFailed: 'No s\'ha pogut desar el comentari',
+      deleteFailed: 'No s\'ha pogut eliminar el comentari',
+    },
+  },
+  templateEditor: {
+    newTitle: 'Nova plantilla',
+    editTitle: 'Edita la plantilla',
+    versionBump: 'v{from} → v{to} en desar',
+    name: 'Nom',
+    description: 'Descripció',
+    body: 'Prompt',
+    help: 'Fes clic en una variable per inserir-la. Fes servir {{#cta}}…{{/cta}} per incloure un text només si la variable té valor, i {{^cta}}…{{/cta}} si és buida. Si no fas servir {{article}}, l\'article s\'afegeix al final.',
+    unknownVariables: 'Variables desconegudes (se substituiran per text buit): {names}',
+    preview: 'Previsualització del prompt',
+    variables: {
+      tone: 'Instruccions del to triat',
+      tone_name: 'Nom del to (p. ex. «Professional»)',
+      length: 'Longitud objectiu en paraules o caràcters',
+      emojis: 'Instrucció sobre l\'ús d\'emojis',
+      language: 'Idioma en què s\'escriu el post',
+      more_info: 'Etiqueta de l\'enllaç final en l\'idioma del post (p. ex. «Més informació»)',
+      audience: 'Públic objectiu',
+      cta: 'Crida a l\'acció',
+      url: 'URL d\'origen',
+      title: 'Títol de l\'article',
+      author: 'Autor de l\'article',
+      published_at: 'Data de publicació',
+      site_name: 'Nom del mitjà',
+      article: 'Bloc complet amb les dades i el text de l\'article',
+      voice: 'Veu de marca triada: resum d\'estil i posts d\'exemple (buida si no n\'hi ha cap)',
+      examples: 'Posts amb millors resultats com a exemples (buida si no es fan servir)',
+    },
+  },
+  builtinTemplates: {
+    'builtin:summary': {
+      name: 'Resum de l\'article',
+      description: 'Publicació basada en l\'article, amb el to i la longitud triats.',
+    },
+    'builtin:hook-bullets-cta': {
+      name: 'Ganxo + 3 punts + CTA',
+      description: 'Una primera línia que enganxi, tres idees clau en llista i una crida a l\'acció.',
+    },
+    'builtin:event': {
+      name: 'Anunci d\'esdeveniment',
+      description: 'Anuncia un esdeveniment, webinar o llançament: què és, quan, per a qui i com apuntar-s\'hi.',
+    },
+  },
+  auth: {
+    backToLogin: 'Torna a iniciar la sessió',
+    login: {
+      title: 'Inicia la sessió',
+      forgotPassword: 'Has oblidat la contrasenya?',
+      submit: 'Entra',
+      submitting: 'Entrant...',
+      or: 'o',
+      magicLink: 'Envia\'m un enllaç d\'accés per correu',
+      magicLinkEmailRequired: 'Introdueix el correu per rebre l\'enllaç d\'accés.',
+      magicLinkSent: 'T\'hem enviat un enllaç d\'accés. Revisa el correu.',
+      register: 'Crea un compte',
+    },
+    register: {
+      title: 'Crea un compte',
+      submit: 'Crea el compte',
+      submitting: 'Creant el compte...',
+      confirmEmail: 'Revisa el correu per confirmar el compte!',
+    },
+    reset: {
+      title: 'Recupera la contrasenya',
+      submit: 'Envia l\'enllaç',
+      submitting: 'Enviant...',
+      sent: 'Si hi ha un compte amb aquest correu, rebràs un enllaç per canviar la contrasenya.',
+    },
+    update: {
+      title: 'Contrasenya nova',
+      password: 'Contrasenya nova',
+      confirmation: 'Repeteix la contrasenya',
+      mismatch: 'Les contrasenyes no coincideixen.',
+      submit: 'Desa la contrasenya',
+      updated: 'Contrasenya actualitzada',
+    },
+  },
+  linkedin: {
+    publish: 'Publica a LinkedIn',
+    dialogTitle: 'Publica a LinkedIn',
+    notConfigured: 'La publicació a LinkedIn no està configurada al servidor.',
+    connectPrompt: 'Connecta el teu compte de LinkedIn per publicar directament al teu perfil o a les pàgines d\'empresa que administres.',
+    connect: 'Connecta amb LinkedIn',
+    connecting: 'Connectant...',
+    connected: 'Compte de LinkedIn connectat',
+    connectedAs: 'Connectat com a {name}',
+    disconnect: 'Desconnecta',
+    disconnected: 'Compte de LinkedIn desconnectat',
+    expired: 'La connexió amb LinkedIn ha caducat. Torna a connectar el compte.',
+    author: 'Publica com a',
+    personalProfile: 'Perfil personal',
+    companyPage: 'Pàgina d\'empresa',
+    linkPreview: 'S\'hi afegirà la previsualització de l\'enllaç {url}',
+    publishing: 'Publicant...',
+    published: 'Post publicat a LinkedIn!',
+    viewPost: 'Mostra a LinkedIn',
+    saveFailed: 'El post s\'ha publicat, però no s\'ha pogut desar a l\'historial',
+  },
+  validation: {
+    title: 'Regles incomplertes: {count}',
+    repair: 'Corregeix',
+    units: {
+      words: 'paraules',
+      characters: 'caràcters',
+    },
+    rules: {
+      error_sentinel: 'El text és un missatge d\'error del model, no un post.',
+      footer: 'Falta el peu «{footer}» al final del post.',
+      emojis: 'Conté emojis tot i que es va demanar sense emojis: {emojis}',
+      too_long: 'És massa llarg: {count} {unit} (se n\'havien demanat entre {min} i {max}).',
+      too_short: 'És massa curt: {count} {unit} (se n\'havien demanat entre {min} i {max}).',
+      linkedin_limit: 'Supera els {max} caràcters de LinkedIn ({count}).',
+      banned_words: 'Conté paraules prohibides: {words}',
+      unsupported_facts: 'Dades que no apareixen a l\'article: {facts}',
+    },
+  },
+  hashtags: {
+    title: 'Hashtags suggerits',
+    summary: '{count} hashtags al post ({characters} caràcters)',
+    none: 'No hi ha suggeriments per a aquest text',
+    cost: 'Afegeix {count} caràcters',
+    remove: 'Treu-lo del post',
+    overLimit: 'No hi cap als 3.000 caràcters de LinkedIn',
+    mentionsTitle: 'Mencions',
+    mentionsHint: 'S\'insereixen com a text: a LinkedIn, torna a escriure l\'@ per enllaçar el perfil o la pàgina.',
+    listsTitle: 'Hashtags preferits i vetats',
+    add: 'Afegeix',
+    addPlaceholder: '#hashtag',
+    emptyList: 'Llista buida',
+    saveFailed: 'No s\'han pogut desar les teves llistes de hashtags',
+    lists: {
+      favorite: 'Preferits',
+      banned: 'Vetats',
+    },
+    listHints: {
+      favorite: 'Sempre se suggereixen, abans que la resta.',
+      banned: 'Mai no se suggereixen.',
+    },
+  },
+  visuals: {
+    title: 'Imatges',
+    subtitle: 'Una imatge per compartir i un carrusel en PDF amb els colors de la teva marca',
+    cardTab: 'Imatge',
+    carouselTab: 'Carrusel ({count} diapositives)',
+    titleLabel: 'Títol',
+    quote: 'Cita destacada',
+    useArticleImage: 'Fes servir la imatge de l\'article',
+    points: 'Punts principals',
+    pointsHelper: 'Una diapositiva per línia',
+    closing: 'Diapositiva de tancament',
+    slideCount: '{current} / {total}',
+    previousSlide: 'Diapositiva anterior',
+    nextSlide: 'Diapositiva següent',
+    swipe: 'Llisca',
+    resetTexts: 'Torna a treure els textos de la publicació',
+    downloadPng: 'Baixa PNG',
+    downloadPdf: 'Baixa PDF',
+    exporting: 'S\'està exportant...',
+    exportFailed: 'No s\'ha pogut crear el fitxer',
+    shareUnsupported: 'Aquest navegador no pot compartir imatges: s\'ha baixat',
+    brand: {
+      title: 'Colors i logotip de marca',
+      hint: 'Es fan servir en totes les imatges i carrusels que creïs.',
+      primaryColor: 'Color principal',
+      backgroundColor: 'Fons',
+      textColor: 'Text',
+      logo: 'Logotip',
+      uploadLogo: 'Puja el logotip',
+      removeLogo: 'Treu',
+      reset: 'Restaura els valors per defecte',
+      invalidLogo: 'No s\'ha pogut carregar el logotip. Prova amb una imatge PNG, JPEG, WebP o SVG més petita',
+      saveFailed: 'No s\'han pogut desar els ajustos de marca',
+    },
+  },
+  refine: {
+    title: 'Refinar el post',
+    subtitle: 'Demana canvis sobre el text actual. El model té en compte el text d\'origen i els canvis anteriors.',
+    actions: {
+      shorter: 'Més curt',
+      longer: 'Més llarg',
+      tone: 'Canviar el to a…',
+      hook: 'Afegir un ganxo inicial',
+      cta: 'Afegir una CTA',
+      removeEmojis: 'Treure els emojis',
+    },
+    instructionLabel: 'Una altra instrucció',
+    instructionPlaceholder: 'Per exemple: esmenta la xifra de vendes i acaba amb una pregunta',
+    send: 'Aplicar',
+    undo: 'Desfer',
+    redo: 'Refer',
+    compare: 'Comparar versions',
+    versionCount: 'Versió {current} de {total}',
+    versionActions: {
+      generated: 'Generat',
+      opened: 'De l\'historial',
+      edited: 'Editat a mà',
+      shorter: 'Més curt',
+      longer: 'Més llarg',
+      tone: 'To: {tone}',
+      hook: 'Ganxo inicial',
+      cta: 'CTA',
+      removeEmojis: 'Sense emojis',
+    },
+    diff: {
+      title: 'Comparar versions',
+      from: 'Des de',
+      to: 'Fins a',
+      summary: '{added} paraules afegides · {removed} tretes',
+      noChanges: 'Les dues versions són iguals.',
+    },
+  },
+  performance: {
+    title: 'Resultats a LinkedIn',
+    subtitle: 'Registra les impressions i interaccions dels posts per veure quin to, longitud, emojis i plantilles funcionen millor.',
+    empty: 'Encara no hi ha resultats. Afegeix-los des de l\'historial, importa un CSV d\'analítiques de LinkedIn o actualitza els posts publicats.',
+    importCsv: 'Importa CSV',
+    refreshFromLinkedIn: 'Actualitza des de LinkedIn',
+    csvInvalid: 'El CSV necessita una columna amb l\'enllaç o el text del post i almenys una amb xifres (impressions, reaccions, comentaris o compartits).',
+    csvImported: 'Resultats importats per a {count} posts; {unmatched} files no coincideixen amb cap post.',
+    linkedinUpdated: 'Resultats actualitzats per a {count} posts publicats ({failed} amb error).',
+    dimensions: {
+      tone: 'To',
+      length: 'Longitud',
+      emojis: 'Emojis',
+      template: 'Plantilla',
+    },
+    emojis: {
+      with: 'Amb emojis',
+      without: 'Sense emojis',
+    },
+    voiceTone: 'Veu de marca',
+    noTemplate: 'Sense plantilla',
+    deletedTemplate: 'Plantilla eliminada',
+    posts: 'Posts',
+    averageImpressions: 'Impressions mitjanes',
+    averageInteractions: 'Interaccions mitjanes',
+    rate: 'Interacció',
+    topPosts: 'Posts amb millors resultats',
+    topPostsHint: 'Els que tenen més interaccions. El generador els pot donar al model com a exemples.',
+    interactions: '{count} interaccions',
+    impressions: '{count} impressions',
+    dialogTitle: 'Resultats del post',
+    metrics: {
+      impressions: 'Impressions',
+      reactions: 'Reaccions',
+      comments: 'Comentaris',
+      reshares: 'Compartits',
+    },
+    unknown: 'Sense dada',
+    engagementRate: 'Interacció: {rate} de les impressions',
+    noImpressions: 'Sense impressions no es pot calcular la taxa d\'interacció.',
+    lastUpdated: 'Actualitzat el {date} ({source})',
+    sources: {
+      manual: 'a mà',
+      csv: 'CSV',
+      linkedin: 'LinkedIn',
+    },
+    fetchFromLinkedIn: 'Llegeix de LinkedIn',
+    saved: 'Resultats desats',
+    saveFailed: 'No s\'han pogut desar els resultats',
+    loadFailed: 'No s\'han pogut carregar els resultats',
+  },
+  usage: {
+    title: 'Ús i cost',
+    periods: {
+      day: 'Per dia',
+      week: 'Per setmana',
+      month: 'Per mes',
+    },
+    plan: 'Pla: {plan}',
+    today: 'Avui',
+    thisMonth: 'Aquest mes',
+    quotaUsed: '{used} de {limit} generacions',
+    unlimited: '{used} generacions, sense límit',
+    notRecorded: 'El servidor no està registrant l\'ús: les generacions no es compten ni tenen quota.',
+    generations: 'Generacions',
+    errors: 'Errors',
+    tokens: 'Tokens',
+    cost: 'Cost estimat',
+    latency: 'Temps mitjà',
+    seconds: '{seconds} s',
+    model: 'Model',
+    generationsChart: 'Generacions',
+    costChart: 'Cost estimat (USD)',
+    estimatedTokens: 'Alguns proveïdors no informen dels tokens: en aquestes generacions es calculen a partir de la longitud del text.',
+    costNote: 'El cost és una estimació amb preus de referència per model i pot no coincidir amb la factura del proveïdor.',
+    loadFailed: 'No s\'ha pogut carregar l\'ús',
+  },
+  batch: {
+    sources: {
+      urls: 'Llista d\'URLs',
+      csv: 'CSV',
+      feed: 'Feed RSS/Atom',
+    },
+    urlList: 'URLs (una per línia)',
+    add: 'Afegeix',
+    uploadCsv: 'Puja un CSV',
+    csvHint: 'Es fa servir la columna «url» o «link» (i «title» si n\'hi ha); sense capçalera, la primera columna amb URLs.',
+    feedUrl: 'URL del feed o del blog',
+    feedHint: 'S\'hi afegeixen els articles del feed que encara no tenen post.',
+    loadFeed: 'Carrega el feed',
+    concurrency: 'Alhora',
+    run: 'Genera {count} posts',
+    clear: 'Buida',
+    article: 'Article',
+    status: 'Estat',
+    length: 'Caràcters',
+    retry: 'Torna-ho a provar',
+    nothingToAdd: 'No hi ha URLs noves per afegir',
+    someIgnored: 'S\'han ignorat {count} URLs repetides o per sobre del límit de 50',
+    statuses: {
+      pending: 'Pendent',
+      skipped: 'Ja processat',
+      extracting: 'Extraient',
+      generating: 'Generant',
+      done: 'Fet',
+      cancelled: 'Aturat',
+      error: 'Error',
+    },
+  },
+  schedule: {
+    title: 'Programa la publicació',
+    editTitle: 'Publicació programada',
+    date: 'Data i hora',
+    content: 'Text del post',
+    personalProfileHint: 'Es publicarà al teu perfil personal de LinkedIn.',
+    saveDraft: 'Desa l\'esborrany',
+    schedule: 'Programa',
+    retry: 'Torna-ho a provar',
+    scheduled: 'Post programat',
+    savedDraft: 'Esborrany desat',
+    saveFailed: 'No s\'ha pogut desar la programació',
+    deleted: 'Publicació eliminada de la cua',
+    deleteFailed: 'No s\'ha pogut eliminar la publicació',
+    dateRequired: 'Tria una data i una hora',
+    dateInPast: 'La data ha de ser posterior a aquest moment',
+    publishedAt: 'Publicat el {date}.',
+    errorLog: 'Errors ({count})',
+    attempt: 'Intent {number}',
+  },
+  calendar: {
+    today: 'Avui',
+    previous: 'Mes anterior',
+    next: 'Mes següent',
+    drafts: 'Esborranys sense data',
+    noDrafts: 'No hi ha esborranys sense data.',
+    loadFailed: 'No s\'ha pogut carregar el calendari',
+  },
+  offline: {
+    banner: 'Sense connexió. L\'esborrany es desa en aquest dispositiu i les generacions es faran quan torni la connexió.',
+    queue: 'Generar quan torni la connexió',
+    queued: 'Sense connexió: la generació es farà quan torni la connexió i el post es desarà a l\'historial.',
+    queueFailed: 'No s\'ha pogut deixar la generació pendent.',
+    queueTitle: 'Generacions sense connexió ({count})',
+    queueOnline: 'Es generen d\'una en una i es desen a l\'historial.',
+    queueOffline: 'Es generaran quan torni la connexió.',
+    status: {
+      pending: 'Pendent',
+      failed: 'Error',
+      review: 'Revisar',
+    },
+    retry: 'Tornar-ho a provar',
+    remove: 'Treure de la cua',
+    generated: 'Post generat i desat a l\'historial: {title}',
+    generatedWithIssues: 'Post desat a l\'historial, però no compleix algunes de les teves regles: {title}',
+    reviewHint: 'Desat a l\'historial. Revisa\'l abans de publicar-lo:',
+    itemFailed: 'No s\'ha pogut generar el post pendent: {title}',
+  },
+  authErrors: {
+    invalid_credentials: 'El correu o la contrasenya no són correctes.',
+    email_not_confirmed: 'Encara no has confirmat el correu. Revisa la safata d\'entrada.',
+    user_already_exists: 'Ja hi ha un compte amb aquest correu.',
+    email_exists: 'Ja hi ha un compte amb aquest correu.',
+    weak_password: 'La contrasenya és massa feble. Fes servir almenys 6 caràcters.',
+    same_password: 'La contrasenya nova ha de ser diferent de l\'anterior.',
+    email_address_invalid: 'El correu no és vàlid.',
+    validation_failed: 'Revisa les dades introduïdes.',
+    signup_disabled: 'El registre de comptes nous està desactivat.',
+    otp_expired: 'L\'enllaç ha caducat. Demana\'n un de nou.',
+    over_email_send_rate_limit: 'Has demanat massa correus. Espera uns minuts abans de tornar-ho a provar.',
+    over_request_rate_limit: 'Massa intents. Espera uns minuts abans de tornar-ho a provar.',
+    session_not_found: 'La sessió ha caducat. Torna a iniciar la sessió.',
+    user_not_found: 'No hi ha cap compte amb aquest correu.',
+    generic: 'S\'ha produït un error. Torna-ho a provar.',
+  },
+  extractionErrors: {
+    invalid_url: 'La URL no és vàlida o apunta a una adreça no permesa.',
+    fetch_failed: 'No s\'ha pogut baixar la pàgina. Comprova que la URL és accessible.',
+    fetch_timeout: 'La pàgina ha trigat massa a respondre.',
+    http_status: 'La pàgina ha retornat un error. Comprova que la URL és correcta.',
+    paywall: 'L\'article és darrere d\'un mur de pagament o requereix iniciar la sessió.',
+    pdf_not_supported: 'La URL apunta a un PDF: baixa\'l i puja\'l amb la font Fitxer.',
+    unsupported_content_type: 'La URL no apunta a una pàgina web (HTML).',
+    page_too_large: 'La pàgina és massa gran per processar-la.',
+    content_not_found: 'No s\'ha trobat el text de l\'article a la pàgina.',
+    invalid_feed: 'La URL no és un feed RSS o Atom vàlid.',
+    feed_not_found: 'La pàgina no enllaça cap feed RSS o Atom.',
+    file_too_large: 'El fitxer és massa gran (màxim 10 MB i 200 pàgines).',
+    unsupported_file_type: 'Només s\'admeten fitxers PDF, DOCX, TXT i Markdown.',
+    invalid_document: 'No s\'ha pogut llegir el fitxer. Pot estar malmès o protegit amb contrasenya.',
+    document_without_text: 'El document no té text per llegir. Si és un PDF escanejat, enganxa\'n el text.',
+    invalid_video_url: 'L\'enllaç no és un vídeo de YouTube.',
+    transcript_not_found: 'El vídeo no té subtítols o no s\'han pogut baixar.',
+  },
+  linkedinErrors: {
+    linkedin_not_configured: 'La publicació a LinkedIn no està configurada al servidor.',
+    linkedin_not_connected: 'Connecta el teu compte de LinkedIn per publicar.',
+    linkedin_reauth_required: 'La connexió amb LinkedIn ha caducat. Torna a connectar el compte.',
+    linkedin_author_forbidden: 'No tens permís per publicar en aquesta pàgina.',
+    linkedin_denied: 'No s\'ha autoritzat l\'accés a LinkedIn.',
+    invalid_state: 'La connexió amb LinkedIn ha caducat o no és vàlida. Torna-ho a provar.',
+    text_too_long: 'El post supera el límit de 3.000 caràcters de LinkedIn.',
+    invalid_text: 'El post és buit.',
+    generic: 'No s\'ha pogut completar l\'operació amb LinkedIn. Torna-ho a provar.',
+  },
+  generationErrors: {
+    timeout: 'La generació del post ha trigat massa. Torna-ho a provar.',
+    stalled: 'El model ha deixat de respondre a mitja generació. Torna-ho a provar.',
+    sessionExpired: 'La sessió ha caducat. Torna a iniciar la sessió.',
+    rateLimited: 'Has arribat al límit de generacions. Espera una mica abans de tornar-ho a provar.',
+    quotaExceeded: 'Has esgotat la teva quota de generacions. Podràs tornar a generar quan comenci el període següent.',
+    refused: 'El model no ha pogut fer servir l\'article i ha retornat un error en lloc del post. Prova-ho amb una altra URL.',
+    generic: 'Error en generar el post. Torna-ho a provar.',
+  },
+};
+
+export default ca;
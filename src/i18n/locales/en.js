@@ -0,0 +1,724 @@
+const en = {
+  common: {
+    language: 'Language',
+    email: 'Email',
+    password: 'Password',
+    copy: 'Copy to clipboard',
+    copied: 'Post copied to clipboard!',
+    copyFailed: 'Could not copy the post',
+    share: 'Share',
+    edit: 'Edit',
+    duplicate: 'Duplicate',
+    delete: 'Delete',
+    open: 'Open',
+    cancel: 'Cancel',
+    close: 'Close',
+    save: 'Save',
+    saving: 'Saving...',
+    stop: 'Stop',
+    characters: '{count} characters',
+    generationStopped: 'Generation stopped',
+  },
+  layout: {
+    title: 'LinkedIn Post Generator',
+    signOut: 'Sign out',
+    signOutFailed: 'Could not sign out',
+    lightMode: 'Light mode',
+    darkMode: 'Dark mode',
+    nav: {
+      generator: 'Generator',
+      history: 'History',
+      calendar: 'Calendar',
+      templates: 'Templates',
+      voices: 'Voices',
+      performance: 'Performance',
+      usage: 'Usage',
+    },
+  },
+  options: {
+    postLength: {
+      short: 'Short',
+      medium: 'Medium',
+      long: 'Long',
+    },
+    lengthUnit: {
+      words: 'Words',
+      characters: 'Characters',
+    },
+    tone: {
+      professional: 'Professional',
+      formal: 'Formal',
+      informative: 'Informative',
+      analytical: 'Analytical',
+    },
+    variantMode: {
+      tones: 'Different tones',
+      samples: 'Same tone',
+    },
+    scheduleStatus: {
+      draft: 'Draft',
+      scheduled: 'Scheduled',
+      publishing: 'Publishing',
+      published: 'Published',
+      failed: 'Failed',
+    },
+  },
+  generator: {
+    url: 'Website URL',
+    invalidUrl: 'Please enter a valid URL',
+    urlRequired: 'Please enter a URL',
+    pasteFailed: 'Could not paste from the clipboard',
+    length: 'Length',
+    tone: 'Tone',
+    emojis: 'Include emojis',
+    outputLanguage: 'Post language',
+    template: 'Template',
+    lengthUnit: 'Measure length in',
+    audience: 'Target audience (optional)',
+    cta: 'Call to action (optional)',
+    provider: 'Provider',
+    model: 'Model',
+    variants: 'Variants',
+    variantMode: 'Vary',
+    generate: 'Generate post',
+    generating: 'Generating...',
+    result: 'Generated content',
+    editTab: 'Edit',
+    previewTab: 'Preview',
+    shareFailed: 'Sharing failed',
+    copiedShareUnsupported: 'Copied to clipboard (sharing is not supported by your browser)',
+    saveFailed: 'The post was generated but could not be saved to the history',
+    bannedWords: 'Banned words',
+    bannedWordsHint: 'Comma-separated. If any appears, the model is asked to rewrite the post.',
+    useTopPosts: 'Use my {count} best-performing posts as examples',
+    noTopPosts: 'Use the best-performing posts as examples (no results recorded yet)',
+    voice: 'Brand voice',
+    noVoice: 'None',
+    voiceOnlyTone: 'Brand voice only',
+    reviewerNotice: 'You are a reviewer in "{name}": you can open, comment on and approve posts from the history, but not generate new ones.',
+    modes: {
+      single: 'Single post',
+      batch: 'Batch',
+    },
+    sources: {
+      types: {
+        url: 'URL',
+        text: 'Text',
+        file: 'File',
+        video: 'Video',
+      },
+      kinds: {
+        article: 'Article',
+        text: 'Text',
+        document: 'Document',
+        transcript: 'Video transcript',
+      },
+      title: 'Title (optional)',
+      titleHint: 'Without one, the first line of the text is used',
+      text: 'Text to write about',
+      textTooShort: 'Write at least {min} characters',
+      textTooLong: 'The text cannot exceed {max} characters',
+      chooseFile: 'Choose file',
+      fileHint: 'PDF, DOCX, TXT or Markdown, up to 10 MB. Scanned PDFs without selectable text cannot be read.',
+      videoUrl: 'YouTube video URL',
+      videoHint: 'The video\'s captions are used, including automatic ones',
+      invalidVideoUrl: 'It is not a YouTube link',
+      getTranscript: 'Get transcript',
+      reading: 'Reading the source...',
+      truncated: 'The text is long: only the first {count} characters will be used.',
+      clear: 'Discard',
+    },
+  },
+  variant: {
+    title: 'Variant {number}',
+    pick: 'Pick',
+    picked: 'Picked',
+    finishEditing: 'Finish editing',
+    regenerate: 'Regenerate',
+  },
+  editor: {
+    overLimit: 'The post exceeds the LinkedIn limit by {count} characters',
+    noFold: 'The whole post will be visible in the feed, without "…see more".',
+    foldAfter: '"…see more" will appear after:',
+  },
+  preview: {
+    now: 'Now',
+    seeMore: '…see more',
+    like: 'Like',
+    comment: 'Comment',
+    repost: 'Repost',
+    send: 'Send',
+  },
+  history: {
+    title: 'History',
+    search: 'Search the history',
+    noResults: 'No posts match your search.',
+    empty: 'You have not generated any posts yet.',
+    emojis: 'Emojis',
+    template: 'Template',
+    published: 'Published',
+    loadFailed: 'Could not load the history',
+    duplicated: 'Post duplicated',
+    duplicateFailed: 'Could not duplicate the post',
+    deleted: 'Post deleted',
+    deleteFailed: 'Could not delete the post',
+  },
+  templates: {
+    title: 'Prompt templates',
+    new: 'New template',
+    builtin: 'Built-in',
+    copyName: '{name} (copy)',
+    loadFailed: 'Could not load the templates',
+    saved: 'Template saved',
+    saveFailed: 'Could not save the template',
+    deleted: 'Template deleted',
+    deleteFailed: 'Could not delete the template',
+  },
+  voices: {
+    title: 'Brand voices',
+    new: 'New voice',
+    intro: 'Paste 3 to 20 posts you have already published: the generator will imitate their style, structure and the way they open and close.',
+    empty: 'You do not have any brand voice yet.',
+    examplesCount: 'Examples: {count}',
+    loadFailed: 'Could not load the brand voices',
+    saved: 'Brand voice saved',
+    saveFailed: 'Could not save the brand voice',
+    deleted: 'Brand voice deleted',
+    deleteFailed: 'Could not delete the brand voice',
+    dialog: {
+      newTitle: 'New brand voice',
+      editTitle: 'Edit brand voice',
+      name: 'Name',
+      examples: 'Example posts',
+      examplesHelp: 'Separate each post with a line containing only ---. Examples: {count} of {max}.',
+      tooFew: 'At least {min} examples are needed.',
+      recommended: 'With {count} examples or more the style is imitated better.',
+      tooMany: 'At most {max} examples.',
+      style: 'Detected style',
+      styleEmpty: 'Add examples to see their style.',
+      import: 'Import from history',
+      loadHistory: 'Load posts',
+      historyEmpty: 'There are no posts in your history.',
+      historyFailed: 'Could not load the history',
+      published: 'Published on LinkedIn',
+    },
+    style: {
+      wordsPerPost: '{count} words per post',
+      wordsPerSentence: '{count} words per sentence',
+      emojis: 'Emojis in {percent}% {emojis}',
+      noEmojis: 'No emojis',
+      lists: 'Lists in {percent}%',
+      openings: {
+        question: 'Opens with a question ({percent}%)',
+        exclamation: 'Opens with an exclamation ({percent}%)',
+        number: 'Opens with a figure ({percent}%)',
+        statement: 'Opens with a statement ({percent}%)',
+      },
+      questionClosing: 'Closes with a question ({percent}%)',
+      hashtags: '{count} hashtags per post',
+    },
+  },
+  workspaces: {
+    personal: 'Personal',
+    loadFailed: 'Could not load your workspaces',
+    retry: 'Retry',
+    switch: 'Switch workspace',
+    pendingInvitations: 'Pending invitations',
+    unknownWorkspace: 'Workspace',
+    accept: 'Accept',
+    decline: 'Decline',
+    joined: 'You joined "{name}"',
+    acceptFailed: 'Could not accept the invitation',
+    declineFailed: 'Could not decline the invitation',
+    manage: 'Manage workspace',
+    manageTitle: 'Workspace',
+    new: 'New workspace',
+    create: 'Create',
+    created: 'Workspace created',
+    createFailed: 'Could not create the workspace',
+    name: 'Name',
+    renamed: 'Name saved',
+    saveFailed: 'Could not save the changes',
+    membersFailed: 'Could not load the members',
+    members: 'Members',
+    you: 'you',
+    remove: 'Remove from workspace',
+    rolesHint: 'Owner: manages the workspace and its members. Editor: creates and edits posts, templates and voices. Reviewer: comments on and approves posts.',
+    lastOwner: 'The workspace needs at least one owner',
+    invite: 'Invite by email',
+    sendInvite: 'Invite',
+    alreadyMember: 'Already a member',
+    invited: 'Invitation sent to {email}',
+    invitedInApp: '{email} will see the invitation when they sign in',
+    inviteFailed: 'Could not save the invitation',
+    invitationPending: '{email} · {role} · pending',
+    cancelInvitation: 'Cancel invitation',
+    leave: 'Leave workspace',
+    leaveFailed: 'Could not leave the workspace',
+    delete: 'Delete workspace',
+    deleteWarning: '"{name}" and all its posts, templates and brand voices will be deleted. This cannot be undone.',
+    deleted: 'Workspace deleted',
+    deleteFailed: 'Could not delete the workspace',
+    roles: {
+      owner: 'Owner',
+      editor: 'Editor',
+      reviewer: 'Reviewer',
+    },
+  },
+  workflow: {
+    allStatuses: 'All statuses',
+    statuses: {
+      draft: 'Draft',
+      in_review: 'In review',
+      approved: 'Approved',
+    },
+    actions: {
+      submit: 'Submit for review',
+      approve: 'Approve',
+      requestChanges: 'Request changes',
+      withdraw: 'Withdraw from review',
+      reopen: 'Back to draft',
+    },
+    changed: {
+      draft: 'The post is back in draft',
+      in_review: 'Post submitted for review',
+      approved: 'Post approved',
+    },
+    changeFailed: 'Could not change the post status',
+    comments: {
+      title: 'Comments',
+      empty: 'No comments yet.',
+      placeholder: 'Write a comment',
+      send: 'Comment',
+      loadFailed: 'Could not load the comments',
+      saveFailed: 'Could not save the comment',
+      deleteFailed: 'Could not delete the comment',
+    },
+  },
+  templateEditor: {
+    newTitle: 'New template',
+    editTitle: 'Edit template',
+    versionBump: 'v{from} → v{to} on save',
+    name: 'Name',
+    description: 'Description',
+    body: 'Prompt',
+    help: 'Click a variable to insert it. Use {{#cta}}…{{/cta}} to include text only when the variable has a value, and {{^cta}}…{{/cta}} when it is empty. If you do not use {{article}}, the article is appended at the end.',
+    unknownVariables: 'Unknown variables (they will be replaced with empty text): {names}',
+    preview: 'Prompt preview',
+    variables: {
+      tone: 'Instructions for the chosen tone',
+      tone_name: 'Tone name (e.g. "Professional")',
+      length: 'Target length in words or characters',
+      emojis: 'Instruction about emoji usage',
+      language: 'Language the post is written in',
+      more_info: 'Label of the closing link in the post language (e.g. "More information")',
+      audience: 'Target audience',
+      cta: 'Call to action',
+      url: 'Source URL',
+      title: 'Article title',
+      author: 'Article author',
+      published_at: 'Publication date',
+      site_name: 'Publication name',
+      article: 'Full block with the article metadata and text',
+      voice: 'Selected brand voice: style summary and example posts (empty if none)',
+      examples: 'Best-performing posts as examples (empty if not used)',
+    },
+  },
+  builtinTemplates: {
+    'builtin:summary': {
+      name: 'Article summary',
+      description: 'A post based on the article, with the chosen tone and length.',
+    },
+    'builtin:hook-bullets-cta': {
+      name: 'Hook + 3 bullets + CTA',
+      description: 'A catchy first line, three key ideas as a list and a call to action.',
+    },
+    'builtin:event': {
+      name: 'Event announcement',
+      description: 'Announces an event, webinar or launch: what it is, when, who it is for and how to sign up.',
+    },
+  },
+  auth: {
+    backToLogin: 'Back to sign in',
+    login: {
+      title: 'Sign in',
+      forgotPassword: 'Forgot your password?',
+      submit: 'Sign in',
+      submitting: 'Signing in...',
+      or: 'or',
+      magicLink: 'Email me a sign-in link',
+      magicLinkEmailRequired: 'Enter your email to receive the sign-in link.',
+      magicLinkSent: 'We have sent you a sign-in link. Check your email.',
+      register: 'Create account',
+    },
+    register: {
+      title: 'Create account',
+      submit: 'Create account',
+      submitting: 'Creating account...',
+      confirmEmail: 'Check your email to confirm your account!',
+    },
+    reset: {
+      title: 'Reset password',
+      submit: 'Send link',
+      submitting: 'Sending...',
+      sent: 'If an account exists for that email, you will receive a link to change your password.',
+    },
+    update: {
+      title: 'New password',
+      password: 'New password',
+      confirmation: 'Repeat the password',
+      mismatch: 'The passwords do not match.',
+      submit: 'Save password',
+      updated: 'Password updated',
+    },
+  },
+  linkedin: {
+    publish: 'Publish on LinkedIn',
+    dialogTitle: 'Publish on LinkedIn',
+    notConfigured: 'Publishing to LinkedIn is not configured on the server.',
+    connectPrompt: 'Connect your LinkedIn account to publish directly to your profile or to the company pages you manage.',
+    connect: 'Connect LinkedIn',
+    connecting: 'Connecting...',
+    connected: 'LinkedIn account connected',
+    connectedAs: 'Connected as {name}',
+    disconnect: 'Disconnect',
+    disconnected: 'LinkedIn account disconnected',
+    expired: 'Your LinkedIn connection has expired. Please connect your account again.',
+    author: 'Post as',
+    personalProfile: 'Personal profile',
+    companyPage: 'Company page',
+    linkPreview: 'A link preview for {url} will be added',
+    publishing: 'Publishing...',
+    published: 'Post published on LinkedIn!',
+    viewPost: 'View on LinkedIn',
+    saveFailed: 'The post was published but could not be saved to the history',
+  },
+  validation: {
+    title: 'Rules not met: {count}',
+    repair: 'Fix',
+    units: {
+      words: 'words',
+      characters: 'characters',
+    },
+    rules: {
+      error_sentinel: 'The text is an error message from the model, not a post.',
+      footer: 'The post does not end with "{footer}".',
+      emojis: 'It contains emojis although none were requested: {emojis}',
+      too_long: 'It is too long: {count} {unit} (between {min} and {max} were requested).',
+      too_short: 'It is too short: {count} {unit} (between {min} and {max} were requested).',
+      linkedin_limit: 'It exceeds LinkedIn\'s {max} characters ({count}).',
+      banned_words: 'It contains banned words: {words}',
+      unsupported_facts: 'Figures not found in the article: {facts}',
+    },
+  },
+  hashtags: {
+    title: 'Suggested hashtags',
+    summary: '{count} hashtags in the post ({characters} characters)',
+    none: 'No suggestions for this text',
+    cost: 'Adds {count} characters',
+    remove: 'Remove from the post',
+    overLimit: 'Does not fit within LinkedIn\'s 3,000 characters',
+    mentionsTitle: 'Mentions',
+    mentionsHint: 'They are inserted as text: on LinkedIn, type the @ again to link the profile or page.',
+    listsTitle: 'Favourite and banned hashtags',
+    add: 'Add',
+    addPlaceholder: '#hashtag',
+    emptyList: 'Empty list',
+    saveFailed: 'Your hashtag lists could not be saved',
+    lists: {
+      favorite: 'Favourites',
+      banned: 'Banned',
+    },
+    listHints: {
+      favorite: 'Always suggested, ahead of the rest.',
+      banned: 'Never suggested.',
+    },
+  },
+  visuals: {
+    title: 'Visuals',
+    subtitle: 'An image card and a PDF carousel with your brand colours',
+    cardTab: 'Image',
+    carouselTab: 'Carousel ({count} slides)',
+    titleLabel: 'Title',
+    quote: 'Key quote',
+    useArticleImage: 'Use the article image',
+    points: 'Main points',
+    pointsHelper: 'One slide per line',
+    closing: 'Closing slide',
+    slideCount: '{current} / {total}',
+    previousSlide: 'Previous slide',
+    nextSlide: 'Next slide',
+    swipe: 'Swipe',
+    resetTexts: 'Take the texts from the post again',
+    downloadPng: 'Download PNG',
+    downloadPdf: 'Download PDF',
+    exporting: 'Exporting...',
+    exportFailed: 'The file could not be created',
+    shareUnsupported: 'This browser cannot share images: it has been downloaded instead',
+    brand: {
+      title: 'Brand colours and logo',
+      hint: 'They are used in every image and carousel you create.',
+      primaryColor: 'Primary colour',
+      backgroundColor: 'Background',
+      textColor: 'Text',
+      logo: 'Logo',
+      uploadLogo: 'Upload logo',
+      removeLogo: 'Remove',
+      reset: 'Restore defaults',
+      invalidLogo: 'The logo could not be loaded. Try a smaller PNG, JPEG, WebP or SVG image',
+      saveFailed: 'Your brand settings could not be saved',
+    },
+  },
+  refine: {
+    title: 'Refine the post',
+    subtitle: 'Ask for changes to the current text. The model keeps the source and the previous changes in mind.',
+    actions: {
+      shorter: 'Shorter',
+      longer: 'Longer',
+      tone: 'Change tone to…',
+      hook: 'Add an opening hook',
+      cta: 'Add a CTA',
+      removeEmojis: 'Remove emojis',
+    },
+    instructionLabel: 'Other instruction',
+    instructionPlaceholder: 'For example: mention the sales figure and end with a question',
+    send: 'Apply',
+    undo: 'Undo',
+    redo: 'Redo',
+    compare: 'Compare versions',
+    versionCount: 'Version {current} of {total}',
+    versionActions: {
+      generated: 'Generated',
+      opened: 'From history',
+      edited: 'Edited by hand',
+      shorter: 'Shorter',
+      longer: 'Longer',
+      tone: 'Tone: {tone}',
+      hook: 'Opening hook',
+      cta: 'CTA',
+      removeEmojis: 'No emojis',
+    },
+    diff: {
+      title: 'Compare versions',
+      from: 'From',
+      to: 'To',
+      summary: '{added} words added · {removed} removed',
+      noChanges: 'Both versions are the same.',
+    },
+  },
+  performance: {
+    title: 'LinkedIn performance',
+    subtitle: 'Record the impressions and interactions of your posts to see which tone, length, emojis and templates work best.',
+    empty: 'No results yet. Add them from the history, import a LinkedIn analytics CSV or refresh your published posts.',
+    importCsv: 'Import CSV',
+    refreshFromLinkedIn: 'Refresh from LinkedIn',
+    csvInvalid: 'The CSV needs a column with the post link or text and at least one with numbers (impressions, reactions, comments or reposts).',
+    csvImported: 'Results imported for {count} posts; {unmatched} rows did not match any post.',
+    linkedinUpdated: 'Results refreshed for {count} published posts ({failed} failed).',
+    dimensions: {
+      tone: 'Tone',
+      length: 'Length',
+      emojis: 'Emojis',
+      template: 'Template',
+    },
+    emojis: {
+      with: 'With emojis',
+      without: 'Without emojis',
+    },
+    voiceTone: 'Brand voice',
+    noTemplate: 'No template',
+    deletedTemplate: 'Deleted template',
+    posts: 'Posts',
+    averageImpressions: 'Average impressions',
+    averageInteractions: 'Average interactions',
+    rate: 'Engagement',
+    topPosts: 'Best-performing posts',
+    topPostsHint: 'The ones with the most interactions. The generator can give them to the model as examples.',
+    interactions: '{count} interactions',
+    impressions: '{count} impressions',
+    dialogTitle: 'Post performance',
+    metrics: {
+      impressions: 'Impressions',
+      reactions: 'Reactions',
+      comments: 'Comments',
+      reshares: 'Reposts',
+    },
+    unknown: 'Unknown',
+    engagementRate: 'Engagement: {rate} of impressions',
+    noImpressions: 'Without impressions the engagement rate cannot be worked out.',
+    lastUpdated: 'Updated on {date} ({source})',
+    sources: {
+      manual: 'by hand',
+      csv: 'CSV',
+      linkedin: 'LinkedIn',
+    },
+    fetchFromLinkedIn: 'Read from LinkedIn',
+    saved: 'Results saved',
+    saveFailed: 'Could not save the results',
+    loadFailed: 'Could not load the results',
+  },
+  usage: {
+    title: 'Usage and cost',
+    periods: {
+      day: 'By day',
+      week: 'By week',
+      month: 'By month',
+    },
+    plan: 'Plan: {plan}',
+    today: 'Today',
+    thisMonth: 'This month',
+    quotaUsed: '{used} of {limit} generations',
+    unlimited: '{used} generations, no limit',
+    notRecorded: 'The server is not recording usage: generations are not counted and have no quota.',
+    generations: 'Generations',
+    errors: 'Errors',
+    tokens: 'Tokens',
+    cost: 'Estimated cost',
+    latency: 'Average time',
+    seconds: '{seconds} s',
+    model: 'Model',
+    generationsChart: 'Generations',
+    costChart: 'Estimated cost (USD)',
+    estimatedTokens: 'Some providers do not report tokens: for those generations they are worked out from the length of the text.',
+    costNote: 'The cost is an estimate based on reference prices per model and may not match the provider bill.',
+    loadFailed: 'Could not load usage',
+  },
+  batch: {
+    sources: {
+      urls: 'URL list',
+      csv: 'CSV',
+      feed: 'RSS/Atom feed',
+    },
+    urlList: 'URLs (one per line)',
+    add: 'Add',
+    uploadCsv: 'Upload CSV',
+    csvHint: 'Uses the "url" or "link" column (and "title" if present); without a header, the first column with URLs.',
+    feedUrl: 'Feed or blog URL',
+    feedHint: 'Feed articles that do not have a post yet are added.',
+    loadFeed: 'Load feed',
+    concurrency: 'At once',
+    run: 'Generate {count} posts',
+    clear: 'Clear',
+    article: 'Article',
+    status: 'Status',
+    length: 'Characters',
+    retry: 'Retry',
+    nothingToAdd: 'There are no new URLs to add',
+    someIgnored: '{count} duplicate URLs or URLs over the limit of 50 were ignored',
+    statuses: {
+      pending: 'Pending',
+      skipped: 'Already processed',
+      extracting: 'Extracting',
+      generating: 'Generating',
+      done: 'Done',
+      cancelled: 'Stopped',
+      error: 'Error',
+    },
+  },
+  schedule: {
+    title: 'Schedule post',
+    editTitle: 'Scheduled post',
+    date: 'Date and time',
+    content: 'Post text',
+    personalProfileHint: 'It will be published on your personal LinkedIn profile.',
+    saveDraft: 'Save draft',
+    schedule: 'Schedule',
+    retry: 'Retry',
+    scheduled: 'Post scheduled',
+    savedDraft: 'Draft saved',
+    saveFailed: 'Could not save the schedule',
+    deleted: 'Post removed from the queue',
+    deleteFailed: 'Could not delete the post',
+    dateRequired: 'Choose a date and time',
+    dateInPast: 'The date must be in the future',
+    publishedAt: 'Published on {date}.',
+    errorLog: 'Errors ({count})',
+    attempt: 'Attempt {number}',
+  },
+  calendar: {
+    today: 'Today',
+    previous: 'Previous month',
+    next: 'Next month',
+    drafts: 'Undated drafts',
+    noDrafts: 'There are no undated drafts.',
+    loadFailed: 'Could not load the calendar',
+  },
+  offline: {
+    banner: "You're offline. Your draft is kept on this device and generations will run when the connection returns.",
+    queue: 'Generate when back online',
+    queued: "You're offline: the post will be generated when the connection returns and saved to your history.",
+    queueFailed: 'The generation could not be queued.',
+    queueTitle: 'Offline generations ({count})',
+    queueOnline: 'They run one at a time and are saved to your history.',
+    queueOffline: 'They will run when the connection returns.',
+    status: {
+      pending: 'Pending',
+      failed: 'Error',
+      review: 'Check',
+    },
+    retry: 'Retry',
+    remove: 'Remove from queue',
+    generated: 'Post generated and saved to your history: {title}',
+    generatedWithIssues: 'Post saved to your history, but it breaks some of your rules: {title}',
+    reviewHint: 'Saved to your history. Check it before publishing it:',
+    itemFailed: 'The pending post could not be generated: {title}',
+  },
+  authErrors: {
+    invalid_credentials: 'The email or password is incorrect.',
+    email_not_confirmed: 'You have not confirmed your email yet. Check your inbox.',
+    user_already_exists: 'An account with this email already exists.',
+    email_exists: 'An account with this email already exists.',
+    weak_password: 'The password is too weak. Use at least 6 characters.',
+    same_password: 'The new password must be different from the old one.',
+    email_address_invalid: 'The email is not valid.',
+    validation_failed: 'Please check the details you entered.',
+    signup_disabled: 'New account registration is disabled.',
+    otp_expired: 'The link has expired. Request a new one.',
+    over_email_send_rate_limit: 'You have requested too many emails. Wait a few minutes before trying again.',
+    over_request_rate_limit: 'Too many attempts. Wait a few minutes before trying again.',
+    session_not_found: 'Your session has expired. Please sign in again.',
+    user_not_found: 'There is no account with this email.',
+    generic: 'Something went wrong. Please try again.',
+  },
+  extractionErrors: {
+    invalid_url: 'The URL is not valid or points to a disallowed address.',
+    fetch_failed: 'Could not download the page. Check that the URL is reachable.',
+    fetch_timeout: 'The page took too long to respond.',
+    http_status: 'The page returned an error. Check that the URL is correct.',
+    paywall: 'The article is behind a paywall or requires signing in.',
+    pdf_not_supported: 'The URL points to a PDF: download it and upload it with the File source.',
+    unsupported_content_type: 'The URL does not point to a web page (HTML).',
+    page_too_large: 'The page is too large to process.',
+    content_not_found: 'The article text could not be found on the page.',
+    invalid_feed: 'The URL is not a valid RSS or Atom feed.',
+    feed_not_found: 'The page does not link to any RSS or Atom feed.',
+    file_too_large: 'The file is too large (maximum 10 MB and 200 pages).',
+    unsupported_file_type: 'Only PDF, DOCX, TXT and Markdown files are supported.',
+    invalid_document: 'The file could not be read. It may be damaged or password-protected.',
+    document_without_text: 'The document has no text to read. If it is a scanned PDF, paste its text instead.',
+    invalid_video_url: 'The link is not a YouTube video.',
+    transcript_not_found: 'The video has no captions or they could not be downloaded.',
+  },
+  linkedinErrors: {
+    linkedin_not_configured: 'Publishing to LinkedIn is not configured on the server.',
+    linkedin_not_connected: 'Connect your LinkedIn account to publish.',
+    linkedin_reauth_required: 'Your LinkedIn connection has expired. Please connect your account again.',
+    linkedin_author_forbidden: 'You are not allowed to post on that page.',
+    linkedin_denied: 'Access to LinkedIn was not authorised.',
+    invalid_state: 'The LinkedIn connection request expired or is invalid. Please try again.',
+    text_too_long: 'The post exceeds the LinkedIn limit of 3,000 characters.',
+    invalid_text: 'The post is empty.',
+    generic: 'The LinkedIn request could not be completed. Please try again.',
+  },
+  generationErrors: {
+    timeout: 'Generating the post took too long. Please try again.',
+    stalled: 'The model stopped responding halfway through. Please try again.',
+    sessionExpired: 'Your session has expired. Please sign in again.',
+    rateLimited: 'You have reached the generation limit. Wait a little before trying again.',
+    quotaExceeded: 'You have used up your generation quota. You can generate again when the next period starts.',
+    refused: 'The model could not use the article and returned an error instead of a post. Try another URL.',
+    generic: 'Error generating the post. Please try again.',
+  },
+};
+
+export default en;
@@ -0,0 +1,724 @@
+const es = {
+  common: {
+    language: 'Idioma',
+    email: 'Email',
+    password: 'Contraseña',
+    copy: 'Copiar al portapapeles',
+    copied: '¡Post copiado al portapapeles!',
+    copyFailed: 'No se pudo copiar el post',
+    share: 'Compartir',
+    edit: 'Editar',
+    duplicate: 'Duplicar',
+    delete: 'Eliminar',
+    open: 'Abrir',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    save: 'Guardar',
+    saving: 'Guardando...',
+    stop: 'Detener',
+    characters: '{count} caracteres',
+    generationStopped: 'Generación detenida',
+  },
+  layout: {
+    title: 'LinkedIn Post Generator',
+    signOut: 'Cerrar sesión',
+    signOutFailed: 'No se pudo cerrar la sesión',
+    lightMode: 'Modo claro',
+    darkMode: 'Modo oscuro',
+    nav: {
+      generator: 'Generador',
+      history: 'Historial',
+      calendar: 'Calendario',
+      templates: 'Plantillas',
+      voices: 'Voces',
+      performance: 'Resultados',
+      usage: 'Uso',
+    },
+  },
+  options: {
+    postLength: {
+      short: 'Corto',
+      medium: 'Medio',
+      long: 'Largo',
+    },
+    lengthUnit: {
+      words: 'Palabras',
+      characters: 'Caracteres',
+    },
+    tone: {
+      professional: 'Profesional',
+      formal: 'Formal',
+      informative: 'Informativo',
+      analytical: 'Analítico',
+    },
+    variantMode: {
+      tones: 'Tonos distintos',
+      samples: 'Mismo tono',
+    },
+    scheduleStatus: {
+      draft: 'Borrador',
+      scheduled: 'Programado',
+      publishing: 'Publicando',
+      published: 'Publicado',
+      failed: 'Fallido',
+    },
+  },
+  generator: {
+    url: 'URL del sitio web',
+    invalidUrl: 'Por favor, ingresa una URL válida',
+    urlRequired: 'Introduce una URL',
+    pasteFailed: 'No se pudo pegar desde el portapapeles',
+    length: 'Longitud',
+    tone: 'Tono',
+    emojis: 'Incluir emojis',
+    outputLanguage: 'Idioma del post',
+    template: 'Plantilla',
+    lengthUnit: 'Medir longitud en',
+    audience: 'Público objetivo (opcional)',
+    cta: 'Llamada a la acción (opcional)',
+    provider: 'Proveedor',
+    model: 'Modelo',
+    variants: 'Variantes',
+    variantMode: 'Variar',
+    generate: 'Generar Post',
+    generating: 'Generando...',
+    result: 'Contenido Generado',
+    editTab: 'Editar',
+    previewTab: 'Vista previa',
+    shareFailed: 'No se pudo compartir el post',
+    copiedShareUnsupported: 'Copiado al portapapeles (tu navegador no permite compartir)',
+    saveFailed: 'El post se ha generado pero no se ha podido guardar en el historial',
+    bannedWords: 'Palabras prohibidas',
+    bannedWordsHint: 'Separadas por comas. Si aparecen, se pide al modelo que reescriba el post.',
+    useTopPosts: 'Usar mis {count} posts con mejores resultados como ejemplos',
+    noTopPosts: 'Usar los posts con mejores resultados como ejemplos (aún no hay resultados registrados)',
+    voice: 'Voz de marca',
+    noVoice: 'Ninguna',
+    voiceOnlyTone: 'Solo la voz de marca',
+    reviewerNotice: 'Eres revisor en «{name}»: puedes abrir, comentar y aprobar los posts del historial, pero no generar posts nuevos.',
+    modes: {
+      single: 'Un post',
+      batch: 'Lote',
+    },
+    sources: {
+      types: {
+        url: 'URL',
+        text: 'Texto',
+        file: 'Archivo',
+        video: 'Vídeo',
+      },
+      kinds: {
+        article: 'Artículo',
+        text: 'Texto',
+        document: 'Documento',
+        transcript: 'Transcripción del vídeo',
+      },
+      title: 'Título (opcional)',
+      titleHint: 'Si no se indica, se usa la primera línea del texto',
+      text: 'Texto sobre el que escribir',
+      textTooShort: 'Escribe al menos {min} caracteres',
+      textTooLong: 'El texto no puede superar los {max} caracteres',
+      chooseFile: 'Elegir archivo',
+      fileHint: 'PDF, DOCX, TXT o Markdown, hasta 10 MB. Los PDF escaneados sin texto seleccionable no se pueden leer.',
+      videoUrl: 'URL del vídeo de YouTube',
+      videoHint: 'Se usan los subtítulos del vídeo, también los automáticos',
+      invalidVideoUrl: 'No es un enlace de YouTube',
+      getTranscript: 'Obtener transcripción',
+      reading: 'Leyendo la fuente...',
+      truncated: 'El texto es largo: solo se usarán los primeros {count} caracteres.',
+      clear: 'Descartar',
+    },
+  },
+  variant: {
+    title: 'Variante {number}',
+    pick: 'Elegir',
+    picked: 'Elegida',
+    finishEditing: 'Terminar edición',
+    regenerate: 'Regenerar',
+  },
+  editor: {
+    overLimit: 'El post supera el límite de LinkedIn en {count} caracteres',
+    noFold: 'El post se verá completo en el feed, sin «…ver más».',
+    foldAfter: '«…ver más» aparecerá tras:',
+  },
+  preview: {
+    now: 'Ahora',
+    seeMore: '…ver más',
+    like: 'Recomendar',
+    comment: 'Comentar',
+    repost: 'Compartir',
+    send: 'Enviar',
+  },
+  history: {
+    title: 'Historial',
+    search: 'Buscar en el historial',
+    noResults: 'No hay posts que coincidan con la búsqueda.',
+    empty: 'Todavía no has generado ningún post.',
+    emojis: 'Emojis',
+    template: 'Plantilla',
+    published: 'Publicado',
+    loadFailed: 'No se pudo cargar el historial',
+    duplicated: 'Post duplicado',
+    duplicateFailed: 'No se pudo duplicar el post',
+    deleted: 'Post eliminado',
+    deleteFailed: 'No se pudo eliminar el post',
+  },
+  templates: {
+    title: 'Plantillas de prompt',
+    new: 'Nueva plantilla',
+    builtin: 'Incluida',
+    copyName: '{name} (copia)',
+    loadFailed: 'No se pudieron cargar las plantillas',
+    saved: 'Plantilla guardada',
+    saveFailed: 'No se pudo guardar la plantilla',
+    deleted: 'Plantilla eliminada',
+    deleteFailed: 'No se pudo eliminar la plantilla',
+  },
+  voices: {
+    title: 'Voces de marca',
+    new: 'Nueva voz',
+    intro: 'Pega entre 3 y 20 posts que ya hayas publicado: el generador imitará su estilo, su estructura y su forma de abrir y cerrar.',
+    empty: 'Todavía no tienes ninguna voz de marca.',
+    examplesCount: 'Ejemplos: {count}',
+    loadFailed: 'No se pudieron cargar las voces de marca',
+    saved: 'Voz de marca guardada',
+    saveFailed: 'No se pudo guardar la voz de marca',
+    deleted: 'Voz de marca eliminada',
+    deleteFailed: 'No se pudo eliminar la voz de marca',
+    dialog: {
+      newTitle: 'Nueva voz de marca',
+      editTitle: 'Editar voz de marca',
+      name: 'Nombre',
+      examples: 'Posts de ejemplo',
+      examplesHelp: 'Separa cada post con una línea que solo contenga ---. Ejemplos: {count} de {max}.',
+      tooFew: 'Hacen falta al menos {min} ejemplos.',
+      recommended: 'Con {count} ejemplos o más el estilo se imita mejor.',
+      tooMany: 'Como máximo {max} ejemplos.',
+      style: 'Estilo detectado',
+      styleEmpty: 'Añade ejemplos para ver su estilo.',
+      import: 'Importar del historial',
+      loadHistory: 'Cargar posts',
+      historyEmpty: 'No hay posts en el historial.',
+      historyFailed: 'No se pudo cargar el historial',
+      published: 'Publicado en LinkedIn',
+    },
+    style: {
+      wordsPerPost: '{count} palabras por post',
+      wordsPerSentence: '{count} palabras por frase',
+      emojis: 'Emojis en el {percent} % {emojis}',
+      noEmojis: 'Sin emojis',
+      lists: 'Listas en el {percent} %',
+      openings: {
+        question: 'Abre con pregunta ({percent} %)',
+        exclamation: 'Abre con exclamación ({percent} %)',
+        number: 'Abre con una cifra ({percent} %)',
+        statement: 'Abre con una afirmación ({percent} %)',
+      },
+      questionClosing: 'Cierra con pregunta ({percent} %)',
+      hashtags: '{count} hashtags por post',
+    },
+  },
+  workspaces: {
+    personal: 'Personal',
+    loadFailed: 'No se pudieron cargar tus espacios de trabajo',
+    retry: 'Reintentar',
+    switch: 'Cambiar de espacio de trabajo',
+    pendingInvitations: 'Invitaciones pendientes',
+    unknownWorkspace: 'Espacio de trabajo',
+    accept: 'Aceptar',
+    decline: 'Rechazar',
+    joined: 'Te has unido a «{name}»',
+    acceptFailed: 'No se pudo aceptar la invitación',
+    declineFailed: 'No se pudo rechazar la invitación',
+    manage: 'Gestionar espacio',
+    manageTitle: 'Espacio de trabajo',
+    new: 'Nuevo espacio de trabajo',
+    create: 'Crear',
+    created: 'Espacio de trabajo creado',
+    createFailed: 'No se pudo crear el espacio de trabajo',
+    name: 'Nombre',
+    renamed: 'Nombre guardado',
+    saveFailed: 'No se pudieron guardar los cambios',
+    membersFailed: 'No se pudieron cargar los miembros',
+    members: 'Miembros',
+    you: 'tú',
+    remove: 'Quitar del espacio',
+    rolesHint: 'Owner: gestiona el espacio y sus miembros. Editor: crea y edita posts, plantillas y voces. Revisor: comenta y aprueba posts.',
+    lastOwner: 'El espacio de trabajo necesita al menos un owner',
+    invite: 'Invitar por email',
+    sendInvite: 'Invitar',
+    alreadyMember: 'Ya es miembro',
+    invited: 'Invitación enviada a {email}',
+    invitedInApp: '{email} verá la invitación al entrar en la app',
+    inviteFailed: 'No se pudo guardar la invitación',
+    invitationPending: '{email} · {role} · pendiente',
+    cancelInvitation: 'Cancelar invitación',
+    leave: 'Salir del espacio',
+    leaveFailed: 'No se pudo salir del espacio de trabajo',
+    delete: 'Eliminar espacio',
+    deleteWarning: 'Se eliminarán «{name}» y todos sus posts, plantillas y voces de marca. No se puede deshacer.',
+    deleted: 'Espacio de trabajo eliminado',
+    deleteFailed: 'No se pudo eliminar el espacio de trabajo',
+    roles: {
+      owner: 'Owner',
+      editor: 'Editor',
+      reviewer: 'Revisor',
+    },
+  },
+  workflow: {
+    allStatuses: 'Todos los estados',
+    statuses: {
+      draft: 'Borrador',
+      in_review: 'En revisión',
+      approved: 'Aprobado',
+    },
+    actions: {
+      submit: 'Enviar a revisión',
+      approve: 'Aprobar',
+      requestChanges: 'Pedir cambios',
+      withdraw: 'Retirar de revisión',
+      reopen: 'Volver a borrador',
+    },
+    changed: {
+      draft: 'El post ha vuelto a borrador',
+      in_review: 'Post enviado a revisión',
+      approved: 'Post aprobado',
+    },
+    changeFailed: 'No se pudo cambiar el estado del post',
+    comments: {
+      title: 'Comentarios',
+      empty: 'Todavía no hay comentarios.',
+      placeholder: 'Escribe un comentario',
+      send: 'Comentar',
+      loadFailed: 'No se pudieron cargar los comentarios',
+      saveFailed: 'No se pudo guardar el comentario',
+      deleteFailed: 'No se pudo eliminar el comentario',
+    },
+  },
+  templateEditor: {
+    newTitle: 'Nueva plantilla',
+    editTitle: 'Editar plantilla',
+    versionBump: 'v{from} → v{to} al guardar',
+    name: 'Nombre',
+    description: 'Descripción',
+    body: 'Prompt',
+    help: 'Haz clic en una variable para insertarla. Usa {{#cta}}…{{/cta}} para incluir un texto solo si la variable tiene valor, y {{^cta}}…{{/cta}} si está vacía. Si no usas {{article}}, el artículo se añade al final.',
+    unknownVariables: 'Variables desconocidas (se sustituirán por texto vacío): {names}',
+    preview: 'Vista previa del prompt',
+    variables: {
+      tone: 'Instrucciones del tono elegido',
+      tone_name: 'Nombre del tono (p. ej. «Profesional»)',
+      length: 'Longitud objetivo en palabras o caracteres',
+      emojis: 'Instrucción sobre el uso de emojis',
+      language: 'Idioma en el que se escribe el post',
+      more_info: 'Etiqueta del enlace final en el idioma del post (p. ej. «Más información»)',
+      audience: 'Público objetivo',
+      cta: 'Llamada a la acción',
+      url: 'URL de origen',
+      title: 'Título del artículo',
+      author: 'Autor del artículo',
+      published_at: 'Fecha de publicación',
+      site_name: 'Nombre del medio',
+      article: 'Bloque completo con los datos y el texto del artículo',
+      voice: 'Voz de marca elegida: resumen de estilo y posts de ejemplo (vacía si no hay ninguna)',
+      examples: 'Posts con mejores resultados como ejemplos (vacía si no se usan)',
+    },
+  },
+  builtinTemplates: {
+    'builtin:summary': {
+      name: 'Resumen del artículo',
+      description: 'Publicación basada en el artículo, con el tono y la longitud elegidos.',
+    },
+    'builtin:hook-bullets-cta': {
+      name: 'Gancho + 3 puntos + CTA',
+      description: 'Una primera línea que enganche, tres ideas clave en lista y una llamada a la acción.',
+    },
+    'builtin:event': {
+      name: 'Anuncio de evento',
+      description: 'Anuncia un evento, webinar o lanzamiento: qué es, cuándo, para quién y cómo apuntarse.',
+    },
+  },
+  auth: {
+    backToLogin: 'Volver a iniciar sesión',
+    login: {
+      title: 'Iniciar sesión',
+      forgotPassword: '¿Has olvidado tu contraseña?',
+      submit: 'Entrar',
+      submitting: 'Entrando...',
+      or: 'o',
+      magicLink: 'Enviarme un enlace de acceso por email',
+      magicLinkEmailRequired: 'Introduce tu email para recibir el enlace de acceso.',
+      magicLinkSent: 'Te hemos enviado un enlace de acceso. Revisa tu email.',
+      register: 'Crear cuenta',
+    },
+    register: {
+      title: 'Crear cuenta',
+      submit: 'Crear cuenta',
+      submitting: 'Creando cuenta...',
+      confirmEmail: '¡Revisa tu email para confirmar la cuenta!',
+    },
+    reset: {
+      title: 'Recuperar contraseña',
+      submit: 'Enviar enlace',
+      submitting: 'Enviando...',
+      sent: 'Si existe una cuenta con ese email, recibirás un enlace para cambiar la contraseña.',
+    },
+    update: {
+      title: 'Nueva contraseña',
+      password: 'Nueva contraseña',
+      confirmation: 'Repite la contraseña',
+      mismatch: 'Las contraseñas no coinciden.',
+      submit: 'Guardar contraseña',
+      updated: 'Contraseña actualizada',
+    },
+  },
+  linkedin: {
+    publish: 'Publicar en LinkedIn',
+    dialogTitle: 'Publicar en LinkedIn',
+    notConfigured: 'La publicación en LinkedIn no está configurada en el servidor.',
+    connectPrompt: 'Conecta tu cuenta de LinkedIn para publicar directamente en tu perfil o en las páginas de empresa que administras.',
+    connect: 'Conectar con LinkedIn',
+    connecting: 'Conectando...',
+    connected: 'Cuenta de LinkedIn conectada',
+    connectedAs: 'Conectado como {name}',
+    disconnect: 'Desconectar',
+    disconnected: 'Cuenta de LinkedIn desconectada',
+    expired: 'La conexión con LinkedIn ha caducado. Vuelve a conectar tu cuenta.',
+    author: 'Publicar como',
+    personalProfile: 'Perfil personal',
+    companyPage: 'Página de empresa',
+    linkPreview: 'Se añadirá la vista previa del enlace {url}',
+    publishing: 'Publicando...',
+    published: '¡Post publicado en LinkedIn!',
+    viewPost: 'Ver en LinkedIn',
+    saveFailed: 'El post se ha publicado, pero no se ha podido guardar en el historial',
+  },
+  validation: {
+    title: 'Reglas sin cumplir: {count}',
+    repair: 'Corregir',
+    units: {
+      words: 'palabras',
+      characters: 'caracteres',
+    },
+    rules: {
+      error_sentinel: 'El texto es un mensaje de error del modelo, no un post.',
+      footer: 'Falta el pie «{footer}» al final del post.',
+      emojis: 'Contiene emojis aunque se pidió sin emojis: {emojis}',
+      too_long: 'Es demasiado largo: {count} {unit} (se pidieron entre {min} y {max}).',
+      too_short: 'Es demasiado corto: {count} {unit} (se pidieron entre {min} y {max}).',
+      linkedin_limit: 'Supera los {max} caracteres de LinkedIn ({count}).',
+      banned_words: 'Contiene palabras prohibidas: {words}',
+      unsupported_facts: 'Datos que no aparecen en el artículo: {facts}',
+    },
+  },
+  hashtags: {
+    title: 'Hashtags sugeridos',
+    summary: '{count} hashtags en el post ({characters} caracteres)',
+    none: 'No hay sugerencias para este texto',
+    cost: 'Añade {count} caracteres',
+    remove: 'Quitar del post',
+    overLimit: 'No cabe en los 3.000 caracteres de LinkedIn',
+    mentionsTitle: 'Menciones',
+    mentionsHint: 'Se insertan como texto: en LinkedIn, escribe de nuevo la @ para enlazar el perfil o la página.',
+    listsTitle: 'Hashtags favoritos y vetados',
+    add: 'Añadir',
+    addPlaceholder: '#hashtag',
+    emptyList: 'Lista vacía',
+    saveFailed: 'No se han podido guardar tus listas de hashtags',
+    lists: {
+      favorite: 'Favoritos',
+      banned: 'Vetados',
+    },
+    listHints: {
+      favorite: 'Se sugieren siempre, antes que el resto.',
+      banned: 'Nunca se sugieren.',
+    },
+  },
+  visuals: {
+    title: 'Imágenes',
+    subtitle: 'Una imagen para compartir y un carrusel en PDF con los colores de tu marca',
+    cardTab: 'Imagen',
+    carouselTab: 'Carrusel ({count} diapositivas)',
+    titleLabel: 'Título',
+    quote: 'Cita destacada',
+    useArticleImage: 'Usar la imagen del artículo',
+    points: 'Puntos principales',
+    pointsHelper: 'Una diapositiva por línea',
+    closing: 'Diapositiva de cierre',
+    slideCount: '{current} / {total}',
+    previousSlide: 'Diapositiva anterior',
+    nextSlide: 'Diapositiva siguiente',
+    swipe: 'Desliza',
+    resetTexts: 'Volver a sacar los textos del post',
+    downloadPng: 'Descargar PNG',
+    downloadPdf: 'Descargar PDF',
+    exporting: 'Exportando...',
+    exportFailed: 'No se ha podido crear el archivo',
+    shareUnsupported: 'Este navegador no puede compartir imágenes: se ha descargado',
+    brand: {
+      title: 'Colores y logo de marca',
+      hint: 'Se usan en todas las imágenes y carruseles que crees.',
+      primaryColor: 'Color principal',
+      backgroundColor: 'Fondo',
+      textColor: 'Texto',
+      logo: 'Logo',
+      uploadLogo: 'Subir logo',
+      removeLogo: 'Quitar',
+      reset: 'Restaurar valores por defecto',
+      invalidLogo: 'No se ha podido cargar el logo. Prueba con una imagen PNG, JPEG, WebP o SVG más pequeña',
+      saveFailed: 'No se han podido guardar los ajustes de marca',
+    },
+  },
+  refine: {
+    title: 'Refinar el post',
+    subtitle: 'Pide cambios sobre el texto actual. El modelo tiene en cuenta el texto de origen y los cambios anteriores.',
+    actions: {
+      shorter: 'Más corto',
+      longer: 'Más largo',
+      tone: 'Cambiar tono a…',
+      hook: 'Añadir gancho inicial',
+      cta: 'Añadir CTA',
+      removeEmojis: 'Quitar emojis',
+    },
+    instructionLabel: 'Otra instrucción',
+    instructionPlaceholder: 'Por ejemplo: menciona la cifra de ventas y acaba con una pregunta',
+    send: 'Aplicar',
+    undo: 'Deshacer',
+    redo: 'Rehacer',
+    compare: 'Comparar versiones',
+    versionCount: 'Versión {current} de {total}',
+    versionActions: {
+      generated: 'Generado',
+      opened: 'Del historial',
+      edited: 'Editado a mano',
+      shorter: 'Más corto',
+      longer: 'Más largo',
+      tone: 'Tono: {tone}',
+      hook: 'Gancho inicial',
+      cta: 'CTA',
+      removeEmojis: 'Sin emojis',
+    },
+    diff: {
+      title: 'Comparar versiones',
+      from: 'Desde',
+      to: 'Hasta',
+      summary: '{added} palabras añadidas · {removed} quitadas',
+      noChanges: 'Las dos versiones son iguales.',
+    },
+  },
+  performance: {
+    title: 'Resultados en LinkedIn',
+    subtitle: 'Registra las impresiones e interacciones de los posts para ver qué tono, longitud, emojis y plantillas funcionan mejor.',
+    empty: 'Todavía no hay resultados. Añádelos desde el historial, importa un CSV de analíticas de LinkedIn o actualiza los posts publicados.',
+    importCsv: 'Importar CSV',
+    refreshFromLinkedIn: 'Actualizar desde LinkedIn',
+    csvInvalid: 'El CSV necesita una columna con el enlace o el texto del post y al menos una con cifras (impresiones, reacciones, comentarios o compartidos).',
+    csvImported: 'Resultados importados para {count} posts; {unmatched} filas no coinciden con ningún post.',
+    linkedinUpdated: 'Resultados actualizados para {count} posts publicados ({failed} con error).',
+    dimensions: {
+      tone: 'Tono',
+      length: 'Longitud',
+      emojis: 'Emojis',
+      template: 'Plantilla',
+    },
+    emojis: {
+      with: 'Con emojis',
+      without: 'Sin emojis',
+    },
+    voiceTone: 'Voz de marca',
+    noTemplate: 'Sin plantilla',
+    deletedTemplate: 'Plantilla eliminada',
+    posts: 'Posts',
+    averageImpressions: 'Impresiones medias',
+    averageInteractions: 'Interacciones medias',
+    rate: 'Interacción',
+    topPosts: 'Posts con mejores resultados',
+    topPostsHint: 'Los que más interacciones tienen. El generador puede dárselos al modelo como ejemplos.',
+    interactions: '{count} interacciones',
+    impressions: '{count} impresiones',
+    dialogTitle: 'Resultados del post',
+    metrics: {
+      impressions: 'Impresiones',
+      reactions: 'Reacciones',
+      comments: 'Comentarios',
+      reshares: 'Compartidos',
+    },
+    unknown: 'Sin dato',
+    engagementRate: 'Interacción: {rate} de las impresiones',
+    noImpressions: 'Sin impresiones no se puede calcular la tasa de interacción.',
+    lastUpdated: 'Actualizado el {date} ({source})',
+    sources: {
+      manual: 'a mano',
+      csv: 'CSV',
+      linkedin: 'LinkedIn',
+    },
+    fetchFromLinkedIn: 'Leer de LinkedIn',
+    saved: 'Resultados guardados',
+    saveFailed: 'No se pudieron guardar los resultados',
+    loadFailed: 'No se pudieron cargar los resultados',
+  },
+  usage: {
+    title: 'Uso y coste',
+    periods: {
+      day: 'Por día',
+      week: 'Por semana',
+      month: 'Por mes',
+    },
+    plan: 'Plan: {plan}',
+    today: 'Hoy',
+    thisMonth: 'Este mes',
+    quotaUsed: '{used} de {limit} generaciones',
+    unlimited: '{used} generaciones, sin límite',
+    notRecorded: 'El servidor no está registrando el uso: las generaciones no se cuentan ni tienen cuota.',
+    generations: 'Generaciones',
+    errors: 'Errores',
+    tokens: 'Tokens',
+    cost: 'Coste estimado',
+    latency: 'Tiempo medio',
+    seconds: '{seconds} s',
+    model: 'Modelo',
+    generationsChart: 'Generaciones',
+    costChart: 'Coste estimado (USD)',
+    estimatedTokens: 'Algunos proveedores no informan de los tokens: en esas generaciones se calculan a partir de la longitud del texto.',
+    costNote: 'El coste es una estimación con precios de referencia por modelo y puede no coincidir con la factura del proveedor.',
+    loadFailed: 'No se pudo cargar el uso',
+  },
+  batch: {
+    sources: {
+      urls: 'Lista de URLs',
+      csv: 'CSV',
+      feed: 'Feed RSS/Atom',
+    },
+    urlList: 'URLs (una por línea)',
+    add: 'Añadir',
+    uploadCsv: 'Subir CSV',
+    csvHint: 'Se usa la columna «url» o «link» (y «title» si existe); sin cabecera, la primera columna con URLs.',
+    feedUrl: 'URL del feed o del blog',
+    feedHint: 'Se añaden los artículos del feed que todavía no tengan post.',
+    loadFeed: 'Cargar feed',
+    concurrency: 'A la vez',
+    run: 'Generar {count} posts',
+    clear: 'Vaciar',
+    article: 'Artículo',
+    status: 'Estado',
+    length: 'Caracteres',
+    retry: 'Reintentar',
+    nothingToAdd: 'No hay URLs nuevas que añadir',
+    someIgnored: '{count} URLs repetidas o por encima del límite de 50 se han ignorado',
+    statuses: {
+      pending: 'Pendiente',
+      skipped: 'Ya procesado',
+      extracting: 'Extrayendo',
+      generating: 'Generando',
+      done: 'Hecho',
+      cancelled: 'Detenido',
+      error: 'Error',
+    },
+  },
+  schedule: {
+    title: 'Programar publicación',
+    editTitle: 'Publicación programada',
+    date: 'Fecha y hora',
+    content: 'Texto del post',
+    personalProfileHint: 'Se publicará en tu perfil personal de LinkedIn.',
+    saveDraft: 'Guardar borrador',
+    schedule: 'Programar',
+    retry: 'Reintentar',
+    scheduled: 'Post programado',
+    savedDraft: 'Borrador guardado',
+    saveFailed: 'No se pudo guardar la programación',
+    deleted: 'Publicación eliminada de la cola',
+    deleteFailed: 'No se pudo eliminar la publicación',
+    dateRequired: 'Elige una fecha y hora',
+    dateInPast: 'La fecha tiene que ser posterior a este momento',
+    publishedAt: 'Publicado el {date}.',
+    errorLog: 'Errores ({count})',
+    attempt: 'Intento {number}',
+  },
+  calendar: {
+    today: 'Hoy',
+    previous: 'Mes anterior',
+    next: 'Mes siguiente',
+    drafts: 'Borradores sin fecha',
+    noDrafts: 'No hay borradores sin fecha.',
+    loadFailed: 'No se pudo cargar el calendario',
+  },
+  offline: {
+    banner: 'Sin conexión. El borrador se guarda en este dispositivo y las generaciones se harán al volver la conexión.',
+    queue: 'Generar al volver la conexión',
+    queued: 'Sin conexión: la generación se hará cuando vuelva la conexión y el post se guardará en el historial.',
+    queueFailed: 'No se ha podido dejar la generación pendiente.',
+    queueTitle: 'Generaciones sin conexión ({count})',
+    queueOnline: 'Se generan de una en una y se guardan en el historial.',
+    queueOffline: 'Se generarán cuando vuelva la conexión.',
+    status: {
+      pending: 'Pendiente',
+      failed: 'Error',
+      review: 'Revisar',
+    },
+    retry: 'Reintentar',
+    remove: 'Quitar de la cola',
+    generated: 'Post generado y guardado en el historial: {title}',
+    generatedWithIssues: 'Post guardado en el historial, pero no cumple algunas de tus reglas: {title}',
+    reviewHint: 'Guardado en el historial. Revísalo antes de publicarlo:',
+    itemFailed: 'No se ha podido generar el post pendiente: {title}',
+  },
+  authErrors: {
+    invalid_credentials: 'El email o la contraseña no son correctos.',
+    email_not_confirmed: 'Todavía no has confirmado tu email. Revisa tu bandeja de entrada.',
+    user_already_exists: 'Ya existe una cuenta con este email.',
+    email_exists: 'Ya existe una cuenta con este email.',
+    weak_password: 'La contraseña es demasiado débil. Usa al menos 6 caracteres.',
+    same_password: 'La nueva contraseña debe ser distinta de la anterior.',
+    email_address_invalid: 'El email no es válido.',
+    validation_failed: 'Revisa los datos introducidos.',
+    signup_disabled: 'El registro de nuevas cuentas está desactivado.',
+    otp_expired: 'El enlace ha caducado. Solicita uno nuevo.',
+    over_email_send_rate_limit: 'Has solicitado demasiados emails. Espera unos minutos antes de volver a intentarlo.',
+    over_request_rate_limit: 'Demasiados intentos. Espera unos minutos antes de volver a intentarlo.',
+    session_not_found: 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+    user_not_found: 'No existe ninguna cuenta con este email.',
+    generic: 'Se ha producido un error. Por favor, inténtalo de nuevo.',
+  },
+  extractionErrors: {
+    invalid_url: 'La URL no es válida o apunta a una dirección no permitida.',
+    fetch_failed: 'No se pudo descargar la página. Comprueba que la URL es accesible.',
+    fetch_timeout: 'La página ha tardado demasiado en responder.',
+    http_status: 'La página ha devuelto un error. Comprueba que la URL es correcta.',
+    paywall: 'El artículo está detrás de un muro de pago o requiere iniciar sesión.',
+    pdf_not_supported: 'La URL apunta a un PDF: descárgalo y súbelo con la fuente Archivo.',
+    unsupported_content_type: 'La URL no apunta a una página web (HTML).',
+    page_too_large: 'La página es demasiado grande para procesarla.',
+    content_not_found: 'No se ha encontrado el texto del artículo en la página.',
+    invalid_feed: 'La URL no es un feed RSS o Atom válido.',
+    feed_not_found: 'La página no enlaza ningún feed RSS o Atom.',
+    file_too_large: 'El archivo es demasiado grande (máximo 10 MB y 200 páginas).',
+    unsupported_file_type: 'Solo se admiten archivos PDF, DOCX, TXT y Markdown.',
+    invalid_document: 'No se ha podido leer el archivo. Puede estar dañado o protegido con contraseña.',
+    document_without_text: 'El documento no tiene texto que leer. Si es un PDF escaneado, pega su texto.',
+    invalid_video_url: 'El enlace no es un vídeo de YouTube.',
+    transcript_not_found: 'El vídeo no tiene subtítulos o no se han podido descargar.',
+  },
+  linkedinErrors: {
+    linkedin_not_configured: 'La publicación en LinkedIn no está configurada en el servidor.',
+    linkedin_not_connected: 'Conecta tu cuenta de LinkedIn para publicar.',
+    linkedin_reauth_required: 'La conexión con LinkedIn ha caducado. Vuelve a conectar tu cuenta.',
+    linkedin_author_forbidden: 'No tienes permiso para publicar en esa página.',
+    linkedin_denied: 'No se ha autorizado el acceso a LinkedIn.',
+    invalid_state: 'La conexión con LinkedIn ha caducado o no es válida. Inténtalo de nuevo.',
+    text_too_long: 'El post supera el límite de 3.000 caracteres de LinkedIn.',
+    invalid_text: 'El post está vacío.',
+    generic: 'No se ha podido completar la operación con LinkedIn. Inténtalo de nuevo.',
+  },
+  generationErrors: {
+    timeout: 'La generación del post ha tardado demasiado. Por favor, inténtalo de nuevo.',
+    stalled: 'El modelo ha dejado de responder a mitad de la generación. Por favor, inténtalo de nuevo.',
+    sessionExpired: 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+    rateLimited: 'Has alcanzado el límite de generaciones. Espera un poco antes de volver a intentarlo.',
+    quotaExceeded: 'Has agotado tu cuota de generaciones. Podrás volver a generar cuando empiece el próximo periodo.',
+    refused: 'El modelo no ha podido usar el artículo y ha devuelto un error en lugar del post. Prueba con otra URL.',
+    generic: 'Error al generar el post. Por favor, inténtalo de nuevo.',
+  },
+};
+
+export default es;
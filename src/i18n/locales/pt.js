@@ -0,0 +1,724 @@
+const pt = {
+  common: {
+    language: 'Idioma',
+    email: 'Email',
+    password: 'Palavra-passe',
+    copy: 'Copiar para a área de transferência',
+    copied: 'Post copiado para a área de transferência!',
+    copyFailed: 'Não foi possível copiar o post',
+    share: 'Partilhar',
+    edit: 'Editar',
+    duplicate: 'Duplicar',
+    delete: 'Eliminar',
+    open: 'Abrir',
+    cancel: 'Cancelar',
+    close: 'Fechar',
+    save: 'Guardar',
+    saving: 'A guardar...',
+    stop: 'Parar',
+    characters: '{count} caracteres',
+    generationStopped: 'Geração interrompida',
+  },
+  layout: {
+    title: 'LinkedIn Post Generator',
+    signOut: 'Terminar sessão',
+    signOutFailed: 'Não foi possível terminar a sessão',
+    lightMode: 'Modo claro',
+    darkMode: 'Modo escuro',
+    nav: {
+      generator: 'Gerador',
+      history: 'Histórico',
+      calendar: 'Calendário',
+      templates: 'Modelos',
+      voices: 'Vozes',
+      performance: 'Resultados',
+      usage: 'Utilização',
+    },
+  },
+  options: {
+    postLength: {
+      short: 'Curto',
+      medium: 'Médio',
+      long: 'Longo',
+    },
+    lengthUnit: {
+      words: 'Palavras',
+      characters: 'Caracteres',
+    },
+    tone: {
+      professional: 'Profissional',
+      formal: 'Formal',
+      informative: 'Informativo',
+      analytical: 'Analítico',
+    },
+    variantMode: {
+      tones: 'Tons diferentes',
+      samples: 'Mesmo tom',
+    },
+    scheduleStatus: {
+      draft: 'Rascunho',
+      scheduled: 'Agendado',
+      publishing: 'A publicar',
+      published: 'Publicado',
+      failed: 'Falhado',
+    },
+  },
+  generator: {
+    url: 'URL do site',
+    invalidUrl: 'Introduza um URL válido',
+    urlRequired: 'Introduza um URL',
+    pasteFailed: 'Não foi possível colar da área de transferência',
+    length: 'Extensão',
+    tone: 'Tom',
+    emojis: 'Incluir emojis',
+    outputLanguage: 'Idioma do post',
+    template: 'Modelo',
+    lengthUnit: 'Medir extensão em',
+    audience: 'Público-alvo (opcional)',
+    cta: 'Apelo à ação (opcional)',
+    provider: 'Fornecedor',
+    model: 'Modelo de IA',
+    variants: 'Variantes',
+    variantMode: 'Variar',
+    generate: 'Gerar post',
+    generating: 'A gerar...',
+    result: 'Conteúdo gerado',
+    editTab: 'Editar',
+    previewTab: 'Pré-visualização',
+    shareFailed: 'Não foi possível partilhar o post',
+    copiedShareUnsupported: 'Copiado para a área de transferência (o navegador não permite partilhar)',
+    saveFailed: 'O post foi gerado, mas não foi possível guardá-lo no histórico',
+    bannedWords: 'Palavras proibidas',
+    bannedWordsHint: 'Separadas por vírgulas. Se aparecerem, pede-se ao modelo que reescreva o post.',
+    useTopPosts: 'Usar os meus {count} posts com melhores resultados como exemplos',
+    noTopPosts: 'Usar os posts com melhores resultados como exemplos (ainda não há resultados registados)',
+    voice: 'Voz da marca',
+    noVoice: 'Nenhuma',
+    voiceOnlyTone: 'Apenas a voz da marca',
+    reviewerNotice: 'É revisor em «{name}»: pode abrir, comentar e aprovar os posts do histórico, mas não gerar novos.',
+    modes: {
+      single: 'Um post',
+      batch: 'Lote',
+    },
+    sources: {
+      types: {
+        url: 'URL',
+        text: 'Texto',
+        file: 'Ficheiro',
+        video: 'Vídeo',
+      },
+      kinds: {
+        article: 'Artigo',
+        text: 'Texto',
+        document: 'Documento',
+        transcript: 'Transcrição do vídeo',
+      },
+      title: 'Título (opcional)',
+      titleHint: 'Se não for indicado, é usada a primeira linha do texto',
+      text: 'Texto sobre o qual escrever',
+      textTooShort: 'Escreva pelo menos {min} caracteres',
+      textTooLong: 'O texto não pode ultrapassar {max} caracteres',
+      chooseFile: 'Escolher ficheiro',
+      fileHint: 'PDF, DOCX, TXT ou Markdown, até 10 MB. Os PDF digitalizados sem texto selecionável não podem ser lidos.',
+      videoUrl: 'URL do vídeo do YouTube',
+      videoHint: 'São usadas as legendas do vídeo, incluindo as automáticas',
+      invalidVideoUrl: 'Não é uma ligação do YouTube',
+      getTranscript: 'Obter transcrição',
+      reading: 'A ler a fonte...',
+      truncated: 'O texto é longo: só serão usados os primeiros {count} caracteres.',
+      clear: 'Descartar',
+    },
+  },
+  variant: {
+    title: 'Variante {number}',
+    pick: 'Escolher',
+    picked: 'Escolhida',
+    finishEditing: 'Terminar edição',
+    regenerate: 'Gerar novamente',
+  },
+  editor: {
+    overLimit: 'O post excede o limite do LinkedIn em {count} caracteres',
+    noFold: 'O post será visto completo no feed, sem «…ver mais».',
+    foldAfter: '«…ver mais» aparecerá depois de:',
+  },
+  preview: {
+    now: 'Agora',
+    seeMore: '…ver mais',
+    like: 'Gostar',
+    comment: 'Comentar',
+    repost: 'Partilhar',
+    send: 'Enviar',
+  },
+  history: {
+    title: 'Histórico',
+    search: 'Pesquisar no histórico',
+    noResults: 'Nenhum post corresponde à pesquisa.',
+    empty: 'Ainda não gerou nenhum post.',
+    emojis: 'Emojis',
+    template: 'Modelo',
+    published: 'Publicado',
+    loadFailed: 'Não foi possível carregar o histórico',
+    duplicated: 'Post duplicado',
+    duplicateFailed: 'Não foi possível duplicar o post',
+    deleted: 'Post eliminado',
+    deleteFailed: 'Não foi possível eliminar o post',
+  },
+  templates: {
+    title: 'Modelos de prompt',
+    new: 'Novo modelo',
+    builtin: 'Incluído',
+    copyName: '{name} (cópia)',
+    loadFailed: 'Não foi possível carregar os modelos',
+    saved: 'Modelo guardado',
+    saveFailed: 'Não foi possível guardar o modelo',
+    deleted: 'Modelo eliminado',
+    deleteFailed: 'Não foi possível eliminar o modelo',
+  },
+  voices: {
+    title: 'Vozes da marca',
+    new: 'Nova voz',
+    intro: 'Cole entre 3 e 20 posts que já publicou: o gerador vai imitar o estilo, a estrutura e a forma de abrir e fechar.',
+    empty: 'Ainda não tem nenhuma voz da marca.',
+    examplesCount: 'Exemplos: {count}',
+    loadFailed: 'Não foi possível carregar as vozes da marca',
+    saved: 'Voz da marca guardada',
+    saveFailed: 'Não foi possível guardar a voz da marca',
+    deleted: 'Voz da marca eliminada',
+    deleteFailed: 'Não foi possível eliminar a voz da marca',
+    dialog: {
+      newTitle: 'Nova voz da marca',
+      editTitle: 'Editar voz da marca',
+      name: 'Nome',
+      examples: 'Posts de exemplo',
+      examplesHelp: 'Separe cada post com uma linha que contenha apenas ---. Exemplos: {count} de {max}.',
+      tooFew: 'São necessários pelo menos {min} exemplos.',
+      recommended: 'Com {count} exemplos ou mais o estilo é imitado melhor.',
+      tooMany: 'No máximo {max} exemplos.',
+      style: 'Estilo detetado',
+      styleEmpty: 'Adicione exemplos para ver o estilo.',
+      import: 'Importar do histórico',
+      loadHistory: 'Carregar posts',
+      historyEmpty: 'Não há posts no histórico.',
+      historyFailed: 'Não foi possível carregar o histórico',
+      published: 'Publicado no LinkedIn',
+    },
+    style: {
+      wordsPerPost: '{count} palavras por post',
+      wordsPerSentence: '{count} palavras por frase',
+      emojis: 'Emojis em {percent} % {emojis}',
+      noEmojis: 'Sem emojis',
+      lists: 'Listas em {percent} %',
+      openings: {
+        question: 'Abre com uma pergunta ({percent} %)',
+        exclamation: 'Abre com uma exclamação ({percent} %)',
+        number: 'Abre com um número ({percent} %)',
+        statement: 'Abre com uma afirmação ({percent} %)',
+      },
+      questionClosing: 'Fecha com uma pergunta ({percent} %)',
+      hashtags: '{count} hashtags por post',
+    },
+  },
+  workspaces: {
+    personal: 'Pessoal',
+    loadFailed: 'Não foi possível carregar os seus espaços de trabalho',
+    retry: 'Tentar novamente',
+    switch: 'Mudar de espaço de trabalho',
+    pendingInvitations: 'Convites pendentes',
+    unknownWorkspace: 'Espaço de trabalho',
+    accept: 'Aceitar',
+    decline: 'Recusar',
+    joined: 'Entrou em «{name}»',
+    acceptFailed: 'Não foi possível aceitar o convite',
+    declineFailed: 'Não foi possível recusar o convite',
+    manage: 'Gerir espaço',
+    manageTitle: 'Espaço de trabalho',
+    new: 'Novo espaço de trabalho',
+    create: 'Criar',
+    created: 'Espaço de trabalho criado',
+    createFailed: 'Não foi possível criar o espaço de trabalho',
+    name: 'Nome',
+    renamed: 'Nome guardado',
+    saveFailed: 'Não foi possível guardar as alterações',
+    membersFailed: 'Não foi possível carregar os membros',
+    members: 'Membros',
+    you: 'você',
+    remove: 'Remover do espaço',
+    rolesHint: 'Owner: gere o espaço e os membros. Editor: cria e edita posts, modelos e vozes. Revisor: comenta e aprova posts.',
+    lastOwner: 'O espaço de trabalho precisa de pelo menos um owner',
+    invite: 'Convidar por email',
+    sendInvite: 'Convidar',
+    alreadyMember: 'Já é membro',
+    invited: 'Convite enviado para {email}',
+    invitedInApp: '{email} verá o convite ao entrar na app',
+    inviteFailed: 'Não foi possível guardar o convite',
+    invitationPending: '{email} · {role} · pendente',
+    cancelInvitation: 'Cancelar convite',
+    leave: 'Sair do espaço',
+    leaveFailed: 'Não foi possível sair do espaço de trabalho',
+    delete: 'Eliminar espaço',
+    deleteWarning: '«{name}» e todos os seus posts, modelos e vozes da marca serão eliminados. Não é possível anular.',
+    deleted: 'Espaço de trabalho eliminado',
+    deleteFailed: 'Não foi possível eliminar o espaço de trabalho',
+    roles: {
+      owner: 'Owner',
+      editor: 'Editor',
+      reviewer: 'Revisor',
+    },
+  },
+  workflow: {
+    allStatuses: 'Todos os estados',
+    statuses: {
+      draft: 'Rascunho',
+      in_review: 'Em revisão',
+      approved: 'Aprovado',
+    },
+    actions: {
+      submit: 'Enviar para revisão',
+      approve: 'Aprovar',
+      requestChanges: 'Pedir alterações',
+      withdraw: 'Retirar da revisão',
+      reopen: 'Voltar a rascunho',
+    },
+    changed: {
+      draft: 'O post voltou a rascunho',
+      in_review: 'Post enviado para revisão',
+      approved: 'Post aprovado',
+    },
+    changeFailed: 'Não foi possível mudar o estado do post',
+    comments: {
+      title: 'Comentários',
+      empty: 'Ainda não há comentários.',
+      placeholder: 'Escreva um comentário',
+      send: 'Comentar',
+      loadFailed: 'Não foi possível carregar os comentários',
+      saveFailed: 'Não foi possível guardar o comentário',
+      deleteFailed: 'Não foi possível eliminar o comentário',
+    },
+  },
+  templateEditor: {
+    newTitle: 'Novo modelo',
+    editTitle: 'Editar modelo',
+    versionBump: 'v{from} → v{to} ao guardar',
+    name: 'Nome',
+    description: 'Descrição',
+    body: 'Prompt',
+    help: 'Clique numa variável para a inserir. Use {{#cta}}…{{/cta}} para incluir um texto apenas se a variável tiver valor, e {{^cta}}…{{/cta}} se estiver vazia. Se não usar {{article}}, o artigo é acrescentado no fim.',
+    unknownVariables: 'Variáveis desconhecidas (serão substituídas por texto vazio): {names}',
+    preview: 'Pré-visualização do prompt',
+    variables: {
+      tone: 'Instruções do tom escolhido',
+      tone_name: 'Nome do tom (p. ex. «Profissional»)',
+      length: 'Extensão pretendida em palavras ou caracteres',
+      emojis: 'Instrução sobre o uso de emojis',
+      language: 'Idioma em que o post é escrito',
+      more_info: 'Etiqueta da ligação final no idioma do post (p. ex. «Mais informações»)',
+      audience: 'Público-alvo',
+      cta: 'Apelo à ação',
+      url: 'URL de origem',
+      title: 'Título do artigo',
+      author: 'Autor do artigo',
+      published_at: 'Data de publicação',
+      site_name: 'Nome do meio de comunicação',
+      article: 'Bloco completo com os dados e o texto do artigo',
+      voice: 'Voz da marca escolhida: resumo de estilo e posts de exemplo (vazia se não houver)',
+      examples: 'Posts com melhores resultados como exemplos (vazia se não forem usados)',
+    },
+  },
+  builtinTemplates: {
+    'builtin:summary': {
+      name: 'Resumo do artigo',
+      description: 'Publicação baseada no artigo, com o tom e a extensão escolhidos.',
+    },
+    'builtin:hook-bullets-cta': {
+      name: 'Gancho + 3 pontos + CTA',
+      description: 'Uma primeira linha cativante, três ideias-chave em lista e um apelo à ação.',
+    },
+    'builtin:event': {
+      name: 'Anúncio de evento',
+      description: 'Anuncia um evento, webinar ou lançamento: o que é, quando, para quem e como se inscrever.',
+    },
+  },
+  auth: {
+    backToLogin: 'Voltar a iniciar sessão',
+    login: {
+      title: 'Iniciar sessão',
+      forgotPassword: 'Esqueceu-se da palavra-passe?',
+      submit: 'Entrar',
+      submitting: 'A entrar...',
+      or: 'ou',
+      magicLink: 'Enviar-me uma ligação de acesso por email',
+      magicLinkEmailRequired: 'Introduza o seu email para receber a ligação de acesso.',
+      magicLinkSent: 'Enviámos-lhe uma ligação de acesso. Verifique o seu email.',
+      register: 'Criar conta',
+    },
+    register: {
+      title: 'Criar conta',
+      submit: 'Criar conta',
+      submitting: 'A criar conta...',
+      confirmEmail: 'Verifique o seu email para confirmar a conta!',
+    },
+    reset: {
+      title: 'Recuperar palavra-passe',
+      submit: 'Enviar ligação',
+      submitting: 'A enviar...',
+      sent: 'Se existir uma conta com esse email, receberá uma ligação para alterar a palavra-passe.',
+    },
+    update: {
+      title: 'Nova palavra-passe',
+      password: 'Nova palavra-passe',
+      confirmation: 'Repita a palavra-passe',
+      mismatch: 'As palavras-passe não coincidem.',
+      submit: 'Guardar palavra-passe',
+      updated: 'Palavra-passe atualizada',
+    },
+  },
+  linkedin: {
+    publish: 'Publicar no LinkedIn',
+    dialogTitle: 'Publicar no LinkedIn',
+    notConfigured: 'A publicação no LinkedIn não está configurada no servidor.',
+    connectPrompt: 'Ligue a sua conta do LinkedIn para publicar diretamente no seu perfil ou nas páginas de empresa que administra.',
+    connect: 'Ligar ao LinkedIn',
+    connecting: 'A ligar...',
+    connected: 'Conta do LinkedIn ligada',
+    connectedAs: 'Ligado como {name}',
+    disconnect: 'Desligar',
+    disconnected: 'Conta do LinkedIn desligada',
+    expired: 'A ligação ao LinkedIn expirou. Volte a ligar a sua conta.',
+    author: 'Publicar como',
+    personalProfile: 'Perfil pessoal',
+    companyPage: 'Página de empresa',
+    linkPreview: 'Será adicionada a pré-visualização da ligação {url}',
+    publishing: 'A publicar...',
+    published: 'Post publicado no LinkedIn!',
+    viewPost: 'Ver no LinkedIn',
+    saveFailed: 'O post foi publicado, mas não foi possível guardá-lo no histórico',
+  },
+  validation: {
+    title: 'Regras por cumprir: {count}',
+    repair: 'Corrigir',
+    units: {
+      words: 'palavras',
+      characters: 'caracteres',
+    },
+    rules: {
+      error_sentinel: 'O texto é uma mensagem de erro do modelo, não um post.',
+      footer: 'Falta o rodapé «{footer}» no fim do post.',
+      emojis: 'Contém emojis, embora tenham sido pedidos sem emojis: {emojis}',
+      too_long: 'É demasiado longo: {count} {unit} (foram pedidas entre {min} e {max}).',
+      too_short: 'É demasiado curto: {count} {unit} (foram pedidas entre {min} e {max}).',
+      linkedin_limit: 'Ultrapassa os {max} caracteres do LinkedIn ({count}).',
+      banned_words: 'Contém palavras proibidas: {words}',
+      unsupported_facts: 'Dados que não aparecem no artigo: {facts}',
+    },
+  },
+  hashtags: {
+    title: 'Hashtags sugeridas',
+    summary: '{count} hashtags no post ({characters} caracteres)',
+    none: 'Não há sugestões para este texto',
+    cost: 'Acrescenta {count} caracteres',
+    remove: 'Retirar do post',
+    overLimit: 'Não cabe nos 3000 caracteres do LinkedIn',
+    mentionsTitle: 'Menções',
+    mentionsHint: 'São inseridas como texto: no LinkedIn, volte a escrever o @ para ligar o perfil ou a página.',
+    listsTitle: 'Hashtags favoritas e banidas',
+    add: 'Adicionar',
+    addPlaceholder: '#hashtag',
+    emptyList: 'Lista vazia',
+    saveFailed: 'Não foi possível guardar as suas listas de hashtags',
+    lists: {
+      favorite: 'Favoritas',
+      banned: 'Banidas',
+    },
+    listHints: {
+      favorite: 'São sempre sugeridas, antes das restantes.',
+      banned: 'Nunca são sugeridas.',
+    },
+  },
+  visuals: {
+    title: 'Imagens',
+    subtitle: 'Uma imagem para partilhar e um carrossel em PDF com as cores da sua marca',
+    cardTab: 'Imagem',
+    carouselTab: 'Carrossel ({count} diapositivos)',
+    titleLabel: 'Título',
+    quote: 'Citação em destaque',
+    useArticleImage: 'Usar a imagem do artigo',
+    points: 'Pontos principais',
+    pointsHelper: 'Um diapositivo por linha',
+    closing: 'Diapositivo de fecho',
+    slideCount: '{current} / {total}',
+    previousSlide: 'Diapositivo anterior',
+    nextSlide: 'Diapositivo seguinte',
+    swipe: 'Deslize',
+    resetTexts: 'Voltar a tirar os textos da publicação',
+    downloadPng: 'Transferir PNG',
+    downloadPdf: 'Transferir PDF',
+    exporting: 'A exportar...',
+    exportFailed: 'Não foi possível criar o ficheiro',
+    shareUnsupported: 'Este navegador não consegue partilhar imagens: foi transferida',
+    brand: {
+      title: 'Cores e logótipo da marca',
+      hint: 'São usados em todas as imagens e carrosséis que criar.',
+      primaryColor: 'Cor principal',
+      backgroundColor: 'Fundo',
+      textColor: 'Texto',
+      logo: 'Logótipo',
+      uploadLogo: 'Carregar logótipo',
+      removeLogo: 'Remover',
+      reset: 'Repor os valores predefinidos',
+      invalidLogo: 'Não foi possível carregar o logótipo. Experimente uma imagem PNG, JPEG, WebP ou SVG mais pequena',
+      saveFailed: 'Não foi possível guardar as definições da marca',
+    },
+  },
+  refine: {
+    title: 'Refinar o post',
+    subtitle: 'Peça alterações ao texto atual. O modelo tem em conta o texto de origem e as alterações anteriores.',
+    actions: {
+      shorter: 'Mais curto',
+      longer: 'Mais longo',
+      tone: 'Mudar o tom para…',
+      hook: 'Adicionar gancho inicial',
+      cta: 'Adicionar CTA',
+      removeEmojis: 'Remover emojis',
+    },
+    instructionLabel: 'Outra instrução',
+    instructionPlaceholder: 'Por exemplo: mencione o valor das vendas e termine com uma pergunta',
+    send: 'Aplicar',
+    undo: 'Anular',
+    redo: 'Refazer',
+    compare: 'Comparar versões',
+    versionCount: 'Versão {current} de {total}',
+    versionActions: {
+      generated: 'Gerado',
+      opened: 'Do histórico',
+      edited: 'Editado à mão',
+      shorter: 'Mais curto',
+      longer: 'Mais longo',
+      tone: 'Tom: {tone}',
+      hook: 'Gancho inicial',
+      cta: 'CTA',
+      removeEmojis: 'Sem emojis',
+    },
+    diff: {
+      title: 'Comparar versões',
+      from: 'De',
+      to: 'Até',
+      summary: '{added} palavras adicionadas · {removed} removidas',
+      noChanges: 'As duas versões são iguais.',
+    },
+  },
+  performance: {
+    title: 'Resultados no LinkedIn',
+    subtitle: 'Registe as impressões e interações dos posts para ver que tom, comprimento, emojis e modelos funcionam melhor.',
+    empty: 'Ainda não há resultados. Adicione-os a partir do histórico, importe um CSV de análises do LinkedIn ou atualize os posts publicados.',
+    importCsv: 'Importar CSV',
+    refreshFromLinkedIn: 'Atualizar a partir do LinkedIn',
+    csvInvalid: 'O CSV precisa de uma coluna com a ligação ou o texto do post e de pelo menos uma com números (impressões, reações, comentários ou partilhas).',
+    csvImported: 'Resultados importados para {count} posts; {unmatched} linhas não correspondem a nenhum post.',
+    linkedinUpdated: 'Resultados atualizados para {count} posts publicados ({failed} com erro).',
+    dimensions: {
+      tone: 'Tom',
+      length: 'Comprimento',
+      emojis: 'Emojis',
+      template: 'Modelo',
+    },
+    emojis: {
+      with: 'Com emojis',
+      without: 'Sem emojis',
+    },
+    voiceTone: 'Voz da marca',
+    noTemplate: 'Sem modelo',
+    deletedTemplate: 'Modelo eliminado',
+    posts: 'Posts',
+    averageImpressions: 'Impressões médias',
+    averageInteractions: 'Interações médias',
+    rate: 'Interação',
+    topPosts: 'Posts com melhores resultados',
+    topPostsHint: 'Os que têm mais interações. O gerador pode dá-los ao modelo como exemplos.',
+    interactions: '{count} interações',
+    impressions: '{count} impressões',
+    dialogTitle: 'Resultados do post',
+    metrics: {
+      impressions: 'Impressões',
+      reactions: 'Reações',
+      comments: 'Comentários',
+      reshares: 'Partilhas',
+    },
+    unknown: 'Sem dados',
+    engagementRate: 'Interação: {rate} das impressões',
+    noImpressions: 'Sem impressões não é possível calcular a taxa de interação.',
+    lastUpdated: 'Atualizado em {date} ({source})',
+    sources: {
+      manual: 'à mão',
+      csv: 'CSV',
+      linkedin: 'LinkedIn',
+    },
+    fetchFromLinkedIn: 'Ler do LinkedIn',
+    saved: 'Resultados guardados',
+    saveFailed: 'Não foi possível guardar os resultados',
+    loadFailed: 'Não foi possível carregar os resultados',
+  },
+  usage: {
+    title: 'Utilização e custo',
+    periods: {
+      day: 'Por dia',
+      week: 'Por semana',
+      month: 'Por mês',
+    },
+    plan: 'Plano: {plan}',
+    today: 'Hoje',
+    thisMonth: 'Este mês',
+    quotaUsed: '{used} de {limit} gerações',
+    unlimited: '{used} gerações, sem limite',
+    notRecorded: 'O servidor não está a registar a utilização: as gerações não são contadas nem têm quota.',
+    generations: 'Gerações',
+    errors: 'Erros',
+    tokens: 'Tokens',
+    cost: 'Custo estimado',
+    latency: 'Tempo médio',
+    seconds: '{seconds} s',
+    model: 'Modelo',
+    generationsChart: 'Gerações',
+    costChart: 'Custo estimado (USD)',
+    estimatedTokens: 'Alguns fornecedores não indicam os tokens: nessas gerações são calculados a partir do comprimento do texto.',
+    costNote: 'O custo é uma estimativa com preços de referência por modelo e pode não coincidir com a fatura do fornecedor.',
+    loadFailed: 'Não foi possível carregar a utilização',
+  },
+  batch: {
+    sources: {
+      urls: 'Lista de URLs',
+      csv: 'CSV',
+      feed: 'Feed RSS/Atom',
+    },
+    urlList: 'URLs (um por linha)',
+    add: 'Adicionar',
+    uploadCsv: 'Carregar CSV',
+    csvHint: 'É usada a coluna «url» ou «link» (e «title», se existir); sem cabeçalho, a primeira coluna com URLs.',
+    feedUrl: 'URL do feed ou do blogue',
+    feedHint: 'São adicionados os artigos do feed que ainda não têm post.',
+    loadFeed: 'Carregar feed',
+    concurrency: 'Em simultâneo',
+    run: 'Gerar {count} posts',
+    clear: 'Limpar',
+    article: 'Artigo',
+    status: 'Estado',
+    length: 'Caracteres',
+    retry: 'Tentar novamente',
+    nothingToAdd: 'Não há URLs novos para adicionar',
+    someIgnored: 'Foram ignorados {count} URLs repetidos ou acima do limite de 50',
+    statuses: {
+      pending: 'Pendente',
+      skipped: 'Já processado',
+      extracting: 'A extrair',
+      generating: 'A gerar',
+      done: 'Concluído',
+      cancelled: 'Parado',
+      error: 'Erro',
+    },
+  },
+  schedule: {
+    title: 'Agendar publicação',
+    editTitle: 'Publicação agendada',
+    date: 'Data e hora',
+    content: 'Texto do post',
+    personalProfileHint: 'Será publicado no seu perfil pessoal do LinkedIn.',
+    saveDraft: 'Guardar rascunho',
+    schedule: 'Agendar',
+    retry: 'Tentar novamente',
+    scheduled: 'Post agendado',
+    savedDraft: 'Rascunho guardado',
+    saveFailed: 'Não foi possível guardar o agendamento',
+    deleted: 'Publicação removida da fila',
+    deleteFailed: 'Não foi possível eliminar a publicação',
+    dateRequired: 'Escolha uma data e uma hora',
+    dateInPast: 'A data tem de ser posterior a este momento',
+    publishedAt: 'Publicado em {date}.',
+    errorLog: 'Erros ({count})',
+    attempt: 'Tentativa {number}',
+  },
+  calendar: {
+    today: 'Hoje',
+    previous: 'Mês anterior',
+    next: 'Mês seguinte',
+    drafts: 'Rascunhos sem data',
+    noDrafts: 'Não há rascunhos sem data.',
+    loadFailed: 'Não foi possível carregar o calendário',
+  },
+  offline: {
+    banner: 'Sem ligação. O rascunho é guardado neste dispositivo e as gerações serão feitas quando a ligação voltar.',
+    queue: 'Gerar quando a ligação voltar',
+    queued: 'Sem ligação: a geração será feita quando a ligação voltar e o post será guardado no histórico.',
+    queueFailed: 'Não foi possível deixar a geração pendente.',
+    queueTitle: 'Gerações sem ligação ({count})',
+    queueOnline: 'São geradas uma a uma e guardadas no histórico.',
+    queueOffline: 'Serão geradas quando a ligação voltar.',
+    status: {
+      pending: 'Pendente',
+      failed: 'Erro',
+      review: 'Rever',
+    },
+    retry: 'Tentar novamente',
+    remove: 'Remover da fila',
+    generated: 'Post gerado e guardado no histórico: {title}',
+    generatedWithIssues: 'Post guardado no histórico, mas não cumpre algumas das suas regras: {title}',
+    reviewHint: 'Guardado no histórico. Reveja-o antes de o publicar:',
+    itemFailed: 'Não foi possível gerar o post pendente: {title}',
+  },
+  authErrors: {
+    invalid_credentials: 'O email ou a palavra-passe não estão corretos.',
+    email_not_confirmed: 'Ainda não confirmou o seu email. Verifique a caixa de entrada.',
+    user_already_exists: 'Já existe uma conta com este email.',
+    email_exists: 'Já existe uma conta com este email.',
+    weak_password: 'A palavra-passe é demasiado fraca. Use pelo menos 6 caracteres.',
+    same_password: 'A nova palavra-passe tem de ser diferente da anterior.',
+    email_address_invalid: 'O email não é válido.',
+    validation_failed: 'Verifique os dados introduzidos.',
+    signup_disabled: 'O registo de novas contas está desativado.',
+    otp_expired: 'A ligação expirou. Peça uma nova.',
+    over_email_send_rate_limit: 'Pediu demasiados emails. Aguarde alguns minutos antes de tentar novamente.',
+    over_request_rate_limit: 'Demasiadas tentativas. Aguarde alguns minutos antes de tentar novamente.',
+    session_not_found: 'A sua sessão expirou. Inicie sessão novamente.',
+    user_not_found: 'Não existe nenhuma conta com este email.',
+    generic: 'Ocorreu um erro. Tente novamente.',
+  },
+  extractionErrors: {
+    invalid_url: 'O URL não é válido ou aponta para um endereço não permitido.',
+    fetch_failed: 'Não foi possível descarregar a página. Verifique se o URL está acessível.',
+    fetch_timeout: 'A página demorou demasiado a responder.',
+    http_status: 'A página devolveu um erro. Verifique se o URL está correto.',
+    paywall: 'O artigo está atrás de uma paywall ou requer início de sessão.',
+    pdf_not_supported: 'O URL aponta para um PDF: transfira-o e carregue-o com a fonte Ficheiro.',
+    unsupported_content_type: 'O URL não aponta para uma página web (HTML).',
+    page_too_large: 'A página é demasiado grande para ser processada.',
+    content_not_found: 'Não foi encontrado o texto do artigo na página.',
+    invalid_feed: 'O URL não é um feed RSS ou Atom válido.',
+    feed_not_found: 'A página não tem ligação para nenhum feed RSS ou Atom.',
+    file_too_large: 'O ficheiro é demasiado grande (máximo 10 MB e 200 páginas).',
+    unsupported_file_type: 'Só são suportados ficheiros PDF, DOCX, TXT e Markdown.',
+    invalid_document: 'Não foi possível ler o ficheiro. Pode estar danificado ou protegido por palavra-passe.',
+    document_without_text: 'O documento não tem texto para ler. Se for um PDF digitalizado, cole o texto.',
+    invalid_video_url: 'A ligação não é um vídeo do YouTube.',
+    transcript_not_found: 'O vídeo não tem legendas ou não foi possível transferi-las.',
+  },
+  linkedinErrors: {
+    linkedin_not_configured: 'A publicação no LinkedIn não está configurada no servidor.',
+    linkedin_not_connected: 'Ligue a sua conta do LinkedIn para publicar.',
+    linkedin_reauth_required: 'A ligação ao LinkedIn expirou. Volte a ligar a sua conta.',
+    linkedin_author_forbidden: 'Não tem permissão para publicar nessa página.',
+    linkedin_denied: 'O acesso ao LinkedIn não foi autorizado.',
+    invalid_state: 'O pedido de ligação ao LinkedIn expirou ou não é válido. Tente novamente.',
+    text_too_long: 'O post excede o limite de 3000 caracteres do LinkedIn.',
+    invalid_text: 'O post está vazio.',
+    generic: 'Não foi possível concluir a operação com o LinkedIn. Tente novamente.',
+  },
+  generationErrors: {
+    timeout: 'A geração do post demorou demasiado. Tente novamente.',
+    stalled: 'O modelo deixou de responder a meio da geração. Tente novamente.',
+    sessionExpired: 'A sua sessão expirou. Inicie sessão novamente.',
+    rateLimited: 'Atingiu o limite de gerações. Aguarde um pouco antes de tentar novamente.',
+    quotaExceeded: 'Esgotou a sua quota de gerações. Poderá voltar a gerar quando começar o próximo período.',
+    refused: 'O modelo não conseguiu usar o artigo e devolveu um erro em vez do post. Experimente outro URL.',
+    generic: 'Erro ao gerar o post. Tente novamente.',
+  },
+};
+
+export default pt;
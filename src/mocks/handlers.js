@@ -0,0 +1,144 @@
+import { http, HttpResponse } from 'msw';
+
+// URLs de .env.test: el cliente de Supabase y el backend apuntan aquí en los tests
+export const SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL;
+export const API_URL = process.env.REACT_APP_API_URL;
+
+export const TEST_PASSWORD = 'correct-password';
+
+export const testUser = {
+  id: 'user-1',
+  aud: 'authenticated',
+  role: 'authenticated',
+  email: 'ana@example.com',
+  app_metadata: { provider: 'email' },
+  user_metadata: { full_name: 'Ana García' },
+  created_at: '2026-01-01T00:00:00.000Z'
+};
+
+export const testWorkspace = { id: 'workspace-1', name: 'Personal', created_at: '2026-01-01T00:00:00.000Z' };
+
+export const testArticle = {
+  url: 'https://example.com/articulo',
+  title: 'Cómo escribir mejores posts',
+  byline: 'Ana García',
+  siteName: 'Example',
+  image: null,
+  publishedAt: null,
+  excerpt: null,
+  text: 'Escribir para LinkedIn es distinto de escribir un blog. '.repeat(20).trim(),
+  truncated: false
+};
+
+// Dentro de la longitud `short` y `medium` en palabras, para que no haga falta corregirlo
+export const testPost = [
+  'Escribir para LinkedIn no es como escribir un blog: quien lee decide en dos líneas si sigue o pasa de largo.',
+  '',
+  'Por eso las mejores publicaciones empiezan con una idea clara, usan frases cortas y dejan aire entre párrafos. Cada párrafo defiende una sola idea y la apoya con un ejemplo concreto que cualquiera pueda reconocer.',
+  '',
+  'El artículo lo resume bien: menos adjetivos, más experiencias propias y un final que invite a responder.',
+  '',
+  '¿Qué es lo primero que miras tú antes de publicar?'
+].join('\n');
+
+export const createSession = (user = testUser) => ({
+  access_token: 'test-access-token',
+  refresh_token: 'test-refresh-token',
+  token_type: 'bearer',
+  expires_in: 3600,
+  expires_at: Math.floor(Date.now() / 1000) + 3600,
+  user
+});
+
+// Sesión guardada como la deja supabase-js, para empezar un test ya identificado
+export const signIn = (user = testUser) => {
+  const { hostname } = new URL(SUPABASE_URL);
+  localStorage.setItem(`sb-${hostname.split('.')[0]}-auth-token`, JSON.stringify(createSession(user)));
+};
+
+// Filas de la API REST de Supabase por tabla, sin filtros: cada test deja solo las que necesita
+export const db = {};
+
+export const resetDb = () => {
+  Object.keys(db).forEach((table) => delete db[table]);
+  db.workspace_members = [{ role: 'owner', workspaces: testWorkspace }];
+};
+
+resetDb();
+
+const NDJSON_HEADERS = { 'Content-Type': 'application/x-ndjson; charset=utf-8' };
+
+const toLine = (message) => `${JSON.stringify(message)}\n`;
+
+// Respuesta de /api/generate/stream: una línea NDJSON por mensaje (ver server/routes/generate.js)
+export const ndjson = (messages) => new HttpResponse(messages.map(toLine).join(''), { headers: NDJSON_HEADERS });
+
+// El texto del modelo en fragmentos, uno por línea, y el final del stream
+export const streamText = (text) => ndjson([
+  ...text.split(/(?<=\n)/).map((delta) => ({ type: 'delta', text: delta })),
+  { type: 'done' }
+]);
+
+// Envía `text` y deja de mandar datos sin cerrar la respuesta. Como con una conexión real,
+// cancelar la petición (`request.signal`) corta también la lectura del cuerpo
+export const stalledStream = (request, text) => new HttpResponse(new ReadableStream({
+  start(controller) {
+    controller.enqueue(new TextEncoder().encode(toLine({ type: 'delta', text })));
+    request.signal.addEventListener('abort', () => controller.error(request.signal.reason));
+  }
+}), { headers: NDJSON_HEADERS });
+
+export const apiError = (status, code, message = code) => HttpResponse.json({ error: { code, message } }, { status });
+
+const authError = (status, code, message) => HttpResponse.json({ code, error_code: code, msg: message }, { status });
+
+const wantsObject = (request) => request.headers.get('Accept')?.includes('application/vnd.pgrst.object+json');
+
+let nextId = 1;
+
+const supabaseHandlers = [
+  http.post(`${SUPABASE_URL}/auth/v1/token`, async ({ request }) => {
+    const { email, password } = await request.json();
+    if (email !== testUser.email || password !== TEST_PASSWORD) {
+      return authError(400, 'invalid_credentials', 'Invalid login credentials');
+    }
+    return HttpResponse.json(createSession());
+  }),
+  http.get(`${SUPABASE_URL}/auth/v1/user`, () => HttpResponse.json(testUser)),
+  http.post(`${SUPABASE_URL}/auth/v1/logout`, () => new HttpResponse(null, { status: 204 })),
+
+  http.post(`${SUPABASE_URL}/rest/v1/rpc/:fn`, () => HttpResponse.json(null)),
+  http.get(`${SUPABASE_URL}/rest/v1/:table`, ({ request, params }) => {
+    const rows = db[params.table] ?? [];
+    return HttpResponse.json(wantsObject(request) ? rows[0] ?? null : rows);
+  }),
+  http.head(`${SUPABASE_URL}/rest/v1/:table`, ({ params }) => {
+    const count = (db[params.table] ?? []).length;
+    return new HttpResponse(null, { headers: { 'Content-Range': `*/${count}` } });
+  }),
+  http.post(`${SUPABASE_URL}/rest/v1/:table`, async ({ request, params }) => {
+    const body = await request.json();
+    const rows = (Array.isArray(body) ? body : [body]).map((row) => ({
+      id: `${params.table}-${nextId++}`,
+      created_at: new Date().toISOString(),
+      ...row
+    }));
+    db[params.table] = [...(db[params.table] ?? []), ...rows];
+    return HttpResponse.json(wantsObject(request) ? rows[0] : rows, { status: 201 });
+  }),
+  http.patch(`${SUPABASE_URL}/rest/v1/:table`, () => new HttpResponse(null, { status: 204 })),
+  http.delete(`${SUPABASE_URL}/rest/v1/:table`, () => new HttpResponse(null, { status: 204 }))
+];
+
+const apiHandlers = [
+  http.get(`${API_URL}/api/providers`, () => HttpResponse.json({
+    providers: [
+      { id: 'gemini', label: 'Google Gemini', models: ['gemini-2.0-flash'], defaultModel: 'gemini-2.0-flash', configured: true },
+      { id: 'mock', label: 'Mock (local)', models: ['mock-1'], defaultModel: 'mock-1', configured: true }
+    ]
+  })),
+  http.post(`${API_URL}/api/extract`, () => HttpResponse.json({ article: testArticle })),
+  http.post(`${API_URL}/api/generate/stream`, () => streamText(testPost))
+];
+
+export const handlers = [...supabaseHandlers, ...apiHandlers];
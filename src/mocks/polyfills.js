@@ -0,0 +1,35 @@
+// jsdom no trae las APIs de fetch y streams que usan los servicios (ni las que necesita MSW
+// para interceptarlas): se toman las de Node y las de undici. Va con require porque undici
+// ya necesita las primeras al cargarse, y se importa antes que msw (ver setupTests.js)
+const { TextDecoder, TextEncoder } = require('node:util');
+const { ReadableStream, TransformStream, WritableStream } = require('node:stream/web');
+const { BroadcastChannel: NodeBroadcastChannel, MessageChannel, MessagePort } = require('node:worker_threads');
+const { setImmediate, clearImmediate } = require('node:timers');
+const { performance } = require('node:perf_hooks');
+
+// El de Node mantiene vivo el proceso mientras siga abierto, y supabase-js abre uno por cliente
+class BroadcastChannel extends NodeBroadcastChannel {
+  constructor(name) {
+    super(name);
+    this.unref();
+  }
+}
+
+Object.assign(global, {
+  TextDecoder,
+  TextEncoder,
+  ReadableStream,
+  TransformStream,
+  WritableStream,
+  BroadcastChannel,
+  MessageChannel,
+  MessagePort,
+  setImmediate,
+  clearImmediate
+});
+global.performance.markResourceTiming = performance.markResourceTiming.bind(performance);
+
+const { Blob, File } = require('node:buffer');
+const { fetch, Headers, FormData, Request, Response } = require('undici');
+
+Object.assign(global, { Blob, File, fetch, Headers, FormData, Request, Response });
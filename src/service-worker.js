@@ -0,0 +1,29 @@
+/* eslint-disable no-restricted-globals */
+// Service worker de la PWA. CRA lo compila con InjectManifest (workbox) porque existe este
+// archivo, y `self.__WB_MANIFEST` es la lista de archivos del build: el app shell
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+
+// Una versión nueva toma el control sin esperar a que se cierren las pestañas abiertas
+self.skipWaiting();
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Las rutas de la SPA se sirven con index.html, también sin conexión.
+// Quedan fuera el backend y las peticiones de archivos (con extensión)
+registerRoute(new NavigationRoute(createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`), {
+  denylist: [/^\/api\//, /\/[^/?]+\.[^/]+$/]
+}));
+
+// Iconos de public/, que no pasan por el build
+registerRoute(
+  ({ url, request }) => url.origin === self.location.origin && request.destination === 'image',
+  new CacheFirst({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
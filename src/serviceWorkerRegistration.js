@@ -0,0 +1,10 @@
+// Solo en producción: en desarrollo el service worker serviría versiones antiguas del bundle
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => console.error('Error registering service worker:', error));
+  });
+};
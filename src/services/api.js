@@ -0,0 +1,45 @@
+import { supabase } from '../config/supabase';
+import { API_URL } from '../config/api';
+
+export class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Llama al backend adjuntando el access token de la sesión de Supabase.
+// Devuelve la Response sin leer, para poder consumirla como stream.
+// Un `body` Blob (un archivo) se envía tal cual; cualquier otro, como JSON
+export const apiRequest = async (path, { body, headers, ...init } = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  const isBlob = body instanceof Blob;
+
+  const response = await fetch(`${API_URL}${path}`, {
+    ...init,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': isBlob ? body.type || 'application/octet-stream' : 'application/json' }),
+      ...(session && { 'Authorization': `Bearer ${session.access_token}` }),
+      ...headers
+    },
+    ...(body !== undefined && { body: isBlob ? body : JSON.stringify(body) })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new ApiError(
+      response.status,
+      data?.error?.code ?? 'http_error',
+      data?.error?.message ?? `HTTP error! status: ${response.status}`
+    );
+  }
+
+  return response;
+};
+
+export const apiFetch = async (path, options) => {
+  const response = await apiRequest(path, options);
+  return response.json().catch(() => null);
+};
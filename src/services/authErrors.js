@@ -0,0 +1,32 @@
+// Códigos de Supabase con traducción propia en `authErrors.*`
+const AUTH_ERROR_CODES = [
+  'invalid_credentials',
+  'email_not_confirmed',
+  'user_already_exists',
+  'email_exists',
+  'weak_password',
+  'same_password',
+  'email_address_invalid',
+  'validation_failed',
+  'signup_disabled',
+  'otp_expired',
+  'over_email_send_rate_limit',
+  'over_request_rate_limit',
+  'session_not_found',
+  'user_not_found',
+];
+
+// Versiones antiguas de Supabase no devuelven `code`, solo el mensaje en inglés
+const MESSAGE_PATTERNS = [
+  [/invalid login credentials/i, 'invalid_credentials'],
+  [/email not confirmed/i, 'email_not_confirmed'],
+  [/already registered/i, 'user_already_exists'],
+  [/password should be at least/i, 'weak_password'],
+  [/rate limit/i, 'over_request_rate_limit'],
+];
+
+// Devuelve la clave de traducción del error, para mostrarla con `t()`
+export const getAuthErrorKey = (error) => {
+  const code = error?.code ?? MESSAGE_PATTERNS.find(([pattern]) => pattern.test(error?.message ?? ''))?.[1];
+  return AUTH_ERROR_CODES.includes(code) ? `authErrors.${code}` : 'authErrors.generic';
+};
@@ -0,0 +1,111 @@
+export const BATCH_CONCURRENCY_OPTIONS = [1, 2, 3, 5];
+export const DEFAULT_BATCH_CONCURRENCY = 2;
+export const MAX_BATCH_ITEMS = 50;
+
+// Columnas de la exportación a CSV, en orden
+export const BATCH_EXPORT_COLUMNS = ['url', 'title', 'status', 'content', 'error', 'violations', 'postId'];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Una URL por línea (o separadas por espacios o comas); ignora lo que no lo es y las repetidas
+export const parseUrlList = (text) => [...new Set(
+  text.split(/[\s,;]+/).map((value) => value.trim()).filter(isHttpUrl)
+)].map((url) => ({ url, title: null }));
+
+const detectDelimiter = (line) => ((line.match(/;/g) ?? []).length > (line.match(/,/g) ?? []).length ? ';' : ',');
+
+// CSV con comillas dobles (RFC 4180). Acepta `,` o `;` como separador
+export const parseCsv = (text) => {
+  const delimiter = detectDelimiter(text.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+const URL_HEADERS = ['url', 'link', 'enlace', 'href'];
+const TITLE_HEADERS = ['title', 'titulo', 'título', 'name', 'nombre'];
+
+// Busca la columna de URLs por la cabecera o, si no la hay, por el contenido
+export const readUrlsFromCsv = (text) => {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  let urlColumn = header.findIndex((cell) => URL_HEADERS.includes(cell));
+  const titleColumn = header.findIndex((cell) => TITLE_HEADERS.includes(cell));
+  const body = urlColumn === -1 ? rows : rows.slice(1);
+  if (urlColumn === -1) {
+    urlColumn = rows[0].findIndex((cell) => isHttpUrl(cell.trim()));
+    if (urlColumn === -1) return [];
+  }
+
+  const seen = new Set();
+  return body
+    .map((cells) => ({
+      url: cells[urlColumn]?.trim(),
+      title: titleColumn === -1 ? null : cells[titleColumn]?.trim() || null
+    }))
+    .filter((item) => isHttpUrl(item.url) && !seen.has(item.url) && seen.add(item.url));
+};
+
+// Ejecuta `task` sobre los elementos con, como mucho, `limit` a la vez.
+// `shouldStop` permite dejar de empezar elementos nuevos (botón Detener)
+export const runWithConcurrency = async (items, limit, task, { shouldStop = () => false } = {}) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const item = items[next];
+      next += 1;
+      await task(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+};
+
+const escapeCsv = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns = BATCH_EXPORT_COLUMNS) => [
+  columns.join(','),
+  ...rows.map((row) => columns.map((column) => escapeCsv(row[column])).join(','))
+].join('\r\n');
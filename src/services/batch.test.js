@@ -0,0 +1,57 @@
+import { parseUrlList, parseCsv, readUrlsFromCsv, runWithConcurrency, toCsv } from './batch';
+
+test('parses a pasted list of URLs, ignoring noise and duplicates', () => {
+  const items = parseUrlList('https://a.com/1\n  https://b.com/2, no-es-url\nhttps://a.com/1\nftp://c.com');
+  expect(items.map(({ url }) => url)).toEqual(['https://a.com/1', 'https://b.com/2']);
+});
+
+test('parses quoted CSV fields', () => {
+  expect(parseCsv('url,title\r\n"https://a.com","Uno, dos"\n"https://b.com","Dice ""hola"""\n')).toEqual([
+    ['url', 'title'],
+    ['https://a.com', 'Uno, dos'],
+    ['https://b.com', 'Dice "hola"']
+  ]);
+});
+
+test('reads the URL and title columns of a CSV by header', () => {
+  const csv = 'Título;Enlace;Notas\nPrimero;https://a.com/1;x\nSegundo;https://a.com/2;\nSin enlace;;\n';
+  expect(readUrlsFromCsv(csv)).toEqual([
+    { url: 'https://a.com/1', title: 'Primero' },
+    { url: 'https://a.com/2', title: 'Segundo' }
+  ]);
+});
+
+test('finds the URL column of a CSV without header', () => {
+  expect(readUrlsFromCsv('Uno,https://a.com/1\nDos,https://a.com/2')).toEqual([
+    { url: 'https://a.com/1', title: null },
+    { url: 'https://a.com/2', title: null }
+  ]);
+});
+
+test('never runs more tasks than the concurrency limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const done = [];
+  await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    running -= 1;
+    done.push(item);
+  });
+  expect(peak).toBe(2);
+  expect(done.sort()).toEqual([1, 2, 3, 4, 5]);
+});
+
+test('stops starting new tasks when asked to', async () => {
+  const started = [];
+  await runWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+    started.push(item);
+  }, { shouldStop: () => started.length === 2 });
+  expect(started).toEqual([1, 2]);
+});
+
+test('exports rows as CSV', () => {
+  const csv = toCsv([{ url: 'https://a.com', title: 'Uno, "dos"', content: 'Línea 1\nLínea 2' }], ['url', 'title', 'content']);
+  expect(csv).toBe('url,title,content\r\nhttps://a.com,"Uno, ""dos""","Línea 1\nLínea 2"');
+});
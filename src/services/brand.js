@@ -0,0 +1,36 @@
+import { supabase } from '../config/supabase';
+import { DEFAULT_BRAND } from './visuals';
+
+const fromRow = (row) => ({
+  primaryColor: row.primary_color,
+  backgroundColor: row.background_color,
+  textColor: row.text_color,
+  logo: row.logo
+});
+
+// Sin fila guardada se usan los colores del tema
+export const getBrandSettings = async ({ userId }) => {
+  const { data, error } = await supabase
+    .from('brand_settings')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? fromRow(data) : DEFAULT_BRAND;
+};
+
+export const saveBrandSettings = async ({ userId, primaryColor, backgroundColor, textColor, logo }) => {
+  const { data, error } = await supabase
+    .from('brand_settings')
+    .upsert({
+      user_id: userId,
+      primary_color: primaryColor,
+      background_color: backgroundColor,
+      text_color: textColor,
+      logo: logo || null
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return fromRow(data);
+};
@@ -0,0 +1,29 @@
+import { startOfMonth, endOfMonth, startOfWeek, endOfWeek, eachDayOfInterval, format, parse, isValid } from 'date-fns';
+
+// Días que muestra la cuadrícula del mes: semanas completas, incluidos los días
+// del mes anterior y del siguiente que las rellenan
+export const getMonthDays = (month, weekStartsOn = 1) => eachDayOfInterval({
+  start: startOfWeek(startOfMonth(month), { weekStartsOn }),
+  end: endOfWeek(endOfMonth(month), { weekStartsOn })
+});
+
+const DAY_KEY = 'yyyy-MM-dd';
+
+export const getDayKey = (date) => format(date, DAY_KEY);
+
+// Agrupa los posts por día local de `scheduled_at`
+export const groupByDay = (items) => items.reduce((days, item) => {
+  const key = getDayKey(new Date(item.scheduled_at));
+  (days[key] ??= []).push(item);
+  return days;
+}, {});
+
+// Valor de un <input type="datetime-local"> (hora local, sin zona)
+const DATE_TIME_INPUT = "yyyy-MM-dd'T'HH:mm";
+
+export const toDateTimeInput = (date) => (date ? format(date, DATE_TIME_INPUT) : '');
+
+export const fromDateTimeInput = (value) => {
+  const date = parse(value, DATE_TIME_INPUT, new Date());
+  return isValid(date) ? date : null;
+};
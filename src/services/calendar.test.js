@@ -0,0 +1,33 @@
+import { getMonthDays, getDayKey, groupByDay, toDateTimeInput, fromDateTimeInput } from './calendar';
+
+test('fills the month grid with whole weeks starting on Monday', () => {
+  const days = getMonthDays(new Date(2026, 9, 19));
+  expect(days).toHaveLength(35);
+  expect(getDayKey(days[0])).toBe('2026-09-28');
+  expect(getDayKey(days[days.length - 1])).toBe('2026-11-01');
+});
+
+test('can start the week on Sunday', () => {
+  const days = getMonthDays(new Date(2026, 9, 19), 0);
+  expect(getDayKey(days[0])).toBe('2026-09-27');
+  expect(days.length % 7).toBe(0);
+});
+
+test('groups posts by local day', () => {
+  const items = [
+    { id: 1, scheduled_at: new Date(2026, 9, 19, 9, 0).toISOString() },
+    { id: 2, scheduled_at: new Date(2026, 9, 19, 18, 30).toISOString() },
+    { id: 3, scheduled_at: new Date(2026, 9, 20, 8, 0).toISOString() }
+  ];
+  const days = groupByDay(items);
+  expect(days['2026-10-19'].map(({ id }) => id)).toEqual([1, 2]);
+  expect(days['2026-10-20'].map(({ id }) => id)).toEqual([3]);
+});
+
+test('converts to and from datetime-local input values', () => {
+  const date = new Date(2026, 9, 19, 9, 5);
+  expect(toDateTimeInput(date)).toBe('2026-10-19T09:05');
+  expect(fromDateTimeInput('2026-10-19T09:05')).toEqual(date);
+  expect(fromDateTimeInput('')).toBeNull();
+  expect(toDateTimeInput(null)).toBe('');
+});
@@ -0,0 +1,171 @@
+import { CARD_SIZE, SLIDE_SIZE, fitText, getContrastColor } from './visuals';
+
+// Dibujo de la imagen y las diapositivas en un canvas. El texto se ajusta con fitText (visuals.js)
+const FONT = '"Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif';
+const PADDING = 80;
+
+const setFont = (ctx, size, weight = 400) => {
+  ctx.font = `${weight} ${size}px ${FONT}`;
+};
+
+// Texto ajustado a una caja; `valign` centra el bloque en vertical
+const drawTextBlock = (ctx, text, { x, y, width, height, sizes, weight = 400, color, align = 'left', valign = 'top', lineHeight = 1.25 }) => {
+  if (!text) return;
+  const measure = (value, size) => {
+    setFont(ctx, size, weight);
+    return ctx.measureText(value).width;
+  };
+  const { size, lines } = fitText(text, { maxWidth: width, maxHeight: height, lineHeight, sizes, measure });
+  const blockHeight = lines.length * size * lineHeight;
+  const top = valign === 'middle' ? y + (height - blockHeight) / 2 : y;
+
+  setFont(ctx, size, weight);
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.textBaseline = 'top';
+  const left = align === 'center' ? x + width / 2 : x;
+  lines.forEach((line, i) => ctx.fillText(line, left, top + i * size * lineHeight + (size * (lineHeight - 1)) / 2));
+};
+
+// Rellena el área recortando la imagen, como `object-fit: cover`
+const drawImageCover = (ctx, image, x, y, width, height) => {
+  const scale = Math.max(width / image.width, height / image.height);
+  const sourceWidth = width / scale;
+  const sourceHeight = height / scale;
+  ctx.drawImage(image, (image.width - sourceWidth) / 2, (image.height - sourceHeight) / 2, sourceWidth, sourceHeight, x, y, width, height);
+};
+
+// Logo con su proporción, a lo sumo `maxWidth` × `height`
+const drawLogo = (ctx, logo, { x, y, height, maxWidth = 240, align = 'left' }) => {
+  if (!logo) return;
+  const scale = Math.min(height / logo.height, maxWidth / logo.width);
+  const width = logo.width * scale;
+  ctx.drawImage(logo, align === 'right' ? x - width : x, y + (height - logo.height * scale) / 2, width, logo.height * scale);
+};
+
+const drawFooterText = (ctx, text, { x, y, color, align }) => {
+  if (!text) return;
+  setFont(ctx, 30, 600);
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, x, y);
+};
+
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('image_load_failed'));
+  image.src = src;
+});
+
+export const loadImageFromBlob = async (blob) => {
+  const url = URL.createObjectURL(blob);
+  try {
+    return await loadImage(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('canvas_export_failed'))), type, quality);
+});
+
+// Imagen para compartir: la del artículo arriba (si hay), el título sobre el color de marca y la cita
+export const drawCard = (canvas, { title, quote, source, image, logo, brand }) => {
+  const { width, height } = CARD_SIZE;
+  const ctx = canvas.getContext('2d');
+  const onPrimary = getContrastColor(brand.primaryColor);
+  canvas.width = width;
+  canvas.height = height;
+
+  ctx.fillStyle = brand.backgroundColor;
+  ctx.fillRect(0, 0, width, height);
+
+  const imageHeight = image ? 440 : 0;
+  const bandHeight = image ? 200 : 420;
+  if (image) drawImageCover(ctx, image, 0, 0, width, imageHeight);
+  ctx.fillStyle = brand.primaryColor;
+  ctx.fillRect(0, imageHeight, width, bandHeight);
+  drawTextBlock(ctx, title, {
+    x: PADDING,
+    y: imageHeight + 40,
+    width: width - PADDING * 2,
+    height: bandHeight - 80,
+    sizes: image ? [48, 42, 36, 32] : [68, 60, 52, 44, 38],
+    weight: 700,
+    color: onPrimary,
+    valign: 'middle'
+  });
+
+  // Cita con unas comillas grandes en el color de marca
+  const quoteTop = imageHeight + bandHeight + 50;
+  setFont(ctx, 140, 700);
+  ctx.fillStyle = brand.primaryColor;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText('“', PADDING - 10, quoteTop - 20);
+  drawTextBlock(ctx, quote, {
+    x: PADDING + 70,
+    y: quoteTop,
+    width: width - PADDING * 2 - 70,
+    height: height - quoteTop - 150,
+    sizes: [52, 46, 40, 36, 32, 28],
+    weight: 500,
+    color: brand.textColor,
+    valign: 'middle'
+  });
+
+  ctx.fillStyle = brand.primaryColor;
+  ctx.fillRect(PADDING, height - 120, width - PADDING * 2, 3);
+  drawLogo(ctx, logo, { x: PADDING, y: height - 96, height: 64 });
+  drawFooterText(ctx, source, { x: width - PADDING, y: height - 64, color: brand.textColor, align: 'right' });
+};
+
+// Diapositiva del carrusel. `labels.swipe` es el aviso de la portada para pasar a la siguiente
+export const drawSlide = (canvas, slide, { index, total, logo, brand, source, labels = {} }) => {
+  const { width, height } = SLIDE_SIZE;
+  const ctx = canvas.getContext('2d');
+  const isCover = slide.type === 'cover';
+  const background = isCover ? brand.primaryColor : brand.backgroundColor;
+  const foreground = isCover ? getContrastColor(brand.primaryColor) : brand.textColor;
+  const contentWidth = width - PADDING * 2;
+  canvas.width = width;
+  canvas.height = height;
+
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  if (isCover) {
+    drawTextBlock(ctx, slide.text, {
+      x: PADDING, y: 200, width: contentWidth, height: 820, sizes: [96, 84, 72, 62, 54, 46], weight: 700, color: foreground, valign: 'middle'
+    });
+    drawFooterText(ctx, labels.swipe && `${labels.swipe} →`, { x: width - PADDING, y: height - 210, color: foreground, align: 'right' });
+  } else if (slide.type === 'point') {
+    setFont(ctx, 180, 800);
+    ctx.fillStyle = brand.primaryColor;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(String(slide.number).padStart(2, '0'), PADDING - 8, 140);
+    drawTextBlock(ctx, slide.text, {
+      x: PADDING, y: 420, width: contentWidth, height: 680, sizes: [76, 66, 58, 50, 44, 38], weight: 600, color: foreground
+    });
+  } else {
+    ctx.fillStyle = brand.primaryColor;
+    ctx.fillRect(PADDING, 300, 120, 12);
+    drawTextBlock(ctx, slide.text, {
+      x: PADDING, y: 360, width: contentWidth, height: 700, sizes: [84, 72, 62, 54, 46], weight: 700, color: foreground, valign: 'middle'
+    });
+  }
+
+  // Pie: barra de progreso, logo, fuente y número de diapositiva
+  ctx.fillStyle = isCover ? foreground : brand.primaryColor;
+  ctx.globalAlpha = 0.25;
+  ctx.fillRect(PADDING, height - 150, contentWidth, 6);
+  ctx.globalAlpha = 1;
+  ctx.fillRect(PADDING, height - 150, (contentWidth * (index + 1)) / total, 6);
+  drawLogo(ctx, logo, { x: PADDING, y: height - 120, height: 64 });
+  drawFooterText(ctx, `${index + 1} / ${total}`, { x: width - PADDING, y: height - 88, color: foreground, align: 'right' });
+  if (!logo) drawFooterText(ctx, source, { x: PADDING, y: height - 88, color: foreground, align: 'left' });
+};
@@ -0,0 +1,26 @@
+import { supabase } from '../config/supabase';
+
+export const listComments = async ({ postId }) => {
+  const { data, error } = await supabase
+    .from('post_comments')
+    .select('*')
+    .eq('post_id', postId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data;
+};
+
+export const addComment = async ({ postId, userId, body }) => {
+  const { data, error } = await supabase
+    .from('post_comments')
+    .insert({ post_id: postId, user_id: userId, body: body.trim() })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+export const deleteComment = async (id) => {
+  const { error } = await supabase.from('post_comments').delete().eq('id', id);
+  if (error) throw error;
+};
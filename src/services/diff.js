@@ -0,0 +1,67 @@
+// Diferencias palabra a palabra entre dos versiones de un post (subsecuencia común más larga).
+// Los espacios y saltos de línea cuentan como piezas para conservar el formato al mostrarlo
+const tokenize = (text) => text.split(/(\s+)/).filter(Boolean);
+
+// Une las piezas seguidas del mismo tipo
+const pushPart = (parts, type, text) => {
+  const last = parts[parts.length - 1];
+  if (last?.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+};
+
+// Devuelve [{ type: 'equal' | 'added' | 'removed', text }] para pasar de `before` a `after`
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Lo común al principio y al final no entra en la tabla, que es cuadrática
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end += 1;
+
+  const middleA = a.slice(start, a.length - end);
+  const middleB = b.slice(start, b.length - end);
+  const width = middleB.length + 1;
+  // lengths[i * width + j]: subsecuencia común más larga de middleA[i:] y middleB[j:]
+  const lengths = new Uint32Array((middleA.length + 1) * width);
+  for (let i = middleA.length - 1; i >= 0; i -= 1) {
+    for (let j = middleB.length - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] = middleA[i] === middleB[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  if (start) pushPart(parts, 'equal', a.slice(0, start).join(''));
+  let i = 0;
+  let j = 0;
+  while (i < middleA.length && j < middleB.length) {
+    if (middleA[i] === middleB[j]) {
+      pushPart(parts, 'equal', middleA[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      pushPart(parts, 'removed', middleA[i]);
+      i += 1;
+    } else {
+      pushPart(parts, 'added', middleB[j]);
+      j += 1;
+    }
+  }
+  if (i < middleA.length) pushPart(parts, 'removed', middleA.slice(i).join(''));
+  if (j < middleB.length) pushPart(parts, 'added', middleB.slice(j).join(''));
+  if (end) pushPart(parts, 'equal', a.slice(a.length - end).join(''));
+  return parts;
+};
+
+// Palabras añadidas y quitadas, para el resumen del cambio
+export const countChanges = (parts) => parts.reduce((counts, { type, text }) => {
+  if (type === 'equal') return counts;
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return { ...counts, [type]: counts[type] + words };
+}, { added: 0, removed: 0 });
@@ -0,0 +1,23 @@
+import { diffWords, countChanges } from './diff';
+
+test('marks added and removed words and keeps the rest', () => {
+  const parts = diffWords('La IA cambia el trabajo.\n\nMás información: https://example.com', 'La IA generativa cambia el trabajo hoy.\n\nMás información: https://example.com');
+  expect(parts).toEqual([
+    { type: 'equal', text: 'La IA ' },
+    { type: 'added', text: 'generativa ' },
+    { type: 'equal', text: 'cambia el ' },
+    { type: 'removed', text: 'trabajo.' },
+    { type: 'added', text: 'trabajo hoy.' },
+    { type: 'equal', text: '\n\nMás información: https://example.com' }
+  ]);
+  expect(countChanges(parts)).toEqual({ added: 3, removed: 1 });
+});
+
+test('rebuilds both versions from the parts', () => {
+  const before = 'Uno dos tres\ncuatro cinco';
+  const after = 'Cero uno dos\ncuatro seis cinco siete';
+  const parts = diffWords(before, after);
+  expect(parts.filter(({ type }) => type !== 'added').map(({ text }) => text).join('')).toBe(before);
+  expect(parts.filter(({ type }) => type !== 'removed').map(({ text }) => text).join('')).toBe(after);
+  expect(diffWords('igual', 'igual')).toEqual([{ type: 'equal', text: 'igual' }]);
+});
@@ -0,0 +1,62 @@
+import { apiFetch, apiRequest } from './api';
+
+// Errores de extracción con mensaje propio en `extractionErrors.*`
+export const EXTRACTION_ERROR_CODES = [
+  'invalid_url',
+  'fetch_failed',
+  'fetch_timeout',
+  'http_status',
+  'paywall',
+  'pdf_not_supported',
+  'unsupported_content_type',
+  'page_too_large',
+  'content_not_found',
+  'invalid_feed',
+  'feed_not_found',
+  'file_too_large',
+  'unsupported_file_type',
+  'invalid_document',
+  'document_without_text',
+  'invalid_video_url',
+  'transcript_not_found',
+];
+
+export const extractArticle = async (url, { signal } = {}) => {
+  const { article } = await apiFetch('/api/extract', {
+    method: 'POST',
+    body: { url },
+    signal
+  });
+  return article;
+};
+
+// Texto de un PDF o DOCX; el servidor lo devuelve con la forma de un artículo
+export const extractDocument = async (file, { signal } = {}) => {
+  const { article } = await apiFetch('/api/extract/document', {
+    method: 'POST',
+    body: file,
+    headers: { 'X-File-Name': encodeURIComponent(file.name) },
+    signal
+  });
+  return article;
+};
+
+// Transcripción de un vídeo de YouTube; `language` elige entre los subtítulos disponibles
+export const extractTranscript = async (url, { language, signal } = {}) => {
+  const { article } = await apiFetch('/api/extract/transcript', {
+    method: 'POST',
+    body: { url, language },
+    signal
+  });
+  return article;
+};
+
+// Imagen de portada del artículo a través del backend, como Blob del mismo origen
+export const fetchArticleImage = async (url, { signal } = {}) => {
+  const response = await apiRequest('/api/extract/image', {
+    method: 'POST',
+    body: { url },
+    signal
+  });
+  return response.blob();
+};
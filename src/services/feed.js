@@ -0,0 +1,11 @@
+import { apiFetch } from './api';
+
+// Lee un feed RSS/Atom (o la página que lo anuncia) a través del backend
+export const fetchFeed = async (url, { signal } = {}) => {
+  const { feed } = await apiFetch('/api/feed', {
+    method: 'POST',
+    body: { url },
+    signal
+  });
+  return feed;
+};
@@ -0,0 +1,130 @@
+import { streamText } from './llm';
+import { ApiError } from './api';
+import { EXTRACTION_ERROR_CODES } from './extract';
+import { buildPromptFromTemplate } from './promptTemplate';
+import { repairPost, needsRepairPrompt, buildRepairPrompt, buildRepairInstruction, scoreViolations } from './validation';
+import { BUILTIN_TEMPLATES, DEFAULT_TEMPLATE_ID } from '../config/promptTemplates';
+
+// Límite total generoso: lo que detecta un atasco es STALL_TIMEOUT_MS
+export const GENERATION_TIMEOUT_MS = 180000;
+export const STALL_TIMEOUT_MS = 20000;
+
+export const buildPrompt = ({ template, ...settings }) =>
+  buildPromptFromTemplate(template ?? BUILTIN_TEMPLATES.find((t) => t.id === DEFAULT_TEMPLATE_ID), settings);
+
+// Una generación completa a partir de un artículo ya extraído, con sus propios timeouts.
+// Se puede lanzar varias veces en paralelo (variantes) sin compartir estado.
+// Si se aborta desde `signal` devuelve el texto recibido hasta ese momento con `cancelled: true`.
+// El resultado pasa por las reglas de validation.js: lo que se puede corregir en el texto se
+// corrige, y si quedan infracciones que solo arregla el modelo se le pide una vez más.
+// `violations` son las que siguen sin resolver.
+// Con `messages` (refinar un post, ver refine.js) la conversación sustituye al prompt de la
+// plantilla; el resto de ajustes solo sirven para validar el resultado
+export const generatePost = async ({ provider, model, temperature, signal, onDelta, bannedWords, messages, ...promptSettings }) => {
+  const controller = new AbortController();
+  const context = { ...promptSettings, bannedWords };
+  let text = '';
+  let stalled = false;
+  let stallTimer;
+
+  const armStallTimer = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => {
+      stalled = true;
+      controller.abort();
+    }, STALL_TIMEOUT_MS);
+  };
+  const timeout = setTimeout(() => controller.abort(), GENERATION_TIMEOUT_MS);
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
+
+  // `text` sigue al primer intento, que es lo que se devuelve si se detiene a medias. Solo ese
+  // intento se muestra en directo: la corrección se enseña al final, si se acepta
+  const streamPrompt = async (input, { track = false } = {}) => {
+    let received = '';
+    armStallTimer();
+    const stream = streamText({
+      provider,
+      model,
+      ...(typeof input === 'string' ? { prompt: input } : { messages: input }),
+      temperature,
+      signal: controller.signal
+    });
+    for await (const delta of stream) {
+      armStallTimer();
+      received += delta;
+      if (track) {
+        text = received;
+        onDelta?.(received);
+      }
+    }
+    return received;
+  };
+
+  try {
+    const prompt = messages ?? buildPrompt(promptSettings);
+    const raw = await streamPrompt(prompt, { track: true });
+
+    let result = repairPost(raw, context);
+    if (result.violations.some(({ rule }) => rule === 'error_sentinel')) {
+      text = '';
+      throw new ApiError(422, 'model_refused', 'The model could not use the article');
+    }
+    text = result.text;
+
+    if (needsRepairPrompt(result.violations)) {
+      try {
+        const repairInput = messages
+          ? [...messages, { role: 'assistant', content: text }, { role: 'user', content: buildRepairInstruction(result.violations) }]
+          : buildRepairPrompt(prompt, text, result.violations);
+        const retry = repairPost(await streamPrompt(repairInput), context);
+        if (scoreViolations(retry.violations) < scoreViolations(result.violations)) result = retry;
+      } catch (error) {
+        // Si falla la corrección se queda el primer intento, con sus infracciones
+        if (signal?.aborted) throw error;
+        console.error('Error repairing post:', error);
+      }
+      text = result.text;
+    }
+    onDelta?.(text);
+
+    return { text, cancelled: false, violations: result.violations };
+  } catch (error) {
+    if (signal?.aborted) {
+      return { text, cancelled: true, violations: [] };
+    }
+    const failure = stalled ? new ApiError(504, 'stream_stalled', 'The stream stopped sending data') : error;
+    failure.partialText = text;
+    throw failure;
+  } finally {
+    clearTimeout(timeout);
+    clearTimeout(stallTimer);
+    signal?.removeEventListener('abort', abort);
+  }
+};
+
+// Devuelve la clave de traducción del error, para mostrarla con `t()`
+export const getGenerationErrorKey = (error) => {
+  if (error.name === 'AbortError') {
+    return 'generationErrors.timeout';
+  }
+  if (EXTRACTION_ERROR_CODES.includes(error.code)) {
+    return `extractionErrors.${error.code}`;
+  }
+  if (error.code === 'stream_stalled') {
+    return 'generationErrors.stalled';
+  }
+  if (error.code === 'model_refused') {
+    return 'generationErrors.refused';
+  }
+  if (error.status === 401) {
+    return 'generationErrors.sessionExpired';
+  }
+  if (error.code === 'quota_exceeded') {
+    return 'generationErrors.quotaExceeded';
+  }
+  if (error.status === 429) {
+    return 'generationErrors.rateLimited';
+  }
+  return 'generationErrors.generic';
+};
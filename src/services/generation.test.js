@@ -0,0 +1,141 @@
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server';
+import { API_URL, testArticle, testPost, ndjson, streamText, stalledStream, apiError } from '../mocks/handlers';
+import { generatePost, getGenerationErrorKey, STALL_TIMEOUT_MS } from './generation';
+
+const settings = {
+  provider: 'gemini',
+  model: 'gemini-2.0-flash',
+  article: testArticle,
+  url: testArticle.url,
+  postLength: 'medium',
+  lengthUnit: 'words',
+  language: 'es-ES',
+  useEmojis: false
+};
+
+const footer = `Más información: ${testArticle.url}`;
+
+afterEach(() => jest.useRealTimers());
+
+const useStream = (...responses) => {
+  const requests = [];
+  server.use(http.post(`${API_URL}/api/generate/stream`, async ({ request }) => {
+    requests.push(await request.clone().json());
+    return responses[Math.min(requests.length, responses.length) - 1](request);
+  }));
+  return requests;
+};
+
+test('streams the post and adds the link back to the article', async () => {
+  const requests = useStream(() => streamText(testPost));
+  const onDelta = jest.fn();
+
+  const result = await generatePost({ ...settings, onDelta });
+
+  expect(result).toEqual({ text: `${testPost}\n\n${footer}`, cancelled: false, violations: [] });
+  expect(requests).toHaveLength(1);
+  expect(requests[0]).toMatchObject({ provider: 'gemini', model: 'gemini-2.0-flash' });
+  expect(requests[0].prompt).toContain(testArticle.title);
+  expect(onDelta.mock.calls.length).toBeGreaterThan(2);
+  expect(onDelta).toHaveBeenNthCalledWith(1, testPost.slice(0, testPost.indexOf('\n') + 1));
+  expect(onDelta).toHaveBeenLastCalledWith(result.text);
+});
+
+test('asks the model once more when the post is too short', async () => {
+  const requests = useStream(() => streamText('Un post demasiado corto.'), () => streamText(testPost));
+
+  const { text, violations } = await generatePost(settings);
+
+  expect(requests).toHaveLength(2);
+  expect(requests[1].prompt).toContain('Un post demasiado corto.');
+  expect(text).toBe(`${testPost}\n\n${footer}`);
+  expect(violations).toEqual([]);
+});
+
+test('only streams the first attempt when the correction is rejected', async () => {
+  const short = 'Un post demasiado corto.';
+  useStream(() => streamText(short), () => streamText('Más corto.'));
+  const onDelta = jest.fn();
+
+  const { text, violations } = await generatePost({ ...settings, url: '', onDelta });
+
+  expect(text).toBe(short);
+  expect(violations).not.toEqual([]);
+  expect(onDelta.mock.calls.flat().every((received) => short.startsWith(received))).toBe(true);
+  expect(onDelta).toHaveBeenLastCalledWith(text);
+});
+
+test('reports backend errors with their own message', async () => {
+  useStream(() => apiError(429, 'quota_exceeded'));
+  const quota = await generatePost(settings).catch((error) => error);
+  expect(quota).toMatchObject({ status: 429, code: 'quota_exceeded' });
+  expect(getGenerationErrorKey(quota)).toBe('generationErrors.quotaExceeded');
+
+  useStream(() => new HttpResponse('Bad gateway', { status: 502 }));
+  const gateway = await generatePost(settings).catch((error) => error);
+  expect(gateway).toMatchObject({ status: 502, code: 'http_error' });
+  expect(getGenerationErrorKey(gateway)).toBe('generationErrors.generic');
+});
+
+test('keeps the text received before the model fails', async () => {
+  useStream(() => ndjson([
+    { type: 'delta', text: 'Escribir para ' },
+    { type: 'error', error: { code: 'upstream_error', message: 'HTTP error! status: 500' } }
+  ]));
+
+  await expect(generatePost(settings)).rejects.toMatchObject({
+    status: 502,
+    code: 'upstream_error',
+    partialText: 'Escribir para '
+  });
+});
+
+test('stops when the stream stalls', async () => {
+  useStream((request) => stalledStream(request, 'Escribir para '));
+  // Los temporizadores 'modern' también detienen process.nextTick, del que dependen los streams
+  jest.useFakeTimers('legacy');
+  let received;
+  const firstDelta = new Promise((resolve) => { received = resolve; });
+
+  const pending = generatePost({ ...settings, onDelta: received }).catch((failure) => failure);
+  await firstDelta;
+  jest.advanceTimersByTime(STALL_TIMEOUT_MS);
+  const error = await pending;
+
+  expect(error).toMatchObject({ status: 504, code: 'stream_stalled', partialText: 'Escribir para ' });
+  expect(getGenerationErrorKey(error)).toBe('generationErrors.stalled');
+});
+
+test('returns the partial text when the user stops the generation', async () => {
+  useStream((request) => stalledStream(request, 'Escribir para '));
+  const controller = new AbortController();
+
+  const result = await generatePost({
+    ...settings,
+    signal: controller.signal,
+    onDelta: () => controller.abort()
+  });
+
+  expect(result).toEqual({ text: 'Escribir para ', cancelled: true, violations: [] });
+});
+
+test('rejects invalid responses', async () => {
+  useStream(() => ndjson([{ type: 'error', error: { code: 'invalid_response', message: 'Invalid API response format' } }]));
+  await expect(generatePost(settings)).rejects.toMatchObject({ code: 'invalid_response' });
+
+  useStream(() => ndjson([{ type: 'delta', text: 'Escribir para ' }]));
+  await expect(generatePost(settings)).rejects.toMatchObject({ code: 'stream_incomplete', partialText: 'Escribir para ' });
+
+  useStream(() => new HttpResponse('<html>Not JSON</html>\n', { headers: { 'Content-Type': 'text/html' } }));
+  await expect(generatePost(settings)).rejects.toThrow(SyntaxError);
+});
+
+test('treats the error sentinel as a refusal', async () => {
+  useStream(() => streamText('ERROR: no se puede acceder al contenido del artículo.'));
+
+  const error = await generatePost(settings).catch((failure) => failure);
+
+  expect(error).toMatchObject({ code: 'model_refused', partialText: '' });
+  expect(getGenerationErrorKey(error)).toBe('generationErrors.refused');
+});
@@ -0,0 +1,34 @@
+import { supabase } from '../config/supabase';
+
+export const HASHTAG_LISTS = ['favorite', 'banned'];
+
+// Hashtags favoritos y vetados del usuario, con «#»
+export const listHashtagLists = async ({ userId }) => {
+  const { data, error } = await supabase
+    .from('hashtag_lists')
+    .select('tag, list')
+    .eq('user_id', userId)
+    .order('tag_key', { ascending: true });
+  if (error) throw error;
+  return {
+    favorite: data.filter((row) => row.list === 'favorite').map((row) => `#${row.tag}`),
+    banned: data.filter((row) => row.list === 'banned').map((row) => `#${row.tag}`)
+  };
+};
+
+// Un hashtag solo está en una lista: añadirlo a la otra lo mueve
+export const addToHashtagList = async ({ userId, tag, list }) => {
+  const { error } = await supabase
+    .from('hashtag_lists')
+    .upsert({ user_id: userId, tag: tag.replace(/^#/, ''), list }, { onConflict: 'user_id,tag_key' });
+  if (error) throw error;
+};
+
+export const removeFromHashtagList = async ({ userId, tag }) => {
+  const { error } = await supabase
+    .from('hashtag_lists')
+    .delete()
+    .eq('user_id', userId)
+    .eq('tag_key', tag.replace(/^#/, '').toLowerCase());
+  if (error) throw error;
+};
@@ -0,0 +1,277 @@
+export const MAX_HASHTAG_SUGGESTIONS = 10;
+export const MAX_MENTION_SUGGESTIONS = 6;
+
+// Palabras vacías (es, en, ca, pt) sin tildes. Las de menos de cuatro letras ya se descartan por longitud
+const STOPWORDS = new Set(`
+  para como pero porque sobre entre desde hasta cuando donde este esta estos estas esto aquel aquella
+  otro otra otros otras todo toda todos todas cada mismo misma mucho mucha muchos muchas poco tambien
+  tiene tienen tener hace hacer hacen puede pueden poder sido sera seran estan estar estaba eran habia
+  haber mas menos solo sino segun tras durante mediante ante bajo contra hacia aunque mientras antes
+  despues ahora aqui alli asi bien veces cual cuales quien quienes nuestro nuestra nuestros nuestras
+  ellos ellas usted ustedes dice dijo ademas incluso embargo parte traves forma manera caso anos dias
+  siempre nunca tanto tanta algo alguno alguna algunos algunas ninguna ella cosa cosas gran mayor menor
+  mejor peor nuevo nueva nuevos nuevas primer primera segundo tenia sean informacion
+  that this these those with from have been being were they them their there here what when where
+  which while whom whose about into over under after before than then also just more most some such
+  only other very your yours ours because through between during without within each both many much
+  does doing done make made like said says even still well back first last year years time times
+  will would could should information
+  amb aquest aquesta aquests aquestes aixo aquell tambe molt molta molts moltes pels dels fins quan
+  quin quina quins quines seva seus seves tots totes tota perque sense despres abans encara doncs poden
+  altre altra altres nostre nostra nostres elles informacio
+  isto esse essa esses essas isso aquele muito muita muitos muitas estao podem pelo pela pelos pelas
+  suas nosso nossa ainda apenas depois agora assim quais eles voce disse alem atraves anos sempre
+  algum alguns nenhum coisa grande melhor pior novo primeiro hoje fazer feito numa informacao
+`.trim().split(/\s+/));
+
+// Palabras que abren frase con mayúscula sin ser un nombre propio
+const LEADING_WORDS = new Set([
+  ...STOPWORDS,
+  'el', 'la', 'los', 'las', 'un', 'una', 'en', 'y', 'o', 'de', 'del', 'al', 'con', 'por', 'hoy', 'ayer',
+  'the', 'a', 'an', 'in', 'on', 'at', 'of', 'and', 'or', 'for', 'to', 'by', 'today', 'yesterday', 'why', 'how',
+  'els', 'les', 'i', 'amb', 'avui', 'per', 'o', 'os', 'as', 'um', 'uma', 'no', 'na', 'e', 'com', 'ontem'
+]);
+
+// Enlaces dentro de un nombre: «Banco de España», «Bank of America»
+const NAME_CONNECTORS = new Set(['de', 'del', 'of', 'da', 'do', 'das', 'dos', 'van', 'von', 'der', 'di', 'du']);
+
+const COMPANY_WORDS = new Set([
+  'inc', 'corp', 'corporation', 'ltd', 'llc', 'plc', 'gmbh', 'ag', 'sa', 'sl', 'slu', 'sau', 'spa', 'bv', 'nv',
+  'group', 'grupo', 'holding', 'holdings', 'labs', 'technologies', 'systems', 'bank', 'banco', 'company',
+  'partners', 'ventures', 'capital', 'foundation', 'fundacion', 'fundacio', 'university', 'universidad',
+  'universitat', 'universidade', 'institute', 'instituto', 'institut'
+]);
+
+// Siglas frecuentes que no son empresas
+const COMMON_ACRONYMS = new Set(['ceo', 'cto', 'cfo', 'coo', 'cmo', 'pib', 'gdp', 'usa', 'eeuu', 'eua', 'api', 'saas', 'kpi', 'roi', 'faq', 'pdf']);
+
+const WORD = /[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu;
+const TAG = /[#@][\p{L}\p{N}_]+/gu;
+// Una línea formada solo por hashtags (y menciones de una palabra): la que se completa al añadir
+const TAG_LINE = /^(?:[#@][\p{L}\p{N}_]+\s*)+$/u;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Clave para comparar hashtags: sin «#», tildes, mayúsculas ni separadores
+export const getHashtagKey = (value) => value
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}_]/gu, '');
+
+// «inteligencia artificial» → «#InteligenciaArtificial»; respeta las mayúsculas de «OpenAI» o «IA»
+export const toHashtag = (phrase) => {
+  const tag = (phrase.match(WORD) ?? [])
+    .flatMap((word) => word.split('-'))
+    .map((word) => (word === word.toLowerCase() ? word.charAt(0).toUpperCase() + word.slice(1) : word))
+    .join('');
+  return tag ? `#${tag}` : null;
+};
+
+// Lo que escribe el usuario en sus listas («#ia», «machine learning»), en forma de hashtag
+export const normalizeHashtag = (input) => toHashtag(input.replace(/^#+/, '').trim());
+
+export const getHashtags = (text) => text.match(/#[\p{L}\p{N}_]+/gu) ?? [];
+
+const isAcronym = (word) => word.length >= 2 && word.length <= 6 && word === word.toUpperCase() && /\p{Lu}/u.test(word);
+
+const isTopicWord = (word) => {
+  const key = getHashtagKey(word);
+  if (/^\d+$/.test(key) || STOPWORDS.has(key)) return false;
+  return key.length >= 4 || (isAcronym(word) && !COMMON_ACRONYMS.has(key));
+};
+
+// Frases sin enlaces ni hashtags: los términos no cruzan signos de puntuación.
+// De las menciones se quita la «@» para que sigan contando como nombres
+const getClauses = (text, { keepMentions = false } = {}) => text
+  .replace(/https?:\/\/\S+/g, ' ')
+  .replace(keepMentions ? /#[\p{L}\p{N}_]+/gu : TAG, ' ')
+  .replace(/@/g, '')
+  .split(/[.,;:!?¡¿()[\]{}"«»“”\n]+/);
+
+const addTerm = (terms, phrase, weight) => {
+  const key = getHashtagKey(phrase);
+  const term = terms.get(key) ?? { key, score: 0, forms: new Map() };
+  term.score += weight;
+  term.forms.set(phrase, (term.forms.get(phrase) ?? 0) + 1);
+  terms.set(key, term);
+};
+
+const collectTerms = (terms, text, weight) => {
+  const pairs = new Map();
+  getClauses(text).forEach((clause) => {
+    const words = clause.match(WORD) ?? [];
+    words.forEach((word, i) => {
+      if (!isTopicWord(word)) return;
+      addTerm(terms, word, weight);
+      const next = words[i + 1];
+      if (next && isTopicWord(next)) {
+        const pair = `${word} ${next}`;
+        pairs.set(pair, (pairs.get(pair) ?? 0) + 1);
+      }
+    });
+  });
+  // Las parejas solo cuentan si se repiten, y puntúan algo más que una palabra suelta
+  pairs.forEach((count, pair) => {
+    if (count > 1) addTerm(terms, pair, weight * count * 1.5);
+  });
+};
+
+const getTopForm = (forms) => [...forms.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+// Hashtags ordenados por relevancia a partir del texto de origen y del post generado
+// (que pesa el doble). Primero los favoritos que aparecen en el texto, después el resto por
+// puntuación y al final los demás favoritos. Nunca incluye los vetados.
+export const suggestHashtags = ({ source = '', content = '', favorites = [], banned = [], limit = MAX_HASHTAG_SUGGESTIONS }) => {
+  const bannedKeys = new Set(banned.map(getHashtagKey));
+  const favoriteTags = new Map(favorites.map((tag) => [getHashtagKey(tag), toHashtag(tag)]));
+  const selectedKeys = new Set(getHashtags(content).map(getHashtagKey));
+
+  const terms = new Map();
+  collectTerms(terms, source, 1);
+  collectTerms(terms, content, 2);
+
+  const found = [...terms.values()]
+    .filter(({ key }) => !bannedKeys.has(key) && !selectedKeys.has(key))
+    .map(({ key, score, forms }) => ({
+      tag: favoriteTags.get(key) ?? toHashtag(getTopForm(forms)),
+      key,
+      score,
+      favorite: favoriteTags.has(key)
+    }))
+    .sort((a, b) => Number(b.favorite) - Number(a.favorite) || b.score - a.score)
+    .slice(0, limit);
+
+  const listed = new Set(found.map(({ key }) => key));
+  const otherFavorites = [...favoriteTags.entries()]
+    .filter(([key]) => !listed.has(key) && !bannedKeys.has(key) && !selectedKeys.has(key))
+    .map(([key, tag]) => ({ tag, key, score: 0, favorite: true }));
+
+  // Los que ya están en el post van delante, para poder quitarlos
+  const selected = getHashtags(content)
+    .filter((tag, i, all) => all.findIndex((other) => getHashtagKey(other) === getHashtagKey(tag)) === i)
+    .map((tag) => ({ tag, key: getHashtagKey(tag), score: 0, favorite: favoriteTags.has(getHashtagKey(tag)), selected: true }));
+
+  return [...selected, ...found, ...otherFavorites].map((item) => ({ selected: false, ...item }));
+};
+
+// Añade el hashtag a la línea final de hashtags, o abre una nueva
+export const addHashtag = (text, tag) => {
+  const trimmed = text.trimEnd();
+  const lastLine = trimmed.slice(trimmed.lastIndexOf('\n') + 1).trim();
+  if (!trimmed) return tag;
+  return TAG_LINE.test(lastLine) ? `${trimmed} ${tag}` : `${trimmed}\n\n${tag}`;
+};
+
+const tidy = (text) => text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trimEnd();
+
+// En la línea de hashtags se borra; dentro de una frase solo se quita la «#»
+export const removeHashtag = (text, tag) => {
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(tag)}(?![\\p{L}\\p{N}_])`, 'giu');
+  return tidy(text.split('\n').map((line) => (TAG_LINE.test(line.trim())
+    ? line.replace(pattern, '$1').replace(/\s+/g, ' ').trim()
+    : line.replace(pattern, (match, before) => before + match.slice(before.length + 1))
+  )).join('\n'));
+};
+
+const getMentionPattern = (name, flags = 'u') =>
+  new RegExp(`(^|[^@\\p{L}\\p{N}_])(${escapeRegExp(name)})(?![\\p{L}\\p{N}_])`, flags);
+
+export const isMentioned = (text, name) =>
+  new RegExp(`@${escapeRegExp(name)}(?![\\p{L}\\p{N}_])`, 'u').test(text);
+
+// Convierte en mención la primera vez que aparece el nombre; si no aparece, lo añade
+// en un párrafo propio antes de la línea de hashtags
+export const addMention = (text, name) => {
+  const pattern = getMentionPattern(name);
+  if (pattern.test(text)) return text.replace(pattern, '$1@$2');
+
+  const trimmed = text.trimEnd();
+  const breakIndex = trimmed.lastIndexOf('\n');
+  const lastLine = trimmed.slice(breakIndex + 1).trim();
+  if (!trimmed) return `@${name}`;
+  if (breakIndex !== -1 && TAG_LINE.test(lastLine)) {
+    return `${trimmed.slice(0, breakIndex).trimEnd()}\n\n@${name}\n\n${lastLine}`;
+  }
+  return `${trimmed}\n\n@${name}`;
+};
+
+export const removeMention = (text, name) => tidy(text
+  .split('\n')
+  .filter((line) => line.trim() !== `@${name}`)
+  .join('\n')
+  .replace(new RegExp(`@(${escapeRegExp(name)})(?![\\p{L}\\p{N}_])`, 'gu'), '$1'));
+
+const isCapitalized = (word) => /^\p{Lu}/u.test(word);
+const hasInnerCapitals = (word) => /^\p{L}[\p{Ll}\p{N}]*\p{Lu}/u.test(word) && !isAcronym(word);
+
+const getNameType = (words) => {
+  const keys = words.map(getHashtagKey);
+  if (keys.some((key) => COMPANY_WORDS.has(key))) return 'company';
+  if (words.length === 1) {
+    const [word] = words;
+    if (hasInnerCapitals(word)) return 'company';
+    if (isAcronym(word) && word.length >= 3 && !COMMON_ACRONYMS.has(keys[0])) return 'company';
+    return null;
+  }
+  const plain = words.filter((word) => !NAME_CONNECTORS.has(word));
+  if (plain.length <= 3 && plain.every((word) => /^\p{Lu}[\p{Ll}'’-]+$/u.test(word))) return 'person';
+  return 'company';
+};
+
+// Secuencias de palabras con mayúscula inicial, sin contar la que solo abre la frase
+const collectNames = (names, text, weight) => {
+  getClauses(text.replace(/\b(S\.A\.U?|S\.L\.U?)(?=\s|$)/g, (match) => match.replace(/\./g, '')), { keepMentions: true })
+    .forEach((clause) => {
+      const words = clause.match(WORD) ?? [];
+      let run = [];
+      const flush = () => {
+        while (run.length && NAME_CONNECTORS.has(run[run.length - 1])) run.pop();
+        const type = run.length && getNameType(run);
+        if (type) {
+          const name = run.join(' ');
+          const entry = names.get(name) ?? { name, type, score: 0 };
+          entry.score += weight;
+          names.set(name, entry);
+        }
+        run = [];
+      };
+
+      words.forEach((word, i) => {
+        if (isCapitalized(word) && !(i === 0 && LEADING_WORDS.has(getHashtagKey(word)))) {
+          run.push(word);
+        } else if (run.length && NAME_CONNECTORS.has(word) && isCapitalized(words[i + 1] ?? '')) {
+          run.push(word);
+        } else {
+          flush();
+        }
+      });
+      flush();
+    });
+};
+
+const stripBylinePrefix = (byline) => byline.replace(/^(por|by|per)\s+/i, '').trim();
+
+// Empresas y personas que podrían mencionarse con «@». El autor y el medio del
+// artículo, si se conocen, puntúan algo más
+export const suggestMentions = ({ source = '', content = '', article = null, limit = MAX_MENTION_SUGGESTIONS }) => {
+  const names = new Map();
+  collectNames(names, source, 1);
+  collectNames(names, content, 2);
+
+  const byline = article?.byline && stripBylinePrefix(article.byline);
+  if (byline && /^(\p{Lu}[\p{L}'’-]*\s?){2,4}$/u.test(byline)) {
+    names.set(byline, { name: byline, type: 'person', score: (names.get(byline)?.score ?? 0) + 3 });
+  }
+  const siteName = article?.siteName;
+  if (siteName && !siteName.includes('.')) {
+    names.set(siteName, { name: siteName, type: 'company', score: (names.get(siteName)?.score ?? 0) + 3 });
+  }
+
+  // «Microsoft» sobra si también aparece «Microsoft Research» con más peso
+  const ranked = [...names.values()].sort((a, b) => b.score - a.score || b.name.length - a.name.length);
+  return ranked
+    .filter((entry, i) => !ranked.slice(0, i).some((other) => getMentionPattern(entry.name).test(other.name)))
+    .slice(0, limit)
+    .map((entry) => ({ ...entry, selected: isMentioned(content, entry.name) }));
+};
@@ -0,0 +1,67 @@
+import { suggestHashtags, suggestMentions, addHashtag, removeHashtag, addMention, removeMention, toHashtag, normalizeHashtag } from './hashtags';
+
+const source = 'La inteligencia artificial cambia la logística. Las empresas de logística usan inteligencia artificial '
+  + 'para planificar rutas, y la inteligencia artificial reduce costes.';
+
+test('builds hashtags in camel case, keeping acronyms', () => {
+  expect(toHashtag('inteligencia artificial')).toBe('#InteligenciaArtificial');
+  expect(toHashtag('IA')).toBe('#IA');
+  expect(normalizeHashtag('##machine learning')).toBe('#MachineLearning');
+});
+
+test('ranks repeated topics first and leaves out stopwords', () => {
+  const tags = suggestHashtags({ source, content: 'La logística ya no es la misma.' }).map(({ tag }) => tag);
+  expect(tags.slice(0, 2)).toEqual(['#InteligenciaArtificial', '#Logística']);
+  expect(tags).not.toContain('#Para');
+});
+
+test('puts favourites first, drops banned hashtags and marks the ones already in the post', () => {
+  const suggestions = suggestHashtags({
+    source,
+    content: 'Un post.\n\n#IA',
+    favorites: ['Rutas', 'SupplyChain'],
+    banned: ['#logistica']
+  });
+  expect(suggestions[0]).toMatchObject({ tag: '#IA', selected: true });
+  expect(suggestions[1]).toMatchObject({ tag: '#Rutas', favorite: true });
+  expect(suggestions[suggestions.length - 1]).toMatchObject({ tag: '#SupplyChain', favorite: true, score: 0 });
+  expect(suggestions.map(({ key }) => key)).not.toContain('logistica');
+});
+
+test('adds hashtags to a final hashtag line and removes them again', () => {
+  const post = 'Texto del post.\n\nMás información: https://example.com';
+  const withOne = addHashtag(post, '#IA');
+  expect(withOne).toBe(`${post}\n\n#IA`);
+  const withTwo = addHashtag(withOne, '#Logística');
+  expect(withTwo).toBe(`${post}\n\n#IA #Logística`);
+  expect(removeHashtag(withTwo, '#ia')).toBe(`${post}\n\n#Logística`);
+  expect(removeHashtag(removeHashtag(withTwo, '#IA'), '#Logística')).toBe(post);
+});
+
+test('removing an inline hashtag keeps the word', () => {
+  expect(removeHashtag('La #IA avanza.\n\n#IA #Datos', '#IA')).toBe('La IA avanza.\n\n#Datos');
+});
+
+test('finds companies and people, skipping capitalised sentence starts', () => {
+  const mentions = suggestMentions({
+    source: 'Hoy OpenAI y Banco Santander firmaron un acuerdo. Según Satya Nadella, Microsoft Research participa. El acuerdo con OpenAI es largo.',
+    article: { byline: 'Por Ana López', siteName: 'El Diario' }
+  });
+  const byName = Object.fromEntries(mentions.map(({ name, type }) => [name, type]));
+  expect(byName).toMatchObject({
+    OpenAI: 'company',
+    'Banco Santander': 'company',
+    'Satya Nadella': 'person',
+    'Ana López': 'person',
+    'El Diario': 'company'
+  });
+  expect(byName).not.toHaveProperty('Hoy');
+  expect(byName).not.toHaveProperty('El');
+});
+
+test('turns the first occurrence of a name into a mention, or adds it before the hashtags', () => {
+  expect(addMention('Según Satya Nadella, sí.', 'Satya Nadella')).toBe('Según @Satya Nadella, sí.');
+  expect(addMention('Un post.\n\n#IA', 'OpenAI')).toBe('Un post.\n\n@OpenAI\n\n#IA');
+  expect(removeMention('Un post.\n\n@OpenAI\n\n#IA', 'OpenAI')).toBe('Un post.\n\n#IA');
+  expect(removeMention('Según @Satya Nadella, sí.', 'Satya Nadella')).toBe('Según Satya Nadella, sí.');
+});
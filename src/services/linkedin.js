@@ -0,0 +1,44 @@
+import { apiFetch } from './api';
+
+// Errores del backend con mensaje propio en `linkedinErrors.*`
+const LINKEDIN_ERROR_CODES = [
+  'linkedin_not_configured',
+  'linkedin_not_connected',
+  'linkedin_reauth_required',
+  'linkedin_author_forbidden',
+  'linkedin_denied',
+  'invalid_state',
+  'text_too_long',
+  'invalid_text',
+];
+
+// Tipo del mensaje con el que la ventana del OAuth avisa a la app (ver LinkedInCallback)
+export const LINKEDIN_MESSAGE_TYPE = 'linkedin-oauth';
+
+export const getLinkedInStatus = () => apiFetch('/api/linkedin/status');
+
+export const getLinkedInConnectUrl = async () => {
+  const { url } = await apiFetch('/api/linkedin/connect', { method: 'POST' });
+  return url;
+};
+
+export const disconnectLinkedIn = () => apiFetch('/api/linkedin/connection', { method: 'DELETE' });
+
+// Devuelve { urn, url } del post publicado
+export const publishToLinkedIn = ({ author, text, article }) =>
+  apiFetch('/api/linkedin/posts', {
+    method: 'POST',
+    body: { author, text, article }
+  });
+
+// { impressions, reactions, comments, reshares } de un post publicado; impresiones y compartidos
+// solo llegan de las páginas de empresa (null en los perfiles personales)
+export const fetchLinkedInPostStats = ({ urn, author }) => {
+  const params = new URLSearchParams({ urn, ...(author && { author }) });
+  return apiFetch(`/api/linkedin/posts/stats?${params}`);
+};
+
+export const getLinkedInPostUrl = (urn) => `https://www.linkedin.com/feed/update/${urn}/`;
+
+export const getLinkedInErrorKey = (error) =>
+  LINKEDIN_ERROR_CODES.includes(error?.code) ? `linkedinErrors.${error.code}` : 'linkedinErrors.generic';
@@ -0,0 +1,26 @@
+export const LINKEDIN_MAX_LENGTH = 3000;
+export const LINKEDIN_FOLD_LENGTH = 210;
+export const LINKEDIN_FOLD_LINES = 3;
+
+// LinkedIn cuenta unidades UTF-16, igual que String.length (un emoji suele contar 2)
+export const countCharacters = (text) => text.length;
+
+// Posición en la que el feed corta el texto con «…ver más», o null si se ve entero.
+// El corte llega con el tercer salto de línea o hacia el carácter 210, lo que ocurra antes.
+export const getFoldIndex = (text) => {
+  const visible = text.trimEnd();
+  let lines = 0;
+
+  for (let i = 0; i < Math.min(visible.length, LINKEDIN_FOLD_LENGTH); i += 1) {
+    if (visible[i] === '\n') {
+      lines += 1;
+      if (lines === LINKEDIN_FOLD_LINES) return i;
+    }
+  }
+
+  if (visible.length <= LINKEDIN_FOLD_LENGTH) return null;
+
+  // Sin partir palabras por la mitad
+  const lastSpace = visible.lastIndexOf(' ', LINKEDIN_FOLD_LENGTH);
+  return lastSpace > LINKEDIN_FOLD_LENGTH - 30 ? lastSpace : LINKEDIN_FOLD_LENGTH;
+};
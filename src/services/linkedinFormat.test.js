@@ -0,0 +1,17 @@
+import { getFoldIndex, LINKEDIN_FOLD_LENGTH } from './linkedinFormat';
+
+test('does not fold short posts', () => {
+  expect(getFoldIndex('Un post corto.\n\nMás información: https://example.com')).toBeNull();
+});
+
+test('folds at the third line break', () => {
+  const text = 'Uno\nDos\nTres\nCuatro';
+  expect(getFoldIndex(text)).toBe(text.indexOf('\nCuatro'));
+});
+
+test('folds long paragraphs near the character limit without splitting words', () => {
+  const text = 'palabra '.repeat(60);
+  const index = getFoldIndex(text);
+  expect(index).toBeLessThanOrEqual(LINKEDIN_FOLD_LENGTH);
+  expect(text[index]).toBe(' ');
+});
@@ -0,0 +1,53 @@
+import { apiFetch, apiRequest, ApiError } from '../api';
+
+// Las claves y la implementación de cada proveedor viven en el backend (server/llm)
+export const fetchProviders = async () => {
+  const { providers } = await apiFetch('/api/providers');
+  return providers;
+};
+
+// `messages` ({ role: 'user' | 'assistant', content }) sustituye a `prompt` para seguir una conversación
+export const generateText = ({ provider, model, prompt, messages, temperature, signal }) =>
+  apiFetch('/api/generate', {
+    method: 'POST',
+    body: { provider, model, prompt, messages, temperature },
+    signal
+  });
+
+// Devuelve los fragmentos de texto a medida que llegan (NDJSON, ver server/routes/generate.js)
+export async function* streamText({ provider, model, prompt, messages, temperature, signal }) {
+  const response = await apiRequest('/api/generate/stream', {
+    method: 'POST',
+    body: { provider, model, prompt, messages, temperature },
+    signal
+  });
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines.filter(Boolean)) {
+        const message = JSON.parse(line);
+        if (message.type === 'delta') {
+          yield message.text;
+        } else if (message.type === 'error') {
+          throw new ApiError(502, message.error.code, message.error.message);
+        } else if (message.type === 'done') {
+          return;
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+
+  throw new ApiError(502, 'stream_incomplete', 'The stream ended unexpectedly');
+}
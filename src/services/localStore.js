@@ -0,0 +1,46 @@
+// Almacén local en IndexedDB: borradores del generador, ajustes que hacen falta sin
+// conexión y la cola de generaciones pendientes. Sin IndexedDB (tests, navegación privada
+// de algunos navegadores) las lecturas devuelven vacío y las escrituras no hacen nada
+const DB_NAME = 'postink';
+const DB_VERSION = 1;
+const STORES = ['drafts', 'settings', 'queue'];
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        STORES.forEach((name) => {
+          if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (storeName, mode, operation, fallback) => {
+  const db = await openDb();
+  if (!db) return fallback;
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result ?? fallback);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const getItem = (storeName, key) => run(storeName, 'readonly', (store) => store.get(key), null);
+
+export const setItem = (storeName, key, value) => run(storeName, 'readwrite', (store) => store.put(value, key), null);
+
+export const removeItem = (storeName, key) => run(storeName, 'readwrite', (store) => store.delete(key), null);
+
+export const getAllItems = (storeName) => run(storeName, 'readonly', (store) => store.getAll(), []);
@@ -0,0 +1,44 @@
+// Cola de generaciones pedidas sin conexión. Cada elemento guarda los ajustes de la
+// generación y la fuente: el artículo ya leído (texto, archivo o vídeo) o, con URL,
+// null para extraerlo cuando vuelva la conexión
+export const createQueueItem = ({ userId, workspaceId, settings, article = null }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  userId,
+  workspaceId,
+  createdAt: new Date().toISOString(),
+  status: 'pending',
+  error: null,
+  title: article?.title || settings.url || '',
+  article,
+  settings
+});
+
+// Genera el post de un elemento y lo guarda en el historial con `save`. Cada generación gasta
+// cuota: el texto se guarda antes en el elemento (`persist`) y, si lo que falla es guardarlo en
+// el historial, el siguiente intento solo repite eso. generatePost ya pasa el texto por las
+// reglas de validation.js; `result.violations` son las que quedan por revisar
+export const runQueueItem = async (item, { extract, generate, save, persist }) => {
+  let current = item;
+  if (!current.result) {
+    const article = current.article ?? await extract(current.settings.url);
+    const { text, violations } = await generate({ article, ...current.settings });
+    current = { ...current, article, result: { text, violations } };
+    await persist(current);
+  }
+  await save(current);
+  return current;
+};
+
+// Pendientes de un usuario, de la más antigua a la más reciente
+export const getPendingItems = (items, userId) => items
+  .filter((item) => item.userId === userId && item.status === 'pending')
+  .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+// Un fallo de red o del servidor se reintenta al volver la conexión; el resto (URL que no
+// se puede leer, sesión caducada, cuota agotada, el modelo se niega…) deja el elemento como fallido
+export const isRetryableError = (error) => {
+  if (error instanceof TypeError) return true;
+  if (error.code?.endsWith('_not_configured') || error.code === 'quota_exceeded') return false;
+  if (error.code === 'stream_stalled' || error.name === 'AbortError') return true;
+  return error.status === 429 || error.status >= 500;
+};
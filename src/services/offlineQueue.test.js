@@ -0,0 +1,58 @@
+import { createQueueItem, getPendingItems, isRetryableError, runQueueItem } from './offlineQueue';
+
+const apiError = (status, code) => Object.assign(new Error(code), { status, code });
+
+test('queues a generation with its settings and source', () => {
+  const settings = { url: 'https://example.com/articulo', tone: 'professional', postLength: 'medium' };
+  const item = createQueueItem({ userId: 'u1', workspaceId: 'w1', settings });
+  expect(item).toMatchObject({ userId: 'u1', workspaceId: 'w1', status: 'pending', error: null, article: null, settings });
+  expect(item.title).toBe('https://example.com/articulo');
+
+  const article = { url: null, title: 'Notas de la reunión', text: 'Texto' };
+  expect(createQueueItem({ userId: 'u1', workspaceId: 'w1', settings: { url: null }, article }).title).toBe('Notas de la reunión');
+});
+
+test('returns the pending items of a user, oldest first', () => {
+  const items = [
+    { id: 'b', userId: 'u1', status: 'pending', createdAt: '2026-10-19T10:05:00.000Z' },
+    { id: 'c', userId: 'u2', status: 'pending', createdAt: '2026-10-19T10:00:00.000Z' },
+    { id: 'a', userId: 'u1', status: 'pending', createdAt: '2026-10-19T10:00:00.000Z' },
+    { id: 'd', userId: 'u1', status: 'failed', createdAt: '2026-10-19T09:00:00.000Z' }
+  ];
+  expect(getPendingItems(items, 'u1').map((item) => item.id)).toEqual(['a', 'b']);
+});
+
+test('retries network and server failures but not permanent errors', () => {
+  expect(isRetryableError(new TypeError('Failed to fetch'))).toBe(true);
+  expect(isRetryableError(apiError(502, 'upstream_error'))).toBe(true);
+  expect(isRetryableError(apiError(429, 'rate_limited'))).toBe(true);
+  expect(isRetryableError(apiError(503, 'provider_not_configured'))).toBe(false);
+  expect(isRetryableError(apiError(429, 'quota_exceeded'))).toBe(false);
+  expect(isRetryableError(apiError(422, 'paywall'))).toBe(false);
+  expect(isRetryableError(apiError(401, 'unauthorized'))).toBe(false);
+});
+
+test('keeps the generated post and its violations, and only saves it again after a failed save', async () => {
+  const settings = { url: 'https://example.com/articulo', tone: 'professional' };
+  const article = { url: settings.url, title: 'Artículo', text: 'Texto' };
+  const violations = [{ rule: 'banned_words', severity: 'error' }];
+  const steps = {
+    extract: jest.fn().mockResolvedValue(article),
+    generate: jest.fn().mockResolvedValue({ text: 'Post', cancelled: false, violations }),
+    save: jest.fn().mockRejectedValueOnce(new TypeError('Failed to fetch')).mockResolvedValueOnce(),
+    persist: jest.fn()
+  };
+  const item = createQueueItem({ userId: 'u1', workspaceId: 'w1', settings });
+
+  await expect(runQueueItem(item, steps)).rejects.toThrow(TypeError);
+  const [stored] = steps.persist.mock.calls[0];
+  expect(stored).toMatchObject({ article, result: { text: 'Post', violations } });
+
+  const done = await runQueueItem(stored, steps);
+  expect(steps.extract).toHaveBeenCalledTimes(1);
+  expect(steps.generate).toHaveBeenCalledTimes(1);
+  expect(steps.generate).toHaveBeenCalledWith({ article, ...settings });
+  expect(steps.save).toHaveBeenCalledTimes(2);
+  expect(steps.save).toHaveBeenLastCalledWith(stored);
+  expect(done.result.violations).toEqual(violations);
+});
@@ -0,0 +1,82 @@
+// PDF mínimo con una imagen JPEG a página completa por página: es lo que LinkedIn
+// espera para un carrusel (post de documento). Sin dependencias: las diapositivas
+// ya vienen dibujadas en un canvas y aquí solo se empaquetan
+
+// Los píxeles del canvas se tratan como píxeles CSS (96 por pulgada)
+const PX_TO_PT = 72 / 96;
+
+// Todo lo que se escribe fuera de las imágenes es ASCII
+const ascii = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+
+// Texto PDF en UTF-16BE con BOM, en hexadecimal, para admitir acentos en el título
+const toPdfString = (text) => `<FEFF${Array.from(text)
+  .flatMap((char) => {
+    const code = char.codePointAt(0);
+    if (code <= 0xffff) return [code];
+    const offset = code - 0x10000;
+    return [0xd800 + (offset >> 10), 0xdc00 + (offset & 0x3ff)];
+  })
+  .map((unit) => unit.toString(16).toUpperCase().padStart(4, '0'))
+  .join('')}>`;
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+// `pages`: [{ jpeg: Uint8Array, width, height }] con el tamaño de la imagen en píxeles
+export const buildImagePdf = (pages, { title = '' } = {}) => {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (chunk) => {
+    const bytes = typeof chunk === 'string' ? ascii(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const startObject = (id) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+  };
+
+  // 1: catálogo, 2: árbol de páginas, 3: información; luego página, imagen y contenido de cada una
+  const pageIds = pages.map((_, i) => 4 + i * 3);
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+  startObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  startObject(2);
+  write(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+  startObject(3);
+  write(`<< /Producer (Postink)${title ? ` /Title ${toPdfString(title)}` : ''} >>\nendobj\n`);
+
+  pages.forEach((page, i) => {
+    const [pageId, imageId, contentId] = [pageIds[i], pageIds[i] + 1, pageIds[i] + 2];
+    const width = formatNumber(page.width * PX_TO_PT);
+    const height = formatNumber(page.height * PX_TO_PT);
+    const drawing = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+    startObject(pageId);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`);
+    startObject(imageId);
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+    write(page.jpeg);
+    write('\nendstream\nendobj\n');
+    startObject(contentId);
+    write(`<< /Length ${drawing.length} >>\nstream\n${drawing}\nendstream\nendobj\n`);
+  });
+
+  const objectCount = 3 + pages.length * 3;
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+  for (let id = 1; id <= objectCount; id += 1) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+};
@@ -0,0 +1,29 @@
+import { buildImagePdf } from './pdf';
+
+const toText = (bytes) => String.fromCharCode(...bytes);
+const fakeJpeg = (size) => Uint8Array.from({ length: size }, (_, i) => (i === 0 ? 0xff : i % 251));
+
+test('writes one full-page image per page with a valid cross-reference table', () => {
+  const pdf = buildImagePdf([
+    { jpeg: fakeJpeg(20), width: 1080, height: 1350 },
+    { jpeg: fakeJpeg(30), width: 1080, height: 1350 }
+  ], { title: 'Carrusel: IA en pymes' });
+  const text = toText(pdf);
+
+  expect(text.startsWith('%PDF-1.4')).toBe(true);
+  expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+  expect(text).toContain('/Count 2');
+  expect(text.match(/\/Type \/Page /g)).toHaveLength(2);
+  expect(text).toContain('/MediaBox [0 0 810 1012.5]');
+  expect(text).toContain('/Filter /DCTDecode /Length 20');
+  // Título en UTF-16BE: «C» = 0043
+  expect(text).toContain('/Title <FEFF0043');
+
+  // Cada entrada de la tabla apunta al inicio de su objeto
+  const xrefStart = Number(text.match(/startxref\n(\d+)/)[1]);
+  const entries = text.slice(xrefStart).split('\n').slice(3, 12);
+  entries.forEach((entry, i) => {
+    const offset = Number(entry.slice(0, 10));
+    expect(text.startsWith(`${i + 1} 0 obj\n`, offset)).toBe(true);
+  });
+});
@@ -0,0 +1,153 @@
+import { parseCsv } from './batch';
+
+export const METRIC_FIELDS = ['impressions', 'reactions', 'comments', 'reshares'];
+export const PERFORMANCE_DIMENSIONS = ['tone', 'length', 'emojis', 'template'];
+// Posts con mejores resultados que se ofrecen como ejemplos al generar
+export const MAX_TOP_POSTS = 3;
+// Tope de texto de esos ejemplos en el prompt
+export const MAX_TOP_POSTS_PROMPT_CHARS = 6000;
+
+// Interacciones: reacciones, comentarios y compartidos (si se saben)
+export const getInteractions = (metrics) => metrics.reactions + metrics.comments + (metrics.reshares ?? 0);
+
+// Interacciones por impresión; null si no se saben las impresiones
+export const getEngagementRate = (metrics) => (metrics.impressions ? getInteractions(metrics) / metrics.impressions : null);
+
+// Cifras como «1,234», «1.234» o «1 234»; null si la celda no es un número entero
+export const parseCount = (value) => {
+  const digits = String(value ?? '').trim().replace(/[\s., ]/g, '');
+  return /^\d+$/.test(digits) ? Number(digits) : null;
+};
+
+const normalizeHeader = (cell) => cell.normalize('NFD').replace(/\p{M}/gu, '').trim().toLowerCase();
+
+// Cabeceras de las exportaciones de LinkedIn y de hojas hechas a mano, en inglés y en español
+const CSV_COLUMNS = {
+  url: ['post url', 'post link', 'url', 'link', 'enlace', 'url de la publicacion', 'enlace de la publicacion', 'urn', 'post urn'],
+  text: ['post text', 'post commentary', 'post title', 'text', 'texto', 'contenido', 'publicacion', 'texto de la publicacion'],
+  impressions: ['impressions', 'impresiones', 'views', 'visualizaciones'],
+  reactions: ['reactions', 'reacciones', 'likes', 'me gusta'],
+  comments: ['comments', 'comentarios'],
+  reshares: ['reposts', 'reshares', 'shares', 'compartidos', 'veces compartido', 'republicaciones']
+};
+
+// Filas de un CSV de analíticas: { url, text, impressions, reactions, comments, reshares }.
+// Hace falta una columna para reconocer el post (enlace o texto) y alguna de cifras;
+// si no, devuelve []. Las cifras sin columna quedan a null
+export const readMetricsCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const names = header.map(normalizeHeader);
+  const columns = Object.fromEntries(Object.entries(CSV_COLUMNS)
+    .map(([field, aliases]) => [field, names.findIndex((name) => aliases.includes(name))]));
+  if (columns.url === -1 && columns.text === -1) return [];
+  if (METRIC_FIELDS.every((field) => columns[field] === -1)) return [];
+
+  const read = (cells, field) => (columns[field] === -1 ? null : cells[columns[field]]?.trim() ?? '');
+  return rows.map((cells) => ({
+    url: read(cells, 'url'),
+    text: read(cells, 'text'),
+    ...Object.fromEntries(METRIC_FIELDS.map((field) => [field, columns[field] === -1 ? null : parseCount(read(cells, field))]))
+  }));
+};
+
+// Identificadores numéricos de LinkedIn en una URN o en un enlace a un post
+const getLinkedInIds = (value) => [...(value ?? '').matchAll(/(?:share|ugcPost|activity)[:-](\d{6,})/g)].map((match) => match[1]);
+
+const MATCH_PREFIX_LENGTH = 80;
+const MIN_MATCH_LENGTH = 20;
+const normalizeText = (value) => (value ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Empareja las filas del CSV con los posts del historial: por la URN de LinkedIn del post
+// publicado o, si no, porque el post empieza por el texto de la fila (las exportaciones lo recortan).
+// Cada post se empareja una vez como mucho
+export const matchMetricsToPosts = (rows, posts) => {
+  const used = new Set();
+  const matches = [];
+  let unmatched = 0;
+
+  rows.forEach((row) => {
+    const ids = getLinkedInIds(row.url);
+    const prefix = normalizeText(row.text).slice(0, MATCH_PREFIX_LENGTH);
+    const post = posts.find((item) => !used.has(item.id) && (
+      (ids.length > 0 && getLinkedInIds(item.linkedin_urn).some((id) => ids.includes(id)))
+      || (prefix.length >= MIN_MATCH_LENGTH && normalizeText(item.content).startsWith(prefix))
+    ));
+    if (!post) {
+      unmatched += 1;
+      return;
+    }
+    used.add(post.id);
+    matches.push({
+      postId: post.id,
+      metrics: {
+        impressions: row.impressions,
+        reactions: row.reactions ?? 0,
+        comments: row.comments ?? 0,
+        reshares: row.reshares
+      }
+    });
+  });
+  return { matches, unmatched };
+};
+
+// Valor de cada post en una dimensión del análisis. Sin tono, el post siguió una voz de marca
+const DIMENSION_KEYS = {
+  tone: (post) => post.tone || 'voice',
+  length: (post) => post.post_length,
+  emojis: (post) => (post.use_emojis ? 'with' : 'without'),
+  template: (post) => post.template_id ?? ''
+};
+
+// Resultados medios por grupo de una dimensión, de más a menos interacción por impresión.
+// `items`: posts con su fila de `post_metrics` en `metrics`
+export const summarizeByDimension = (items, dimension) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = DIMENSION_KEYS[dimension](item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item.metrics);
+  });
+
+  return [...groups.entries()].map(([key, metrics]) => {
+    const withImpressions = metrics.filter((item) => item.impressions);
+    const impressions = withImpressions.reduce((total, item) => total + item.impressions, 0);
+    const interactions = metrics.reduce((total, item) => total + getInteractions(item), 0);
+    return {
+      key,
+      posts: metrics.length,
+      averageImpressions: withImpressions.length ? Math.round(impressions / withImpressions.length) : null,
+      averageInteractions: Math.round((interactions / metrics.length) * 10) / 10,
+      engagementRate: impressions
+        ? withImpressions.reduce((total, item) => total + getInteractions(item), 0) / impressions
+        : null
+    };
+  }).sort((a, b) => (b.engagementRate ?? -1) - (a.engagementRate ?? -1) || b.averageInteractions - a.averageInteractions);
+};
+
+// Los posts con más interacciones (a igualdad, más impresiones). Se ordena por interacciones y no
+// por tasa porque de los posts personales LinkedIn no da impresiones
+export const getTopPosts = (items, limit = MAX_TOP_POSTS) => items
+  .filter((item) => getInteractions(item.metrics) > 0)
+  .sort((a, b) => getInteractions(b.metrics) - getInteractions(a.metrics)
+    || (b.metrics.impressions ?? 0) - (a.metrics.impressions ?? 0))
+  .slice(0, limit);
+
+// Bloque del prompt con los textos de los mejores posts, tantos como quepan en MAX_TOP_POSTS_PROMPT_CHARS
+export const formatTopPosts = (examples) => {
+  let budget = MAX_TOP_POSTS_PROMPT_CHARS;
+  const included = (examples ?? []).filter((example) => {
+    if (example.length > budget) return false;
+    budget -= example.length;
+    return true;
+  });
+  if (!included.length) return '';
+
+  return [
+    '--- POSTS CON MEJORES RESULTADOS ---',
+    'Estos posts ya publicados son los que mejor han funcionado con nuestra audiencia. Tómalos como referencia de gancho, estructura y longitud, pero no copies su contenido ni sus datos.',
+    '',
+    ...included.flatMap((example, i) => [`--- EJEMPLO ${i + 1} ---`, example, '']),
+    '--- FIN DE LOS POSTS CON MEJORES RESULTADOS ---'
+  ].join('\n');
+};
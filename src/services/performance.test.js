@@ -0,0 +1,84 @@
+import { parseCount, readMetricsCsv, matchMetricsToPosts, summarizeByDimension, getTopPosts, getEngagementRate } from './performance';
+
+const item = (id, post, metrics) => ({
+  id,
+  tone: 'professional',
+  post_length: 'medium',
+  use_emojis: false,
+  template_id: 'builtin:summary',
+  ...post,
+  metrics: { impressions: null, reactions: 0, comments: 0, reshares: null, ...metrics }
+});
+
+test('parses counts with thousands separators', () => {
+  expect(parseCount('1,234')).toBe(1234);
+  expect(parseCount('1.234')).toBe(1234);
+  expect(parseCount(' 12 ')).toBe(12);
+  expect(parseCount('n/a')).toBeNull();
+  expect(parseCount('')).toBeNull();
+});
+
+test('reads a LinkedIn analytics CSV by its headers', () => {
+  const csv = [
+    'Post URL;Post text;Impressions;Reactions;Comments;Reposts',
+    'https://www.linkedin.com/feed/update/urn:li:share:7123456789/;La IA cambia el trabajo;"1.520";48;6;2',
+    ';Sin enlace;300;5;0;'
+  ].join('\n');
+  expect(readMetricsCsv(csv)).toEqual([
+    { url: 'https://www.linkedin.com/feed/update/urn:li:share:7123456789/', text: 'La IA cambia el trabajo', impressions: 1520, reactions: 48, comments: 6, reshares: 2 },
+    { url: '', text: 'Sin enlace', impressions: 300, reactions: 5, comments: 0, reshares: null }
+  ]);
+  expect(readMetricsCsv('Texto,Reacciones\nHola,3')).toEqual([
+    { url: null, text: 'Hola', impressions: null, reactions: 3, comments: null, reshares: null }
+  ]);
+  expect(readMetricsCsv('Impressions,Reactions\n10,2')).toEqual([]);
+  expect(readMetricsCsv('Post URL,Date\nhttps://example.com,2026-10-19')).toEqual([]);
+});
+
+test('matches rows to posts by LinkedIn URN or by the start of the text', () => {
+  const posts = [
+    { id: 'a', linkedin_urn: 'urn:li:share:7123456789', content: 'Primer post' },
+    { id: 'b', linkedin_urn: null, content: 'La inteligencia artificial  ya está\ncambiando cómo trabajamos en equipo.' }
+  ];
+  const rows = [
+    { url: 'https://www.linkedin.com/posts/ana_ia-activity-7123456789-abcd', text: '', impressions: 100, reactions: 4, comments: 1, reshares: null },
+    { url: '', text: 'La inteligencia artificial ya está cambiando', impressions: null, reactions: 2, comments: null, reshares: 1 },
+    { url: '', text: 'Corto', impressions: 5, reactions: 1, comments: 0, reshares: 0 }
+  ];
+  expect(matchMetricsToPosts(rows, posts)).toEqual({
+    matches: [
+      { postId: 'a', metrics: { impressions: 100, reactions: 4, comments: 1, reshares: null } },
+      { postId: 'b', metrics: { impressions: null, reactions: 2, comments: 0, reshares: 1 } }
+    ],
+    unmatched: 1
+  });
+});
+
+test('summarizes results by tone, length, emojis and template', () => {
+  const items = [
+    item('1', { tone: 'professional' }, { impressions: 1000, reactions: 40, comments: 10 }),
+    item('2', { tone: 'professional', use_emojis: true }, { impressions: 1000, reactions: 10 }),
+    item('3', { tone: '' }, { impressions: 500, reactions: 45, comments: 5 }),
+    item('4', { tone: 'formal' }, { reactions: 8 })
+  ];
+
+  expect(summarizeByDimension(items, 'tone')).toEqual([
+    { key: 'voice', posts: 1, averageImpressions: 500, averageInteractions: 50, engagementRate: 0.1 },
+    { key: 'professional', posts: 2, averageImpressions: 1000, averageInteractions: 30, engagementRate: 0.03 },
+    { key: 'formal', posts: 1, averageImpressions: null, averageInteractions: 8, engagementRate: null }
+  ]);
+  expect(summarizeByDimension(items, 'emojis').map((group) => [group.key, group.posts])).toEqual([['without', 3], ['with', 1]]);
+  expect(summarizeByDimension(items, 'template')).toHaveLength(1);
+});
+
+test('picks the posts with most interactions as top posts', () => {
+  const items = [
+    item('1', {}, { reactions: 5, impressions: 100 }),
+    item('2', {}, { reactions: 0 }),
+    item('3', {}, { reactions: 20, comments: 4, reshares: 1 }),
+    item('4', {}, { reactions: 5, impressions: 900 })
+  ];
+  expect(getTopPosts(items).map((top) => top.id)).toEqual(['3', '4', '1']);
+  expect(getTopPosts(items, 1)).toHaveLength(1);
+  expect(getEngagementRate({ impressions: 0, reactions: 3, comments: 0, reshares: null })).toBeNull();
+});
@@ -0,0 +1,58 @@
+import { supabase } from '../config/supabase';
+
+// Lo que usan el análisis y el generador al abrir un post desde el panel de resultados
+const POST_COLUMNS = 'id, url, title, content, tone, post_length, use_emojis, language, template_id, template_version, voice_profile_id, linkedin_urn, linkedin_author, published_at, created_at';
+
+const fromRow = ({ post_metrics: metrics, ...post }) => ({
+  ...post,
+  metrics: Array.isArray(metrics) ? metrics[0] ?? null : metrics
+});
+
+// Posts del espacio que ya tienen resultados, con ellos en `metrics`
+export const listPostsWithMetrics = async ({ workspaceId }) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .select(`${POST_COLUMNS}, post_metrics!inner (*)`)
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data.map(fromRow);
+};
+
+// Todos los posts del espacio, con o sin resultados, para emparejar un CSV o actualizar desde LinkedIn
+export const listPostsForMetrics = async ({ workspaceId }) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .select(`${POST_COLUMNS}, post_metrics (*)`)
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data.map(fromRow);
+};
+
+export const getPostMetrics = async (postId) => {
+  const { data, error } = await supabase
+    .from('post_metrics')
+    .select('*')
+    .eq('post_id', postId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// `items`: [{ postId, metrics: { impressions, reactions, comments, reshares } }]
+export const savePostMetrics = async (items, source) => {
+  const { data, error } = await supabase
+    .from('post_metrics')
+    .upsert(items.map(({ postId, metrics }) => ({
+      post_id: postId,
+      impressions: metrics.impressions,
+      reactions: metrics.reactions,
+      comments: metrics.comments,
+      reshares: metrics.reshares,
+      source
+    })))
+    .select();
+  if (error) throw error;
+  return data;
+};
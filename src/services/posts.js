@@ -0,0 +1,121 @@
+import { supabase } from '../config/supabase';
+
+export const HISTORY_PAGE_SIZE = 5;
+
+// Patrón ILIKE entrecomillado para los filtros `or` de PostgREST
+const toSearchPattern = (search) => {
+  const like = search.replace(/[\\%_]/g, '\\$&');
+  return `"%${like.replace(/["\\]/g, '\\$&')}%"`;
+};
+
+// Historial del espacio de trabajo. `status` filtra por estado de aprobación
+export const listPosts = async ({ workspaceId, page = 1, pageSize = HISTORY_PAGE_SIZE, search = '', status = '' }) => {
+  const from = (page - 1) * pageSize;
+  let query = supabase
+    .from('posts')
+    .select('*, post_comments (count)', { count: 'exact' })
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: false })
+    .range(from, from + pageSize - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  if (search.trim()) {
+    const term = toSearchPattern(search.trim());
+    query = query.or(`content.ilike.${term},url.ilike.${term},title.ilike.${term}`);
+  }
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+  return {
+    posts: data.map(({ post_comments: comments, ...post }) => ({ ...post, commentCount: comments?.[0]?.count ?? 0 })),
+    count: count ?? 0
+  };
+};
+
+export const savePost = async ({ userId, workspaceId, url, title, content, tone, postLength, useEmojis, provider, model, language, templateId, templateVersion, voiceProfileId = null }) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .insert({
+      user_id: userId,
+      workspace_id: workspaceId,
+      url,
+      title,
+      content,
+      tone,
+      post_length: postLength,
+      use_emojis: useEmojis,
+      provider,
+      model,
+      language,
+      template_id: templateId,
+      template_version: templateVersion,
+      voice_profile_id: voiceProfileId
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+// URLs de `urls` que ya tienen algún post en el espacio (lotes: no repetir artículos)
+export const listProcessedUrls = async ({ workspaceId, urls }) => {
+  if (!urls.length) return new Set();
+  const { data, error } = await supabase
+    .from('posts')
+    .select('url')
+    .eq('workspace_id', workspaceId)
+    .in('url', urls);
+  if (error) throw error;
+  return new Set(data.map(({ url }) => url));
+};
+
+export const duplicatePost = async (post) => {
+  // La copia es un borrador nuevo de quien la hace: no hereda la publicación en LinkedIn ni la revisión
+  const {
+    id, created_at, user_id, linkedin_urn, linkedin_author, published_at,
+    status, reviewed_by, reviewed_at, commentCount, ...copy
+  } = post;
+  const { data, error } = await supabase
+    .from('posts')
+    .insert(copy)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+export const markPostPublished = async (postId, { content, urn, author }) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .update({
+      content,
+      linkedin_urn: urn,
+      linkedin_author: author,
+      published_at: new Date().toISOString()
+    })
+    .eq('id', postId)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+// Las transiciones permitidas a cada rol las comprueba el trigger posts_guard_update
+export const setPostStatus = async (postId, status) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .update({ status })
+    .eq('id', postId)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+export const deletePost = async (postId) => {
+  const { error } = await supabase.from('posts').delete().eq('id', postId);
+  if (error) throw error;
+};
@@ -0,0 +1,119 @@
+import { POST_LENGTHS, TONES, OUTPUT_LANGUAGES, DEFAULT_OUTPUT_LANGUAGE } from '../config/postOptions';
+import { formatVoice } from './voice';
+import { formatTopPosts } from './performance';
+
+// Sintaxis tipo Mustache: {{variable}}, {{#variable}}solo si tiene valor{{/variable}}
+// y {{^variable}}solo si está vacía{{/variable}}.
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*([#^/]?)(\w+)\s*\}\}/g;
+
+// Las descripciones de cada variable están en `templateEditor.variables.*` de las traducciones
+export const TEMPLATE_VARIABLES = [
+  'tone',
+  'tone_name',
+  'length',
+  'emojis',
+  'language',
+  'more_info',
+  'audience',
+  'cta',
+  'url',
+  'title',
+  'author',
+  'published_at',
+  'site_name',
+  'article',
+  'voice',
+  'examples',
+];
+
+const KNOWN_VARIABLES = new Set(TEMPLATE_VARIABLES);
+
+export const findUnknownVariables = (body) => [
+  ...new Set([...body.matchAll(VARIABLE_PATTERN)].map((match) => match[2]).filter((name) => !KNOWN_VARIABLES.has(name)))
+];
+
+// Marca las secciones omitidas para quitar las líneas que quedan vacías por su culpa
+const OMITTED = '\u0000';
+
+export const renderTemplate = (body, variables) => {
+  const withSections = body.replace(SECTION_PATTERN, (_, type, name, content) => {
+    const hasValue = Boolean(variables[name]?.toString().trim());
+    return (type === '#') === hasValue ? content : OMITTED;
+  });
+
+  return withSections
+    .replace(VARIABLE_PATTERN, (_, type, name) => (type ? '' : variables[name] ?? ''))
+    .split('\n')
+    .filter((line) => line.replaceAll(OMITTED, '').trim() || !line.includes(OMITTED))
+    .join('\n')
+    .replaceAll(OMITTED, '')
+    .trim();
+};
+
+export const formatRange = ([min, max], unit) =>
+  `entre ${min.toLocaleString('es-ES')} y ${max.toLocaleString('es-ES')} ${unit === 'characters' ? 'caracteres' : 'palabras'}`;
+
+// Cabeceras del bloque de origen según de dónde sale el texto (ver services/sources.js)
+const SOURCE_LABELS = {
+  article: { start: 'ARTÍCULO', end: 'FIN DEL ARTÍCULO', site: 'Medio' },
+  text: { start: 'TEXTO', end: 'FIN DEL TEXTO', site: 'Fuente' },
+  document: { start: 'DOCUMENTO', end: 'FIN DEL DOCUMENTO', site: 'Archivo' },
+  transcript: { start: 'TRANSCRIPCIÓN DEL VÍDEO', end: 'FIN DE LA TRANSCRIPCIÓN', site: 'Plataforma' }
+};
+
+const formatArticle = (article) => {
+  const labels = SOURCE_LABELS[article.sourceType] ?? SOURCE_LABELS.article;
+  return [
+    `--- ${labels.start} ---`,
+    `Título: ${article.title ?? ''}`,
+    article.byline && `Autor: ${article.byline}`,
+    article.publishedAt && `Fecha de publicación: ${article.publishedAt}`,
+    article.siteName && `${labels.site}: ${article.siteName}`,
+    '',
+    article.text,
+    `--- ${labels.end} ---`
+  ].filter((line) => line !== null && line !== undefined && line !== false).join('\n');
+};
+
+// Sin `tone` y con `voice`, el tono es el de la voz de marca.
+// `examples`: textos de los posts con mejores resultados (ver performance.js)
+export const buildTemplateVariables = ({ article, url, tone, postLength, lengthUnit = 'words', useEmojis, language = DEFAULT_OUTPUT_LANGUAGE, audience = '', cta = '', voice = null, examples = [] }) => {
+  const toneOption = TONES.find((option) => option.value === tone);
+  const voiceOnly = !tone && voice;
+  const languageOption = OUTPUT_LANGUAGES.find((option) => option.value === language) ?? OUTPUT_LANGUAGES[0];
+  const lengthOption = POST_LENGTHS.find((option) => option.value === postLength) ?? POST_LENGTHS[1];
+
+  return {
+    tone: voiceOnly ? 'Sigue la voz de marca descrita más abajo.' : toneOption?.instruction ?? tone,
+    tone_name: voiceOnly ? voice.name : toneOption?.name ?? tone,
+    length: formatRange(lengthOption[lengthUnit] ?? lengthOption.words, lengthUnit),
+    emojis: useEmojis ? 'Incluye emojis relevantes y profesionales.' : 'No incluyas emojis.',
+    language: languageOption.prompt,
+    more_info: languageOption.moreInfo,
+    audience: audience.trim(),
+    cta: cta.trim(),
+    url,
+    title: article.title ?? '',
+    author: article.byline ?? '',
+    published_at: article.publishedAt ?? '',
+    site_name: article.siteName ?? '',
+    article: formatArticle(article),
+    voice: formatVoice(voice),
+    examples: formatTopPosts(examples),
+  };
+};
+
+// Si la plantilla no incluye {{article}} se añade al final: el modelo siempre necesita el texto de origen.
+// Con una voz de marca elegida, {{voice}} va justo antes del artículo si la plantilla no lo coloca;
+// lo mismo los posts de ejemplo, {{examples}}, entre la voz y el artículo
+export const buildPromptFromTemplate = (template, settings) => {
+  let body = /\{\{\s*article\s*\}\}/.test(template.body) ? template.body : `${template.body}\n\n{{article}}`;
+  if (!/\{\{\s*voice\s*\}\}/.test(body)) {
+    body = body.replace(/\{\{\s*article\s*\}\}/, '{{#voice}}{{voice}}\n\n{{/voice}}$&');
+  }
+  if (!/\{\{\s*examples\s*\}\}/.test(body)) {
+    body = body.replace(/\{\{\s*article\s*\}\}/, '{{#examples}}{{examples}}\n\n{{/examples}}$&');
+  }
+  return renderTemplate(body, buildTemplateVariables(settings));
+};
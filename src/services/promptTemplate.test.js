@@ -0,0 +1,95 @@
+import { renderTemplate, findUnknownVariables, buildPromptFromTemplate } from './promptTemplate';
+import { BUILTIN_TEMPLATES } from '../config/promptTemplates';
+
+test('renders variables and conditional sections', () => {
+  const body = 'Tono: {{tone}}\n{{#cta}}CTA: {{cta}}{{/cta}}{{^cta}}Sin CTA{{/cta}}';
+  expect(renderTemplate(body, { tone: 'cercano', cta: 'Comenta' })).toBe('Tono: cercano\nCTA: Comenta');
+  expect(renderTemplate(body, { tone: 'cercano', cta: '' })).toBe('Tono: cercano\nSin CTA');
+});
+
+test('drops lines left empty by omitted sections', () => {
+  const body = 'Uno\n{{#audience}}Público: {{audience}}{{/audience}}\nDos\n\nTres';
+  expect(renderTemplate(body, { audience: '' })).toBe('Uno\nDos\n\nTres');
+});
+
+test('reports unknown variables', () => {
+  expect(findUnknownVariables('{{tone}} {{foo}} {{#bar}}x{{/bar}}')).toEqual(['foo', 'bar']);
+});
+
+test('built-in templates only use known variables', () => {
+  BUILTIN_TEMPLATES.forEach((template) => {
+    expect(findUnknownVariables(template.body)).toEqual([]);
+  });
+});
+
+test('appends the article when the template does not reference it', () => {
+  const prompt = buildPromptFromTemplate({ body: 'Escribe sobre {{title}} en {{length}}.' }, {
+    article: { title: 'IA en España', text: 'Texto del artículo' },
+    url: 'https://example.com',
+    tone: 'professional',
+    postLength: 'short',
+    lengthUnit: 'characters',
+    useEmojis: false
+  });
+  expect(prompt).toMatch(/^Escribe sobre IA en España en entre 300 y 600 caracteres\./);
+  expect(prompt).toMatch(/Texto del artículo\n--- FIN DEL ARTÍCULO ---$/);
+});
+
+test('writes the post in the chosen output language', () => {
+  const prompt = buildPromptFromTemplate(BUILTIN_TEMPLATES[0], {
+    article: { title: 'AI in Spain', text: 'Article text' },
+    url: 'https://example.com',
+    tone: 'professional',
+    postLength: 'medium',
+    useEmojis: false,
+    language: 'en'
+  });
+  expect(prompt).toMatch(/^Crea una publicación para LinkedIn en inglés/);
+  expect(prompt).toContain('"More information: https://example.com"');
+});
+
+test('adds the brand voice before the article and can replace the tone', () => {
+  const voice = { name: 'Marca', examples: ['Un post de ejemplo.'] };
+  const settings = {
+    article: { title: 'IA', text: 'Texto del artículo' },
+    url: 'https://example.com',
+    tone: '',
+    postLength: 'short',
+    useEmojis: false,
+    voice
+  };
+  const prompt = buildPromptFromTemplate(BUILTIN_TEMPLATES[0], settings);
+  expect(prompt).toContain('Tono (Marca): Sigue la voz de marca descrita más abajo.');
+  expect(prompt.indexOf('--- VOZ DE MARCA: Marca ---')).toBeLessThan(prompt.indexOf('--- ARTÍCULO ---'));
+  expect(buildPromptFromTemplate(BUILTIN_TEMPLATES[0], { ...settings, voice: null, tone: 'formal' })).not.toContain('VOZ DE MARCA');
+});
+
+test('adds the top posts as examples between the brand voice and the article', () => {
+  const settings = {
+    article: { title: 'IA', text: 'Texto del artículo' },
+    url: 'https://example.com',
+    tone: 'professional',
+    postLength: 'short',
+    useEmojis: false,
+    voice: { name: 'Marca', examples: ['Un post de ejemplo.'] },
+    examples: ['El post que mejor funcionó.', 'x'.repeat(7000)]
+  };
+  const prompt = buildPromptFromTemplate(BUILTIN_TEMPLATES[0], settings);
+  expect(prompt).toContain('--- EJEMPLO 1 ---\nEl post que mejor funcionó.');
+  expect(prompt).not.toContain('x'.repeat(7000));
+  expect(prompt.indexOf('--- VOZ DE MARCA: Marca ---')).toBeLessThan(prompt.indexOf('--- POSTS CON MEJORES RESULTADOS ---'));
+  expect(prompt.indexOf('--- FIN DE LOS POSTS CON MEJORES RESULTADOS ---')).toBeLessThan(prompt.indexOf('--- ARTÍCULO ---'));
+  expect(buildPromptFromTemplate(BUILTIN_TEMPLATES[0], { ...settings, examples: [] })).not.toContain('MEJORES RESULTADOS');
+});
+
+test('labels non-article sources and leaves out the link footer without a URL', () => {
+  const prompt = buildPromptFromTemplate(BUILTIN_TEMPLATES[0], {
+    article: { title: 'Informe Q3', siteName: 'informe-q3.pdf', text: 'Texto del informe', sourceType: 'document' },
+    url: null,
+    tone: 'professional',
+    postLength: 'short',
+    useEmojis: false
+  });
+  expect(prompt).toContain('--- DOCUMENTO ---\nTítulo: Informe Q3\nArchivo: informe-q3.pdf');
+  expect(prompt).not.toContain('Más información');
+});
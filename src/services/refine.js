@@ -0,0 +1,95 @@
+import { POST_LENGTHS, TONES, OUTPUT_LANGUAGES } from '../config/postOptions';
+import { formatRange } from './promptTemplate';
+
+// Cambios que se piden sobre un post ya escrito; 'custom' es una instrucción libre.
+// Las etiquetas están en `refine.actions.*` de las traducciones
+export const REFINE_ACTIONS = ['shorter', 'longer', 'tone', 'hook', 'cta', 'removeEmojis', 'custom'];
+
+// Turnos de la conversación que se mandan al modelo además del prompt de origen
+export const MAX_REFINE_TURNS = 6;
+
+// Sin el prompt de origen (posts abiertos desde el historial) la conversación empieza aquí
+const REFINE_INTRO = 'Eres un redactor de publicaciones para LinkedIn. Escribe una publicación; después te pediré cambios sobre ella.';
+
+const shiftLength = (postLength, step) => {
+  const index = POST_LENGTHS.findIndex((option) => option.value === postLength);
+  if (index < 0) return null;
+  return POST_LENGTHS[Math.min(Math.max(index + step, 0), POST_LENGTHS.length - 1)].value;
+};
+
+// Ajustes con los que se valida el post después del cambio: más corto o más largo pasa a la
+// longitud vecina, el tono nuevo sustituye al anterior y sin emojis desactiva los emojis
+export const getRefinedContext = (context, { action, tone }) => {
+  if (!context) return context;
+  if (action === 'shorter' || action === 'longer') {
+    const postLength = shiftLength(context.postLength, action === 'shorter' ? -1 : 1);
+    return postLength ? { ...context, postLength } : context;
+  }
+  if (action === 'tone') return { ...context, tone };
+  if (action === 'removeEmojis') return { ...context, useEmojis: false };
+  return context;
+};
+
+const describeLength = (context, action) => {
+  const postLength = shiftLength(context?.postLength, action === 'shorter' ? -1 : 1);
+  if (!postLength) return action === 'shorter' ? 'alrededor de un tercio menos' : 'alrededor de un tercio más';
+  const unit = context.lengthUnit === 'characters' ? 'characters' : 'words';
+  return formatRange(POST_LENGTHS.find((option) => option.value === postLength)[unit], unit);
+};
+
+const INSTRUCTIONS = {
+  shorter: ({ context }) => `Haz la publicación más corta (${describeLength(context, 'shorter')}). Conserva las ideas principales y quita lo accesorio.`,
+  longer: ({ context }) => `Haz la publicación más larga (${describeLength(context, 'longer')}). Desarrolla las ideas con información del texto de origen, sin inventar datos.`,
+  tone: ({ tone }) => {
+    const option = TONES.find((item) => item.value === tone) ?? TONES[0];
+    return `Reescribe la publicación con tono ${option.name.toLowerCase()}: ${option.instruction}`;
+  },
+  hook: () => 'Añade al principio una primera línea breve que funcione como gancho y despierte curiosidad (debe entenderse sola, antes del «…ver más»). Cambia el resto lo menos posible.',
+  cta: ({ cta }) => (cta.trim()
+    ? `Cierra el cuerpo de la publicación con esta llamada a la acción: ${cta.trim()}`
+    : 'Cierra el cuerpo de la publicación con una llamada a la acción que invite a comentar.'),
+  removeEmojis: () => 'Quita todos los emojis de la publicación sin cambiar nada más.',
+  custom: ({ instruction }) => instruction.trim()
+};
+
+// Mensaje para el modelo (en español, como el resto de prompts). Se recuerda el idioma y el pie
+// porque la conversación puede ser larga
+export const buildRefineInstruction = ({ action, tone, cta = '', instruction = '' }, context) => {
+  const language = OUTPUT_LANGUAGES.find((option) => option.value === context?.language);
+  return [
+    INSTRUCTIONS[action]({ context, tone, cta, instruction }),
+    language && `Mantén la publicación en ${language.prompt}.`,
+    context?.url && `Debe seguir terminando con una línea en blanco seguida de "${language?.moreInfo ?? 'Más información'}: ${context.url}".`,
+    'Responde solo con el texto completo de la publicación revisada, sin explicaciones.'
+  ].filter(Boolean).join('\n');
+};
+
+// Conversación con el modelo a partir de las versiones hasta la actual (ver versions.js).
+// Las versiones con `instruction` son respuestas a un cambio pedido; las editadas a mano
+// sustituyen a la respuesta anterior, igual que `content` (el texto que hay ahora en el editor).
+// Se mandan el prompt de origen y los últimos MAX_REFINE_TURNS cambios
+export const buildRefineMessages = ({ sourcePrompt, versions, content, instruction }) => {
+  const turns = [];
+  versions.forEach((version) => {
+    if (version.instruction || !turns.length) {
+      turns.push({ instruction: version.instruction ?? null, text: version.text });
+    } else {
+      turns[turns.length - 1] = { ...turns[turns.length - 1], text: version.text };
+    }
+  });
+  turns[turns.length - 1] = { ...turns[turns.length - 1], text: content };
+
+  const [first, ...changes] = turns;
+  const kept = changes.slice(-MAX_REFINE_TURNS);
+  const start = changes.length > kept.length ? changes[changes.length - kept.length - 1].text : first.text;
+
+  return [
+    { role: 'user', content: sourcePrompt || REFINE_INTRO },
+    { role: 'assistant', content: start },
+    ...kept.flatMap((turn) => [
+      { role: 'user', content: turn.instruction },
+      { role: 'assistant', content: turn.text }
+    ]),
+    { role: 'user', content: instruction }
+  ];
+};
@@ -0,0 +1,41 @@
+import { buildRefineInstruction, buildRefineMessages, getRefinedContext, MAX_REFINE_TURNS } from './refine';
+import { createTimeline, addVersion, syncEdits, getActiveVersions } from './versions';
+
+const context = { url: 'https://example.com/a', language: 'en', postLength: 'medium', lengthUnit: 'words', useEmojis: true, tone: 'professional' };
+
+test('builds the instruction for each change with the language and the footer', () => {
+  const shorter = buildRefineInstruction({ action: 'shorter' }, context);
+  expect(shorter).toMatch(/^Haz la publicación más corta \(entre 40 y 80 palabras\)/);
+  expect(shorter).toContain('Mantén la publicación en inglés.');
+  expect(shorter).toContain('"More information: https://example.com/a"');
+  expect(buildRefineInstruction({ action: 'cta', cta: 'Apúntate al webinar' }, {})).toMatch(/^Cierra .*: Apúntate al webinar\n/);
+  expect(buildRefineInstruction({ action: 'custom', instruction: ' Menciona a @Acme ' }, null)).toMatch(/^Menciona a @Acme\n/);
+});
+
+test('updates the validation settings after a change', () => {
+  expect(getRefinedContext(context, { action: 'longer' }).postLength).toBe('long');
+  expect(getRefinedContext({ ...context, postLength: 'short' }, { action: 'shorter' }).postLength).toBe('short');
+  expect(getRefinedContext(context, { action: 'tone', tone: 'formal' }).tone).toBe('formal');
+  expect(getRefinedContext(context, { action: 'removeEmojis' }).useEmojis).toBe(false);
+  expect(getRefinedContext(null, { action: 'shorter' })).toBeNull();
+});
+
+test('sends the source prompt, the previous changes and manual edits as a conversation', () => {
+  let timeline = createTimeline('Post');
+  timeline = addVersion(timeline, 'Post corto', { action: 'shorter', instruction: 'Más corto' });
+  timeline = syncEdits(timeline, 'Post corto editado');
+
+  expect(buildRefineMessages({ sourcePrompt: 'PROMPT', versions: getActiveVersions(timeline), content: 'Post corto editado otra vez', instruction: 'Añade un gancho' })).toEqual([
+    { role: 'user', content: 'PROMPT' },
+    { role: 'assistant', content: 'Post' },
+    { role: 'user', content: 'Más corto' },
+    { role: 'assistant', content: 'Post corto editado otra vez' },
+    { role: 'user', content: 'Añade un gancho' }
+  ]);
+
+  for (let i = 0; i < MAX_REFINE_TURNS + 2; i += 1) timeline = addVersion(timeline, `Versión ${i}`, { action: 'custom', instruction: `Cambio ${i}` });
+  const messages = buildRefineMessages({ sourcePrompt: null, versions: getActiveVersions(timeline), content: 'Actual', instruction: 'Otro' });
+  expect(messages).toHaveLength(3 + MAX_REFINE_TURNS * 2);
+  expect(messages[0].content).toMatch(/^Eres un redactor/);
+  expect(messages[1]).toEqual({ role: 'assistant', content: 'Versión 1' });
+});
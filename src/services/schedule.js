@@ -0,0 +1,66 @@
+import { supabase } from '../config/supabase';
+
+export const SCHEDULE_STATUSES = ['draft', 'scheduled', 'publishing', 'published', 'failed'];
+
+// Posts programados (o ya publicados) entre `from` y `to`
+export const listScheduledPosts = async ({ userId, from, to }) => {
+  const { data, error } = await supabase
+    .from('scheduled_posts')
+    .select('*')
+    .eq('user_id', userId)
+    .gte('scheduled_at', from.toISOString())
+    .lt('scheduled_at', to.toISOString())
+    .order('scheduled_at', { ascending: true });
+  if (error) throw error;
+  return data;
+};
+
+// Borradores todavía sin fecha
+export const listUnscheduledDrafts = async ({ userId }) => {
+  const { data, error } = await supabase
+    .from('scheduled_posts')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'draft')
+    .is('scheduled_at', null)
+    .order('updated_at', { ascending: false });
+  if (error) throw error;
+  return data;
+};
+
+export const saveScheduledPost = async ({ id, userId, postId, content, author, article, scheduledAt, status }) => {
+  const values = {
+    content,
+    author: author || null,
+    scheduled_at: scheduledAt ? scheduledAt.toISOString() : null,
+    // Los intentos los pone a cero la base de datos al programar (ver guard_scheduled_post)
+    status
+  };
+  const query = id
+    ? supabase.from('scheduled_posts').update(values).eq('id', id)
+    : supabase.from('scheduled_posts').insert({
+      ...values,
+      user_id: userId,
+      post_id: postId ?? null,
+      article_url: article?.url ?? null,
+      article_title: article?.title ?? null
+    });
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return data;
+};
+
+export const deleteScheduledPost = async (id) => {
+  const { error } = await supabase.from('scheduled_posts').delete().eq('id', id);
+  if (error) throw error;
+};
+
+export const listScheduledPostErrors = async (id) => {
+  const { data, error } = await supabase
+    .from('scheduled_post_errors')
+    .select('*')
+    .eq('scheduled_post_id', id)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,96 @@
+// Fuentes de las que se puede generar un post, además de la URL de un artículo
+export const SOURCE_TYPES = ['url', 'text', 'file', 'video'];
+
+// Mismos límites que aplica el backend a los artículos (server/extract/extractArticle.js)
+export const MAX_SOURCE_TEXT_LENGTH = 12000;
+export const MIN_SOURCE_TEXT_LENGTH = 100;
+export const MAX_SOURCE_FILE_SIZE = 10 * 1024 * 1024;
+
+// Los PDF y DOCX se leen en el backend; los de texto, en el navegador
+const FILE_KINDS = {
+  pdf: { extensions: ['pdf'], types: ['application/pdf'] },
+  docx: { extensions: ['docx'], types: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  text: { extensions: ['txt', 'md', 'markdown'], types: ['text/plain', 'text/markdown'] }
+};
+
+export const SOURCE_FILE_ACCEPT = Object.values(FILE_KINDS)
+  .flatMap(({ extensions, types }) => [...extensions.map((extension) => `.${extension}`), ...types])
+  .join(',');
+
+const getExtension = (name) => name.split('.').pop().toLowerCase();
+
+export const getFileKind = (file) => {
+  const extension = getExtension(file.name ?? '');
+  return Object.keys(FILE_KINDS).find((kind) => FILE_KINDS[kind].extensions.includes(extension))
+    ?? Object.keys(FILE_KINDS).find((kind) => FILE_KINDS[kind].types.includes(file.type))
+    ?? null;
+};
+
+// Clave de traducción del problema con el archivo, o null si se puede procesar
+export const getFileError = (file) => {
+  if (!getFileKind(file)) return 'extractionErrors.unsupported_file_type';
+  if (file.size > MAX_SOURCE_FILE_SIZE) return 'extractionErrors.file_too_large';
+  return null;
+};
+
+export const isYouTubeUrl = (value) => {
+  try {
+    const { hostname } = new URL(value);
+    return /(^|\.)(youtube\.com|youtu\.be|youtube-nocookie\.com)$/i.test(hostname);
+  } catch {
+    return false;
+  }
+};
+
+const normalizeText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Clave de traducción si el texto pegado no sirve como fuente, o null
+export const getSourceTextError = (text) => {
+  const { length } = normalizeText(text);
+  if (length < MIN_SOURCE_TEXT_LENGTH) return 'generator.sources.textTooShort';
+  if (length > MAX_SOURCE_TEXT_LENGTH) return 'generator.sources.textTooLong';
+  return null;
+};
+
+// Sin título, la primera línea del texto si es corta
+const guessTitle = (text) => {
+  const [firstLine] = text.split('\n');
+  return firstLine.length <= 120 ? firstLine.replace(/^#+\s*/, '') : `${firstLine.slice(0, 100).replace(/\s+\S*$/, '')}…`;
+};
+
+// Texto pegado o leído de un .txt/.md con la misma forma que un artículo extraído
+export const buildTextSource = ({ text, title = '', fileName = null }) => {
+  const normalized = normalizeText(text);
+  return {
+    url: null,
+    title: title.trim() || guessTitle(normalized),
+    byline: null,
+    siteName: fileName,
+    image: null,
+    publishedAt: null,
+    excerpt: null,
+    text: normalized.slice(0, MAX_SOURCE_TEXT_LENGTH),
+    truncated: normalized.length > MAX_SOURCE_TEXT_LENGTH,
+    sourceType: fileName ? 'document' : 'text'
+  };
+};
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/i;
+
+// Fuente a partir de lo compartido desde otra app (Web Share Target). Muchas apps mandan
+// el enlace dentro de `text` y no en `url`; sin enlace, lo compartido se usa como texto
+export const getSharedSource = ({ title = '', text = '', url = '' }) => {
+  const link = [url, text].map((value) => value.trim().match(URL_PATTERN)?.[0]).find(Boolean);
+  if (link) {
+    const cleanLink = link.replace(/[.,;:!?)\]]+$/, '');
+    return isYouTubeUrl(cleanLink)
+      ? { type: 'video', videoUrl: cleanLink }
+      : { type: 'url', url: cleanLink };
+  }
+  return { type: 'text', title: title.trim(), text: text.trim() };
+};
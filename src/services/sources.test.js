@@ -0,0 +1,39 @@
+import { getFileKind, getSharedSource, getFileError, isYouTubeUrl, getSourceTextError, buildTextSource, MAX_SOURCE_TEXT_LENGTH, MAX_SOURCE_FILE_SIZE } from './sources';
+
+test('recognises supported files by extension or type and checks their size', () => {
+  expect(getFileKind({ name: 'Informe.PDF', type: '' })).toBe('pdf');
+  expect(getFileKind({ name: 'notas', type: 'text/markdown' })).toBe('text');
+  expect(getFileKind({ name: 'deck.pptx', type: '' })).toBeNull();
+  expect(getFileError({ name: 'informe.docx', size: 1024 })).toBeNull();
+  expect(getFileError({ name: 'informe.docx', size: MAX_SOURCE_FILE_SIZE + 1 })).toBe('extractionErrors.file_too_large');
+  expect(getFileError({ name: 'foto.png', size: 1024 })).toBe('extractionErrors.unsupported_file_type');
+});
+
+test('accepts only YouTube video links as video sources', () => {
+  expect(isYouTubeUrl('https://youtu.be/dQw4w9WgXcQ')).toBe(true);
+  expect(isYouTubeUrl('https://m.youtube.com/watch?v=dQw4w9WgXcQ')).toBe(true);
+  expect(isYouTubeUrl('https://notyoutube.com/watch?v=dQw4w9WgXcQ')).toBe(false);
+  expect(isYouTubeUrl('youtube')).toBe(false);
+});
+
+test('limits pasted text and turns it into an article', () => {
+  expect(getSourceTextError('Muy corto')).toBe('generator.sources.textTooShort');
+  expect(getSourceTextError('a'.repeat(MAX_SOURCE_TEXT_LENGTH + 1))).toBe('generator.sources.textTooLong');
+
+  const notes = '# Resultados del tercer trimestre\r\n\r\n\r\nLas ventas   crecieron un 12 %.\nEl equipo creció a 40 personas.';
+  expect(getSourceTextError(notes.repeat(2))).toBeNull();
+  expect(buildTextSource({ text: notes })).toMatchObject({
+    url: null,
+    title: 'Resultados del tercer trimestre',
+    text: '# Resultados del tercer trimestre\n\nLas ventas crecieron un 12 %.\nEl equipo creció a 40 personas.',
+    sourceType: 'text'
+  });
+  expect(buildTextSource({ text: notes, title: ' Q3 ', fileName: 'q3.md' })).toMatchObject({ title: 'Q3', siteName: 'q3.md', sourceType: 'document' });
+});
+
+test('reads shared links from the url or the text and falls back to the text', () => {
+  expect(getSharedSource({ title: 'Un artículo', url: 'https://example.com/articulo' })).toEqual({ type: 'url', url: 'https://example.com/articulo' });
+  expect(getSharedSource({ text: 'Mira esto: https://example.com/a?b=1.' })).toEqual({ type: 'url', url: 'https://example.com/a?b=1' });
+  expect(getSharedSource({ text: 'https://youtu.be/dQw4w9WgXcQ' })).toEqual({ type: 'video', videoUrl: 'https://youtu.be/dQw4w9WgXcQ' });
+  expect(getSharedSource({ title: 'Notas', text: ' Ideas para el post ' })).toEqual({ type: 'text', title: 'Notas', text: 'Ideas para el post' });
+});
@@ -0,0 +1,44 @@
+import { supabase } from '../config/supabase';
+import { BUILTIN_TEMPLATES } from '../config/promptTemplates';
+
+const fromRow = (row) => ({
+  id: row.id,
+  version: row.version,
+  builtin: false,
+  name: row.name,
+  description: row.description ?? '',
+  body: row.body,
+  updatedAt: row.updated_at,
+});
+
+// Plantillas incluidas + las personalizadas del espacio de trabajo
+export const listTemplates = async ({ workspaceId }) => {
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .order('updated_at', { ascending: false });
+  if (error) throw error;
+  return [...BUILTIN_TEMPLATES, ...data.map(fromRow)];
+};
+
+export const saveTemplate = async ({ id, userId, workspaceId, name, description, body }) => {
+  const query = id
+    ? supabase.from('prompt_templates').update({ name, description, body }).eq('id', id)
+    : supabase.from('prompt_templates').insert({ user_id: userId, workspace_id: workspaceId, name, description, body });
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return fromRow(data);
+};
+
+export const deleteTemplate = async (id) => {
+  const { error } = await supabase.from('prompt_templates').delete().eq('id', id);
+  if (error) throw error;
+};
+
+// Las plantillas incluidas se muestran traducidas; las del usuario, tal cual
+export const getTemplateName = (template, t) =>
+  template.builtin ? t(`builtinTemplates.${template.id}.name`) : template.name;
+
+export const getTemplateDescription = (template, t) =>
+  template.builtin ? t(`builtinTemplates.${template.id}.description`) : template.description;
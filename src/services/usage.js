@@ -0,0 +1,19 @@
+import { supabase } from '../config/supabase';
+import { apiFetch } from './api';
+
+// Registro de generaciones del usuario desde `since` (lo escribe el backend). Las que siguen
+// en curso (`pending`) aún no tienen tokens ni resultado
+export const listUsage = async ({ userId, since }) => {
+  const { data, error } = await supabase
+    .from('generation_usage')
+    .select('id, provider, model, prompt_tokens, output_tokens, tokens_estimated, latency_ms, status, error_category, created_at')
+    .eq('user_id', userId)
+    .gte('created_at', since.toISOString())
+    .neq('status', 'pending')
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data;
+};
+
+// Generaciones gastadas hoy y este mes y los límites del plan
+export const fetchUsageStatus = () => apiFetch('/api/usage');
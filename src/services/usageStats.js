@@ -0,0 +1,85 @@
+import { sub, startOfDay, startOfWeek, startOfMonth, eachDayOfInterval, eachWeekOfInterval, eachMonthOfInterval, format } from 'date-fns';
+import { MODEL_PRICING } from '../config/pricing';
+
+// Periodos que muestra el panel con cada agrupación, contando el actual
+export const USAGE_RANGES = {
+  day: 30,
+  week: 12,
+  month: 12
+};
+
+const BUCKETS = {
+  day: { start: startOfDay, each: eachDayOfInterval },
+  week: { start: (date) => startOfWeek(date, { weekStartsOn: 1 }), each: (interval) => eachWeekOfInterval(interval, { weekStartsOn: 1 }) },
+  month: { start: startOfMonth, each: eachMonthOfInterval }
+};
+
+const BUCKET_KEY = 'yyyy-MM-dd';
+
+// Coste estimado de una generación en USD. Un modelo sin precio conocido cuenta como 0
+export const estimateCost = (row) => {
+  const price = MODEL_PRICING[row.model];
+  if (!price) return 0;
+  return (row.prompt_tokens * price.input + row.output_tokens * price.output) / 1e6;
+};
+
+// Inicio del primero de los periodos que muestra el panel
+export const getRangeStart = (period, now = new Date()) => BUCKETS[period].start(
+  sub(now, { [`${period}s`]: USAGE_RANGES[period] - 1 })
+);
+
+// Agrupa el registro por día, semana (desde el lunes) o mes locales, incluidos los periodos
+// sin generaciones, para que las gráficas no se salten huecos
+export const bucketUsage = (rows, { period, from, to = new Date() }) => {
+  const { start, each } = BUCKETS[period];
+  const buckets = each({ start: start(from), end: to }).map((date) => ({
+    date,
+    generations: 0,
+    errors: 0,
+    promptTokens: 0,
+    outputTokens: 0,
+    cost: 0
+  }));
+  const byKey = new Map(buckets.map((bucket) => [format(bucket.date, BUCKET_KEY), bucket]));
+
+  rows.forEach((row) => {
+    const bucket = byKey.get(format(start(new Date(row.created_at)), BUCKET_KEY));
+    if (!bucket) return;
+    bucket.generations += 1;
+    if (row.status === 'error') bucket.errors += 1;
+    bucket.promptTokens += row.prompt_tokens;
+    bucket.outputTokens += row.output_tokens;
+    bucket.cost += estimateCost(row);
+  });
+  return buckets;
+};
+
+// Totales del periodo y desglose por modelo, del más usado al menos
+export const summarizeUsage = (rows) => {
+  const models = {};
+  const totals = { generations: 0, errors: 0, tokens: 0, cost: 0, averageLatency: 0, estimated: false };
+  let latency = 0;
+
+  rows.forEach((row) => {
+    const cost = estimateCost(row);
+    const tokens = row.prompt_tokens + row.output_tokens;
+    totals.generations += 1;
+    if (row.status === 'error') totals.errors += 1;
+    totals.tokens += tokens;
+    totals.cost += cost;
+    totals.estimated ||= row.tokens_estimated;
+    latency += row.latency_ms;
+
+    const key = `${row.provider}/${row.model}`;
+    models[key] ??= { provider: row.provider, model: row.model, generations: 0, tokens: 0, cost: 0 };
+    models[key].generations += 1;
+    models[key].tokens += tokens;
+    models[key].cost += cost;
+  });
+
+  totals.averageLatency = rows.length ? Math.round(latency / rows.length) : 0;
+  return {
+    totals,
+    models: Object.values(models).sort((a, b) => b.generations - a.generations)
+  };
+};
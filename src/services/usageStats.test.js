@@ -0,0 +1,66 @@
+import { estimateCost, getRangeStart, bucketUsage, summarizeUsage } from './usageStats';
+import { getDayKey } from './calendar';
+
+const row = (createdAt, overrides = {}) => ({
+  provider: 'gemini',
+  model: 'gemini-2.0-flash',
+  prompt_tokens: 1000,
+  output_tokens: 500,
+  tokens_estimated: false,
+  latency_ms: 1200,
+  status: 'success',
+  created_at: createdAt.toISOString(),
+  ...overrides
+});
+
+test('estimates the cost from the model price per million tokens', () => {
+  expect(estimateCost(row(new Date(), { prompt_tokens: 1e6, output_tokens: 1e6 }))).toBeCloseTo(0.5);
+  expect(estimateCost(row(new Date(), { model: 'unknown-model' }))).toBe(0);
+});
+
+test('the range covers the current period and the previous ones', () => {
+  const now = new Date(2026, 9, 19, 15, 0);
+  expect(getDayKey(getRangeStart('day', now))).toBe('2026-09-20');
+  expect(getDayKey(getRangeStart('week', now))).toBe('2026-08-03');
+  expect(getDayKey(getRangeStart('month', now))).toBe('2025-11-01');
+});
+
+test('buckets usage by local day, including empty days', () => {
+  const rows = [
+    row(new Date(2026, 9, 17, 9, 0)),
+    row(new Date(2026, 9, 19, 8, 0)),
+    row(new Date(2026, 9, 19, 23, 30), { status: 'error', output_tokens: 0 })
+  ];
+  const buckets = bucketUsage(rows, { period: 'day', from: new Date(2026, 9, 17, 12, 0), to: new Date(2026, 9, 19, 23, 59) });
+
+  expect(buckets.map((bucket) => getDayKey(bucket.date))).toEqual(['2026-10-17', '2026-10-18', '2026-10-19']);
+  expect(buckets.map((bucket) => bucket.generations)).toEqual([1, 0, 2]);
+  expect(buckets[2]).toMatchObject({ errors: 1, promptTokens: 2000, outputTokens: 500 });
+});
+
+test('buckets usage by week starting on Monday and by month', () => {
+  const rows = [row(new Date(2026, 9, 12, 10, 0)), row(new Date(2026, 9, 18, 10, 0)), row(new Date(2026, 8, 30, 10, 0))];
+  const weeks = bucketUsage(rows, { period: 'week', from: new Date(2026, 8, 30), to: new Date(2026, 9, 19) });
+  expect(weeks.map((bucket) => [getDayKey(bucket.date), bucket.generations])).toEqual([
+    ['2026-09-28', 1],
+    ['2026-10-05', 0],
+    ['2026-10-12', 2],
+    ['2026-10-19', 0]
+  ]);
+
+  const months = bucketUsage(rows, { period: 'month', from: new Date(2026, 8, 1), to: new Date(2026, 9, 19) });
+  expect(months.map((bucket) => bucket.generations)).toEqual([1, 2]);
+});
+
+test('summarizes totals and usage per model', () => {
+  const rows = [
+    row(new Date(2026, 9, 19), { latency_ms: 1000 }),
+    row(new Date(2026, 9, 19), { model: 'gpt-4o-mini', provider: 'openai', latency_ms: 2000, tokens_estimated: true }),
+    row(new Date(2026, 9, 19), { status: 'error', latency_ms: 3000 })
+  ];
+  const { totals, models } = summarizeUsage(rows);
+
+  expect(totals).toMatchObject({ generations: 3, errors: 1, tokens: 4500, averageLatency: 2000, estimated: true });
+  expect(models.map((item) => [item.model, item.generations])).toEqual([['gemini-2.0-flash', 2], ['gpt-4o-mini', 1]]);
+  expect(summarizeUsage([]).totals.averageLatency).toBe(0);
+});
@@ -0,0 +1,179 @@
+import { POST_LENGTHS, OUTPUT_LANGUAGES, DEFAULT_OUTPUT_LANGUAGE } from '../config/postOptions';
+import { countCharacters, LINKEDIN_MAX_LENGTH } from './linkedinFormat';
+
+// Margen sobre el rango de longitud de POST_LENGTHS antes de dar el post por corto o largo
+export const LENGTH_TOLERANCE = 0.2;
+
+// Cómo se corrige cada regla: `auto` en el propio texto, `prompt` pidiéndoselo de nuevo al modelo
+export const VALIDATION_RULES = {
+  error_sentinel: { severity: 'error', repair: null },
+  footer: { severity: 'error', repair: 'auto' },
+  emojis: { severity: 'warning', repair: 'auto' },
+  too_long: { severity: 'warning', repair: 'prompt' },
+  too_short: { severity: 'warning', repair: 'prompt' },
+  linkedin_limit: { severity: 'error', repair: 'prompt' },
+  banned_words: { severity: 'error', repair: 'prompt' },
+  unsupported_facts: { severity: 'warning', repair: 'prompt' }
+};
+
+// Respuesta con la que el modelo avisa de que no ha podido usar el artículo: una sola línea
+// y nada más. Un post que menciona la frase no lo es
+const SENTINEL_PATTERN = /^\s*(?:ERROR\s*:|no se puede acceder al contenido)[^\n]*\s*$/i;
+// ©, ® y ™ son pictográficos para Unicode, pero no cuentan como emojis
+export const EMOJI_PATTERN = /(?![©®™])\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic}|\p{Emoji_Modifier})*|\p{Regional_Indicator}|[\uFE0F\u20E3]/gu;
+const TAG_LINE = /^(?:[#@][\p{L}\p{N}_]+\s*)+$/u;
+const NUMBER_PATTERN = /(?:[$€£]\s?)?\d+(?:[.,]\d+)*(?:\s?(?:%|€|\$|£))?/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getMoreInfo = (language) =>
+  (OUTPUT_LANGUAGES.find((option) => option.value === language) ?? OUTPUT_LANGUAGES.find((option) => option.value === DEFAULT_OUTPUT_LANGUAGE)).moreInfo;
+
+// Separa del cuerpo la línea final de hashtags (la añaden las sugerencias) para no confundirla con el pie
+const splitTrailingTags = (text) => {
+  const trimmed = text.trimEnd();
+  const breakIndex = trimmed.lastIndexOf('\n');
+  const lastLine = trimmed.slice(breakIndex + 1).trim();
+  return breakIndex !== -1 && TAG_LINE.test(lastLine)
+    ? { body: trimmed.slice(0, breakIndex).trimEnd(), tags: lastLine }
+    : { body: trimmed, tags: '' };
+};
+
+const joinTags = ({ body, tags }) => (tags ? `${body}\n\n${tags}` : body);
+
+const getFooter = ({ url, language }) => `${getMoreInfo(language)}: ${url}`;
+
+// Cuerpo del post sin pie ni hashtags, que es lo que se mide
+const getMeasuredText = (text, context) => {
+  const { body } = splitTrailingTags(text);
+  const withoutFooter = context.url && body.endsWith(getFooter(context)) ? body.slice(0, -getFooter(context).length) : body;
+  return withoutFooter.trim();
+};
+
+const countWords = (text) => (text.match(/\S+/g) ?? []).length;
+
+const parseBannedWords = (bannedWords) =>
+  (Array.isArray(bannedWords) ? bannedWords : (bannedWords ?? '').split(','))
+    .map((word) => word.trim())
+    .filter(Boolean);
+
+const findBannedWords = (text, bannedWords) => parseBannedWords(bannedWords).filter((word) =>
+  new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'iu').test(text));
+
+// Cifras, importes y porcentajes del post que no aparecen en el artículo.
+// Se comparan solo los dígitos, para que «1.000» y «1,000» cuenten como la misma cifra
+const findUnsupportedFacts = (text, article) => {
+  if (!article?.text) return [];
+  const digitsOf = (value) => value.replace(/\D/g, '');
+  const withoutLinks = (value) => value.replace(/https?:\/\/\S+/g, ' ');
+  const source = [article.title, article.excerpt, article.text, article.publishedAt].filter(Boolean).join('\n');
+  const known = new Set((withoutLinks(source).match(NUMBER_PATTERN) ?? []).map(digitsOf));
+
+  return [...new Set((withoutLinks(text).match(NUMBER_PATTERN) ?? [])
+    .map((value) => value.trim())
+    // Los números sueltos de una cifra suelen ser recuentos («3 claves»), no datos del artículo
+    .filter((value) => digitsOf(value).length > 1 || /[%$€£]/.test(value))
+    .filter((value) => !known.has(digitsOf(value))))];
+};
+
+const violation = (rule, params = {}) => ({ rule, ...VALIDATION_RULES[rule], params });
+
+// Comprueba el texto contra todas las reglas. `context` son los ajustes de la generación:
+// url, postLength, lengthUnit, useEmojis, language, article y bannedWords
+export const validatePost = (text, context = {}) => {
+  if (SENTINEL_PATTERN.test(text)) return [violation('error_sentinel')];
+
+  const violations = [];
+  const { body } = splitTrailingTags(text);
+
+  if (context.url && !body.endsWith(getFooter(context))) {
+    violations.push(violation('footer', { footer: getFooter(context) }));
+  }
+
+  if (context.useEmojis === false) {
+    const emojis = [...new Set(text.match(EMOJI_PATTERN) ?? [])].filter((emoji) => !/^[\uFE0F\u20E3]$/.test(emoji));
+    if (emojis.length) violations.push(violation('emojis', { emojis: emojis.join(' ') }));
+  }
+
+  const lengthOption = POST_LENGTHS.find((option) => option.value === context.postLength);
+  if (lengthOption) {
+    const unit = context.lengthUnit === 'characters' ? 'characters' : 'words';
+    const [min, max] = lengthOption[unit];
+    const measured = getMeasuredText(text, context);
+    const count = unit === 'characters' ? countCharacters(measured) : countWords(measured);
+    if (count > max * (1 + LENGTH_TOLERANCE)) violations.push(violation('too_long', { count, min, max, unit }));
+    if (count < min * (1 - LENGTH_TOLERANCE)) violations.push(violation('too_short', { count, min, max, unit }));
+  }
+
+  if (countCharacters(text) > LINKEDIN_MAX_LENGTH) {
+    violations.push(violation('linkedin_limit', { count: countCharacters(text), max: LINKEDIN_MAX_LENGTH }));
+  }
+
+  const banned = findBannedWords(text, context.bannedWords);
+  if (banned.length) violations.push(violation('banned_words', { words: banned.join(', ') }));
+
+  const facts = findUnsupportedFacts(getMeasuredText(text, context), context.article);
+  if (facts.length) violations.push(violation('unsupported_facts', { facts: facts.join(', ') }));
+
+  return violations;
+};
+
+const AUTO_REPAIRS = {
+  // Quita cualquier pie anterior (o la URL suelta) y pone el correcto al final, antes de los hashtags
+  footer: (text, context) => {
+    const { body, tags } = splitTrailingTags(text);
+    const footerPattern = new RegExp(`\\n*(?:[^\\n]*:\\s*)?${escapeRegExp(context.url)}\\s*$`);
+    return joinTags({ body: `${body.replace(footerPattern, '').trimEnd()}\n\n${getFooter(context)}`.trimStart(), tags });
+  },
+  emojis: (text) => text
+    .replace(EMOJI_PATTERN, '')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/^[ \t]+|[ \t]+$/gm, '')
+};
+
+// Aplica las correcciones automáticas y devuelve el texto con las infracciones que quedan
+export const repairPost = (text, context = {}) => {
+  const repaired = validatePost(text, context)
+    .filter(({ repair }) => repair === 'auto')
+    .reduce((current, { rule }) => AUTO_REPAIRS[rule](current, context), text);
+  return { text: repaired, violations: validatePost(repaired, context) };
+};
+
+const unitName = (unit) => (unit === 'characters' ? 'caracteres' : 'palabras');
+
+// Instrucciones para el modelo: como el resto del prompt, en español
+const REPAIR_INSTRUCTIONS = {
+  too_long: ({ count, min, max, unit }) => `Es demasiado larga (${count} ${unitName(unit)}); debe tener entre ${min} y ${max} ${unitName(unit)}.`,
+  too_short: ({ count, min, max, unit }) => `Es demasiado corta (${count} ${unitName(unit)}); debe tener entre ${min} y ${max} ${unitName(unit)}.`,
+  linkedin_limit: ({ max }) => `Supera el límite de LinkedIn; no puede pasar de ${max} caracteres en total.`,
+  banned_words: ({ words }) => `No uses estas palabras ni expresiones: ${words}.`,
+  unsupported_facts: ({ facts }) => `Estos datos no aparecen en el artículo; elimínalos o corrígelos con los del artículo: ${facts}.`
+};
+
+export const needsRepairPrompt = (violations) => violations.some(({ repair }) => repair === 'prompt');
+
+// Lo que se pide al modelo para corregir su respuesta; en una conversación va como mensaje propio
+export const buildRepairInstruction = (violations) => [
+  'La respuesta anterior no cumple estas reglas:',
+  ...violations.filter(({ repair }) => repair === 'prompt').map(({ rule, params }) => `- ${REPAIR_INSTRUCTIONS[rule](params)}`),
+  '',
+  'Reescribe la publicación completa corrigiendo esos problemas y manteniendo todo lo demás. Responde solo con el texto del post.'
+].join('\n');
+
+export const buildRepairPrompt = (prompt, text, violations) => [
+  prompt,
+  '',
+  '--- RESPUESTA ANTERIOR ---',
+  text,
+  '--- FIN DE LA RESPUESTA ANTERIOR ---',
+  '',
+  buildRepairInstruction(violations)
+].join('\n');
+
+// Para quedarse con el mejor de dos intentos: los errores pesan más que los avisos
+export const scoreViolations = (violations) =>
+  violations.reduce((total, { severity }) => total + (severity === 'error' ? 10 : 1), 0);
+
+// Mensaje traducido de una infracción, para mostrarla con `t()`
+export const getViolationMessage = ({ rule, params }, t) =>
+  t(`validation.rules.${rule}`, { ...params, unit: params.unit && t(`validation.units.${params.unit}`) });
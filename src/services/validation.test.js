@@ -0,0 +1,63 @@
+import { validatePost, repairPost, buildRepairPrompt, needsRepairPrompt } from './validation';
+
+const url = 'https://example.com/articulo';
+const words = (count) => Array.from({ length: count }, () => 'palabra').join(' ');
+const context = { url, postLength: 'short', lengthUnit: 'words', useEmojis: false, language: 'es-ES' };
+const rules = (violations) => violations.map(({ rule }) => rule);
+
+test('accepts a post that follows every rule', () => {
+  expect(validatePost(`${words(60)}\n\nMás información: ${url}`, context)).toEqual([]);
+});
+
+test('treats the error sentinel as the only violation', () => {
+  expect(rules(validatePost('ERROR: No se puede acceder al artículo', context))).toEqual(['error_sentinel']);
+  expect(rules(validatePost('No se puede acceder al contenido de la URL.\n', context))).toEqual(['error_sentinel']);
+});
+
+test('does not mistake a post that mentions the sentinel phrase for it', () => {
+  const post = `Cuando no se puede acceder a los datos, ${words(55)}\n\nMás información: ${url}`;
+  expect(validatePost(post, context)).toEqual([]);
+});
+
+test('repairs a missing or wrong footer, keeping the hashtag line last', () => {
+  const { text, violations } = repairPost(`${words(60)}\n\nLeer más: ${url}\n\n#IA #Datos`, context);
+  expect(text).toBe(`${words(60)}\n\nMás información: ${url}\n\n#IA #Datos`);
+  expect(violations).toEqual([]);
+  expect(repairPost(words(60), { ...context, language: 'en' }).text).toBe(`${words(60)}\n\nMore information: ${url}`);
+});
+
+test('removes emojis only when they were not requested', () => {
+  const post = `🚀 ${words(60)} 👩🏽‍💻\n\nMás información: ${url}`;
+  expect(rules(validatePost(post, { ...context, useEmojis: true }))).toEqual([]);
+  const { text, violations } = repairPost(post, context);
+  expect(text).toBe(`${words(60)}\n\nMás información: ${url}`);
+  expect(violations).toEqual([]);
+});
+
+test('checks the length range without counting footer or hashtags', () => {
+  expect(rules(validatePost(`${words(20)}\n\nMás información: ${url}`, context))).toEqual(['too_short']);
+  expect(rules(validatePost(`${words(120)}\n\nMás información: ${url}`, context))).toEqual(['too_long']);
+  expect(validatePost(`${words(60)}\n\nMás información: ${url}\n\n#Uno #Dos`, { ...context, postLength: 'short' })).toEqual([]);
+});
+
+test('finds banned words as whole words, ignoring case', () => {
+  const post = `Una Sinergia disruptiva. ${words(60)}\n\nMás información: ${url}`;
+  const [violation] = validatePost(post, { ...context, bannedWords: 'sinergia, disrupt, game changer' });
+  expect(violation).toMatchObject({ rule: 'banned_words', params: { words: 'sinergia' } });
+});
+
+test('flags figures that are not in the source article', () => {
+  const article = { title: 'Ventas', text: 'Las ventas crecieron un 12,5 % hasta 1.000 millones en 2024.' };
+  const post = `Crecieron un 12.5% hasta 1,000 millones en 2024 y un 30 % más en 3 mercados. ${words(50)}\n\nMás información: ${url}`;
+  const [violation] = validatePost(post, { ...context, article });
+  expect(violation).toMatchObject({ rule: 'unsupported_facts', params: { facts: '30 %' } });
+});
+
+test('asks the model to fix only what cannot be repaired in the text', () => {
+  const violations = validatePost(`${words(20)}\n\nMás información: ${url}`, { ...context, bannedWords: 'palabra' });
+  expect(needsRepairPrompt(violations)).toBe(true);
+  const prompt = buildRepairPrompt('PROMPT', 'TEXTO', violations);
+  expect(prompt).toContain('Es demasiado corta (20 palabras)');
+  expect(prompt).toContain('No uses estas palabras ni expresiones: palabra.');
+  expect(needsRepairPrompt(validatePost('🚀', { useEmojis: false }))).toBe(false);
+});
@@ -0,0 +1,54 @@
+// Historial de versiones de un post para deshacer y rehacer. Cada versión guarda de dónde
+// sale (`action`: 'generated', 'opened', 'edited' o una de refine.js) y, si es un cambio
+// pedido al modelo, la instrucción que se le mandó. Deshacer y hacer un cambio nuevo
+// descarta las versiones que se habían deshecho, como en un editor.
+// `sourcePrompt` es el prompt con el que se generó el post: el principio de la conversación
+// con el modelo al refinarlo (null si no se conoce, p. ej. posts del historial)
+export const MAX_VERSIONS = 30;
+
+const createVersion = (text, { action, tone = null, note = null, instruction = null }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  text,
+  action,
+  tone,
+  note,
+  instruction,
+  createdAt: new Date().toISOString()
+});
+
+export const createTimeline = (text, action = 'generated', sourcePrompt = null) => ({
+  versions: [createVersion(text, { action })],
+  index: 0,
+  sourcePrompt
+});
+
+export const getCurrentVersion = (timeline) => timeline.versions[timeline.index];
+
+// Versiones de la rama actual, de la primera a la actual
+export const getActiveVersions = (timeline) => timeline.versions.slice(0, timeline.index + 1);
+
+export const addVersion = (timeline, text, details) => {
+  const versions = [...getActiveVersions(timeline), createVersion(text, details)].slice(-MAX_VERSIONS);
+  return { ...timeline, versions, index: versions.length - 1 };
+};
+
+// Los cambios hechos a mano en el editor pasan a ser una versión antes de deshacer o refinar
+export const syncEdits = (timeline, text) =>
+  (text === getCurrentVersion(timeline).text ? timeline : addVersion(timeline, text, { action: 'edited' }));
+
+export const canUndo = (timeline) => timeline.index > 0;
+
+export const canRedo = (timeline) => timeline.index < timeline.versions.length - 1;
+
+export const undo = (timeline) => ({ ...timeline, index: Math.max(0, timeline.index - 1) });
+
+export const redo = (timeline) => ({ ...timeline, index: Math.min(timeline.versions.length - 1, timeline.index + 1) });
+
+export const goToVersion = (timeline, index) => ({ ...timeline, index: Math.min(Math.max(index, 0), timeline.versions.length - 1) });
+
+// Etiqueta de una versión para mostrarla con `t()`: las instrucciones libres se muestran tal cual
+export const getVersionLabel = (version, t) => {
+  if (version.action === 'custom') return version.note;
+  if (version.action === 'tone') return t('refine.versionActions.tone', { tone: t(`options.tone.${version.tone}`) });
+  return t(`refine.versionActions.${version.action}`);
+};
@@ -0,0 +1,29 @@
+import { createTimeline, addVersion, syncEdits, undo, redo, canUndo, canRedo, getCurrentVersion, getActiveVersions, MAX_VERSIONS } from './versions';
+
+test('undoes and redoes versions and drops the undone ones on a new change', () => {
+  let timeline = createTimeline('v1');
+  timeline = addVersion(timeline, 'v2', { action: 'shorter', instruction: 'Más corto' });
+  timeline = addVersion(timeline, 'v3', { action: 'hook', instruction: 'Gancho' });
+  expect(canRedo(timeline)).toBe(false);
+
+  timeline = undo(undo(timeline));
+  expect(getCurrentVersion(timeline).text).toBe('v1');
+  expect(canUndo(timeline)).toBe(false);
+  timeline = redo(timeline);
+  expect(getCurrentVersion(timeline).text).toBe('v2');
+
+  timeline = addVersion(timeline, 'v4', { action: 'cta', instruction: 'CTA' });
+  expect(timeline.versions.map((version) => version.text)).toEqual(['v1', 'v2', 'v4']);
+  expect(canRedo(timeline)).toBe(false);
+});
+
+test('keeps manual edits as a version and limits the history', () => {
+  let timeline = createTimeline('v1');
+  expect(syncEdits(timeline, 'v1')).toBe(timeline);
+  timeline = syncEdits(timeline, 'v1 editado');
+  expect(getCurrentVersion(timeline)).toMatchObject({ text: 'v1 editado', action: 'edited', instruction: null });
+
+  for (let i = 0; i < MAX_VERSIONS + 5; i += 1) timeline = addVersion(timeline, `v${i}`, { action: 'custom' });
+  expect(timeline.versions).toHaveLength(MAX_VERSIONS);
+  expect(getActiveVersions(undo(timeline))).toHaveLength(MAX_VERSIONS - 1);
+});
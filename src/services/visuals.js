@@ -0,0 +1,141 @@
+import { PRIMARY_COLOR } from '../theme';
+
+// Colores por defecto de las imágenes: el azul del tema sobre blanco
+export const DEFAULT_BRAND = {
+  primaryColor: PRIMARY_COLOR,
+  backgroundColor: '#ffffff',
+  textColor: '#1d2226',
+  logo: null
+};
+
+export const CARD_SIZE = { width: 1080, height: 1080 };
+// Formato vertical 4:5, el que mejor se ve en el feed como documento
+export const SLIDE_SIZE = { width: 1080, height: 1350 };
+export const MAX_CAROUSEL_POINTS = 8;
+export const MAX_LOGO_SIZE = 256;
+
+const TAG_LINE = /^(?:[#@][\p{L}\p{N}_]+\s*)+$/u;
+const LINK_LINE = /https?:\/\/\S+\s*$/;
+const BULLET_LINE = /^\s*(?:[-•*→▪✅✔]|\d+[.)])\s*/u;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const isHexColor = (value) => HEX_COLOR.test(value ?? '');
+
+// Texto blanco o negro según la luminancia del fondo
+export const getContrastColor = (hex) => {
+  if (!isHexColor(hex)) return '#ffffff';
+  const [r, g, b] = [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16) / 255)
+    .map((channel) => (channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.4 ? '#000000' : '#ffffff';
+};
+
+// Cuerpo del post sin la línea del enlace ni la de hashtags
+const getBody = (content) => content
+  .split('\n')
+  .filter((line) => !TAG_LINE.test(line.trim()) && !LINK_LINE.test(line))
+  .join('\n')
+  .trim();
+
+const getParagraphs = (text) => text.split(/\n\s*\n/).map((paragraph) => paragraph.trim()).filter(Boolean);
+const getSentences = (text) => text.split(/(?<=[.!?…])\s+|\n+/).map((sentence) => sentence.trim()).filter(Boolean);
+const cleanLine = (line) => line.replace(BULLET_LINE, '').replace(/\s+/g, ' ').trim();
+
+// Frase más citable del post: ni muy corta ni muy larga, mejor si tiene una cifra y no es una pregunta
+export const getKeyQuote = (content) => {
+  const sentences = getSentences(getBody(content)).map(cleanLine).filter((sentence) => sentence.length >= 30);
+  const score = (sentence) => -Math.abs(sentence.length - 110)
+    + (/\d/.test(sentence) ? 40 : 0)
+    - (/\?$/.test(sentence) ? 60 : 0);
+  const [best] = [...sentences].sort((a, b) => score(b) - score(a));
+  return best ?? cleanLine(getBody(content).split('\n')[0] ?? '');
+};
+
+// Primera frase de un párrafo, para que cada diapositiva tenga una idea
+const firstSentence = (paragraph) => getSentences(paragraph)[0] ?? paragraph;
+
+// Puntos principales: las líneas de lista si las hay; si no, los párrafos entre la entradilla y el cierre
+export const getMainPoints = (content, max = MAX_CAROUSEL_POINTS) => {
+  const body = getBody(content);
+  const bullets = body.split('\n').filter((line) => BULLET_LINE.test(line)).map(cleanLine).filter(Boolean);
+  if (bullets.length >= 2) return bullets.slice(0, max);
+
+  const paragraphs = getParagraphs(body);
+  const middle = paragraphs.length > 3 ? paragraphs.slice(1, -1) : paragraphs.slice(1);
+  const points = middle.map((paragraph) => cleanLine(firstSentence(paragraph)));
+  if (points.length >= 2) return points.slice(0, max);
+
+  return getSentences(body).slice(1).map(cleanLine).filter(Boolean).slice(0, max);
+};
+
+// Diapositivas del carrusel: portada, un punto por diapositiva y cierre
+export const buildCarousel = ({ title, points, closing }) => [
+  { type: 'cover', text: title },
+  ...points.map((text, i) => ({ type: 'point', number: i + 1, text })),
+  ...(closing ? [{ type: 'closing', text: closing }] : [])
+];
+
+// Título y cierre por defecto: la primera frase del post y la última si es una pregunta
+export const getCarouselDefaults = (content, article) => {
+  const sentences = getSentences(getBody(content)).map(cleanLine);
+  const last = sentences[sentences.length - 1] ?? '';
+  return {
+    title: article?.title || sentences[0] || '',
+    points: getMainPoints(content),
+    closing: /\?$/.test(last) ? last : ''
+  };
+};
+
+// Parte el texto en líneas que caben en `maxWidth` según `measure(text)`; las palabras
+// más anchas que la línea se cortan por caracteres
+export const wrapLines = (text, maxWidth, measure) => text.split('\n').flatMap((paragraph) => {
+  const lines = [];
+  let current = '';
+  paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measure(candidate) <= maxWidth) {
+      current = candidate;
+      return;
+    }
+    if (current) lines.push(current);
+    current = '';
+    let rest = word;
+    while (measure(rest) > maxWidth && rest.length > 1) {
+      let cut = rest.length - 1;
+      while (cut > 1 && measure(rest.slice(0, cut)) > maxWidth) cut -= 1;
+      lines.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    current = rest;
+  });
+  if (current) lines.push(current);
+  return lines;
+});
+
+// Mayor tamaño de letra de `sizes` con el que el texto cabe en `maxHeight`.
+// `measure(text, size)` devuelve el ancho; si no cabe con el menor, se recorta con «…»
+export const fitText = (text, { maxWidth, maxHeight, lineHeight = 1.25, sizes, measure }) => {
+  const maxLinesFor = (size) => Math.max(1, Math.floor(maxHeight / (size * lineHeight)));
+  for (const size of sizes) {
+    const lines = wrapLines(text, maxWidth, (value) => measure(value, size));
+    if (lines.length <= maxLinesFor(size)) return { size, lines };
+  }
+  const size = sizes[sizes.length - 1];
+  const maxLines = maxLinesFor(size);
+  const lines = wrapLines(text, maxWidth, (value) => measure(value, size)).slice(0, maxLines);
+  let last = lines[maxLines - 1] ?? '';
+  while (last && measure(`${last}…`, size) > maxWidth) last = last.slice(0, -1);
+  lines[maxLines - 1] = `${last.trimEnd()}…`;
+  return { size, lines };
+};
+
+// Nombre de archivo a partir del título, sin acentos ni símbolos
+export const getVisualFileName = (title, extension) => {
+  const slug = (title || 'postink')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${slug || 'postink'}.${extension}`;
+};
@@ -0,0 +1,48 @@
+import { getKeyQuote, getMainPoints, getCarouselDefaults, buildCarousel, wrapLines, fitText, getContrastColor, getVisualFileName } from './visuals';
+
+const url = 'https://example.com/articulo';
+// Cada carácter mide tanto como el tamaño de letra
+const measure = (text, size = 10) => text.length * size;
+
+test('picks a quotable sentence, preferring figures over questions', () => {
+  const post = [
+    '¿Tu empresa ya usa IA?',
+    '',
+    'El 68 % de las pymes que adoptaron IA redujo sus tiempos de respuesta en menos de un año.',
+    'Es un cambio que nadie quiere perderse, aunque cueste empezar.',
+    '',
+    `Más información: ${url}`,
+    '',
+    '#IA #Pymes'
+  ].join('\n');
+  expect(getKeyQuote(post)).toBe('El 68 % de las pymes que adoptaron IA redujo sus tiempos de respuesta en menos de un año.');
+});
+
+test('takes the main points from list lines or from the middle paragraphs', () => {
+  const list = 'Tres claves:\n\n- Medir antes de cambiar\n• Empezar por un equipo\n1. Formar a todos\n\n¿Cuál añadirías?';
+  expect(getMainPoints(list)).toEqual(['Medir antes de cambiar', 'Empezar por un equipo', 'Formar a todos']);
+
+  const paragraphs = 'Entradilla.\n\nPrimera idea. Con detalle.\n\nSegunda idea.\n\nTercera idea.\n\n¿Y tú?';
+  expect(getMainPoints(paragraphs)).toEqual(['Primera idea.', 'Segunda idea.', 'Tercera idea.']);
+});
+
+test('builds cover, point and closing slides', () => {
+  const post = 'Entradilla.\n\nPrimera idea.\n\nSegunda idea.\n\n¿Qué opinas?\n\n#IA';
+  const defaults = getCarouselDefaults(post, { title: 'IA en pymes' });
+  expect(defaults).toEqual({ title: 'IA en pymes', points: ['Primera idea.', 'Segunda idea.'], closing: '¿Qué opinas?' });
+  expect(buildCarousel(defaults).map(({ type, number }) => `${type}${number ?? ''}`)).toEqual(['cover', 'point1', 'point2', 'closing']);
+});
+
+test('wraps text to the available width and fits it in the allowed lines', () => {
+  expect(wrapLines('uno dos tres\ncuatro', 70, (text) => measure(text))).toEqual(['uno dos', 'tres', 'cuatro']);
+  expect(wrapLines('supercalifragilístico', 100, (text) => measure(text))).toEqual(['supercalif', 'ragilístic', 'o']);
+
+  expect(fitText('uno dos tres', { maxWidth: 120, maxHeight: 20, lineHeight: 1.5, sizes: [20, 10], measure })).toEqual({ size: 10, lines: ['uno dos tres'] });
+  expect(fitText('uno dos tres cuatro', { maxWidth: 80, maxHeight: 15, lineHeight: 1.5, sizes: [10], measure })).toEqual({ size: 10, lines: ['uno dos…'] });
+});
+
+test('chooses readable text colours and safe file names', () => {
+  expect(getContrastColor('#0a66c2')).toBe('#ffffff');
+  expect(getContrastColor('#f5d142')).toBe('#000000');
+  expect(getVisualFileName('¿Qué es la IA generativa?', 'pdf')).toBe('que-es-la-ia-generativa.pdf');
+});
@@ -0,0 +1,128 @@
+import { EMOJI_PATTERN } from './validation';
+
+export const MIN_VOICE_EXAMPLES = 3;
+export const RECOMMENDED_VOICE_EXAMPLES = 10;
+export const MAX_VOICE_EXAMPLES = 20;
+// Tope de texto de ejemplos que entra en el prompt; el resumen de estilo siempre se incluye
+export const MAX_VOICE_PROMPT_CHARS = 12000;
+
+// Los posts pegados se separan con una línea que solo contiene «---»
+export const splitExamples = (text) => text
+  .split(/^\s*-{3,}\s*$/m)
+  .map((example) => example.trim())
+  .filter(Boolean);
+
+export const joinExamples = (examples) => examples.join('\n\n---\n\n');
+
+const TAG_LINE = /^(?:[#@][\p{L}\p{N}_]+\s*)+$/u;
+const LINK_LINE = /https?:\/\/\S+\s*$/;
+const BULLET_LINE = /^\s*(?:[-•*→▪✅✔]|\d+[.)])\s*/u;
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const average = (values) => (values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0);
+const share = (values) => (values.length ? values.filter(Boolean).length / values.length : 0);
+
+// Las más repetidas (al menos dos veces), de más a menos
+const topRepeated = (values, limit) => {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) ?? 0) + 1));
+  return [...counts.entries()]
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value]) => value);
+};
+
+// Cuerpo del post, sin la línea del enlace ni la de hashtags
+const getBody = (post) => post
+  .split('\n')
+  .filter((line) => !TAG_LINE.test(line.trim()) && !LINK_LINE.test(line))
+  .join('\n')
+  .trim();
+
+const getSentences = (text) => text.split(/(?<=[.!?…])\s+|\n+/).map((sentence) => sentence.trim()).filter(Boolean);
+const countWords = (text) => (text.match(/[\p{L}\p{N}]+/gu) ?? []).length;
+const firstWords = (sentence, count) => (sentence.match(/[\p{L}\p{N}']+/gu) ?? []).slice(0, count).join(' ').toLowerCase();
+
+const getOpeningType = (line) => {
+  if (/\?\s*$/.test(line)) return 'question';
+  if (/!\s*$/.test(line)) return 'exclamation';
+  if (/^\W*\d/u.test(line)) return 'number';
+  return 'statement';
+};
+
+// Resumen del estilo de los posts de ejemplo. Se guarda con el perfil y se describe en el prompt
+export const analyzeVoice = (examples) => {
+  const bodies = examples.map(getBody).filter(Boolean);
+  const sentences = bodies.map(getSentences);
+  const emojis = bodies.map((body) => body.match(EMOJI_PATTERN) ?? []);
+  const openings = sentences.map((items) => items[0] ?? '');
+  const closings = sentences.map((items) => items[items.length - 1] ?? '');
+  const openingTypes = openings.map(getOpeningType);
+
+  return {
+    posts: bodies.length,
+    wordsPerPost: Math.round(average(bodies.map(countWords))),
+    wordsPerSentence: round(average(sentences.flat().map(countWords))),
+    paragraphsPerPost: round(average(bodies.map((body) => body.split(/\n\s*\n/).length))),
+    emojiShare: round(share(emojis.map((items) => items.length > 0)), 2),
+    emojisPerPost: round(average(emojis.map((items) => items.length))),
+    topEmojis: topRepeated(emojis.flat(), 5),
+    listShare: round(share(bodies.map((body) => body.split('\n').filter((line) => BULLET_LINE.test(line)).length >= 2)), 2),
+    hashtagsPerPost: round(average(examples.map((post) => (post.match(/#[\p{L}\p{N}_]+/gu) ?? []).length))),
+    openingTypes: Object.fromEntries(['question', 'exclamation', 'number', 'statement']
+      .map((type) => [type, round(share(openingTypes.map((item) => item === type)), 2)])),
+    openers: topRepeated(openings.map((sentence) => firstWords(sentence, 2)).filter(Boolean), 3),
+    questionClosingShare: round(share(closings.map((sentence) => /\?\s*$/.test(sentence))), 2),
+    closers: topRepeated(closings.map((sentence) => firstWords(sentence, 2)).filter(Boolean), 3)
+  };
+};
+
+const percent = (value) => `${Math.round(value * 100)} %`;
+
+const OPENING_DESCRIPTIONS = {
+  question: 'con una pregunta',
+  exclamation: 'con una exclamación',
+  number: 'con una cifra',
+  statement: 'con una afirmación directa'
+};
+
+// Resumen de estilo en frases para el prompt (en español, como el resto de instrucciones)
+export const describeVoice = (style) => {
+  const [opening] = Object.entries(style.openingTypes ?? {}).sort((a, b) => b[1] - a[1]);
+  return [
+    `Longitud habitual: unas ${style.wordsPerPost} palabras en ${style.paragraphsPerPost} párrafos; frases de ${style.wordsPerSentence} palabras de media.`,
+    style.emojiShare > 0
+      ? `Usa emojis en el ${percent(style.emojiShare)} de los posts (unos ${style.emojisPerPost} por post)${style.topEmojis.length ? `, sobre todo ${style.topEmojis.join(' ')}` : ''}.`
+      : 'No usa emojis.',
+    style.listShare >= 0.3 && `Suele incluir listas (${percent(style.listShare)} de los posts).`,
+    opening && `Suele empezar ${OPENING_DESCRIPTIONS[opening[0]]} (${percent(opening[1])} de los posts).`,
+    style.openers.length > 0 && `Aperturas frecuentes: ${style.openers.map((opener) => `«${opener}…»`).join(', ')}.`,
+    style.questionClosingShare >= 0.3
+      ? `Suele cerrar con una pregunta al lector (${percent(style.questionClosingShare)} de los posts).`
+      : 'Suele cerrar con una afirmación, no con una pregunta.',
+    style.closers.length > 0 && `Cierres frecuentes: ${style.closers.map((closer) => `«${closer}…»`).join(', ')}.`,
+    style.hashtagsPerPost > 0 ? `Hashtags por post: ${style.hashtagsPerPost}.` : 'No usa hashtags.'
+  ].filter(Boolean).map((line) => `- ${line}`).join('\n');
+};
+
+// Bloque del prompt con el resumen y tantos ejemplos como quepan en MAX_VOICE_PROMPT_CHARS
+export const formatVoice = (voice) => {
+  if (!voice) return '';
+  let budget = MAX_VOICE_PROMPT_CHARS;
+  const examples = voice.examples.filter((example) => {
+    if (example.length > budget) return false;
+    budget -= example.length;
+    return true;
+  });
+
+  return [
+    `--- VOZ DE MARCA: ${voice.name} ---`,
+    'Escribe con la voz de estos posts ya publicados: imita su estilo, su estructura y su forma de abrir y cerrar, pero no copies su contenido ni sus datos.',
+    'Resumen de estilo:',
+    describeVoice(voice.style?.posts ? voice.style : analyzeVoice(voice.examples)),
+    '',
+    ...examples.flatMap((example, i) => [`--- EJEMPLO ${i + 1} ---`, example, '']),
+    '--- FIN DE LA VOZ DE MARCA ---'
+  ].join('\n');
+};
@@ -0,0 +1,41 @@
+import { splitExamples, analyzeVoice, describeVoice, formatVoice, MAX_VOICE_PROMPT_CHARS } from './voice';
+
+const examples = [
+  '¿Sabías que el 70 % de los proyectos fallan? 🚀\n\nLa clave está en medir pronto.\n\n¿Qué opináis?\n\n#Gestión #Datos',
+  '¿Sabías que medir es barato?\n\n- Uno\n- Dos\n- Tres\n\n¿Lo aplicáis ya?\n\nMás información: https://example.com/2',
+  'Hoy cerramos un gran año 🚀 🎉\n\nGracias a todo el equipo.\n\n¿Qué opináis?'
+];
+
+test('splits pasted posts on separator lines', () => {
+  expect(splitExamples('Uno\nsigue\n---\nDos\n\n  -----  \nTres\n---\n')).toEqual(['Uno\nsigue', 'Dos', 'Tres']);
+});
+
+test('derives the style of the examples', () => {
+  const style = analyzeVoice(examples);
+  expect(style).toMatchObject({
+    posts: 3,
+    emojiShare: 0.67,
+    topEmojis: ['🚀'],
+    listShare: 0.33,
+    hashtagsPerPost: 0.7,
+    openers: ['sabías que'],
+    questionClosingShare: 1,
+    closers: ['qué opináis']
+  });
+  expect(style.openingTypes.question).toBe(0.67);
+});
+
+test('describes the style in the prompt, with the examples that fit', () => {
+  const long = 'x'.repeat(MAX_VOICE_PROMPT_CHARS - examples[0].length);
+  const block = formatVoice({ name: 'Marca', examples: [long, examples[0], examples[1]], style: analyzeVoice(examples) });
+  expect(block).toMatch(/^--- VOZ DE MARCA: Marca ---/);
+  expect(block).toContain('Suele empezar con una pregunta (67 % de los posts).');
+  expect(block).toContain('--- EJEMPLO 1 ---');
+  expect(block).toContain('--- EJEMPLO 2 ---');
+  expect(block).not.toContain('--- EJEMPLO 3 ---');
+  expect(formatVoice(null)).toBe('');
+});
+
+test('mentions when the examples use no emojis', () => {
+  expect(describeVoice(analyzeVoice(['Una frase. Otra frase.', 'Otra más.']))).toContain('No usa emojis.');
+});
@@ -0,0 +1,49 @@
+import { supabase } from '../config/supabase';
+import { analyzeVoice } from './voice';
+
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  examples: row.examples,
+  style: row.style,
+  updatedAt: row.updated_at
+});
+
+export const listVoiceProfiles = async ({ workspaceId }) => {
+  const { data, error } = await supabase
+    .from('voice_profiles')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .order('updated_at', { ascending: false });
+  if (error) throw error;
+  return data.map(fromRow);
+};
+
+// El resumen de estilo se recalcula cada vez que cambian los ejemplos
+export const saveVoiceProfile = async ({ id, userId, workspaceId, name, examples }) => {
+  const values = { name, examples, style: analyzeVoice(examples) };
+  const query = id
+    ? supabase.from('voice_profiles').update(values).eq('id', id)
+    : supabase.from('voice_profiles').insert({ user_id: userId, workspace_id: workspaceId, ...values });
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return fromRow(data);
+};
+
+export const deleteVoiceProfile = async (id) => {
+  const { error } = await supabase.from('voice_profiles').delete().eq('id', id);
+  if (error) throw error;
+};
+
+// Posts del historial para importarlos como ejemplos: primero los publicados en LinkedIn
+export const listExamplePosts = async ({ workspaceId, limit = 50 }) => {
+  const { data, error } = await supabase
+    .from('posts')
+    .select('id, title, content, published_at, created_at')
+    .eq('workspace_id', workspaceId)
+    .order('published_at', { ascending: false, nullsFirst: false })
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data;
+};
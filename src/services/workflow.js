@@ -0,0 +1,29 @@
+// Roles de un espacio de trabajo y flujo de aprobación de los posts.
+// Es la misma tabla que aplica el trigger posts_guard_update en la base de datos
+export const WORKSPACE_ROLES = ['owner', 'editor', 'reviewer'];
+export const POST_STATUSES = ['draft', 'in_review', 'approved'];
+
+// Crear y editar posts, plantillas y voces
+export const canEdit = (role) => role === 'owner' || role === 'editor';
+// Miembros, invitaciones y nombre del espacio
+export const canManage = (role) => role === 'owner';
+
+// Acciones de cada estado: `roles` son los que pueden hacerla
+const STATUS_ACTIONS = [
+  { action: 'submit', from: 'draft', to: 'in_review', roles: ['owner', 'editor'] },
+  { action: 'approve', from: 'in_review', to: 'approved', roles: ['owner', 'reviewer'] },
+  { action: 'requestChanges', from: 'in_review', to: 'draft', roles: ['owner', 'reviewer'] },
+  { action: 'withdraw', from: 'in_review', to: 'draft', roles: ['editor'] },
+  { action: 'reopen', from: 'approved', to: 'draft', roles: ['owner', 'editor'] }
+];
+
+export const getStatusActions = (status, role) => STATUS_ACTIONS
+  .filter((item) => item.from === (status ?? 'draft') && item.roles.includes(role))
+  .map(({ action, to }) => ({ action, to }));
+
+export const canChangeStatus = (from, to, role) =>
+  STATUS_ACTIONS.some((item) => item.from === from && item.to === to && item.roles.includes(role));
+
+export const normalizeEmail = (email) => email.trim().toLowerCase();
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email));
@@ -0,0 +1,27 @@
+import { getStatusActions, canChangeStatus, canEdit, canManage, isValidEmail, normalizeEmail } from './workflow';
+
+const actions = (status, role) => getStatusActions(status, role).map(({ action }) => action);
+
+test('editors submit drafts and reviewers approve or send them back', () => {
+  expect(actions('draft', 'editor')).toEqual(['submit']);
+  expect(actions('draft', 'reviewer')).toEqual([]);
+  expect(actions('in_review', 'reviewer')).toEqual(['approve', 'requestChanges']);
+  expect(actions('in_review', 'editor')).toEqual(['withdraw']);
+  expect(actions('approved', 'reviewer')).toEqual([]);
+  expect(actions('approved', 'owner')).toEqual(['reopen']);
+});
+
+test('only allows the transitions of the workflow', () => {
+  expect(canChangeStatus('draft', 'approved', 'owner')).toBe(false);
+  expect(canChangeStatus('in_review', 'approved', 'editor')).toBe(false);
+  expect(canChangeStatus('in_review', 'approved', 'owner')).toBe(true);
+  expect(canChangeStatus('in_review', 'draft', 'editor')).toBe(true);
+});
+
+test('maps roles to permissions and checks invitation emails', () => {
+  expect(['owner', 'editor', 'reviewer'].map(canEdit)).toEqual([true, true, false]);
+  expect(['owner', 'editor', 'reviewer'].map(canManage)).toEqual([true, false, false]);
+  expect(normalizeEmail('  Ana@Example.COM ')).toBe('ana@example.com');
+  expect(isValidEmail('ana@example.com')).toBe(true);
+  expect(isValidEmail('ana@example')).toBe(false);
+});
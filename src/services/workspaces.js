@@ -0,0 +1,130 @@
+import { supabase } from '../config/supabase';
+import { apiFetch } from './api';
+import { normalizeEmail } from './workflow';
+
+// Espacios de los que el usuario es miembro, con su rol en cada uno
+export const listWorkspaces = async ({ userId }) => {
+  const { data, error } = await supabase
+    .from('workspace_members')
+    .select('role, workspaces (id, name, created_at)')
+    .eq('user_id', userId);
+  if (error) throw error;
+  return data
+    .filter((row) => row.workspaces)
+    .map((row) => ({ ...row.workspaces, role: row.role }))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+export const createWorkspace = async (name) => {
+  const { data, error } = await supabase.rpc('create_workspace', { workspace_name: name });
+  if (error) throw error;
+  return data;
+};
+
+// Crea el espacio personal si el usuario no es miembro de ninguno. Se puede llamar varias
+// veces a la vez: solo lo crea una (ver la migración ensure_personal_workspace)
+export const ensurePersonalWorkspace = async (name) => {
+  const { error } = await supabase.rpc('ensure_personal_workspace', { workspace_name: name });
+  if (error) throw error;
+};
+
+export const renameWorkspace = async (id, name) => {
+  const { error } = await supabase.from('workspaces').update({ name }).eq('id', id);
+  if (error) throw error;
+};
+
+export const deleteWorkspace = async (id) => {
+  const { error } = await supabase.from('workspaces').delete().eq('id', id);
+  if (error) throw error;
+};
+
+export const listMembers = async ({ workspaceId }) => {
+  const { data, error } = await supabase
+    .from('workspace_members')
+    .select('user_id, email, role, created_at')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data;
+};
+
+export const updateMemberRole = async ({ workspaceId, userId, role }) => {
+  const { error } = await supabase
+    .from('workspace_members')
+    .update({ role })
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId);
+  if (error) throw error;
+};
+
+// También sirve para salir del espacio (el usuario se quita a sí mismo)
+export const removeMember = async ({ workspaceId, userId }) => {
+  const { error } = await supabase
+    .from('workspace_members')
+    .delete()
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId);
+  if (error) throw error;
+};
+
+// Invitaciones enviadas desde un espacio (solo las ve el owner)
+export const listInvitations = async ({ workspaceId }) => {
+  const { data, error } = await supabase
+    .from('workspace_invitations')
+    .select('*')
+    .eq('workspace_id', workspaceId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data;
+};
+
+// Guarda la invitación y pide al backend que envíe el email. Si el email no sale
+// (backend sin service role, o el invitado ya tiene cuenta) la invitación sigue
+// esperándole en la app: `emailSent` lo indica
+export const inviteMember = async ({ workspaceId, userId, email, role }) => {
+  const { data, error } = await supabase
+    .from('workspace_invitations')
+    .upsert(
+      { workspace_id: workspaceId, email: normalizeEmail(email), role, invited_by: userId },
+      { onConflict: 'workspace_id,email' }
+    )
+    .select()
+    .single();
+  if (error) throw error;
+
+  try {
+    const { sent } = await apiFetch(`/api/workspaces/invitations/${data.id}/email`, { method: 'POST' });
+    return { invitation: data, emailSent: sent };
+  } catch (sendError) {
+    console.error('Error sending invitation email:', sendError);
+    return { invitation: data, emailSent: false };
+  }
+};
+
+export const cancelInvitation = async (id) => {
+  const { error } = await supabase.from('workspace_invitations').delete().eq('id', id);
+  if (error) throw error;
+};
+
+// Invitaciones pendientes para el email del usuario
+export const listMyInvitations = async ({ email }) => {
+  const { data, error } = await supabase
+    .from('workspace_invitations')
+    .select('id, role, created_at, workspaces (id, name)')
+    .eq('email', normalizeEmail(email ?? ''))
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data.map((row) => ({ id: row.id, role: row.role, workspace: row.workspaces }));
+};
+
+// Devuelve el id del espacio al que se ha unido
+export const acceptInvitation = async (id) => {
+  const { data, error } = await supabase.rpc('accept_workspace_invitation', { invitation_id: id });
+  if (error) throw error;
+  return data;
+};
+
+export const declineInvitation = cancelInvitation;
+
+// El trigger keep_workspace_owner rechaza dejar un espacio sin owner
+export const isLastOwnerError = (error) => error?.hint === 'last_owner';
@@ -0,0 +1,36 @@
+import { http, HttpResponse } from 'msw';
+import { server } from '../mocks/server';
+import { API_URL, SUPABASE_URL } from '../mocks/handlers';
+import { inviteMember } from './workspaces';
+
+test('inviting the same email again refreshes the pending invitation', async () => {
+  const invitations = [];
+  const emails = [];
+  server.use(
+    http.post(`${SUPABASE_URL}/rest/v1/workspace_invitations`, async ({ request }) => {
+      const { searchParams } = new URL(request.url);
+      expect(searchParams.get('on_conflict')).toBe('workspace_id,email');
+      expect(request.headers.get('Prefer')).toContain('resolution=merge-duplicates');
+      const row = await request.json();
+      const existing = invitations.find((invitation) => invitation.workspace_id === row.workspace_id && invitation.email === row.email);
+      if (existing) {
+        Object.assign(existing, row);
+        return HttpResponse.json(existing);
+      }
+      invitations.push({ id: `invitation-${invitations.length + 1}`, ...row });
+      return HttpResponse.json(invitations.at(-1), { status: 201 });
+    }),
+    http.post(`${API_URL}/api/workspaces/invitations/:id/email`, ({ params }) => {
+      emails.push(params.id);
+      return HttpResponse.json({ sent: true });
+    })
+  );
+
+  await inviteMember({ workspaceId: 'workspace-1', userId: 'user-1', email: 'Luis@Example.com', role: 'reviewer' });
+  const { invitation, emailSent } = await inviteMember({ workspaceId: 'workspace-1', userId: 'user-1', email: 'luis@example.com', role: 'editor' });
+
+  expect(invitation).toMatchObject({ id: 'invitation-1', email: 'luis@example.com', role: 'editor' });
+  expect(emailSent).toBe(true);
+  expect(invitations).toHaveLength(1);
+  expect(emails).toEqual(['invitation-1', 'invitation-1']);
+});
@@ -3,3 +3,22 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { setupJestCanvasMock } from 'jest-canvas-mock';
+import './mocks/polyfills';
+import { server } from './mocks/server';
+import { resetDb } from './mocks/handlers';
+
+// Ninguna petición sale de la máquina: la que no tenga handler hace fallar el test.
+// Se activa al cargar, y no en beforeAll, porque supabase-js guarda el `fetch` global al
+// crear el cliente, cuando el test importa sus módulos
+server.listen({ onUnhandledRequest: 'error' });
+
+// jsdom no dibuja en <canvas> (imágenes para compartir, ver services/canvas.js). Se vuelve
+// a preparar en cada test porque `resetMocks` de CRA borra sus implementaciones
+beforeEach(() => setupJestCanvasMock());
+afterEach(() => {
+  server.resetHandlers();
+  resetDb();
+  localStorage.clear();
+});
+afterAll(() => server.close());
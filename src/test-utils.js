@@ -0,0 +1,36 @@
+import { render } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { LanguageProvider } from './contexts/LanguageContext';
+import { AuthProvider } from './contexts/AuthContext';
+import { NotificationProvider } from './contexts/NotificationContext';
+import { WorkspaceProvider } from './contexts/WorkspaceContext';
+import { OfflineQueueProvider } from './contexts/OfflineQueueContext';
+import { translate } from './i18n';
+import { signIn } from './mocks/handlers';
+
+// Los tests comprueban los textos de la interfaz en inglés
+export const t = (key, params) => translate('en', key, params);
+
+export const renderWithAuth = (ui) => {
+  localStorage.setItem('language', 'en');
+  return render(
+    <LanguageProvider>
+      <AuthProvider>{ui}</AuthProvider>
+    </LanguageProvider>
+  );
+};
+
+// Una pantalla de la sesión iniciada con los mismos providers que le da App.js,
+// contra los handlers de src/mocks (Supabase y backend)
+export const renderSignedIn = (ui, { route = '/' } = {}) => {
+  signIn();
+  return renderWithAuth(
+    <NotificationProvider>
+      <MemoryRouter initialEntries={[route]}>
+        <WorkspaceProvider>
+          <OfflineQueueProvider>{ui}</OfflineQueueProvider>
+        </WorkspaceProvider>
+      </MemoryRouter>
+    </NotificationProvider>
+  );
+};
@@ -0,0 +1,39 @@
+import { createTheme } from '@mui/material/styles';
+
+export const PRIMARY_COLOR = '#0a66c2'; // LinkedIn blue
+
+// `muiLocale`: textos de los componentes de MUI (paginación, etc.) en el idioma de la interfaz
+export const createAppTheme = (mode, muiLocale = {}) => createTheme({
+  palette: {
+    mode,
+    primary: {
+      main: PRIMARY_COLOR,
+    },
+    background: {
+      default: mode === 'dark' ? '#1a1a1a' : '#f3f2ef', // Color de fondo de LinkedIn
+      paper: mode === 'dark' ? '#2d2d2d' : '#ffffff',
+    }
+  },
+  typography: {
+    h4: {
+      fontWeight: 700,
+    }
+  },
+  components: {
+    MuiButton: {
+      styleOverrides: {
+        root: {
+          textTransform: 'none',
+          borderRadius: 8,
+        }
+      }
+    },
+    MuiPaper: {
+      styleOverrides: {
+        root: {
+          borderRadius: 8,
+        }
+      }
+    }
+  }
+}, muiLocale);
@@ -0,0 +1,36 @@
+-- Historial de publicaciones generadas, una fila por post y usuario
+create table if not exists public.posts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  url text,
+  title text,
+  content text not null,
+  tone text,
+  post_length text,
+  use_emojis boolean not null default false,
+  provider text,
+  model text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists posts_user_id_created_at_idx
+  on public.posts (user_id, created_at desc);
+
+alter table public.posts enable row level security;
+
+create policy "Users can read their own posts"
+  on public.posts for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert their own posts"
+  on public.posts for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their own posts"
+  on public.posts for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete their own posts"
+  on public.posts for delete
+  using (auth.uid() = user_id);
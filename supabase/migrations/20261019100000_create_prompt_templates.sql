@@ -0,0 +1,83 @@
+-- Plantillas de prompt personalizadas. Cada edición incrementa `version`
+-- y guarda el cuerpo anterior en prompt_template_versions.
+create table if not exists public.prompt_templates (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name text not null,
+  description text,
+  body text not null,
+  version integer not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.prompt_template_versions (
+  template_id uuid not null references public.prompt_templates (id) on delete cascade,
+  version integer not null,
+  name text not null,
+  body text not null,
+  created_at timestamptz not null default now(),
+  primary key (template_id, version)
+);
+
+create index if not exists prompt_templates_user_id_idx
+  on public.prompt_templates (user_id, updated_at desc);
+
+create or replace function public.bump_prompt_template_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.body is distinct from old.body or new.name is distinct from old.name then
+    insert into public.prompt_template_versions (template_id, version, name, body, created_at)
+    values (old.id, old.version, old.name, old.body, old.updated_at);
+    new.version := old.version + 1;
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger prompt_templates_bump_version
+  before update on public.prompt_templates
+  for each row execute function public.bump_prompt_template_version();
+
+alter table public.prompt_templates enable row level security;
+alter table public.prompt_template_versions enable row level security;
+
+create policy "Users can read their own templates"
+  on public.prompt_templates for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert their own templates"
+  on public.prompt_templates for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their own templates"
+  on public.prompt_templates for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete their own templates"
+  on public.prompt_templates for delete
+  using (auth.uid() = user_id);
+
+create policy "Users can read versions of their own templates"
+  on public.prompt_template_versions for select
+  using (exists (
+    select 1 from public.prompt_templates t
+    where t.id = template_id and t.user_id = auth.uid()
+  ));
+
+-- El trigger inserta versiones en nombre del usuario que edita su plantilla
+create policy "Users can archive versions of their own templates"
+  on public.prompt_template_versions for insert
+  with check (exists (
+    select 1 from public.prompt_templates t
+    where t.id = template_id and t.user_id = auth.uid()
+  ));
+
+-- Qué plantilla (y qué versión) produjo cada post
+alter table public.posts
+  add column if not exists template_id text,
+  add column if not exists template_version integer;
@@ -0,0 +1,3 @@
+-- Idioma en el que se generó cada post (es-ES, es-MX, en, ca, pt)
+alter table public.posts
+  add column if not exists language text;
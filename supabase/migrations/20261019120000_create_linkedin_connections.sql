@@ -0,0 +1,20 @@
+-- Conexión de cada usuario con LinkedIn (OAuth). Guarda el access token, así que
+-- tiene RLS activado y ninguna política: solo el backend la lee, con la service role
+create table if not exists public.linkedin_connections (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  member_urn text not null,
+  member_name text,
+  access_token text not null,
+  expires_at timestamptz not null,
+  scopes text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.linkedin_connections enable row level security;
+
+-- Resultado de publicar un post en LinkedIn
+alter table public.posts
+  add column if not exists linkedin_urn text,
+  add column if not exists linkedin_author text,
+  add column if not exists published_at timestamptz;
@@ -0,0 +1,109 @@
+-- Cola de publicación. El usuario crea borradores y los programa; el worker
+-- (server/worker.js) publica los vencidos con la service role.
+create table if not exists public.scheduled_posts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  post_id uuid references public.posts (id) on delete set null,
+  content text not null,
+  -- URN del autor en LinkedIn; null = perfil personal del usuario
+  author text,
+  article_url text,
+  article_title text,
+  status text not null default 'draft'
+    check (status in ('draft', 'scheduled', 'published', 'failed')),
+  scheduled_at timestamptz,
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  locked_until timestamptz,
+  linkedin_urn text,
+  published_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint scheduled_posts_scheduled_at_required
+    check (status = 'draft' or scheduled_at is not null)
+);
+
+-- Un registro por intento fallido
+create table if not exists public.scheduled_post_errors (
+  id bigint generated always as identity primary key,
+  scheduled_post_id uuid not null references public.scheduled_posts (id) on delete cascade,
+  attempt integer not null,
+  code text,
+  message text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists scheduled_posts_user_id_scheduled_at_idx
+  on public.scheduled_posts (user_id, scheduled_at);
+
+create index if not exists scheduled_posts_due_idx
+  on public.scheduled_posts (coalesce(next_attempt_at, scheduled_at))
+  where status = 'scheduled';
+
+create index if not exists scheduled_post_errors_scheduled_post_id_idx
+  on public.scheduled_post_errors (scheduled_post_id, created_at);
+
+create or replace function public.touch_scheduled_post()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger scheduled_posts_touch
+  before update on public.scheduled_posts
+  for each row execute function public.touch_scheduled_post();
+
+-- Reserva los posts vencidos para un worker. `skip locked` y `locked_until`
+-- evitan que dos workers publiquen el mismo post
+create or replace function public.claim_scheduled_posts(batch_size integer, lock_seconds integer)
+returns setof public.scheduled_posts
+language sql
+as $$
+  update public.scheduled_posts
+  set locked_until = now() + make_interval(secs => lock_seconds)
+  where id in (
+    select id from public.scheduled_posts
+    where status = 'scheduled'
+      and coalesce(next_attempt_at, scheduled_at) <= now()
+      and (locked_until is null or locked_until < now())
+    order by coalesce(next_attempt_at, scheduled_at)
+    limit batch_size
+    for update skip locked
+  )
+  returning *;
+$$;
+
+revoke execute on function public.claim_scheduled_posts(integer, integer) from public, anon, authenticated;
+grant execute on function public.claim_scheduled_posts(integer, integer) to service_role;
+
+alter table public.scheduled_posts enable row level security;
+alter table public.scheduled_post_errors enable row level security;
+
+create policy "Users can read their own scheduled posts"
+  on public.scheduled_posts for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert their own scheduled posts"
+  on public.scheduled_posts for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their own scheduled posts"
+  on public.scheduled_posts for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete their own scheduled posts"
+  on public.scheduled_posts for delete
+  using (auth.uid() = user_id);
+
+-- El registro de errores solo lo escribe el worker
+create policy "Users can read errors of their own scheduled posts"
+  on public.scheduled_post_errors for select
+  using (exists (
+    select 1 from public.scheduled_posts s
+    where s.id = scheduled_post_id and s.user_id = auth.uid()
+  ));
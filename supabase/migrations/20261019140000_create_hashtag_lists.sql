@@ -0,0 +1,29 @@
+-- Hashtags favoritos y vetados de cada usuario. `tag` se guarda sin «#» y tal como
+-- se escribió; `tag_key` evita duplicados que solo difieren en mayúsculas
+create table if not exists public.hashtag_lists (
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  tag text not null check (tag <> '' and tag !~ '[[:space:]#@]'),
+  tag_key text generated always as (lower(tag)) stored,
+  list text not null check (list in ('favorite', 'banned')),
+  created_at timestamptz not null default now(),
+  primary key (user_id, tag_key)
+);
+
+alter table public.hashtag_lists enable row level security;
+
+create policy "Users can read their own hashtag lists"
+  on public.hashtag_lists for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert their own hashtag lists"
+  on public.hashtag_lists for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their own hashtag lists"
+  on public.hashtag_lists for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete their own hashtag lists"
+  on public.hashtag_lists for delete
+  using (auth.uid() = user_id);
@@ -0,0 +1,51 @@
+-- Perfiles de voz de marca: posts ya publicados que se usan como ejemplos (few-shot)
+-- y el resumen de estilo que la app deriva de ellos (ver src/services/voice.js)
+create table if not exists public.voice_profiles (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name text not null,
+  examples text[] not null check (cardinality(examples) between 3 and 20),
+  style jsonb not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists voice_profiles_user_id_idx
+  on public.voice_profiles (user_id, updated_at desc);
+
+create or replace function public.touch_voice_profile()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger voice_profiles_touch
+  before update on public.voice_profiles
+  for each row execute function public.touch_voice_profile();
+
+alter table public.voice_profiles enable row level security;
+
+create policy "Users can read their own voice profiles"
+  on public.voice_profiles for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert their own voice profiles"
+  on public.voice_profiles for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their own voice profiles"
+  on public.voice_profiles for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete their own voice profiles"
+  on public.voice_profiles for delete
+  using (auth.uid() = user_id);
+
+-- Voz con la que se generó cada post
+alter table public.posts
+  add column if not exists voice_profile_id uuid references public.voice_profiles (id) on delete set null;
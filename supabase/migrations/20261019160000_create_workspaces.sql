@@ -0,0 +1,414 @@
+-- Espacios de trabajo compartidos. El historial, las plantillas y las voces de marca
+-- pasan a ser del espacio; cada miembro tiene un rol:
+--   owner: gestiona el espacio y sus miembros, y hace todo lo que hacen los demás
+--   editor: crea y edita posts, plantillas y voces, y envía posts a revisión
+--   reviewer: lee, comenta y aprueba o devuelve los posts en revisión
+create table if not exists public.workspaces (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (char_length(btrim(name)) > 0),
+  created_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.workspace_members (
+  workspace_id uuid not null references public.workspaces (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  -- Copia del email para mostrar la lista de miembros: auth.users no se lee desde el navegador
+  email text not null,
+  role text not null check (role in ('owner', 'editor', 'reviewer')),
+  created_at timestamptz not null default now(),
+  primary key (workspace_id, user_id)
+);
+
+-- Invitaciones pendientes, por email. Al aceptarlas se borran
+create table if not exists public.workspace_invitations (
+  id uuid primary key default gen_random_uuid(),
+  workspace_id uuid not null references public.workspaces (id) on delete cascade,
+  email text not null check (email = lower(btrim(email)) and email like '%_@_%'),
+  role text not null check (role in ('owner', 'editor', 'reviewer')),
+  invited_by uuid default auth.uid() references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (workspace_id, email)
+);
+
+create index if not exists workspace_members_user_id_idx
+  on public.workspace_members (user_id);
+
+create index if not exists workspace_invitations_email_idx
+  on public.workspace_invitations (email);
+
+create or replace function public.touch_workspace()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger workspaces_touch
+  before update on public.workspaces
+  for each row execute function public.touch_workspace();
+
+-- Rol del usuario actual en un espacio (null si no es miembro). Es `security definer`
+-- para que las políticas de workspace_members puedan usarla sin recursión
+create or replace function public.workspace_role(target_workspace_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select role from public.workspace_members
+  where workspace_id = target_workspace_id and user_id = auth.uid();
+$$;
+
+create or replace function public.current_email()
+returns text
+language sql
+stable
+as $$
+  select lower(coalesce(auth.jwt() ->> 'email', ''));
+$$;
+
+-- Un espacio nunca se queda sin owner
+create or replace function public.keep_workspace_owner()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.role = 'owner'
+    and (tg_op = 'DELETE' or new.role <> 'owner')
+    and exists (select 1 from public.workspaces w where w.id = old.workspace_id)
+    and not exists (
+      select 1 from public.workspace_members m
+      where m.workspace_id = old.workspace_id and m.role = 'owner' and m.user_id <> old.user_id
+    ) then
+    raise exception 'A workspace needs at least one owner' using errcode = 'P0001', hint = 'last_owner';
+  end if;
+  return coalesce(new, old);
+end;
+$$;
+
+create trigger workspace_members_keep_owner
+  before update or delete on public.workspace_members
+  for each row execute function public.keep_workspace_owner();
+
+-- Crea un espacio con el usuario actual como owner
+create or replace function public.create_workspace(workspace_name text)
+returns public.workspaces
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  created public.workspaces;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+  insert into public.workspaces (name, created_by)
+  values (btrim(workspace_name), auth.uid())
+  returning * into created;
+  insert into public.workspace_members (workspace_id, user_id, email, role)
+  values (created.id, auth.uid(), public.current_email(), 'owner');
+  return created;
+end;
+$$;
+
+-- El invitado acepta con la sesión del email al que se envió la invitación
+create or replace function public.accept_workspace_invitation(invitation_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  invitation public.workspace_invitations;
+begin
+  select * into invitation from public.workspace_invitations
+  where id = invitation_id and email = public.current_email();
+  if invitation.id is null then
+    raise exception 'Invitation not found' using errcode = 'P0002';
+  end if;
+  insert into public.workspace_members (workspace_id, user_id, email, role)
+  values (invitation.workspace_id, auth.uid(), invitation.email, invitation.role)
+  on conflict (workspace_id, user_id) do update set role = excluded.role;
+  delete from public.workspace_invitations where id = invitation.id;
+  return invitation.workspace_id;
+end;
+$$;
+
+revoke execute on function public.create_workspace(text) from public, anon;
+revoke execute on function public.accept_workspace_invitation(uuid) from public, anon;
+grant execute on function public.create_workspace(text) to authenticated;
+grant execute on function public.accept_workspace_invitation(uuid) to authenticated;
+
+alter table public.workspaces enable row level security;
+alter table public.workspace_members enable row level security;
+alter table public.workspace_invitations enable row level security;
+
+-- Los espacios y los miembros se crean con create_workspace y accept_workspace_invitation
+create policy "Members can read their workspaces"
+  on public.workspaces for select
+  using (public.workspace_role(id) is not null);
+
+create policy "Invitees can read the workspaces they are invited to"
+  on public.workspaces for select
+  using (exists (
+    select 1 from public.workspace_invitations i
+    where i.workspace_id = workspaces.id and i.email = public.current_email()
+  ));
+
+create policy "Owners can update their workspaces"
+  on public.workspaces for update
+  using (public.workspace_role(id) = 'owner')
+  with check (public.workspace_role(id) = 'owner');
+
+create policy "Owners can delete their workspaces"
+  on public.workspaces for delete
+  using (public.workspace_role(id) = 'owner');
+
+create policy "Members can read the members of their workspaces"
+  on public.workspace_members for select
+  using (public.workspace_role(workspace_id) is not null);
+
+create policy "Owners can change member roles"
+  on public.workspace_members for update
+  using (public.workspace_role(workspace_id) = 'owner')
+  with check (public.workspace_role(workspace_id) = 'owner');
+
+-- Los owners quitan miembros; cualquiera puede salir de un espacio
+create policy "Owners can remove members and members can leave"
+  on public.workspace_members for delete
+  using (public.workspace_role(workspace_id) = 'owner' or user_id = auth.uid());
+
+create policy "Owners and invitees can read invitations"
+  on public.workspace_invitations for select
+  using (public.workspace_role(workspace_id) = 'owner' or email = public.current_email());
+
+create policy "Owners can invite"
+  on public.workspace_invitations for insert
+  with check (public.workspace_role(workspace_id) = 'owner' and invited_by = auth.uid());
+
+create policy "Owners can cancel invitations and invitees can decline them"
+  on public.workspace_invitations for delete
+  using (public.workspace_role(workspace_id) = 'owner' or email = public.current_email());
+
+-- Cada usuario que ya existe recibe un espacio personal con todo lo que tenía
+with created as (
+  insert into public.workspaces (name, created_by)
+  select 'Personal', u.id from auth.users u
+  where not exists (select 1 from public.workspace_members m where m.user_id = u.id)
+  returning id, created_by
+)
+insert into public.workspace_members (workspace_id, user_id, email, role)
+select c.id, c.created_by, lower(coalesce(u.email, '')), 'owner'
+from created c
+join auth.users u on u.id = c.created_by;
+
+alter table public.posts add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+alter table public.prompt_templates add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+alter table public.voice_profiles add column if not exists workspace_id uuid references public.workspaces (id) on delete cascade;
+
+update public.posts p set workspace_id = m.workspace_id
+from public.workspace_members m
+where m.user_id = p.user_id and p.workspace_id is null;
+
+update public.prompt_templates t set workspace_id = m.workspace_id
+from public.workspace_members m
+where m.user_id = t.user_id and t.workspace_id is null;
+
+update public.voice_profiles v set workspace_id = m.workspace_id
+from public.workspace_members m
+where m.user_id = v.user_id and v.workspace_id is null;
+
+alter table public.posts alter column workspace_id set not null;
+alter table public.prompt_templates alter column workspace_id set not null;
+alter table public.voice_profiles alter column workspace_id set not null;
+
+create index if not exists posts_workspace_id_created_at_idx
+  on public.posts (workspace_id, created_at desc);
+
+create index if not exists prompt_templates_workspace_id_idx
+  on public.prompt_templates (workspace_id, updated_at desc);
+
+create index if not exists voice_profiles_workspace_id_idx
+  on public.voice_profiles (workspace_id, updated_at desc);
+
+-- Flujo de aprobación: draft → in_review → approved
+alter table public.posts
+  add column if not exists status text not null default 'draft'
+    check (status in ('draft', 'in_review', 'approved')),
+  add column if not exists reviewed_by uuid references auth.users (id) on delete set null,
+  add column if not exists reviewed_at timestamptz;
+
+-- Qué puede cambiar cada rol en un post (la misma tabla que src/services/workflow.js).
+-- Las actualizaciones del backend con la service role (auth.uid() nulo) no se comprueban
+create or replace function public.guard_post_update()
+returns trigger
+language plpgsql
+as $$
+declare
+  member_role text := public.workspace_role(old.workspace_id);
+  review_columns text[] := array['status', 'reviewed_by', 'reviewed_at'];
+begin
+  if auth.uid() is null then
+    return new;
+  end if;
+  if new.workspace_id is distinct from old.workspace_id or new.user_id is distinct from old.user_id then
+    raise exception 'Posts cannot change workspace or author' using errcode = '42501';
+  end if;
+
+  if member_role = 'reviewer'
+    and (to_jsonb(new) - review_columns) is distinct from (to_jsonb(old) - review_columns) then
+    raise exception 'Reviewers can only change the status of a post' using errcode = '42501';
+  end if;
+
+  if new.status is distinct from old.status then
+    if not (
+      (old.status = 'draft' and new.status = 'in_review' and member_role in ('owner', 'editor'))
+      or (old.status = 'in_review' and new.status = 'draft')
+      or (old.status = 'in_review' and new.status = 'approved' and member_role in ('owner', 'reviewer'))
+      or (old.status = 'approved' and new.status = 'draft' and member_role in ('owner', 'editor'))
+    ) then
+      raise exception 'Status change not allowed' using errcode = '42501', hint = 'status_transition';
+    end if;
+  -- Cambiar el texto de un post en revisión o aprobado lo devuelve a borrador
+  elsif new.content is distinct from old.content and old.status <> 'draft' then
+    new.status := 'draft';
+  end if;
+
+  if new.status = 'approved' and old.status <> 'approved' then
+    new.reviewed_by := auth.uid();
+    new.reviewed_at := now();
+  elsif new.status <> 'approved' then
+    new.reviewed_by := null;
+    new.reviewed_at := null;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger posts_guard_update
+  before update on public.posts
+  for each row execute function public.guard_post_update();
+
+-- Comentarios de revisión
+create table if not exists public.post_comments (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts (id) on delete cascade,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  author_email text not null default public.current_email(),
+  body text not null check (char_length(btrim(body)) between 1 and 2000),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists post_comments_post_id_idx
+  on public.post_comments (post_id, created_at);
+
+alter table public.post_comments enable row level security;
+
+create policy "Members can read comments in their workspaces"
+  on public.post_comments for select
+  using (exists (
+    select 1 from public.posts p
+    where p.id = post_id and public.workspace_role(p.workspace_id) is not null
+  ));
+
+create policy "Members can comment in their workspaces"
+  on public.post_comments for insert
+  with check (auth.uid() = user_id and exists (
+    select 1 from public.posts p
+    where p.id = post_id and public.workspace_role(p.workspace_id) is not null
+  ));
+
+create policy "Users can delete their own comments"
+  on public.post_comments for delete
+  using (auth.uid() = user_id);
+
+-- De «cada usuario lo suyo» a «cada miembro lo de su espacio»
+drop policy if exists "Users can read their own posts" on public.posts;
+drop policy if exists "Users can insert their own posts" on public.posts;
+drop policy if exists "Users can update their own posts" on public.posts;
+drop policy if exists "Users can delete their own posts" on public.posts;
+
+create policy "Members can read workspace posts"
+  on public.posts for select
+  using (public.workspace_role(workspace_id) is not null);
+
+create policy "Editors can create workspace posts"
+  on public.posts for insert
+  with check (auth.uid() = user_id and public.workspace_role(workspace_id) in ('owner', 'editor'));
+
+-- Los revisores también actualizan: posts_guard_update limita qué pueden cambiar
+create policy "Members can update workspace posts"
+  on public.posts for update
+  using (public.workspace_role(workspace_id) is not null)
+  with check (public.workspace_role(workspace_id) is not null);
+
+create policy "Editors can delete workspace posts"
+  on public.posts for delete
+  using (public.workspace_role(workspace_id) in ('owner', 'editor'));
+
+drop policy if exists "Users can read their own templates" on public.prompt_templates;
+drop policy if exists "Users can insert their own templates" on public.prompt_templates;
+drop policy if exists "Users can update their own templates" on public.prompt_templates;
+drop policy if exists "Users can delete their own templates" on public.prompt_templates;
+drop policy if exists "Users can read versions of their own templates" on public.prompt_template_versions;
+drop policy if exists "Users can archive versions of their own templates" on public.prompt_template_versions;
+
+create policy "Members can read workspace templates"
+  on public.prompt_templates for select
+  using (public.workspace_role(workspace_id) is not null);
+
+create policy "Editors can create workspace templates"
+  on public.prompt_templates for insert
+  with check (auth.uid() = user_id and public.workspace_role(workspace_id) in ('owner', 'editor'));
+
+create policy "Editors can update workspace templates"
+  on public.prompt_templates for update
+  using (public.workspace_role(workspace_id) in ('owner', 'editor'))
+  with check (public.workspace_role(workspace_id) in ('owner', 'editor'));
+
+create policy "Editors can delete workspace templates"
+  on public.prompt_templates for delete
+  using (public.workspace_role(workspace_id) in ('owner', 'editor'));
+
+create policy "Members can read versions of workspace templates"
+  on public.prompt_template_versions for select
+  using (exists (
+    select 1 from public.prompt_templates t
+    where t.id = template_id and public.workspace_role(t.workspace_id) is not null
+  ));
+
+create policy "Editors can archive versions of workspace templates"
+  on public.prompt_template_versions for insert
+  with check (exists (
+    select 1 from public.prompt_templates t
+    where t.id = template_id and public.workspace_role(t.workspace_id) in ('owner', 'editor')
+  ));
+
+drop policy if exists "Users can read their own voice profiles" on public.voice_profiles;
+drop policy if exists "Users can insert their own voice profiles" on public.voice_profiles;
+drop policy if exists "Users can update their own voice profiles" on public.voice_profiles;
+drop policy if exists "Users can delete their own voice profiles" on public.voice_profiles;
+
+create policy "Members can read workspace voice profiles"
+  on public.voice_profiles for select
+  using (public.workspace_role(workspace_id) is not null);
+
+create policy "Editors can create workspace voice profiles"
+  on public.voice_profiles for insert
+  with check (auth.uid() = user_id and public.workspace_role(workspace_id) in ('owner', 'editor'));
+
+create policy "Editors can update workspace voice profiles"
+  on public.voice_profiles for update
+  using (public.workspace_role(workspace_id) in ('owner', 'editor'))
+  with check (public.workspace_role(workspace_id) in ('owner', 'editor'));
+
+create policy "Editors can delete workspace voice profiles"
+  on public.voice_profiles for delete
+  using (public.workspace_role(workspace_id) in ('owner', 'editor'));
@@ -0,0 +1,43 @@
+-- Colores y logo de marca de cada usuario para las imágenes y los carruseles
+-- (ver src/services/visuals.js). El logo se guarda ya reducido, como data URL
+create table if not exists public.brand_settings (
+  user_id uuid primary key default auth.uid() references auth.users (id) on delete cascade,
+  primary_color text not null default '#0a66c2' check (primary_color ~ '^#[0-9a-fA-F]{6}$'),
+  background_color text not null default '#ffffff' check (background_color ~ '^#[0-9a-fA-F]{6}$'),
+  text_color text not null default '#1d2226' check (text_color ~ '^#[0-9a-fA-F]{6}$'),
+  logo text check (logo like 'data:image/%' and length(logo) <= 300000),
+  updated_at timestamptz not null default now()
+);
+
+create or replace function public.touch_brand_settings()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger brand_settings_touch
+  before update on public.brand_settings
+  for each row execute function public.touch_brand_settings();
+
+alter table public.brand_settings enable row level security;
+
+create policy "Users can read their own brand settings"
+  on public.brand_settings for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert their own brand settings"
+  on public.brand_settings for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their own brand settings"
+  on public.brand_settings for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete their own brand settings"
+  on public.brand_settings for delete
+  using (auth.uid() = user_id);
@@ -0,0 +1,54 @@
+-- Registro de cada llamada al modelo (ver server/usage). Solo lo escribe el backend con la
+-- service role; cada usuario puede leer el suyo para el panel de uso
+create table if not exists public.generation_usage (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  provider text,
+  model text,
+  prompt_tokens integer not null default 0 check (prompt_tokens >= 0),
+  output_tokens integer not null default 0 check (output_tokens >= 0),
+  tokens_estimated boolean not null default false,
+  latency_ms integer not null default 0 check (latency_ms >= 0),
+  status text not null check (status in ('success', 'error', 'cancelled')),
+  error_category text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists generation_usage_user_created_idx
+  on public.generation_usage (user_id, created_at desc);
+
+alter table public.generation_usage enable row level security;
+
+create policy "Users can read their own generation usage"
+  on public.generation_usage for select
+  using (auth.uid() = user_id);
+
+-- Plan y límites propios de un usuario. Sin fila se aplica el plan por defecto
+-- (USAGE_DEFAULT_PLAN); un límite a null usa el del plan
+create table if not exists public.usage_quotas (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  plan text not null default 'free',
+  daily_limit integer check (daily_limit >= 0),
+  monthly_limit integer check (monthly_limit >= 0),
+  updated_at timestamptz not null default now()
+);
+
+create or replace function public.touch_usage_quotas()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger usage_quotas_touch
+  before update on public.usage_quotas
+  for each row execute function public.touch_usage_quotas();
+
+alter table public.usage_quotas enable row level security;
+
+create policy "Users can read their own usage quota"
+  on public.usage_quotas for select
+  using (auth.uid() = user_id);
@@ -0,0 +1,61 @@
+-- Resultados de cada post en LinkedIn: a mano, importados de un CSV de analíticas o leídos
+-- de la API para los publicados desde la app. `impressions` y `reshares` a null = no se saben
+create table if not exists public.post_metrics (
+  post_id uuid primary key references public.posts (id) on delete cascade,
+  impressions integer check (impressions >= 0),
+  reactions integer not null default 0 check (reactions >= 0),
+  comments integer not null default 0 check (comments >= 0),
+  reshares integer check (reshares >= 0),
+  source text not null default 'manual' check (source in ('manual', 'csv', 'linkedin')),
+  updated_by uuid default auth.uid() references auth.users (id) on delete set null,
+  updated_at timestamptz not null default now()
+);
+
+create or replace function public.touch_post_metrics()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  new.updated_by := auth.uid();
+  return new;
+end;
+$$;
+
+create trigger post_metrics_touch
+  before update on public.post_metrics
+  for each row execute function public.touch_post_metrics();
+
+alter table public.post_metrics enable row level security;
+
+create policy "Members can read metrics of workspace posts"
+  on public.post_metrics for select
+  using (exists (
+    select 1 from public.posts p
+    where p.id = post_id and public.workspace_role(p.workspace_id) is not null
+  ));
+
+create policy "Editors can add metrics to workspace posts"
+  on public.post_metrics for insert
+  with check (exists (
+    select 1 from public.posts p
+    where p.id = post_id and public.workspace_role(p.workspace_id) in ('owner', 'editor')
+  ));
+
+create policy "Editors can update metrics of workspace posts"
+  on public.post_metrics for update
+  using (exists (
+    select 1 from public.posts p
+    where p.id = post_id and public.workspace_role(p.workspace_id) in ('owner', 'editor')
+  ))
+  with check (exists (
+    select 1 from public.posts p
+    where p.id = post_id and public.workspace_role(p.workspace_id) in ('owner', 'editor')
+  ));
+
+create policy "Editors can delete metrics of workspace posts"
+  on public.post_metrics for delete
+  using (exists (
+    select 1 from public.posts p
+    where p.id = post_id and public.workspace_role(p.workspace_id) in ('owner', 'editor')
+  ));
@@ -0,0 +1,32 @@
+-- El worker marca la entrada como `publishing` antes de llamar a LinkedIn. Si falla algo
+-- después de publicar, claim_scheduled_posts ya no la reclama y no se publica dos veces
+alter table public.scheduled_posts drop constraint if exists scheduled_posts_status_check;
+alter table public.scheduled_posts add constraint scheduled_posts_status_check
+  check (status in ('draft', 'scheduled', 'publishing', 'published', 'failed'));
+
+-- Al publicar, el worker escribe el URN en el post del historial con la service role: solo
+-- se puede enlazar un post de un espacio del usuario, que él mismo podría actualizar
+drop policy if exists "Users can insert their own scheduled posts" on public.scheduled_posts;
+drop policy if exists "Users can update their own scheduled posts" on public.scheduled_posts;
+
+create or replace function public.can_link_post(target_post_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select target_post_id is null or exists (
+    select 1 from public.posts p
+    where p.id = target_post_id and public.workspace_role(p.workspace_id) is not null
+  );
+$$;
+
+create policy "Users can insert their own scheduled posts"
+  on public.scheduled_posts for insert
+  with check (auth.uid() = user_id and public.can_link_post(post_id));
+
+create policy "Users can update their own scheduled posts"
+  on public.scheduled_posts for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id and public.can_link_post(post_id));
@@ -0,0 +1,6 @@
+-- Invitar otra vez al mismo email es un upsert (insert … on conflict do update) que cambia
+-- el rol y quién invita. Sin política de update, RLS lo rechazaba
+create policy "Owners can refresh invitations"
+  on public.workspace_invitations for update
+  using (public.workspace_role(workspace_id) = 'owner')
+  with check (public.workspace_role(workspace_id) = 'owner' and invited_by = auth.uid());
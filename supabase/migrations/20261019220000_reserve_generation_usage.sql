@@ -0,0 +1,59 @@
+-- La cuota se reserva antes de llamar al modelo: el backend inserta una fila `pending` y
+-- la completa al terminar. Reservar y contar van en la misma transacción, bloqueada por
+-- usuario, para que varias generaciones a la vez (las variantes) no se pasen de la cuota
+alter table public.generation_usage drop constraint if exists generation_usage_status_check;
+alter table public.generation_usage add constraint generation_usage_status_check
+  check (status in ('pending', 'success', 'error', 'cancelled'));
+
+-- Cuentan todas las generaciones que gastaron tokens: también las que el cliente cortó y
+-- los errores con texto ya generado, y las reservadas que siguen en curso
+create or replace function public.count_charged_usage(target_user_id uuid, since timestamptz)
+returns integer
+language sql
+stable
+set search_path = ''
+as $$
+  select count(*)::integer from public.generation_usage
+  where user_id = target_user_id
+    and created_at >= since
+    and (status in ('pending', 'success', 'cancelled') or (status = 'error' and output_tokens > 0));
+$$;
+
+-- Devuelve el id de la fila reservada, o el periodo ('daily' o 'monthly') que ya está gastado.
+-- Un límite a null es sin límite
+create or replace function public.reserve_generation_usage(
+  target_user_id uuid,
+  target_provider text,
+  target_model text,
+  day_start timestamptz,
+  month_start timestamptz,
+  daily_limit integer,
+  monthly_limit integer
+)
+returns table (usage_id uuid, exceeded text)
+language plpgsql
+set search_path = ''
+as $$
+declare
+  reserved uuid;
+begin
+  perform pg_advisory_xact_lock(hashtextextended(target_user_id::text, 0));
+  if daily_limit is not null and public.count_charged_usage(target_user_id, day_start) >= daily_limit then
+    return query select null::uuid, 'daily'::text;
+    return;
+  end if;
+  if monthly_limit is not null and public.count_charged_usage(target_user_id, month_start) >= monthly_limit then
+    return query select null::uuid, 'monthly'::text;
+    return;
+  end if;
+  insert into public.generation_usage (user_id, provider, model, status)
+  values (target_user_id, target_provider, target_model, 'pending')
+  returning id into reserved;
+  return query select reserved, null::text;
+end;
+$$;
+
+revoke execute on function public.count_charged_usage(uuid, timestamptz) from public, anon, authenticated;
+revoke execute on function public.reserve_generation_usage(uuid, text, text, timestamptz, timestamptz, integer, integer) from public, anon, authenticated;
+grant execute on function public.count_charged_usage(uuid, timestamptz) to service_role;
+grant execute on function public.reserve_generation_usage(uuid, text, text, timestamptz, timestamptz, integer, integer) to service_role;
@@ -0,0 +1,50 @@
+-- Un post que sigue aprobado conservaba el `reviewed_by`/`reviewed_at` que enviara el
+-- cliente: un editor podía cambiar quién lo aprobó. Ahora solo los fija in_review → approved
+create or replace function public.guard_post_update()
+returns trigger
+language plpgsql
+as $$
+declare
+  member_role text := public.workspace_role(old.workspace_id);
+  review_columns text[] := array['status', 'reviewed_by', 'reviewed_at'];
+begin
+  if auth.uid() is null then
+    return new;
+  end if;
+  if new.workspace_id is distinct from old.workspace_id or new.user_id is distinct from old.user_id then
+    raise exception 'Posts cannot change workspace or author' using errcode = '42501';
+  end if;
+
+  if member_role = 'reviewer'
+    and (to_jsonb(new) - review_columns) is distinct from (to_jsonb(old) - review_columns) then
+    raise exception 'Reviewers can only change the status of a post' using errcode = '42501';
+  end if;
+
+  if new.status is distinct from old.status then
+    if not (
+      (old.status = 'draft' and new.status = 'in_review' and member_role in ('owner', 'editor'))
+      or (old.status = 'in_review' and new.status = 'draft')
+      or (old.status = 'in_review' and new.status = 'approved' and member_role in ('owner', 'reviewer'))
+      or (old.status = 'approved' and new.status = 'draft' and member_role in ('owner', 'editor'))
+    ) then
+      raise exception 'Status change not allowed' using errcode = '42501', hint = 'status_transition';
+    end if;
+  -- Cambiar el texto de un post en revisión o aprobado lo devuelve a borrador
+  elsif new.content is distinct from old.content and old.status <> 'draft' then
+    new.status := 'draft';
+  end if;
+
+  -- Quién aprobó y cuándo solo lo fija la aprobación: el cliente no puede reescribirlo
+  if new.status = 'approved' and old.status <> 'approved' then
+    new.reviewed_by := auth.uid();
+    new.reviewed_at := now();
+  elsif new.status = 'approved' then
+    new.reviewed_by := old.reviewed_by;
+    new.reviewed_at := old.reviewed_at;
+  else
+    new.reviewed_by := null;
+    new.reviewed_at := null;
+  end if;
+  return new;
+end;
+$$;
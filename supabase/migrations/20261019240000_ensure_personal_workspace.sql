@@ -0,0 +1,30 @@
+-- Espacio personal de una cuenta nueva. Lo creaba el navegador al ver la lista vacía, y dos
+-- cargas a la vez (dos pestañas, o el doble efecto de StrictMode) creaban dos. Aquí se crea
+-- bloqueando por usuario y solo si no es miembro de ningún espacio; si lo es no hace nada
+create or replace function public.ensure_personal_workspace(workspace_name text)
+returns uuid
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  created_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+  perform pg_advisory_xact_lock(hashtextextended('personal_workspace:' || auth.uid()::text, 0));
+  if exists (select 1 from public.workspace_members where user_id = auth.uid()) then
+    return null;
+  end if;
+  insert into public.workspaces (name, created_by)
+  values (btrim(workspace_name), auth.uid())
+  returning id into created_id;
+  insert into public.workspace_members (workspace_id, user_id, email, role)
+  values (created_id, auth.uid(), public.current_email(), 'owner');
+  return created_id;
+end;
+$$;
+
+revoke execute on function public.ensure_personal_workspace(text) from public, anon;
+grant execute on function public.ensure_personal_workspace(text) to authenticated;
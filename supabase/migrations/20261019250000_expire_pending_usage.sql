@@ -0,0 +1,19 @@
+-- Una reserva `pending` solo la completa el proceso que la hizo. Si se cae a media
+-- generación la fila se quedaba así y gastaba cuota para siempre. Pasados 15 minutos,
+-- muy por encima de lo que dura una generación (como mucho 1024 tokens de salida y 20 s
+-- sin datos, ver server/llm), deja de contar
+create or replace function public.count_charged_usage(target_user_id uuid, since timestamptz)
+returns integer
+language sql
+stable
+set search_path = ''
+as $$
+  select count(*)::integer from public.generation_usage
+  where user_id = target_user_id
+    and created_at >= since
+    and (
+      status in ('success', 'cancelled')
+      or (status = 'error' and output_tokens > 0)
+      or (status = 'pending' and created_at > now() - interval '15 minutes')
+    );
+$$;
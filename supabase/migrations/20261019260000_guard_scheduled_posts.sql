@@ -0,0 +1,51 @@
+-- Lo que puede cambiar el usuario en la cola de publicación. El estado de publicación, los
+-- intentos y el URN son del worker, que escribe con la service role (auth.uid() nulo).
+-- El usuario solo edita entradas que no se han publicado ni se están publicando: borradores,
+-- programadas y fallidas, que puede volver a programar. Programar o reprogramar empieza los
+-- reintentos de cero
+create or replace function public.guard_scheduled_post()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.status not in ('draft', 'scheduled') then
+      raise exception 'Scheduled posts start as draft or scheduled' using errcode = '42501';
+    end if;
+    new.attempts := 0;
+    new.next_attempt_at := null;
+    new.locked_until := null;
+    new.linkedin_urn := null;
+    new.published_at := null;
+    return new;
+  end if;
+
+  if old.status not in ('draft', 'scheduled', 'failed') then
+    raise exception 'Published posts cannot be changed' using errcode = '42501';
+  end if;
+  if new.status not in ('draft', 'scheduled') then
+    raise exception 'Status change not allowed' using errcode = '42501';
+  end if;
+
+  if new.status is distinct from old.status or new.scheduled_at is distinct from old.scheduled_at then
+    new.attempts := 0;
+    new.next_attempt_at := null;
+  else
+    new.attempts := old.attempts;
+    new.next_attempt_at := old.next_attempt_at;
+  end if;
+  -- Un worker puede tenerla reservada: soltarla dejaría que otro la publicara también
+  new.locked_until := old.locked_until;
+  new.linkedin_urn := old.linkedin_urn;
+  new.published_at := old.published_at;
+  return new;
+end;
+$$;
+
+create trigger scheduled_posts_guard
+  before insert or update on public.scheduled_posts
+  for each row execute function public.guard_scheduled_post();